@@ -216,6 +216,20 @@ local function build_connection_display(server, database, last_database)
   return ''
 end
 
+-- Get the health of a server's connection when it is not plainly connected
+-- @param server: ServerClass - Server object
+-- @return: table? - { state = "reconnecting" | "disconnected", attempt?, attempts?, error? } or nil
+local function get_unhealthy_state(server)
+  if not server.connection_config then
+    return nil
+  end
+  local state = require('nvim-ssns.connection').get_state(server.connection_config)
+  if state and (state.state == "reconnecting" or (state.state == "disconnected" and state.error)) then
+    return state
+  end
+  return nil
+end
+
 -- Get ETL block info for the current cursor position
 -- @return: string - Formatted ETL status or empty string
 local function get_etl_status(bufnr)
@@ -332,7 +346,18 @@ function M.ssns()
   local buffer_info = UiQuery.query_buffers[bufnr]
   local last_database = buffer_info and buffer_info.last_database
 
-  return build_connection_display(server, database, last_database)
+  local display = build_connection_display(server, database, last_database)
+
+  -- Lost connection: Node.js is reconnecting, or gave up
+  local state = get_unhealthy_state(server)
+  if state and state.state == "reconnecting" then
+    local attempt = state.attempt and string.format(" %d/%d", state.attempt, state.attempts or state.attempt) or ""
+    return display .. " | reconnecting" .. attempt .. "..."
+  elseif state then
+    return display .. " | disconnected"
+  end
+
+  return display
 end
 
 -- Color function for the component - returns dynamic color based on connection
@@ -366,6 +391,14 @@ function M.ssns_color()
     return nil
   end
 
+  -- Lost connection: same amber as connecting while reconnecting, red once given up
+  local state = get_unhealthy_state(server)
+  if state and state.state == "reconnecting" then
+    return { fg = '#000000', bg = '#ff9900', gui = 'bold' }
+  elseif state then
+    return { fg = '#ffffff', bg = '#cc0000', gui = 'bold' }
+  end
+
   -- Use connection_config directly
   local conn_config = server.connection_config
 
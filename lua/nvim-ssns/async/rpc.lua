@@ -4,9 +4,13 @@
 local AsyncRPC = {}
 
 ---Pending callbacks indexed by callback ID
----@type table<string, { on_complete: function, on_error: function?, started_at: number }>
+---@type table<string, { on_complete: function, on_error: function?, on_columns: function?, on_rows: function?, on_result_set_end: function?, started_at: number, execution_id: string? }>
 local pending_callbacks = {}
 
+---Extra time the callback timeout allows past a server-side query timeout,
+---so the server's timeout error arrives before the callback is abandoned
+local SERVER_TIMEOUT_GRACE_MS = 5000
+
 ---Generate unique callback ID
 ---@return string
 local function generate_callback_id()
@@ -34,26 +38,31 @@ function AsyncRPC.handle_callback(callback_id, result, err)
   if result and type(result) == "table" then
     -- Check if there was a SQL error in the result
     local error_obj = result.error
-    if type(error_obj) == "table" and error_obj.message then
+    if result.cancelled then
+      -- Cancelled on the server via SSNSCancelQuery
       normalized_result = {
         success = false,
+        cancelled = true,
         resultSets = {},
         metadata = result.metadata or {},
         error = {
-          message = tostring(error_obj.message),
-          code = error_obj.code,
-          lineNumber = error_obj.lineNumber,
-          procName = error_obj.procName
+          message = "Query cancelled",
+          category = "cancelled",
         }
       }
+      err = err or "Query cancelled"
+    elseif type(error_obj) == "table" and error_obj.message then
+      normalized_result = require('nvim-ssns.connection').error_result(result)
     else
       -- Success - add success = true to match Connection.execute format
       normalized_result = {
         success = true,
         resultSets = result.resultSets or {},
         metadata = result.metadata or {},
-        error = nil
+        error = nil,
+        continuations = require('nvim-ssns.connection').continuation_entries(result),
       }
+      normalized_result.truncated = normalized_result.continuations ~= nil
     end
   end
 
@@ -67,12 +76,67 @@ function AsyncRPC.handle_callback(callback_id, result, err)
   end)
 end
 
+---Handle a streaming event from Node.js (columns, row batch or result set end)
+---Called by Node.js while a query started with `stream = true` is running
+---@param callback_id string The callback ID
+---@param event table { type: "columns"|"rows"|"resultSetEnd", resultSetIndex: number, columns: table?, rows: table[]?, rowCount: number? }
+function AsyncRPC.handle_stream(callback_id, event)
+  local callback = pending_callbacks[callback_id]
+  if not callback or type(event) ~= "table" then
+    return
+  end
+
+  -- Node.js indexes result sets from 0
+  local index = (event.resultSetIndex or 0) + 1
+
+  vim.schedule(function()
+    if event.type == "columns" and callback.on_columns then
+      callback.on_columns(index, event.columns or {})
+    elseif event.type == "rows" and callback.on_rows then
+      callback.on_rows(index, event.rows or {}, event.rowCount or 0)
+    elseif event.type == "resultSetEnd" and callback.on_result_set_end then
+      callback.on_result_set_end(index, event.rowCount or 0)
+    end
+  end)
+end
+
+---Handle a progress event from Node.js while a query started with `progress_interval_ms` runs
+---Sent periodically, and as soon as server messages (PRINT, RAISERROR ... WITH NOWAIT) arrive
+---@param callback_id string The callback ID
+---@param event table { elapsedMs: number, rowsReceived: number, resultSetsCompleted: number, messages: table[] }
+function AsyncRPC.handle_progress(callback_id, event)
+  local callback = pending_callbacks[callback_id]
+  if not callback or not callback.on_progress or type(event) ~= "table" then
+    return
+  end
+
+  vim.schedule(function()
+    -- Completed meanwhile: its result already carries the messages
+    if pending_callbacks[callback_id] then
+      callback.on_progress(event)
+    end
+  end)
+end
+
 ---@class AsyncRPCOpts
 ---@field on_complete fun(result: table, error: string?)? Completion callback
 ---@field on_error fun(error: string)? Error callback
 ---@field timeout_ms number? Timeout in milliseconds (default: 60000)
+---@field query_timeout_ms number? Stop the query on the server after this long (the result's error has category "timeout"; 0 = none)
+---@field max_rows number? Return at most this many rows; a result with more is `truncated` (see Connection.fetch_more; 0 = no cap)
+---@field continuation_idle_ms number? How long a truncated result keeps its query open
+---@field describe_columns boolean? Report the declared type and nullability of result columns (SQLite traces each one to its table with EXPLAIN, so only ask when they are shown)
 ---@field use_cache boolean? Use query cache (default: true)
 ---@field ttl number? Cache TTL
+---@field stream boolean? Stream rows in batches instead of returning them in the final result
+---@field batch_size number? Rows per streamed batch (default: 500)
+---@field on_columns fun(result_set_index: number, columns: table)? Streaming: a result set started
+---@field on_rows fun(result_set_index: number, rows: table[], row_count: number)? Streaming: a batch of rows arrived (row_count is the running total)
+---@field on_result_set_end fun(result_set_index: number, row_count: number)? Streaming: a result set finished
+---@field params table? Positional list or named table of query parameters (bound natively by the driver)
+---@field session_id string? Run on this session's pinned connection (opened by Node.js on first use)
+---@field on_progress fun(event: table)? Progress of the running query (see AsyncRPC.handle_progress)
+---@field progress_interval_ms number? Time between progress events (default: 1000)
 
 ---Track if we've shown the unavailable warning
 local shown_unavailable_warning = false
@@ -178,11 +242,19 @@ function AsyncRPC.execute_async(connection_config, query, opts)
   pending_callbacks[callback_id] = {
     on_complete = opts.on_complete,
     on_error = opts.on_error,
+    on_columns = opts.on_columns,
+    on_rows = opts.on_rows,
+    on_result_set_end = opts.on_result_set_end,
+    on_progress = opts.on_progress,
     started_at = vim.loop.hrtime(),
   }
 
   -- Set up timeout if specified
   local timeout_ms = opts.timeout_ms or 60000
+  local query_timeout_ms = opts.query_timeout_ms or 0
+  if timeout_ms > 0 and query_timeout_ms > 0 then
+    timeout_ms = math.max(timeout_ms, query_timeout_ms + SERVER_TIMEOUT_GRACE_MS)
+  end
   if timeout_ms > 0 then
     vim.defer_fn(function()
       local callback = pending_callbacks[callback_id]
@@ -203,9 +275,37 @@ function AsyncRPC.execute_async(connection_config, query, opts)
   -- Serialize connection config to JSON
   local config_json = vim.fn.json_encode(connection_config)
 
+  -- Execution options understood by the Node.js host (its log lines for this
+  -- query carry the callback ID)
+  local exec_opts = vim.empty_dict()
+  exec_opts.correlation_id = callback_id
+  if opts.stream then
+    exec_opts.stream = true
+    exec_opts.batch_size = opts.batch_size or 500
+  end
+  if opts.params ~= nil then
+    exec_opts.params = opts.params
+  end
+  if opts.session_id then
+    exec_opts.session_id = opts.session_id
+  end
+  if query_timeout_ms > 0 then
+    exec_opts.timeout_ms = query_timeout_ms
+  end
+  if opts.on_progress then
+    exec_opts.progress_interval_ms = opts.progress_interval_ms or 1000
+  end
+  if opts.max_rows and opts.max_rows > 0 then
+    exec_opts.max_rows = opts.max_rows
+    exec_opts.continuation_idle_ms = opts.continuation_idle_ms
+  end
+  if opts.describe_columns then
+    exec_opts.describe_columns = true
+  end
+
   -- Call Node.js async function (returns immediately)
   local success, result = pcall(function()
-    return vim.fn.SSNSExecuteQueryAsync({ config_json, query, callback_id })
+    return vim.fn.SSNSExecuteQueryAsync({ config_json, query, callback_id, exec_opts })
   end)
 
   if not success then
@@ -219,6 +319,11 @@ function AsyncRPC.execute_async(connection_config, query, opts)
         opts.on_complete(nil, err_msg)
       end
     end)
+  elseif result and result.started then
+    -- Remember the Node.js execution ID so cancel() can stop it on the server
+    if pending_callbacks[callback_id] then
+      pending_callbacks[callback_id].execution_id = result.executionId
+    end
   elseif result and not result.started then
     -- Node.js returned an error
     pending_callbacks[callback_id] = nil
@@ -236,16 +341,29 @@ function AsyncRPC.execute_async(connection_config, query, opts)
 end
 
 ---Cancel a pending async query
+---Asks Node.js to cancel the query on the server (SSNSCancelQuery). The callback
+---stays pending and later receives a result with `cancelled = true`. If the
+---server-side cancel cannot be issued, the callback is dropped instead.
 ---@param callback_id string The callback ID
 ---@return boolean cancelled True if callback was pending and cancelled
 function AsyncRPC.cancel(callback_id)
   local callback = pending_callbacks[callback_id]
-  if callback then
-    pending_callbacks[callback_id] = nil
-    -- Note: The query will still complete in Node.js, but the callback won't be invoked
-    return true
+  if not callback then
+    return false
   end
-  return false
+
+  if callback.execution_id then
+    local ok, result = pcall(function()
+      return vim.fn.SSNSCancelQuery({ callback.execution_id })
+    end)
+    if ok and type(result) == "table" and result.success then
+      return true
+    end
+  end
+
+  -- Could not cancel on the server - stop waiting for the result
+  pending_callbacks[callback_id] = nil
+  return true
 end
 
 ---Get number of pending callbacks
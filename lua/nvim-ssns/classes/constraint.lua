@@ -8,12 +8,15 @@ local BaseDbObject = require('nvim-ssns.classes.base')
 ---@field referenced_schema string? Referenced schema name (for foreign keys)
 ---@field referenced_columns string[]? Referenced column names (for foreign keys)
 ---@field check_clause string? Check clause expression (for check constraints)
+---@field on_delete string? Referential action on delete (for foreign keys, e.g. "CASCADE")
+---@field on_update string? Referential action on update (for foreign keys)
+---@field default_value string? Default expression (for default constraints)
 ---@field parent TableClass The parent table object
 local ConstraintClass = setmetatable({}, { __index = BaseDbObject })
 ConstraintClass.__index = ConstraintClass
 
 ---Create a new Constraint instance
----@param opts {name: string, constraint_type: string, columns: string[], referenced_table: string?, referenced_schema: string?, referenced_columns: string[]?, check_clause: string?, parent: TableClass}
+---@param opts {name: string, constraint_type: string, columns: string[], referenced_table: string?, referenced_schema: string?, referenced_columns: string[]?, check_clause: string?, on_delete: string?, on_update: string?, default_value: string?, parent: TableClass}
 ---@return ConstraintClass
 function ConstraintClass.new(opts)
   local self = setmetatable(BaseDbObject.new({
@@ -28,6 +31,9 @@ function ConstraintClass.new(opts)
   self.referenced_schema = opts.referenced_schema
   self.referenced_columns = opts.referenced_columns
   self.check_clause = opts.check_clause
+  self.on_delete = opts.on_delete
+  self.on_update = opts.on_update
+  self.default_value = opts.default_value
 
   -- Constraints don't have children
   self.is_loaded = true
@@ -43,7 +49,7 @@ end
 function ConstraintClass:is_primary_key()
   return self.constraint_type == "PRIMARY_KEY_CONSTRAINT"
     or self.constraint_type == "PRIMARY KEY"
-    or self.constraint_type:match("PK") ~= nil
+    or self.constraint_type == "PK"
 end
 
 ---Check if this is a foreign key constraint
@@ -51,7 +57,7 @@ end
 function ConstraintClass:is_foreign_key()
   return self.constraint_type == "FOREIGN_KEY_CONSTRAINT"
     or self.constraint_type == "FOREIGN KEY"
-    or self.constraint_type:match("F") ~= nil
+    or self.constraint_type == "F"
 end
 
 ---Check if this is a unique constraint
@@ -59,7 +65,7 @@ end
 function ConstraintClass:is_unique()
   return self.constraint_type == "UNIQUE_CONSTRAINT"
     or self.constraint_type == "UNIQUE"
-    or self.constraint_type:match("UQ") ~= nil
+    or self.constraint_type == "UQ"
 end
 
 ---Check if this is a check constraint
@@ -67,7 +73,7 @@ end
 function ConstraintClass:is_check()
   return self.constraint_type == "CHECK_CONSTRAINT"
     or self.constraint_type == "CHECK"
-    or self.constraint_type:match("C") ~= nil
+    or self.constraint_type == "C"
 end
 
 ---Check if this is a default constraint
@@ -75,7 +81,7 @@ end
 function ConstraintClass:is_default()
   return self.constraint_type == "DEFAULT_CONSTRAINT"
     or self.constraint_type == "DEFAULT"
-    or self.constraint_type:match("D") ~= nil
+    or self.constraint_type == "D"
 end
 
 ---Get the constraint type string (normalized)
@@ -148,6 +154,12 @@ function ConstraintClass:get_display_name()
       table.insert(parts, "|")
       table.insert(parts, "→ " .. ref)
     end
+    if self.on_delete and self.on_delete ~= "NO ACTION" then
+      table.insert(parts, "ON DELETE " .. self.on_delete)
+    end
+    if self.on_update and self.on_update ~= "NO ACTION" then
+      table.insert(parts, "ON UPDATE " .. self.on_update)
+    end
   end
 
   -- Add check clause (truncated)
@@ -160,6 +172,12 @@ function ConstraintClass:get_display_name()
     table.insert(parts, clause)
   end
 
+  -- Add default expression
+  if self:is_default() and self.default_value then
+    table.insert(parts, "|")
+    table.insert(parts, self.default_value)
+  end
+
   return table.concat(parts, " ")
 end
 
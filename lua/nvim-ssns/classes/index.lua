@@ -5,13 +5,16 @@ local BaseDbObject = require('nvim-ssns.classes.base')
 ---@field index_type string? Index type (e.g., "CLUSTERED", "NONCLUSTERED", "BTREE")
 ---@field is_unique boolean Whether this is a unique index
 ---@field is_primary boolean Whether this is a primary key index
+---@field is_clustered boolean Whether the table's rows are stored in this index's order
 ---@field columns string[] Array of column names in the index
+---@field included_columns string[] Non-key columns stored in the index (INCLUDE)
+---@field filter string? Filter predicate of a filtered/partial index
 ---@field parent TableClass The parent table object
 local IndexClass = setmetatable({}, { __index = BaseDbObject })
 IndexClass.__index = IndexClass
 
 ---Create a new Index instance
----@param opts {name: string, index_type: string?, is_unique: boolean, is_primary: boolean, columns: string[], parent: TableClass}
+---@param opts {name: string, index_type: string?, is_unique: boolean, is_primary: boolean, is_clustered: boolean?, columns: string[], included_columns: string[]?, filter: string?, parent: TableClass}
 ---@return IndexClass
 function IndexClass.new(opts)
   local self = setmetatable(BaseDbObject.new({
@@ -23,7 +26,10 @@ function IndexClass.new(opts)
   self.index_type = opts.index_type
   self.is_unique = opts.is_unique or false
   self.is_primary = opts.is_primary or false
+  self.is_clustered = opts.is_clustered or false
   self.columns = opts.columns or {}
+  self.included_columns = opts.included_columns or {}
+  self.filter = opts.filter
 
   -- Indexes don't have children
   self.is_loaded = true
@@ -110,6 +116,12 @@ function IndexClass:get_display_name()
   -- Add columns
   table.insert(parts, "|")
   table.insert(parts, "(" .. self:get_columns_string() .. ")")
+  if #self.included_columns > 0 then
+    table.insert(parts, "INCLUDE (" .. table.concat(self.included_columns, ", ") .. ")")
+  end
+  if self.filter then
+    table.insert(parts, "WHERE " .. self.filter)
+  end
 
   return table.concat(parts, " ")
 end
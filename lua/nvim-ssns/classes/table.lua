@@ -159,6 +159,27 @@ function TableClass:load_columns()
   return self.columns
 end
 
+---Get this table's indexes and constraints from the Node.js driver (SSNSGetMetadata)
+---@param db DbClass The table's database
+---@return table? metadata { columns, indexes, constraints } or nil if unavailable
+function TableClass:get_driver_metadata(db)
+  local server = self:get_server()
+  if not server or not server.connection_config then
+    return nil
+  end
+
+  local config = server.connection_config
+  if config.type ~= "sqlite" then
+    config = server:get_connection_config_for_database(db.db_name)
+  end
+
+  local metadata = require('nvim-ssns.connection').get_metadata(config, "table", self.table_name, self.schema_name)
+  if not metadata or type(metadata.indexes) ~= "table" or type(metadata.constraints) ~= "table" then
+    return nil
+  end
+  return metadata
+end
+
 ---Load indexes for this table (lazy loading)
 ---@return IndexClass[]
 function TableClass:load_indexes()
@@ -189,6 +210,29 @@ function TableClass:load_indexes()
     return self.indexes
   end
 
+  -- Prefer the driver's catalog metadata (all backends), fall back to the adapter query
+  local metadata = self:get_driver_metadata(db)
+  if metadata then
+    local IndexClass = require('nvim-ssns.classes.index')
+    local is_sqlserver = self:get_server():get_db_type() == "sqlserver"
+    self.indexes = {}
+    for _, idx in ipairs(metadata.indexes) do
+      table.insert(self.indexes, IndexClass.new({
+        name = idx.name ~= vim.NIL and idx.name or "PRIMARY KEY",
+        index_type = idx.clustered and "CLUSTERED" or (is_sqlserver and "NONCLUSTERED" or nil),
+        is_unique = idx.unique,
+        is_primary = idx.primary,
+        is_clustered = idx.clustered,
+        columns = idx.columns,
+        included_columns = idx.includedColumns,
+        filter = idx.filter ~= vim.NIL and idx.filter or nil,
+        parent = nil,
+      }))
+    end
+    self.indexes_loaded = true
+    return self.indexes
+  end
+
   -- Get indexes query from adapter
   local query = adapter:get_indexes_query(db.db_name, self.schema_name, self.table_name)
 
@@ -248,6 +292,36 @@ function TableClass:load_constraints()
     return self.constraints
   end
 
+  -- Prefer the driver's catalog metadata (all backends), fall back to the adapter query
+  local metadata = self:get_driver_metadata(db)
+  if metadata then
+    local ConstraintClass = require('nvim-ssns.classes.constraint')
+    local function value(v)
+      if v == vim.NIL then
+        return nil
+      end
+      return v
+    end
+    self.constraints = {}
+    for _, con in ipairs(metadata.constraints) do
+      table.insert(self.constraints, ConstraintClass.new({
+        name = value(con.name) or string.format("%s (%s)", con.type, table.concat(con.columns or {}, ", ")),
+        constraint_type = con.type,
+        columns = con.columns,
+        referenced_table = value(con.referencedTable),
+        referenced_schema = value(con.referencedSchema),
+        referenced_columns = value(con.referencedColumns),
+        on_delete = value(con.onDelete),
+        on_update = value(con.onUpdate),
+        check_clause = con.type == "CHECK" and value(con.expression) or nil,
+        default_value = con.type == "DEFAULT" and value(con.expression) or nil,
+        parent = nil,
+      }))
+    end
+    self.constraints_loaded = true
+    return self.constraints
+  end
+
   -- Get constraints query from adapter
   local query = adapter:get_constraints_query(db.db_name, self.schema_name, self.table_name)
 
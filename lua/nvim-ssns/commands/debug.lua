@@ -49,6 +49,29 @@ function M.register()
     desc = "View debug log in floating window (optional filter argument)",
   })
 
+  -- :SSNSLogLevel [level] - Change (or show) the Node.js host log level
+  vim.api.nvim_create_user_command("SSNSLogLevel", function(opts)
+    local Debug = require('nvim-ssns.debug')
+    local log_config = vim.deepcopy(require('nvim-ssns.config').get().log or {})
+    if opts.args ~= "" then
+      log_config.level = opts.args
+      require('nvim-ssns.config').get().log = log_config
+    end
+
+    local settings, err = Debug.configure_node(log_config, true)
+    if not settings then
+      vim.notify("SSNS: Failed to configure Node.js logging: " .. tostring(err), vim.log.levels.ERROR)
+      return
+    end
+    vim.notify(string.format("SSNS: Node.js log level %s (%s)", settings.level, settings.path), vim.log.levels.INFO)
+  end, {
+    nargs = "?",
+    complete = function()
+      return { "error", "warn", "info", "debug", "trace" }
+    end,
+    desc = "Set the Node.js host log level and show its log file",
+  })
+
   -- :SSNSDebugQueryCache - View query result cache
   vim.api.nvim_create_user_command("SSNSDebugQueryCache", function()
     local ViewQueryCache = require('nvim-ssns.features.view_query_cache')
@@ -50,6 +50,17 @@ function M.register()
     desc = "View metadata of object under cursor in floating window",
   })
 
+  -- :[range]SSNSExplain[!] - Show the execution plan of the statement under cursor (or range)
+  vim.api.nvim_create_user_command("SSNSExplain", function(opts)
+    local ViewQueryPlan = require('nvim-ssns.features.view_query_plan')
+    local range = opts.range > 0 and { opts.line1, opts.line2 } or nil
+    ViewQueryPlan.explain(vim.api.nvim_get_current_buf(), { actual = opts.bang, range = range })
+  end, {
+    range = true,
+    bang = true,
+    desc = "Show the execution plan of the statement under cursor or the range (! runs it for actual rows)",
+  })
+
   -- Theme Commands
 
   -- :SSNSTheme - Open theme picker UI
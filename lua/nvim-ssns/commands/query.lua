@@ -36,6 +36,84 @@ function M.register()
     complete = "file",
   })
 
+  -- :SSNSBeginTransaction - Begin a transaction in the current query buffer's session
+  vim.api.nvim_create_user_command("SSNSBeginTransaction", function(opts)
+    local level = opts.args ~= "" and opts.args or nil
+    require('nvim-ssns.transactions').begin(vim.api.nvim_get_current_buf(), level)
+  end, {
+    nargs = "?",
+    desc = "Begin a transaction in the current query buffer (optional isolation level)",
+    complete = function(arg_lead)
+      return vim.tbl_filter(function(level)
+        return level:find(arg_lead, 1, true) == 1
+      end, require('nvim-ssns.transactions').ISOLATION_LEVELS)
+    end,
+  })
+
+  -- :SSNSCommit - Commit the current query buffer's transaction
+  vim.api.nvim_create_user_command("SSNSCommit", function()
+    require('nvim-ssns.transactions').commit(vim.api.nvim_get_current_buf())
+  end, {
+    desc = "Commit the current query buffer's open transaction",
+  })
+
+  -- :SSNSRollback - Roll back the current query buffer's transaction
+  vim.api.nvim_create_user_command("SSNSRollback", function()
+    require('nvim-ssns.transactions').rollback(vim.api.nvim_get_current_buf())
+  end, {
+    desc = "Roll back the current query buffer's open transaction",
+  })
+
+  -- :SSNSTransactions - Show open transactions
+  vim.api.nvim_create_user_command("SSNSTransactions", function()
+    require('nvim-ssns.transactions').show_status()
+  end, {
+    desc = "Show open transactions (age and statement count)",
+  })
+
+  -- :SSNSFetchMore [count] - Show more rows of a truncated result
+  vim.api.nvim_create_user_command("SSNSFetchMore", function(opts)
+    local bufnr = vim.api.nvim_get_current_buf()
+    -- From the results buffer, fetch for its query buffer
+    local ok, query_bufnr = pcall(vim.api.nvim_buf_get_var, bufnr, 'ssns_query_bufnr')
+    if ok and query_bufnr then
+      bufnr = query_bufnr
+    end
+
+    local count = nil
+    if opts.args ~= "" then
+      count = tonumber(opts.args)
+      if not count or count <= 0 or count % 1 ~= 0 then
+        vim.notify("SSNS: Row count must be a positive integer", vim.log.levels.ERROR)
+        return
+      end
+    end
+    require('nvim-ssns.ui.core.query').fetch_more(bufnr, count)
+  end, {
+    nargs = "?",
+    desc = "Show more rows of the current query buffer's truncated result (default: query.max_rows)",
+  })
+
+  -- :SSNSFlush[!] - Save the current query buffer's SQLite database to its file
+  vim.api.nvim_create_user_command("SSNSFlush", function(opts)
+    local buffer_info = require('nvim-ssns.ui.core.query').query_buffers[vim.api.nvim_get_current_buf()]
+    local server = buffer_info and buffer_info.server
+    if not server or type(server) ~= "table" or not server.connection_config then
+      vim.notify("SSNS: No server associated with this buffer", vim.log.levels.ERROR)
+      return
+    end
+
+    local result, err = require('nvim-ssns.connection').flush(server.connection_config, { force = opts.bang })
+    if not result then
+      vim.notify("SSNS: Flush failed: " .. tostring(err), vim.log.levels.ERROR)
+      return
+    end
+    vim.notify("SSNS: " .. tostring(result.message), result.conflict and vim.log.levels.WARN or vim.log.levels.INFO)
+  end, {
+    bang = true,
+    desc = "Save the current query buffer's SQLite database to disk (! overwrites changes made by other processes)",
+  })
+
   -- :SSNSSearch - Search database objects
   vim.api.nvim_create_user_command("SSNSSearch", function()
     Ssns.show_object_search()
@@ -100,6 +100,54 @@ function M.register()
     desc = "Show current SSNS connection for this buffer",
   })
 
+  -- :SSNSStoreSecret <name> - Save a password in the encrypted secrets file
+  vim.api.nvim_create_user_command("SSNSStoreSecret", function(opts)
+    local secret = vim.fn.inputsecret(string.format("Secret for '%s': ", opts.args))
+    if secret == "" then
+      return
+    end
+    local ok, result = pcall(vim.fn.SSNSStoreSecret, { opts.args, secret })
+    if ok and type(result) == "table" and result.success then
+      vim.notify(string.format("SSNS: Stored '%s' in %s", opts.args, result.path), vim.log.levels.INFO)
+    else
+      local message = ok and type(result) == "table" and result.message or tostring(result)
+      vim.notify("SSNS: Failed to store secret: " .. message, vim.log.levels.ERROR)
+    end
+  end, {
+    nargs = 1,
+    desc = "Store a secret for credential = { provider = \"file\", name = <name> }",
+  })
+
+  -- :SSNSConnections - List open driver connections and their pool usage
+  vim.api.nvim_create_user_command("SSNSConnections", function()
+    local connections, err = require('nvim-ssns.connection').list_connections()
+    if err then
+      vim.notify("SSNS: Failed to list connections: " .. err, vim.log.levels.ERROR)
+      return
+    end
+    if #connections == 0 then
+      vim.notify("SSNS: No open connections", vim.log.levels.INFO)
+      return
+    end
+
+    local lines = { "SSNS Connections" }
+    for _, conn in ipairs(connections) do
+      local pool = conn.pool ~= vim.NIL and conn.pool or nil
+      table.insert(lines, string.format("  %s [%s, %s] %s, idle %ds, %d session(s), %d running",
+        conn.key, conn.type, conn.state,
+        pool and string.format("pool %d/%d in use, %d idle, %d waiting", pool.inUse, pool.max, pool.idle, pool.waiting)
+          or "no pool",
+        math.floor(conn.idleMs / 1000), conn.sessions, conn.running))
+      if conn.lastError ~= vim.NIL and conn.lastError then
+        table.insert(lines, string.format("    last error (%s): %s", conn.lastError.at, conn.lastError.message))
+      end
+    end
+    vim.notify(table.concat(lines, "\n"), vim.log.levels.INFO)
+  end, {
+    nargs = 0,
+    desc = "List open SSNS driver connections and their pool usage",
+  })
+
   -- :SSNSChangeDatabase - Change database for current server connection
   vim.api.nvim_create_user_command("SSNSChangeDatabase", function()
     local ConnectionPicker = require('nvim-ssns.ui.pickers.connection_picker')
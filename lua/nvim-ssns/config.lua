@@ -13,6 +13,7 @@
 ---@field semantic_highlighting SemanticHighlightingConfig Semantic highlighting configuration
 ---@field formatter FormatterConfig SQL formatter configuration
 ---@field async AsyncConfig Async execution configuration
+---@field log LogConfig Node.js host logging
 
 ---@class UiConfig
 ---@field position string Window position: "left", "right", "float"
@@ -72,6 +73,9 @@
 ---@class QueryConfig
 ---@field default_limit number Default LIMIT for SELECT queries (0 = no limit)
 ---@field timeout number Query timeout in milliseconds (0 = no timeout)
+---@field server_timeout_ms number Stop buffer queries on the database server after this long (0 = off; the 5 minute client-side limit still applies)
+---@field max_rows number Rows returned per execution before the result is truncated; :SSNSFetchMore gets the rest (0 = no cap)
+---@field continuation_idle_ms number How long a truncated result keeps its query open for :SSNSFetchMore (default: 300000)
 ---@field auto_execute_on_open boolean Auto-execute query when opening action (default: false)
 ---@field export_directory string? Directory for exports (nil = system temp, "" = prompt)
 ---@field export ExportConfig Export configuration
@@ -163,6 +167,14 @@
 ---@field default_timeout_ms number Default timeout for async operations in milliseconds (default: 30000)
 ---@field query_timeout_ms number Timeout for user query execution in milliseconds (default: 300000 = 5 minutes)
 ---@field metadata_timeout_ms number Timeout for metadata loading in milliseconds (default: 60000)
+---@field progress_interval_ms number Interval between progress updates of running queries (rows read, server messages) in milliseconds (0 = spinner only, default: 1000)
+
+---@class LogConfig Node.js host logging (the Lua debug log is separate)
+---@field level string Lowest level written: "error" | "warn" | "info" | "debug" | "trace" (default: "info")
+---@field format string Line format: "text" | "json" (one JSON object per line) (default: "text")
+---@field max_size_kb number Rotate the log file when it would grow past this size (default: 5120)
+---@field max_files number Rotated files kept (default: 3)
+---@field path string? Log file (default: stdpath("state")/nvim-ssns/node.log)
 
 ---@class QueryHistoryConfig
 ---@field enabled boolean Enable query history tracking (default: true)
@@ -244,6 +256,7 @@
 ---@field toggle string Toggle results window (default: "<C-r>")
 ---@field export_csv string Export results to CSV (default: "<A-e>")
 ---@field yank_csv string Yank results as CSV to clipboard (default: "<A-y>")
+---@field goto_statement string Jump to the statement that produced the output under cursor (default: "gs")
 ---@field yank_selection string Yank visual selection (default: "<A-y>")
 ---@field yank_selection_no_headers string Yank visual selection without headers (default: "<A-Y>")
 ---@field export_selection string Export visual selection (default: "<A-e>")
@@ -662,6 +675,9 @@ local default_config = {
   query = {
     default_limit = 100,  -- Default LIMIT for SELECT queries (0 = no limit)
     timeout = 30000,  -- Query timeout in milliseconds (30 seconds, 0 = no timeout)
+    server_timeout_ms = 0,  -- Stop buffer queries on the server after this long (0 = off)
+    max_rows = 10000,  -- Rows shown per execution; :SSNSFetchMore [count] gets more (0 = no cap)
+    continuation_idle_ms = 300000,  -- Truncated results keep their query open this long (5 minutes)
     auto_execute_on_open = false,  -- Auto-execute query when opening action
     export_directory = nil,  -- Directory for exports (nil = system temp, "" = prompt for location)
 
@@ -999,6 +1015,7 @@ local default_config = {
       toggle = "<C-r>",      -- Toggle results window (show/hide)
       export_csv = "<A-e>",  -- Export results to CSV file and open
       yank_csv = "<A-y>",    -- Yank results as CSV to clipboard
+      goto_statement = "gs", -- Jump to the statement that produced the output under cursor
       -- Visual mode keymaps for selection-based yank/export
       yank_selection = "<A-y>",           -- Yank visual selection (with headers per config)
       yank_selection_no_headers = "<A-Y>", -- Yank visual selection without headers
@@ -1344,6 +1361,16 @@ local default_config = {
     default_timeout_ms = 30000,      -- Default timeout for async operations (30 seconds)
     query_timeout_ms = 300000,       -- Timeout for user query execution (5 minutes)
     metadata_timeout_ms = 60000,     -- Timeout for metadata loading (1 minute)
+    progress_interval_ms = 1000,     -- Progress of running queries every second (0 = spinner only)
+  },
+
+  -- Node.js host logging
+  log = {
+    level = "info",                  -- "error"|"warn"|"info"|"debug"|"trace"
+    format = "text",                 -- "text"|"json" (JSON lines)
+    max_size_kb = 5120,              -- Rotate past 5 MB
+    max_files = 3,                   -- Rotated files kept
+    path = nil,                      -- Default: stdpath("state")/nvim-ssns/node.log
   },
 }
 
@@ -1529,6 +1556,15 @@ function Config.validate(config)
     if config.query.timeout and config.query.timeout < 0 then
       return false, "query.timeout must be non-negative"
     end
+    if config.query.server_timeout_ms and config.query.server_timeout_ms < 0 then
+      return false, "query.server_timeout_ms must be non-negative"
+    end
+    if config.query.max_rows and config.query.max_rows < 0 then
+      return false, "query.max_rows must be non-negative"
+    end
+    if config.query.continuation_idle_ms and config.query.continuation_idle_ms < 0 then
+      return false, "query.continuation_idle_ms must be non-negative"
+    end
 
     -- Validate export configuration
     if config.query.export then
@@ -1790,6 +1826,25 @@ function Config.validate(config)
     end
   end
 
+  -- Validate log configuration (if provided)
+  if config.log then
+    if config.log.level then
+      local valid_levels = { error = true, warn = true, info = true, debug = true, trace = true }
+      if not valid_levels[config.log.level] then
+        return false, "log.level must be 'error', 'warn', 'info', 'debug' or 'trace'"
+      end
+    end
+    if config.log.format and config.log.format ~= "text" and config.log.format ~= "json" then
+      return false, "log.format must be 'text' or 'json'"
+    end
+    if config.log.max_size_kb and (type(config.log.max_size_kb) ~= "number" or config.log.max_size_kb <= 0) then
+      return false, "log.max_size_kb must be a positive number"
+    end
+    if config.log.max_files and (type(config.log.max_files) ~= "number" or config.log.max_files < 0) then
+      return false, "log.max_files must be a non-negative number"
+    end
+  end
+
   return true, nil
 end
 
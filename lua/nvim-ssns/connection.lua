@@ -6,6 +6,9 @@ local Connection = {}
 local QueryCache = require('nvim-ssns.query_cache')
 local Connections = require('nvim-ssns.connections')
 
+---Numbers the correlation IDs of synchronous queries
+local request_counter = 0
+
 ---Check if a query should be cached
 ---@param query string The SQL query
 ---@return boolean should_cache True if query should be cached
@@ -79,12 +82,25 @@ end
 ---Execute a query using Node.js backend
 ---@param connection_config ConnectionData The connection configuration
 ---@param query string The SQL query to execute
----@param opts table? Options { use_cache: boolean?, ttl: number? }
+---@param opts table? Options { use_cache: boolean?, ttl: number?, params: table?, session_id: string?, query_timeout_ms: number?, max_rows: number?, continuation_idle_ms: number?, describe_columns: boolean? }
+---  params: positional list or named table bound natively by the driver
+---  (use ? or @name/:name placeholders; values may be { value = v, type = "decimal(10,2)" })
+---  session_id: run on that session's pinned connection (see Connection.close_session)
+---  query_timeout_ms: stop the query on the server after this long (error category "timeout")
+---  max_rows: return at most this many rows; a result with more is `truncated` (see Connection.fetch_more)
+---  describe_columns: report declared column types, which costs SQLite an EXPLAIN per query
 ---@return table result Node.js result object { success, resultSets, metadata, error }
 function Connection.execute(connection_config, query, opts)
   opts = opts or {}
   local use_cache = opts.use_cache == nil and true or opts.use_cache -- Default to true
   local ttl = opts.ttl -- Optional custom TTL
+  local params = opts.params
+
+  -- Parameterized results depend on the values, which the cache key doesn't include,
+  -- and session results depend on session state
+  if params ~= nil or opts.session_id then
+    use_cache = false
+  end
 
   -- Handle USE statement - modify connection config if needed
   local final_config, final_query = handle_use_statement(connection_config, query)
@@ -106,7 +122,17 @@ function Connection.execute(connection_config, query, opts)
 
   -- Call Node.js RPC function SSNSExecuteQuery
   local success, raw_result = pcall(function()
-    return vim.fn.SSNSExecuteQuery({config_json, final_query})
+    -- The Node.js host tags its log lines for this query with the correlation ID
+    request_counter = request_counter + 1
+    local exec_opts = {
+      session_id = opts.session_id,
+      correlation_id = string.format("query_%d_%d", os.time(), request_counter),
+      timeout_ms = opts.query_timeout_ms,
+      max_rows = opts.max_rows,
+      continuation_idle_ms = opts.continuation_idle_ms,
+      describe_columns = opts.describe_columns,
+    }
+    return vim.fn.SSNSExecuteQuery({config_json, final_query, params or vim.NIL, exec_opts})
   end)
 
   if not success then
@@ -142,17 +168,7 @@ function Connection.execute(connection_config, query, opts)
   -- Check if there was a SQL error
   local error_obj = raw_result.error
   if type(error_obj) == "table" and error_obj.message then
-    return {
-      success = false,
-      resultSets = {},
-      metadata = raw_result.metadata or {},
-      error = {
-        message = tostring(error_obj.message),
-        code = error_obj.code,
-        lineNumber = error_obj.lineNumber,
-        procName = error_obj.procName
-      }
-    }
+    return Connection.error_result(raw_result)
   end
 
   -- Success - return the full Node.js result object
@@ -161,11 +177,14 @@ function Connection.execute(connection_config, query, opts)
     resultSets = raw_result.resultSets or raw_result["resultSets"] or {},
     metadata = raw_result.metadata or {},
     messages = raw_result.messages or (raw_result.metadata and raw_result.metadata.messages) or nil,
-    error = nil
+    error = nil,
+    continuations = Connection.continuation_entries(raw_result),
   }
+  result.truncated = result.continuations ~= nil
 
   -- Cache successful results if caching is enabled and query is cacheable
-  if use_cache and should_cache_query(final_query) then
+  -- (a truncated result's continuation is only good once)
+  if use_cache and not result.truncated and should_cache_query(final_query) then
     QueryCache.set(cache_key, final_query, result)
   end
 
@@ -194,14 +213,302 @@ function Connection.execute_batch(connection_config, queries)
   return all_results, nil
 end
 
+---Build the failed-execution result for a Node.js result that carries an error
+---Keeps what ran before the errors (and after them, on SQL Server, where a batch
+---continues past non-fatal errors) and every error in `errors`, the first also being `error`
+---@param raw_result table Node.js result { resultSets, metadata, error, errors? }
+---@return table result { success = false, resultSets, metadata, error, errors }
+function Connection.error_result(raw_result)
+  local raw_errors = raw_result.errors
+  if type(raw_errors) ~= "table" or #raw_errors == 0 then
+    raw_errors = { raw_result.error }
+  end
+
+  local errors = {}
+  for _, err in ipairs(raw_errors) do
+    table.insert(errors, {
+      message = tostring(err.message),
+      code = err.code,
+      lineNumber = err.lineNumber,
+      column = err.column,
+      statement = err.statement,
+      procName = err.procName,
+      state = err.state,
+      class = err.class,
+    })
+  end
+
+  return {
+    success = false,
+    resultSets = raw_result.resultSets or {},
+    metadata = raw_result.metadata or {},
+    error = errors[1],
+    errors = errors,
+  }
+end
+
+---Build the continuation list of a truncated Node.js result
+---Each entry locates the truncated execution's output in the result it ends up in
+---(offsets grow as chunks are combined, see combine_multi_chunk_results) so its
+---later pages can be merged in (see Connection.merge_page)
+---@param raw_result table Node.js result { resultSets, ..., truncated?, continuation? }
+---@return table[]? continuations { handle, result_set_offset, result_set_count, statement_offset, line_offset }[] (nil if not truncated)
+function Connection.continuation_entries(raw_result)
+  local handle = raw_result.continuation
+  if not raw_result.truncated or type(handle) ~= "string" then
+    return nil
+  end
+  return {
+    {
+      handle = handle,
+      result_set_offset = 0,
+      result_set_count = #(raw_result.resultSets or {}),
+      statement_offset = 0,
+      line_offset = 0,
+    },
+  }
+end
+
+---Check whether a failed execution still returned output worth showing: result sets,
+---row counts or messages from statements around its errors (not just the errors)
+---@param result table Execution result
+---@return boolean
+function Connection.has_partial_results(result)
+  if type(result.resultSets) == "table" and #result.resultSets > 0 then
+    return true
+  end
+
+  local statements = result.metadata and result.metadata.statements
+  for _, statement in ipairs(type(statements) == "table" and statements or {}) do
+    if type(statement.rowsAffected) == "number" then
+      return true
+    end
+    for _, msg in ipairs(type(statement.messages) == "table" and statement.messages or {}) do
+      if type(msg) ~= "table" or msg.severity ~= "error" then
+        return true
+      end
+    end
+  end
+  return false
+end
+
+---Add chunk context to a failed chunk's errors and map their lines into the query
+---@param result table Failed chunk result
+---@param chunk table Chunk from QueryParser.parse_query()
+---@param chunk_number number 1-based chunk index
+---@param total_chunks number Number of chunks
+local function add_chunk_error_context(result, chunk, chunk_number, total_chunks)
+  -- error is errors[1] when both are present
+  local errors = result.errors or { result.error }
+  for _, error in ipairs(errors) do
+    error.chunk_number = chunk_number
+    error.total_chunks = total_chunks
+    error.batch_number = chunk.batch_number
+    error.chunk_database = chunk.database
+
+    -- Adjust error line number to account for removed USE statements
+    -- and position within original query
+    if error.lineNumber and chunk.start_line then
+      -- Convert lineNumber to Lua number (may come as userdata from Node.js)
+      local line_num = tonumber(error.lineNumber)
+      if line_num then
+        error.lineNumber = line_num + chunk.start_line - 1
+      end
+    end
+  end
+end
+
+---Add chunk execution time and line mapping to a chunk's result sets and statements
+---@param result table Chunk result
+---@param chunk table Chunk from QueryParser.parse_query()
+---@param chunk_number number 1-based chunk index
+---@param chunk_execution_time_ms number Chunk execution time
+local function add_chunk_result_context(result, chunk, chunk_number, chunk_execution_time_ms)
+  if result.resultSets then
+    for _, resultSet in ipairs(result.resultSets) do
+      resultSet.chunk_execution_time_ms = chunk_execution_time_ms
+      resultSet.chunk_number = chunk_number
+      resultSet.batch_number = chunk.batch_number
+      resultSet.chunk_start_line = chunk.start_line
+    end
+  end
+  Connection.shift_statement_ranges(result, (chunk.start_line or 1) - 1)
+end
+
+---Combine the chunks that ran with a failed chunk that still returned output
+---@param results table[] Results of the chunks before it
+---@param failed table Failed chunk result (see Connection.has_partial_results)
+---@param metadata table Metadata for the combined result
+---@return table combined Failed result with every chunk's output
+local function combine_with_failed_chunk(results, failed, metadata)
+  -- The failing statement's index counts the earlier chunks' statements too
+  if failed.error and type(failed.error.statement) == "number" then
+    for _, result in ipairs(results) do
+      local statements = result.metadata and result.metadata.statements
+      failed.error.statement = failed.error.statement + (type(statements) == "table" and #statements or 0)
+    end
+  end
+
+  local all_results = vim.list_extend(vim.list_slice(results), { failed })
+  local combined = combine_multi_chunk_results(all_results, metadata)
+  combined.success = false
+  combined.error = failed.error
+  combined.errors = failed.errors
+  return combined
+end
+
+---Shift statement ranges down by a number of lines
+---Statements report ranges within the SQL sent to Node.js (see statements.js);
+---this maps them from a chunk into the query, or from the query into the buffer
+---@param result table Execution result
+---@param line_offset number Lines to add
+function Connection.shift_statement_ranges(result, line_offset)
+  -- Statements of a truncated result's last page get the same shift (see Connection.merge_page)
+  for _, entry in ipairs(result.continuations or {}) do
+    entry.line_offset = entry.line_offset + (line_offset or 0)
+  end
+
+  local statements = result.metadata and result.metadata.statements
+  if type(statements) ~= "table" or not line_offset or line_offset == 0 then
+    return
+  end
+  for _, statement in ipairs(statements) do
+    local range = statement.range
+    if type(range) == "table" then
+      range.startLine = range.startLine + line_offset
+      range.endLine = range.endLine + line_offset
+    end
+  end
+end
+
+-- Result set fields added per chunk (see add_chunk_result_context)
+local CHUNK_RESULT_SET_FIELDS = { "chunk_execution_time_ms", "chunk_number", "batch_number", "chunk_start_line" }
+
+---Merge the next page of a truncated execution into its result
+---Rows are appended to the execution's result sets and result sets it started since are
+---inserted after them. The last page also brings the execution's statements, row counts,
+---messages and error, and removes the continuation from the result.
+---@param result table Result holding the continuation (result.continuations)
+---@param entry table Entry of result.continuations the page belongs to
+---@param page table Page from Connection.fetch_more
+function Connection.merge_page(result, entry, page)
+  local result_sets = result.resultSets
+  local statements = result.metadata and result.metadata.statements
+  local entry_position
+  for i, other in ipairs(result.continuations or {}) do
+    if other == entry then
+      entry_position = i
+    end
+  end
+
+  -- Expired, or closed by another query on its session: the rows are gone, not failed
+  if type(page.error) == "table" and page.error.code == "ECONTINUATION" then
+    table.remove(result.continuations, entry_position)
+    result.truncated = #result.continuations > 0
+    return
+  end
+
+  for _, page_set in ipairs(page.resultSets or {}) do
+    local index = page_set.resultSetIndex or 0
+    if index < entry.result_set_count then
+      local target = result_sets[entry.result_set_offset + index + 1]
+      target.rows = target.rows or {}
+      vim.list_extend(target.rows, page_set.rows or {})
+      target.rowCount = #target.rows
+    else
+      -- A result set started since the last page: it goes after the execution's others
+      local end_index = entry.result_set_offset + entry.result_set_count
+      local new_set = vim.deepcopy(page_set)
+      local sibling = result_sets[end_index] or {}
+      for _, field in ipairs(CHUNK_RESULT_SET_FIELDS) do
+        new_set[field] = sibling[field]
+      end
+      table.insert(result_sets, end_index + 1, new_set)
+      entry.result_set_count = entry.result_set_count + 1
+
+      -- Later result sets moved down by one
+      for _, other in ipairs(result.continuations) do
+        if other ~= entry and other.result_set_offset >= end_index then
+          other.result_set_offset = other.result_set_offset + 1
+        end
+      end
+      for _, statement in ipairs(type(statements) == "table" and statements or {}) do
+        for i, set_index in ipairs(statement.resultSets or {}) do
+          if set_index >= end_index then
+            statement.resultSets[i] = set_index + 1
+          end
+        end
+      end
+    end
+  end
+
+  if page.truncated then
+    entry.handle = page.continuation
+    return
+  end
+
+  -- Last page: the execution's outcome
+  table.remove(result.continuations, entry_position)
+  result.truncated = #result.continuations > 0
+  result.metadata = result.metadata or {}
+
+  local page_metadata = page.metadata or {}
+  local page_statements = type(page_metadata.statements) == "table" and page_metadata.statements or {}
+  if #page_statements > 0 then
+    result.metadata.statements = result.metadata.statements or {}
+    for i, statement in ipairs(page_statements) do
+      local merged = vim.deepcopy(statement)
+      merged.resultSets = {}
+      for _, set_index in ipairs(statement.resultSets or {}) do
+        table.insert(merged.resultSets, set_index + entry.result_set_offset)
+      end
+      if type(merged.range) == "table" then
+        merged.range.startLine = merged.range.startLine + entry.line_offset
+        merged.range.endLine = merged.range.endLine + entry.line_offset
+      end
+      table.insert(result.metadata.statements, entry.statement_offset + i, merged)
+    end
+    for i = entry_position, #result.continuations do
+      local other = result.continuations[i]
+      other.statement_offset = other.statement_offset + #page_statements
+    end
+  end
+
+  if type(page_metadata.rowsAffected) == "table" then
+    result.metadata.rowsAffected = vim.list_extend(result.metadata.rowsAffected or {}, page_metadata.rowsAffected)
+  end
+  if type(page_metadata.messages) == "table" and #page_metadata.messages > 0 then
+    result.metadata.messages = vim.list_extend(result.metadata.messages or {}, page_metadata.messages)
+  end
+
+  if type(page.error) == "table" and page.error.message then
+    local failed = Connection.error_result(page)
+    local chunk_start_line = (result_sets[entry.result_set_offset + 1] or {}).chunk_start_line
+    for _, err in ipairs(failed.errors) do
+      if type(err.statement) == "number" then
+        err.statement = err.statement + entry.statement_offset
+      end
+      local line_num = tonumber(err.lineNumber)
+      if line_num and chunk_start_line then
+        err.lineNumber = line_num + chunk_start_line - 1
+      end
+    end
+    result.success = false
+    result.error = failed.error
+    result.errors = failed.errors
+  end
+end
+
 ---Execute query with buffer database context
 ---Handles multi-database queries with USE statements and GO separators
 ---@param connection_config ConnectionData The connection configuration
 ---@param query string The SQL query (may contain USE statements and GO)
 ---@param buffer_database string|nil Current buffer database context
+---@param opts { session_id: string?, query_timeout_ms: number?, max_rows: number?, continuation_idle_ms: number?, describe_columns: boolean? }? Options (session_id: run chunks on that session's pinned connection; query_timeout_ms: stop each chunk on the server after this long; max_rows: truncate each chunk's result after this many rows; describe_columns: report declared column types)
 ---@return table result Combined result from all chunks
 ---@return string|nil last_database Last database from execution (for buffer state update)
-function Connection.execute_with_buffer_context(connection_config, query, buffer_database)
+function Connection.execute_with_buffer_context(connection_config, query, buffer_database, opts)
+  opts = opts or {}
   local QueryParser = require('nvim-ssns.query_parser')
 
   -- Parse query with full context awareness
@@ -239,41 +546,35 @@ function Connection.execute_with_buffer_context(connection_config, query, buffer
     local chunk_start_time = vim.loop.hrtime()
 
     -- Execute chunk using simple execution (bypasses USE handling)
-    local result = Connection.execute(chunk_config, chunk.sql)
+    local result = Connection.execute(chunk_config, chunk.sql, {
+      session_id = opts.session_id,
+      query_timeout_ms = opts.query_timeout_ms,
+      max_rows = opts.max_rows,
+      continuation_idle_ms = opts.continuation_idle_ms,
+      describe_columns = opts.describe_columns,
+    })
 
     local chunk_end_time = vim.loop.hrtime()
     local chunk_execution_time_ms = (chunk_end_time - chunk_start_time) / 1000000  -- Convert to milliseconds
 
     if not result.success then
-      -- Add chunk context to error and adjust line number
       if result.error then
-        result.error.chunk_number = i
-        result.error.total_chunks = #chunks
-        result.error.batch_number = chunk.batch_number
-        result.error.chunk_database = chunk.database
-
-        -- Adjust error line number to account for removed USE statements
-        -- and position within original query
-        if result.error.lineNumber and chunk.start_line then
-          -- Convert lineNumber to Lua number (may come as userdata from Node.js)
-          local line_num = tonumber(result.error.lineNumber)
-          if line_num then
-            result.error.lineNumber = line_num + chunk.start_line - 1
-          end
-        end
+        add_chunk_error_context(result, chunk, i, #chunks)
+      end
+
+      -- Output from around non-fatal errors is shown along with earlier chunks' output
+      if Connection.has_partial_results(result) then
+        add_chunk_result_context(result, chunk, i, chunk_execution_time_ms)
+        return combine_with_failed_chunk(all_results, result, {
+          total_chunks = #chunks,
+          go_batches = debug_info.go_batches,
+        }), last_database
       end
       return result, last_database
     end
 
     -- Add chunk execution time and line mapping to each result set in this chunk
-    if result.resultSets then
-      for _, resultSet in ipairs(result.resultSets) do
-        resultSet.chunk_execution_time_ms = chunk_execution_time_ms
-        resultSet.chunk_number = i
-        resultSet.batch_number = chunk.batch_number
-        resultSet.chunk_start_line = chunk.start_line
-      end
-    end
+    add_chunk_result_context(result, chunk, i, chunk_execution_time_ms)
 
     table.insert(all_results, result)
 
@@ -322,8 +623,31 @@ function combine_multi_chunk_results(results, metadata)
   -- Multiple results - combine all result sets AND aggregate rowsAffected
   local all_result_sets = {}
   local all_rows_affected = {}
+  local all_statements = {}
+  local all_continuations = {}
 
   for i, result in ipairs(results) do
+    -- Truncated chunks: their pages go after the result sets and statements before them
+    for _, entry in ipairs(result.continuations or {}) do
+      local combined_entry = vim.deepcopy(entry)
+      combined_entry.result_set_offset = entry.result_set_offset + #all_result_sets
+      combined_entry.statement_offset = entry.statement_offset + #all_statements
+      table.insert(all_continuations, combined_entry)
+    end
+
+    -- Statement outcomes index this chunk's result sets (0-based): offset them
+    local statements = result.metadata and result.metadata.statements
+    if type(statements) == "table" then
+      for _, statement in ipairs(statements) do
+        local combined_statement = vim.deepcopy(statement)
+        combined_statement.resultSets = {}
+        for _, index in ipairs(statement.resultSets or {}) do
+          table.insert(combined_statement.resultSets, index + #all_result_sets)
+        end
+        table.insert(all_statements, combined_statement)
+      end
+    end
+
     if result.resultSets then
       -- Add all result sets from this chunk
       for _, result_set in ipairs(result.resultSets) do
@@ -352,11 +676,16 @@ function combine_multi_chunk_results(results, metadata)
   if #all_rows_affected > 0 then
     combined_metadata.rowsAffected = all_rows_affected
   end
+  if #all_statements > 0 then
+    combined_metadata.statements = all_statements
+  end
 
   return {
     success = true,
     resultSets = all_result_sets,
-    metadata = combined_metadata
+    metadata = combined_metadata,
+    continuations = #all_continuations > 0 and all_continuations or nil,
+    truncated = #all_continuations > 0,
   }
 end
 
@@ -471,9 +800,134 @@ function Connection.close(connection_config)
   Connection.pool[key] = nil
 end
 
----Close all connections in the pool
+---Close all connections: the Lua pool and every Node.js driver (SSNSCloseAll)
+---Node.js ends the pools, closes sessions (open transactions roll back) and saves SQLite files
+---@return table result { closed: number, errors: { key: string, message: string }[] }
 function Connection.close_all()
   Connection.pool = {}
+  local ok, result = pcall(function()
+    return vim.fn.SSNSCloseAll({})
+  end)
+  if not ok or type(result) ~= "table" then
+    return { closed = 0, errors = { { key = "*", message = tostring(result) } } }
+  end
+  return result
+end
+
+---List the Node.js drivers and their pool usage (SSNSListConnections)
+---@return table[] connections { key, type, state, pool: { max, total, idle, inUse, waiting }?, sessions, running, idleMs, lastUsedAt, lastError: { message, at }?, evictAfterMs }
+---@return string? error
+function Connection.list_connections()
+  local ok, result = pcall(function()
+    return vim.fn.SSNSListConnections({})
+  end)
+  if not ok or type(result) ~= "table" or type(result.connections) ~= "table" then
+    return {}, ok and "Invalid response from SSNSListConnections" or tostring(result)
+  end
+  return result.connections
+end
+
+---Close every connection on VimLeavePre
+---Registered after Transactions.setup() so its prompt for open transactions runs first
+function Connection.setup()
+  vim.api.nvim_create_autocmd("VimLeavePre", {
+    group = vim.api.nvim_create_augroup("ssns_connections", { clear = true }),
+    callback = function()
+      Connection.close_all()
+    end,
+  })
+end
+
+---Health of each server's connection as reported by Node.js (see handle_state_change),
+---keyed by server (the connection key without the database)
+---@type table<string, { state: string, attempt: number?, attempts: number?, error: string?, updated_at: number }>
+Connection.states = {}
+
+---Key a connection's state by server: every database on it shares the network link
+---@param connection_config table Connection configuration (or the identity Node.js reports)
+---@return string key
+local function state_key(connection_config)
+  local server = connection_config.server or {}
+  return Connections.generate_connection_key({
+    type = connection_config.type,
+    server = { host = server.host, instance = server.instance, port = server.port },
+    auth = connection_config.auth,
+  })
+end
+
+---Turn a Node.js value into a Lua one (JSON null is vim.NIL)
+---@param value any
+---@return any
+local function from_node(value)
+  if value == vim.NIL then
+    return nil
+  end
+  return value
+end
+
+---Receive a connection state change from Node.js
+---States: "connected", "reconnecting" (with attempt/attempts and the error that caused it)
+---and "disconnected" (with the error if reconnecting gave up)
+---Redraws the statusline and fires the User SSNSConnectionState autocmd
+---@param event table { connection, state, attempt?, attempts?, error? }
+function Connection.handle_state_change(event)
+  local key = state_key(event.connection or {})
+  local previous = Connection.states[key]
+  local state = {
+    state = event.state,
+    attempt = from_node(event.attempt),
+    attempts = from_node(event.attempts),
+    error = from_node(event.error),
+    updated_at = os.time(),
+  }
+  Connection.states[key] = state
+
+  local server = event.connection and event.connection.server or {}
+  local name = from_node(server.host) or from_node(server.database) or "server"
+  vim.schedule(function()
+    if state.state == "reconnecting" and state.attempt == 1 then
+      vim.notify(string.format("SSNS: Connection to %s lost, reconnecting...", name), vim.log.levels.WARN)
+    elseif state.state == "connected" and previous and previous.state == "reconnecting" then
+      vim.notify(string.format("SSNS: Reconnected to %s", name), vim.log.levels.INFO)
+    elseif state.state == "disconnected" and state.error then
+      vim.notify(string.format("SSNS: Could not reconnect to %s: %s", name, state.error), vim.log.levels.ERROR)
+    end
+
+    vim.api.nvim_exec_autocmds("User", { pattern = "SSNSConnectionState", data = { key = key, state = state } })
+    vim.cmd('redrawstatus')
+    pcall(function()
+      require('lualine').refresh()
+    end)
+  end)
+end
+
+---Get the last reported health of a connection's server
+---@param connection_config table Connection configuration
+---@return table? state { state, attempt?, attempts?, error?, updated_at } (nil until Node.js reports one)
+function Connection.get_state(connection_config)
+  return Connection.states[state_key(connection_config)]
+end
+
+---Apply an edited connection without restarting (SSNSReconfigure)
+---Node.js replaces the old server's drivers once their running queries finish;
+---sessions with an open transaction keep the old connection until it ends
+---@param old_config ConnectionData Connection as it was
+---@param new_config ConnectionData Connection as edited
+---@return table result { success, changed, replaced, openTransactions, message? }
+function Connection.reconfigure(old_config, new_config)
+  Connection.close(old_config)
+  Connection.states[state_key(old_config)] = nil
+
+  local ok, result = pcall(function()
+    return vim.fn.SSNSReconfigure({ vim.fn.json_encode(old_config), vim.fn.json_encode(new_config) })
+  end)
+  if not ok or type(result) ~= "table" then
+    return { success = false, message = tostring(result) }
+  end
+  if result.changed then
+    Connection.invalidate_cache(old_config)
+  end
+  return result
 end
 
 ---Get statistics about connection pool
@@ -539,11 +993,59 @@ end
 -- These methods use the async RPC mechanism where the query runs in Node.js
 -- and calls back when complete. The UI remains responsive during execution.
 
+---Fetch the next page of a truncated result
+---@param handle string Continuation handle (entry.handle of result.continuations)
+---@param count number Rows to fetch
+---@return table page Node.js page { resultSets, metadata, error, truncated, continuation } (merge it with Connection.merge_page)
+function Connection.fetch_more(handle, count)
+  local ok, page = pcall(function()
+    return vim.fn.SSNSFetchMore({ handle, count })
+  end)
+  if not ok or type(page) ~= "table" then
+    return {
+      resultSets = {},
+      metadata = {},
+      error = { message = "Node.js RPC call failed: " .. tostring(page) },
+      truncated = false,
+    }
+  end
+  if page.continuation == vim.NIL then
+    page.continuation = nil
+  end
+  if page.error == vim.NIL then
+    page.error = nil
+  end
+  return page
+end
+
+---Drop a truncated result's remaining rows, cancelling its query
+---@param handle string Continuation handle
+---@return boolean closed False if it had already ended or expired
+function Connection.close_continuation(handle)
+  local ok, result = pcall(function()
+    return vim.fn.SSNSCloseContinuation({ handle })
+  end)
+  return ok and type(result) == "table" and result.closed == true
+end
+
 ---@class RPCAsyncExecuteOpts
 ---@field on_complete fun(result: table, error: string?)? Completion callback
 ---@field on_error fun(error: string)? Error callback
 ---@field timeout_ms number? Timeout in milliseconds (default: 60000)
+---@field query_timeout_ms number? Stop the query on the server after this long (see AsyncRPCOpts)
+---@field max_rows number? Return at most this many rows (see AsyncRPCOpts)
+---@field continuation_idle_ms number? How long a truncated result keeps its query open
+---@field describe_columns boolean? Report declared column types (see AsyncRPCOpts)
 ---@field use_cache boolean? Use query cache (default: false for async)
+---@field stream boolean? Stream rows in batches (see AsyncRPCOpts)
+---@field batch_size number? Rows per streamed batch
+---@field on_columns fun(result_set_index: number, columns: table)? Streaming: a result set started
+---@field on_rows fun(result_set_index: number, rows: table[], row_count: number)? Streaming: a batch of rows arrived
+---@field on_result_set_end fun(result_set_index: number, row_count: number)? Streaming: a result set finished
+---@field params table? Positional list or named table of query parameters
+---@field session_id string? Run on this session's pinned connection
+---@field on_progress fun(event: table)? Progress of the running query (see AsyncRPC.handle_progress)
+---@field progress_interval_ms number? Time between progress events
 
 ---Execute a query with non-blocking RPC async (UI stays responsive)
 ---The query runs in Node.js and calls back when complete
@@ -559,20 +1061,238 @@ function Connection.execute_rpc_async(connection_config, query, opts)
     on_complete = opts.on_complete,
     on_error = opts.on_error,
     timeout_ms = opts.timeout_ms or 60000,
+    query_timeout_ms = opts.query_timeout_ms,
+    max_rows = opts.max_rows,
+    continuation_idle_ms = opts.continuation_idle_ms,
+    describe_columns = opts.describe_columns,
+    stream = opts.stream,
+    batch_size = opts.batch_size,
+    on_columns = opts.on_columns,
+    on_rows = opts.on_rows,
+    on_result_set_end = opts.on_result_set_end,
+    params = opts.params,
+    session_id = opts.session_id,
+    on_progress = opts.on_progress,
+    progress_interval_ms = opts.progress_interval_ms,
+  })
+end
+
+---Close a session opened by executing with `session_id`, releasing its pinned connection
+---Temp tables, SET options and session variables are discarded with it.
+---A session with an open transaction is left open (result.openTransactions lists it)
+---unless `force` is set, so the caller can ask whether to commit or roll back.
+---@param session_id string Session ID
+---@param force boolean? Close even with an open transaction (the server rolls it back)
+---@return boolean success
+---@return table? result { success, message, openTransactions? }
+function Connection.close_session(session_id, force)
+  local ok, result = pcall(function()
+    return vim.fn.SSNSCloseSession({ session_id, force == true })
+  end)
+  if not ok or type(result) ~= "table" then
+    return false, nil
+  end
+  return result.success == true, result
+end
+
+---Call a transaction RPC, turning RPC failures into { success = false, message }
+---@param fn_name string Node.js function name
+---@param args table Arguments
+---@return table result { success, message, transaction? }
+local function call_transaction_rpc(fn_name, args)
+  local ok, result = pcall(function()
+    return vim.fn[fn_name](args)
+  end)
+  if not ok then
+    return { success = false, message = "Node.js RPC call failed: " .. tostring(result) }
+  end
+  if type(result) ~= "table" then
+    return { success = false, message = "Invalid result from Node.js RPC" }
+  end
+  return result
+end
+
+---Begin an explicit transaction on a session's pinned connection
+---The transaction stays open across executions with the same session_id
+---@param connection_config ConnectionData Connection configuration (database included)
+---@param session_id string Session ID
+---@param isolation_level string? "read uncommitted"|"read committed"|"repeatable read"|"serializable"|"snapshot"
+---@return table result { success, message, transaction? }
+function Connection.begin_transaction(connection_config, session_id, isolation_level)
+  return call_transaction_rpc('SSNSBeginTransaction', {
+    vim.fn.json_encode(connection_config),
+    session_id,
+    isolation_level or vim.NIL,
   })
 end
 
+---Commit a session's open transaction
+---@param session_id string Session ID
+---@return table result { success, message, transaction? }
+function Connection.commit_transaction(session_id)
+  return call_transaction_rpc('SSNSCommit', { session_id })
+end
+
+---Roll back a session's open transaction
+---@param session_id string Session ID
+---@return table result { success, message, transaction? }
+function Connection.rollback_transaction(session_id)
+  return call_transaction_rpc('SSNSRollback', { session_id })
+end
+
+---List open transactions
+---@param session_id string? Only this session (default: all sessions)
+---@return table[] transactions { sessionId, connection, database, isolationLevel, startedAt, ageMs, statementCount }
+function Connection.get_transactions(session_id)
+  local ok, result = pcall(function()
+    return vim.fn.SSNSGetTransactionStatus(session_id and { session_id } or {})
+  end)
+  if not ok or type(result) ~= "table" or type(result.transactions) ~= "table" then
+    return {}
+  end
+  return result.transactions
+end
+
+---Get metadata for one object from the Node.js driver (SSNSGetMetadata)
+---Tables/views return { columns, indexes, constraints }; procedures/functions
+---return { routineType, returnType, returnsSet, parameters, columns }
+---@param config ConnectionData Connection configuration (its database is the one read)
+---@param object_type "table"|"view"|"procedure"|"function"
+---@param object_name string Object name
+---@param schema_name string? Schema name (driver default when nil)
+---@return table? metadata
+---@return string? error
+function Connection.get_metadata(config, object_type, object_name, schema_name)
+  local ok, result = pcall(function()
+    return vim.fn.SSNSGetMetadata({ vim.fn.json_encode(config), object_type, object_name, schema_name or vim.NIL })
+  end)
+  if not ok then
+    return nil, tostring(result)
+  end
+  if type(result) ~= "table" then
+    return nil, "Invalid response from SSNSGetMetadata"
+  end
+  if result.error then
+    return nil, tostring(result.error)
+  end
+  return result, nil
+end
+
+---Get every schema, table, view, column, key, index and routine of a database
+---in one RPC call (SSNSGetSchemaSnapshot), e.g. to warm the completion cache
+---@param config ConnectionData Connection configuration (its database is the one read)
+---@param opts { schema: string? }? Only read this schema
+---@return table? snapshot { database, schemas, tables, routines, generatedAt }
+---@return string? error
+function Connection.get_schema_snapshot(config, opts)
+  opts = opts or {}
+
+  local snapshot_opts = vim.empty_dict()
+  if opts.schema then
+    snapshot_opts.schema = opts.schema
+  end
+
+  local ok, result = pcall(function()
+    return vim.fn.SSNSGetSchemaSnapshot({ vim.fn.json_encode(config), snapshot_opts })
+  end)
+  if not ok then
+    return nil, tostring(result)
+  end
+  if type(result) ~= "table" then
+    return nil, "Invalid response from SSNSGetSchemaSnapshot"
+  end
+  if result.error then
+    return nil, tostring(result.error)
+  end
+  return result, nil
+end
+
+---Get a query's execution plan from the Node.js driver (SSNSExplain)
+---Every database returns the same operator tree: { operator, object, details,
+---estimatedRows, actualRows, executions, estimatedCost, actualTimeMs, warnings, children }
+---@param config ConnectionData Connection configuration (its database is the one used)
+---@param query string SQL to explain
+---@param opts { actual: boolean?, params: table? }? actual = execute the query for run-time counters
+---@return table? result { actual, plans = { { statement, root, warnings, raw } }, warnings }
+---@return string? error
+function Connection.explain(config, query, opts)
+  opts = opts or {}
+
+  local explain_opts = { actual = opts.actual == true }
+  if opts.params ~= nil then
+    explain_opts.params = opts.params
+  end
+
+  local ok, result = pcall(function()
+    return vim.fn.SSNSExplain({ vim.fn.json_encode(config), query, explain_opts })
+  end)
+  if not ok then
+    return nil, tostring(result)
+  end
+  if type(result) ~= "table" then
+    return nil, "Invalid response from SSNSExplain"
+  end
+  if result.error then
+    return nil, tostring(result.error)
+  end
+  return result, nil
+end
+
+---Write a SQLite database's unsaved changes to its file now (SSNSFlush)
+---Other drivers have nothing to flush. Saving drops the connection's temp tables.
+---@param config ConnectionData Connection configuration
+---@param opts { force: boolean? }? force = overwrite changes another process made to the file
+---@return table? result { saved, path, conflict, message }
+---@return string? error
+function Connection.flush(config, opts)
+  opts = opts or {}
+
+  local ok, result = pcall(function()
+    return vim.fn.SSNSFlush({ vim.fn.json_encode(config), { force = opts.force == true } })
+  end)
+  if not ok then
+    return nil, tostring(result)
+  end
+  if type(result) ~= "table" then
+    return nil, "Invalid response from SSNSFlush"
+  end
+  if result.error then
+    return nil, tostring(result.error)
+  end
+  return result, nil
+end
+
+---Running multi-chunk RPC executions, keyed by tracking ID
+---@type table<string, { callback_id: string?, cancelled: boolean }>
+local rpc_batches = {}
+
 ---Cancel an RPC async query
----@param callback_id string The callback ID from execute_rpc_async
+---Accepts either a callback ID from execute_rpc_async or a tracking ID from
+---execute_with_buffer_context_rpc_async (cancels the running chunk and skips the rest)
+---@param callback_id string The callback ID or tracking ID
 ---@return boolean cancelled True if query was pending and cancelled
 function Connection.cancel_rpc_async(callback_id)
   local AsyncRPC = require('nvim-ssns.async.rpc')
+
+  local batch = rpc_batches[callback_id]
+  if batch then
+    batch.cancelled = true
+    return batch.callback_id ~= nil and AsyncRPC.cancel(batch.callback_id)
+  end
+
   return AsyncRPC.cancel(callback_id)
 end
 
 ---@class RPCAsyncBufferContextOpts
 ---@field on_complete fun(result: table, last_database: string|nil, error: string?)? Completion callback
 ---@field timeout_ms number? Timeout per chunk in milliseconds (default: 60000)
+---@field query_timeout_ms number? Stop each chunk on the server after this long (see AsyncRPCOpts)
+---@field max_rows number? Truncate each chunk's result after this many rows (see AsyncRPCOpts)
+---@field continuation_idle_ms number? How long a truncated result keeps its query open
+---@field describe_columns boolean? Report declared column types (see AsyncRPCOpts)
+---@field session_id string? Run every chunk on this session's pinned connection
+---@field on_progress fun(event: table, chunk_number: number, total_chunks: number)? Progress of the running chunk (see AsyncRPC.handle_progress)
+---@field progress_interval_ms number? Time between progress events
 
 ---Execute query with buffer context using truly non-blocking RPC async
 ---Handles multi-database queries with USE statements and GO separators
@@ -581,7 +1301,7 @@ end
 ---@param query string SQL query (may contain USE statements and GO)
 ---@param buffer_database string|nil Current buffer database context
 ---@param opts RPCAsyncBufferContextOpts? Options
----@return string first_callback_id For tracking (first chunk's callback ID)
+---@return string tracking_id For tracking/cancellation via cancel_rpc_async
 function Connection.execute_with_buffer_context_rpc_async(connection_config, query, buffer_database, opts)
   opts = opts or {}
   local QueryParser = require('nvim-ssns.query_parser')
@@ -613,14 +1333,17 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
   local last_database = buffer_database
   local total_start_time = vim.loop.hrtime()
   local current_chunk_idx = 1
-  local first_callback_id = nil
   local timeout_ms = opts.timeout_ms or 60000
+  local tracking_id = "rpc_multi_" .. os.time() .. "_" .. math.random(10000, 99999)
+  local batch = { callback_id = nil, cancelled = false }
+  rpc_batches[tracking_id] = batch
 
   -- Forward declaration for recursive execution
   local execute_next_chunk
 
   ---Combine results from all chunks and call completion callback
   local function finalize_results()
+    rpc_batches[tracking_id] = nil
     local total_time = (vim.loop.hrtime() - total_start_time) / 1e9
     local total_time_ms = total_time * 1000
 
@@ -664,12 +1387,24 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
     -- Execute chunk using truly async RPC
     local callback_id = AsyncRPC.execute_async(chunk_config, chunk.sql, {
       timeout_ms = timeout_ms,
+      query_timeout_ms = opts.query_timeout_ms,
+      max_rows = opts.max_rows,
+      continuation_idle_ms = opts.continuation_idle_ms,
+      describe_columns = opts.describe_columns,
+      session_id = opts.session_id,
+      on_progress = opts.on_progress and function(event)
+        if not batch.cancelled then
+          opts.on_progress(event, chunk_idx, #chunks)
+        end
+      end,
+      progress_interval_ms = opts.progress_interval_ms,
       on_complete = function(result, err)
         local chunk_end_time = vim.loop.hrtime()
         local chunk_execution_time_ms = (chunk_end_time - chunk_start_time) / 1000000
 
-        -- Handle RPC-level error
+        -- Handle RPC-level error (including cancellation)
         if err then
+          rpc_batches[tracking_id] = nil
           if opts.on_complete then
             opts.on_complete({
               success = false,
@@ -687,42 +1422,35 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
 
         -- Handle SQL error in result
         if not result or not result.success then
-          local error_obj = result and result.error or { message = "Unknown error" }
-          -- Add chunk context to error and adjust line number
-          error_obj.chunk_number = chunk_idx
-          error_obj.total_chunks = #chunks
-          error_obj.batch_number = chunk.batch_number
-          error_obj.chunk_database = chunk.database
-
-          -- Adjust error line number to account for removed USE statements
-          -- and position within original query
-          if error_obj.lineNumber and chunk.start_line then
-            local line_num = tonumber(error_obj.lineNumber)
-            if line_num then
-              error_obj.lineNumber = line_num + chunk.start_line - 1
-            end
+          rpc_batches[tracking_id] = nil
+          result = result or { success = false, resultSets = {}, metadata = {} }
+          result.error = result.error or { message = "Unknown error" }
+          add_chunk_error_context(result, chunk, chunk_idx, #chunks)
+
+          -- Output from around non-fatal errors is shown along with earlier chunks' output
+          if Connection.has_partial_results(result) then
+            add_chunk_result_context(result, chunk, chunk_idx, chunk_execution_time_ms)
+            result = combine_with_failed_chunk(all_results, result, {
+              total_chunks = #chunks,
+              go_batches = debug_info.go_batches,
+            })
           end
 
           if opts.on_complete then
             opts.on_complete({
               success = false,
-              resultSets = {},
-              metadata = result and result.metadata or {},
-              error = error_obj
+              resultSets = result.resultSets or {},
+              metadata = result.metadata or {},
+              error = result.error,
+              errors = result.errors,
+              continuations = result.continuations,
             }, last_database, nil)
           end
           return
         end
 
         -- Add chunk execution time and line mapping to each result set
-        if result.resultSets then
-          for _, resultSet in ipairs(result.resultSets) do
-            resultSet.chunk_execution_time_ms = chunk_execution_time_ms
-            resultSet.chunk_number = chunk_idx
-            resultSet.batch_number = chunk.batch_number
-            resultSet.chunk_start_line = chunk.start_line
-          end
-        end
+        add_chunk_result_context(result, chunk, chunk_idx, chunk_execution_time_ms)
 
         table.insert(all_results, result)
 
@@ -731,22 +1459,32 @@ function Connection.execute_with_buffer_context_rpc_async(connection_config, que
           last_database = chunk.database
         end
 
-        -- Execute next chunk
+        -- Execute next chunk (unless cancelled in between chunks)
+        if batch.cancelled then
+          rpc_batches[tracking_id] = nil
+          if opts.on_complete then
+            opts.on_complete({
+              success = false,
+              cancelled = true,
+              resultSets = {},
+              metadata = {},
+              error = { message = "Query cancelled", category = "cancelled" }
+            }, last_database, "Query cancelled")
+          end
+          return
+        end
         execute_next_chunk(chunk_idx + 1)
       end,
     })
 
-    -- Track first callback ID for the caller
-    if chunk_idx == 1 then
-      first_callback_id = callback_id
-    end
+    -- Track the running chunk so cancel_rpc_async can reach it
+    batch.callback_id = callback_id
   end
 
   -- Start executing chunks
   execute_next_chunk(1)
 
-  -- Return a tracking ID (first callback ID or a generated one)
-  return first_callback_id or ("rpc_multi_" .. os.time() .. "_" .. math.random(10000, 99999))
+  return tracking_id
 end
 
 -- ============================================================================
@@ -823,6 +1561,11 @@ end
 
 ---@class AsyncBufferContextOpts : AsyncExecuteOpts
 ---@field line number? Line to show spinner on (default: 0)
+---@field session_id string? Run chunks on this session's pinned connection
+---@field query_timeout_ms number? Stop each chunk on the server after this long
+---@field max_rows number? Truncate each chunk's result after this many rows
+---@field continuation_idle_ms number? How long a truncated result keeps its query open
+---@field describe_columns boolean? Report declared column types (see AsyncRPCOpts)
 
 ---Execute query with buffer context asynchronously
 ---Handles multi-database queries with USE statements and GO separators
@@ -848,7 +1591,14 @@ function Connection.execute_with_buffer_context_async(connection_config, query,
       local result, last_database = Connection.execute_with_buffer_context(
         connection_config,
         query,
-        buffer_database
+        buffer_database,
+        {
+          session_id = opts.session_id,
+          query_timeout_ms = opts.query_timeout_ms,
+          max_rows = opts.max_rows,
+          continuation_idle_ms = opts.continuation_idle_ms,
+          describe_columns = opts.describe_columns,
+        }
       )
 
       ctx.report_progress(100, "Complete")
@@ -885,7 +1635,14 @@ function Connection.execute_with_buffer_context_async(connection_config, query,
       local result, last_database = Connection.execute_with_buffer_context(
         connection_config,
         query,
-        buffer_database
+        buffer_database,
+        {
+          session_id = opts.session_id,
+          query_timeout_ms = opts.query_timeout_ms,
+          max_rows = opts.max_rows,
+          continuation_idle_ms = opts.continuation_idle_ms,
+          describe_columns = opts.describe_columns,
+        }
       )
 
       return { result = result, last_database = last_database }
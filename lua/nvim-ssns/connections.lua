@@ -8,12 +8,36 @@
 ---@field type string Authentication type: "windows", "sql", "none"
 ---@field username string? Username for SQL authentication (optional)
 ---@field password string? Password for SQL authentication (optional)
+---@field credential CredentialSpec? Where Node.js gets the password instead (optional)
+
+---@class CredentialSpec
+---@field provider "env"|"command"|"file"|"prompt" Credential provider
+---@field variable string? Environment variable (env)
+---@field command string|string[]? Command whose first output line is the password (command)
+---@field name string? Secret name in the encrypted secrets file (file)
+---@field path string? Secrets file (file; default stdpath("data")/ssns/secrets.json.enc)
+---@field message string? Prompt text (prompt)
+---@field ttl_ms number? How long Node.js keeps the password in memory (default 900000; 0 = not kept)
 
 ---@class OptionsConfig
 ---@field odbc_driver string? Specific ODBC driver name (SQL Server only)
 ---@field ssl boolean? Enable SSL connections (optional)
 ---@field timeout number? Connection timeout in seconds (optional)
 ---@field trust_server_certificate boolean? Bypass certificate validation (optional)
+---@field pool PoolOptions? Pool sizing and timeouts (optional)
+---@field reconnect ReconnectOptions? Reconnection after a lost connection (optional)
+
+---@class PoolOptions
+---@field max number? Most pooled connections (default 10)
+---@field min number? Idle connections kept open (default 0)
+---@field idle_timeout_ms number? Close idle pooled connections after this long (default 30000)
+---@field connect_timeout_ms number? Connect timeout (default: timeout, else the driver's own)
+---@field evict_after_ms number? Disconnect after this long unused; 0 never does (default 1800000)
+
+---@class ReconnectOptions
+---@field attempts number? Reconnect attempts before giving up (default 5)
+---@field delay_ms number? Delay before the second attempt, doubling after (default 500)
+---@field max_delay_ms number? Longest delay between attempts (default 10000)
 
 ---@class ConnectionData
 ---@field name string Connection display name
@@ -157,6 +181,22 @@ function Connections.validate(connection)
     end
   end
 
+  -- A credential provider replaces the stored password
+  local credential = connection.auth.credential
+  if credential then
+    local required = { env = "variable", command = "command", file = "name", prompt = false }
+    if required[credential.provider] == nil then
+      return false, string.format("Invalid credential provider: %s", tostring(credential.provider))
+    end
+    local field = required[credential.provider]
+    if field and (not credential[field] or credential[field] == "") then
+      return false, string.format("Credential provider '%s' requires '%s'", credential.provider, field)
+    end
+    if connection.auth.password and connection.auth.password ~= "" then
+      return false, "Use either a password or a credential provider, not both"
+    end
+  end
+
   return true, nil
 end
 
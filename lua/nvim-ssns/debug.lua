@@ -130,6 +130,46 @@ function Debug.get_log_path()
   return log_file
 end
 
+---Get the Node.js host's log file
+---@param log_config LogConfig? Log settings (default: from config)
+---@return string
+function Debug.get_node_log_path(log_config)
+  log_config = log_config or require('nvim-ssns.config').get().log or {}
+  return log_config.path or (vim.fn.stdpath('state') .. '/nvim-ssns/node.log')
+end
+
+---Pass log settings to the Node.js host
+---The host reads them from the environment when it starts; with `live`, a
+---running host is updated too (SSNSSetLogConfig, which starts the host if needed)
+---@param log_config LogConfig Log settings
+---@param live boolean? Also update the running host
+---@return table? settings Settings in effect (live only)
+---@return string? error
+function Debug.configure_node(log_config, live)
+  local settings = {
+    level = log_config.level,
+    format = log_config.format,
+    max_bytes = log_config.max_size_kb and math.floor(log_config.max_size_kb * 1024) or nil,
+    max_files = log_config.max_files,
+    path = Debug.get_node_log_path(log_config),
+  }
+
+  vim.env.SSNS_LOG_LEVEL = settings.level
+  vim.env.SSNS_LOG_FORMAT = settings.format
+  vim.env.SSNS_LOG_MAX_BYTES = settings.max_bytes and tostring(settings.max_bytes) or nil
+  vim.env.SSNS_LOG_MAX_FILES = settings.max_files and tostring(settings.max_files) or nil
+  vim.env.SSNS_LOG_PATH = settings.path
+
+  if not live then
+    return nil
+  end
+  local ok, result = pcall(vim.fn.SSNSSetLogConfig, { settings })
+  if not ok or type(result) ~= "table" then
+    return nil, tostring(result)
+  end
+  return result
+end
+
 ---Get number of pending messages in buffer
 ---@return number
 function Debug.get_buffer_size()
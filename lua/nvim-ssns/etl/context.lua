@@ -31,6 +31,11 @@ EtlContext.__index = EtlContext
 ---@field name string Column name
 ---@field type string? SQL type
 ---@field index number Column index (1-based)
+---@field length number? Length in characters/bytes (-1 = max)
+---@field precision number? Numeric precision or fractional-second digits
+---@field scale number? Numeric scale
+---@field nullable boolean? Whether the column can hold NULL
+---@field category string? Portable category (integer, decimal, string, temporal, binary, json, spatial, other)
 
 ---@class EtlBlockError
 ---@field message string Error message
@@ -322,6 +327,16 @@ end
 ---@field total_time_ms number
 ---@field errors table<string, EtlBlockError>
 
+---Convert JSON null (vim.NIL) to nil
+---@param value any
+---@return any
+local function non_null(value)
+  if value == vim.NIL then
+    return nil
+  end
+  return value
+end
+
 ---Convert Node.js result to EtlResult
 ---@param node_result table Result from Node.js query execution
 ---@param block_name string Block name
@@ -348,6 +363,11 @@ function EtlContext.result_from_node(node_result, block_name, block_type, execut
           name = col_name,
           type = col_info.type,
           index = col_info.index or 0,
+          length = non_null(col_info.length),
+          precision = non_null(col_info.precision),
+          scale = non_null(col_info.scale),
+          nullable = col_info.nullable,
+          category = col_info.category,
         }
       end
     end
@@ -365,6 +385,11 @@ function EtlContext.result_from_node(node_result, block_name, block_type, execut
             name = col_name,
             type = col_info.type,
             index = col_info.index or 0,
+            length = non_null(col_info.length),
+            precision = non_null(col_info.precision),
+            scale = non_null(col_info.scale),
+            nullable = col_info.nullable,
+            category = col_info.category,
           }
         end
       end
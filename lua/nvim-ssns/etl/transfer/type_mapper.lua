@@ -10,6 +10,7 @@ local TypeMapper = {}
 ---@field has_decimal boolean? Whether numbers have decimals
 ---@field nullable boolean Whether NULL values were observed
 ---@field index number Column index (1-based)
+---@field source ColumnMeta? Source column metadata (type descriptor from the driver)
 
 ---Analyze a value and return its type info
 ---@param value any
@@ -50,11 +51,11 @@ function TypeMapper.infer_columns(rows, existing_columns)
         table.insert(columns, {
           name = name,
           lua_type = "nil",
-          sql_type = meta.type or "NVARCHAR(255)",
           max_length = 255,
           has_decimal = false,
           nullable = true,
           index = meta.index or #columns + 1,
+          source = meta,
         })
       end
       table.sort(columns, function(a, b)
@@ -135,20 +136,15 @@ function TypeMapper.infer_columns(rows, existing_columns)
       info.max_len = 255
     end
 
-    -- Use existing column type if available
-    local sql_type = nil
-    if existing_columns and existing_columns[col_name] and existing_columns[col_name].type then
-      sql_type = existing_columns[col_name].type
-    end
-
     table.insert(result, {
       name = col_name,
       lua_type = dominant_type,
-      sql_type = sql_type, -- Will be filled by database adapter
+      sql_type = nil, -- Will be filled by database adapter
       max_length = info.max_len,
       has_decimal = info.has_decimal,
       nullable = info.has_null,
       index = info.index,
+      source = existing_columns and existing_columns[col_name] or nil,
     })
   end
 
@@ -157,14 +153,87 @@ end
 
 ---@class DbTypeMapper
 ---@field map_type fun(col: InferredColumn): string
+---@field from_source table<string, fun(source: ColumnMeta): string?> Target type per source category
+
+---Map a column from its source type descriptor (category, length, precision, scale)
+---Source type names are never reused as-is: they belong to the source database.
+---Binary, spatial and other categories are inferred from the values instead, since
+---rows are inserted as literals
+---@param col InferredColumn
+---@param mapper DbTypeMapper
+---@return string? sql_type nil when the source category has no mapping (falls back to inference)
+local function map_source(col, mapper)
+  local source = col.source
+  local build = source and source.category and mapper.from_source[source.category]
+  return build and build(source) or nil
+end
+
+---Check if a source column is a bounded string of at most max_length
+---@param source ColumnMeta
+---@param max_length number
+---@return boolean
+local function bounded(source, max_length)
+  return source.length ~= nil and source.length > 0 and source.length <= max_length
+end
+
+---Get the temporal kind of a source type: "date", "time", "tz", "interval" or "datetime"
+---@param source ColumnMeta
+---@return string
+local function temporal_kind(source)
+  local name = (source.type or ""):lower()
+  if name:find("interval") then
+    return "interval"
+  elseif name:find("tz") or name:find("offset") or name:find("with time zone") then
+    return "tz"
+  elseif name == "date" then
+    return "date"
+  elseif name:match("^time") and not name:match("^timestamp") then
+    return "time"
+  end
+  return "datetime"
+end
+
+---Format DECIMAL(p,s) from a source column, clamped to the target's maximum precision
+---@param name string Target type name
+---@param source ColumnMeta
+---@param max_precision number
+---@return string? sql_type nil when the source precision is unknown
+local function exact_numeric(name, source, max_precision)
+  if not source.precision or source.precision <= 0 then
+    return nil
+  end
+  local precision = math.min(source.precision, max_precision)
+  local scale = math.min(source.scale or 0, precision)
+  return string.format("%s(%d,%d)", name, precision, scale)
+end
 
 ---SQL Server type mapper
 ---@type DbTypeMapper
 TypeMapper.sqlserver = {
+  from_source = {
+    integer = function() return "BIGINT" end,
+    decimal = function(source) return exact_numeric("DECIMAL", source, 38) or "FLOAT" end,
+    string = function(source)
+      return bounded(source, 4000) and string.format("NVARCHAR(%d)", source.length) or "NVARCHAR(MAX)"
+    end,
+    temporal = function(source)
+      local kind = temporal_kind(source)
+      if kind == "interval" then
+        return nil
+      end
+      return ({ date = "DATE", time = "TIME", tz = "DATETIMEOFFSET" })[kind] or "DATETIME2"
+    end,
+    json = function() return "NVARCHAR(MAX)" end,
+  },
+
   map_type = function(col)
     if col.sql_type then
       return col.sql_type
     end
+    local from_source = map_source(col, TypeMapper.sqlserver)
+    if from_source then
+      return from_source
+    end
 
     if col.lua_type == "string" then
       local len = col.max_length or 255
@@ -201,10 +270,27 @@ TypeMapper.sqlserver = {
 ---PostgreSQL type mapper
 ---@type DbTypeMapper
 TypeMapper.postgres = {
+  from_source = {
+    integer = function() return "BIGINT" end,
+    decimal = function(source) return exact_numeric("NUMERIC", source, 1000) or "DOUBLE PRECISION" end,
+    string = function(source)
+      return bounded(source, 10485760) and string.format("VARCHAR(%d)", source.length) or "TEXT"
+    end,
+    temporal = function(source)
+      local kind = temporal_kind(source)
+      return ({ date = "DATE", time = "TIME", tz = "TIMESTAMPTZ", interval = "INTERVAL" })[kind] or "TIMESTAMP"
+    end,
+    json = function() return "JSONB" end,
+  },
+
   map_type = function(col)
     if col.sql_type then
       return col.sql_type
     end
+    local from_source = map_source(col, TypeMapper.postgres)
+    if from_source then
+      return from_source
+    end
 
     if col.lua_type == "string" then
       local len = col.max_length or 255
@@ -232,10 +318,30 @@ TypeMapper.postgres = {
 ---MySQL type mapper
 ---@type DbTypeMapper
 TypeMapper.mysql = {
+  from_source = {
+    integer = function() return "BIGINT" end,
+    decimal = function(source) return exact_numeric("DECIMAL", source, 65) or "DOUBLE" end,
+    string = function(source)
+      return bounded(source, 16000) and string.format("VARCHAR(%d)", source.length) or "LONGTEXT"
+    end,
+    temporal = function(source)
+      local kind = temporal_kind(source)
+      if kind == "interval" then
+        return nil
+      end
+      return ({ date = "DATE", time = "TIME" })[kind] or "DATETIME(6)"
+    end,
+    json = function() return "JSON" end,
+  },
+
   map_type = function(col)
     if col.sql_type then
       return col.sql_type
     end
+    local from_source = map_source(col, TypeMapper.mysql)
+    if from_source then
+      return from_source
+    end
 
     if col.lua_type == "string" then
       local len = col.max_length or 255
@@ -263,7 +369,20 @@ TypeMapper.mysql = {
 ---SQLite type mapper
 ---@type DbTypeMapper
 TypeMapper.sqlite = {
+  from_source = {
+    integer = function() return "INTEGER" end,
+    decimal = function(source) return exact_numeric("NUMERIC", source, 1000) or "REAL" end,
+    string = function() return "TEXT" end,
+    temporal = function() return "TEXT" end,
+    json = function() return "TEXT" end,
+  },
+
   map_type = function(col)
+    local from_source = map_source(col, TypeMapper.sqlite)
+    if from_source then
+      return from_source
+    end
+
     -- SQLite has dynamic typing, but we'll use affinity hints
     if col.lua_type == "string" then
       return "TEXT"
@@ -143,7 +143,7 @@ end
 ---@param name string Index name
 ---@param columns string[] Column names in the index
 ---@param parent TableClass Parent table object
----@param opts table? Additional options (index_type, is_unique, is_primary)
+---@param opts table? Additional options (index_type, is_unique, is_primary, is_clustered, included_columns, filter)
 ---@return IndexClass index The created index instance
 function Factory.create_index(name, columns, parent, opts)
   local IndexClass = require('nvim-ssns.classes.index')
@@ -156,6 +156,9 @@ function Factory.create_index(name, columns, parent, opts)
     index_type = opts.index_type,
     is_unique = opts.is_unique or false,
     is_primary = opts.is_primary or false,
+    is_clustered = opts.is_clustered or false,
+    included_columns = opts.included_columns,
+    filter = opts.filter,
     parent = parent,
   })
 end
@@ -165,7 +168,7 @@ end
 ---@param constraint_type string Constraint type
 ---@param columns string[] Column names
 ---@param parent TableClass Parent table object
----@param opts table? Additional options (referenced_table, referenced_schema, referenced_columns, check_clause)
+---@param opts table? Additional options (referenced_table, referenced_schema, referenced_columns, check_clause, on_delete, on_update, default_value)
 ---@return ConstraintClass constraint The created constraint instance
 function Factory.create_constraint(name, constraint_type, columns, parent, opts)
   local ConstraintClass = require('nvim-ssns.classes.constraint')
@@ -180,6 +183,9 @@ function Factory.create_constraint(name, constraint_type, columns, parent, opts)
     referenced_schema = opts.referenced_schema,
     referenced_columns = opts.referenced_columns,
     check_clause = opts.check_clause,
+    on_delete = opts.on_delete,
+    on_update = opts.on_update,
+    default_value = opts.default_value,
     parent = parent,
   })
 end
@@ -0,0 +1,221 @@
+---@class ViewQueryPlan
+---View a query's execution plan in a floating window
+---Plans come from SSNSExplain, which returns the same operator tree for every database
+---@module ssns.features.view_query_plan
+local ViewQueryPlan = {}
+
+local BaseViewer = require('nvim-ssns.features.base_viewer')
+local BufferConnection = require('nvim-ssns.utils.buffer_connection')
+
+-- Create viewer instance
+local viewer = BaseViewer.create({
+  title = "Execution Plan",
+  min_width = 70,
+  max_width = math.floor(vim.o.columns * 0.9),
+  max_height = math.floor(vim.o.lines * 0.8),
+  footer = " q/ESC: close | r: refresh | R: raw plan ",
+})
+
+---Close the current floating window
+function ViewQueryPlan.close_current_float()
+  viewer:close()
+end
+
+---Check that a JSON value is present (vim.NIL is JSON null)
+---@param value any
+---@return boolean
+local function present(value)
+  return value ~= nil and value ~= vim.NIL
+end
+
+---Format a row count or cost compactly
+---@param value number
+---@return string
+local function format_number(value)
+  if value >= 1e6 then
+    return string.format("%.1fM", value / 1e6)
+  elseif value >= 1e4 then
+    return string.format("%.1fK", value / 1e3)
+  elseif value == math.floor(value) then
+    return tostring(value)
+  end
+  return string.format("%.2f", value)
+end
+
+---Build the estimate/actual summary for a node
+---@param node table Plan node
+---@return string
+local function format_counters(node)
+  local parts = {}
+  if present(node.estimatedRows) then
+    table.insert(parts, "est " .. format_number(node.estimatedRows))
+  end
+  if present(node.actualRows) then
+    local actual = "act " .. format_number(node.actualRows)
+    if present(node.executions) and node.executions ~= 1 then
+      actual = actual .. " x" .. format_number(node.executions)
+    end
+    table.insert(parts, actual)
+  end
+  if present(node.estimatedCost) then
+    table.insert(parts, "cost " .. format_number(node.estimatedCost))
+  end
+  if present(node.actualTimeMs) then
+    table.insert(parts, format_number(node.actualTimeMs) .. " ms")
+  end
+  return #parts > 0 and ("[" .. table.concat(parts, " | ") .. "]") or ""
+end
+
+---Render a plan node and its children as a tree
+---@param cb ContentBuilder
+---@param node table Plan node
+---@param prefix string Tree prefix for this node's line
+---@param child_prefix string Tree prefix for this node's children and details
+local function render_node(cb, node, prefix, child_prefix)
+  local spans = {
+    { text = "  " .. prefix, style = "muted" },
+    { text = tostring(node.operator), style = "keyword" },
+  }
+  if present(node.object) then
+    table.insert(spans, { text = " " .. node.object, style = "sql_table" })
+  end
+  local counters = format_counters(node)
+  if counters ~= "" then
+    table.insert(spans, { text = "  " .. counters, style = "number" })
+  end
+  cb:spans(spans)
+
+  if present(node.details) then
+    cb:styled("  " .. child_prefix .. "  " .. node.details, "muted")
+  end
+  for _, warning in ipairs(node.warnings or {}) do
+    cb:styled("  " .. child_prefix .. "  ! " .. warning, "warning")
+  end
+
+  local children = node.children or {}
+  for i, child in ipairs(children) do
+    local last = i == #children
+    render_node(cb, child,
+      child_prefix .. (last and "└─ " or "├─ "),
+      child_prefix .. (last and "   " or "│  "))
+  end
+end
+
+---Get the SQL to explain: the given line range, or the statement under cursor
+---@param bufnr number Buffer number
+---@param range number[]? { line1, line2 } (1-indexed, inclusive)
+---@return string? sql
+local function get_sql(bufnr, range)
+  if range then
+    return table.concat(vim.api.nvim_buf_get_lines(bufnr, range[1] - 1, range[2], false), "\n")
+  end
+
+  local cursor = vim.api.nvim_win_get_cursor(0)
+  local StatementCache = require('nvim-ssns.completion.statement_cache')
+  local StatementParser = require('nvim-ssns.completion.statement_parser')
+  local cache = StatementCache.get_or_build_cache(bufnr)
+  local chunk = cache and StatementParser.get_chunk_at_position(cache.chunks, cursor[1], cursor[2] + 1)
+  if chunk then
+    local ok, lines = pcall(vim.api.nvim_buf_get_text, bufnr,
+      chunk.start_line - 1, chunk.start_col - 1, chunk.end_line - 1, chunk.end_col, {})
+    if ok then
+      return table.concat(lines, "\n")
+    end
+  end
+
+  -- No parsed statement here: fall back to the whole buffer
+  return table.concat(vim.api.nvim_buf_get_lines(bufnr, 0, -1, false), "\n")
+end
+
+---Show plans in the floating window
+---@param result table SSNSExplain result { actual, plans, warnings }
+---@param raw boolean Show the native plan text instead of the tree
+local function show_plans(result, raw)
+  viewer:show(function(cb)
+    for _, warning in ipairs(result.warnings or {}) do
+      cb:styled("  ! " .. warning, "warning")
+    end
+    if #(result.plans or {}) == 0 then
+      cb:styled("  (No plan returned)", "muted")
+      return
+    end
+
+    for i, plan in ipairs(result.plans) do
+      if i > 1 then
+        cb:blank()
+      end
+      if present(plan.statement) then
+        cb:section(plan.statement:gsub("%s+", " "):sub(1, 100))
+        cb:blank()
+      end
+      for _, warning in ipairs(plan.warnings or {}) do
+        cb:styled("  ! " .. warning, "warning")
+      end
+
+      if raw then
+        for _, line in ipairs(vim.split(present(plan.raw) and plan.raw or "", "\n")) do
+          cb:line("  " .. line)
+        end
+      elseif present(plan.root) then
+        render_node(cb, plan.root, "", "")
+      else
+        cb:styled("  (No operators)", "muted")
+      end
+    end
+  end)
+end
+
+---Explain the statement under cursor (or a line range) and show the plan
+---@param bufnr number Buffer number
+---@param opts { actual: boolean?, range: number[]? }? actual = execute the query for actual rows and timings
+function ViewQueryPlan.explain(bufnr, opts)
+  opts = opts or {}
+
+  local connection = BufferConnection.get_connection(bufnr)
+  if not connection or not connection.connection_config then
+    vim.notify("SSNS: No database connection for this buffer", vim.log.levels.WARN)
+    return
+  end
+
+  local sql = get_sql(bufnr, opts.range)
+  if not sql or vim.trim(sql) == "" then
+    vim.notify("SSNS: No SQL to explain", vim.log.levels.WARN)
+    return
+  end
+
+  local config = connection.connection_config
+  if config.type ~= "sqlite" and connection.database then
+    config = connection.server:get_connection_config_for_database(connection.database.db_name)
+  end
+
+  ViewQueryPlan.show_plan(config, sql, opts.actual)
+end
+
+---Explain SQL and show the plan (r in the window explains it again)
+---@param config ConnectionData Connection configuration (database included)
+---@param sql string SQL to explain
+---@param actual boolean? Execute the query for actual rows and timings
+function ViewQueryPlan.show_plan(config, sql, actual)
+  local result, err = require('nvim-ssns.connection').explain(config, sql, { actual = actual })
+  if not result then
+    vim.notify("SSNS: Explain failed: " .. tostring(err), vim.log.levels.ERROR)
+    return
+  end
+
+  local raw = false
+  viewer.title = result.actual and " Execution Plan (actual) " or " Execution Plan (estimated) "
+  viewer:set_keymaps({
+    ["<Esc>"] = function() ViewQueryPlan.close_current_float() end,
+    ["R"] = function()
+      raw = not raw
+      show_plans(result, raw)
+    end,
+  })
+  viewer.on_refresh = function()
+    ViewQueryPlan.show_plan(config, sql, actual)
+  end
+
+  show_plans(result, raw)
+end
+
+return ViewQueryPlan
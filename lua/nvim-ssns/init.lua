@@ -90,6 +90,15 @@ function Ssns.setup(user_config)
   local ServerGroups = require('nvim-ssns.server_groups')
   ServerGroups.setup()
 
+  -- Node.js host log settings (read when the host starts)
+  require('nvim-ssns.debug').configure_node(Config.get().log or {})
+
+  -- Setup transaction tracking (VimLeavePre prompt for open transactions)
+  require('nvim-ssns.transactions').setup()
+
+  -- Close pools and SQLite files on exit (after the transaction prompt)
+  require('nvim-ssns.connection').setup()
+
   -- Load servers from configuration
   local Cache = require('nvim-ssns.cache')
   local Connections = require('nvim-ssns.connections')
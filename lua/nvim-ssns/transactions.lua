@@ -0,0 +1,191 @@
+---@class SsnsTransactions
+---Explicit transaction control for query buffers
+---Transactions run on the query buffer's pinned Node.js session, so BEGIN in
+---one execution and COMMIT/ROLLBACK in a later one act on the same connection.
+local Transactions = {}
+
+---Isolation levels offered for completion (drivers validate what they support)
+Transactions.ISOLATION_LEVELS = {
+  "read uncommitted",
+  "read committed",
+  "repeatable read",
+  "serializable",
+  "snapshot",
+}
+
+---Format a transaction's age for display
+---@param age_ms number Age in milliseconds
+---@return string
+local function format_age(age_ms)
+  local seconds = math.floor((age_ms or 0) / 1000)
+  if seconds < 60 then
+    return string.format("%ds", seconds)
+  elseif seconds < 3600 then
+    return string.format("%dm %ds", math.floor(seconds / 60), seconds % 60)
+  end
+  return string.format("%dh %dm", math.floor(seconds / 3600), math.floor(seconds % 3600 / 60))
+end
+
+---Describe a transaction in one line
+---@param tx table Transaction status from Node.js
+---@return string
+function Transactions.describe(tx)
+  return string.format(
+    "%s%s: %d statement%s, open %s%s",
+    tx.connection or "?",
+    tx.database and tx.database ~= vim.NIL and ("/" .. tx.database) or "",
+    tx.statementCount or 0,
+    tx.statementCount == 1 and "" or "s",
+    format_age(tx.ageMs),
+    tx.isolationLevel and tx.isolationLevel ~= vim.NIL and (" (" .. tx.isolationLevel .. ")") or ""
+  )
+end
+
+---Get the query buffer's connection config (with its current database) and session ID
+---@param bufnr number Query buffer number
+---@return ConnectionData? config
+---@return string? session_id
+---@return string? error
+local function get_buffer_context(bufnr)
+  local UiQuery = require('nvim-ssns.ui.core.query')
+  local QueryExecute = require('nvim-ssns.ui.core.query.execute')
+  local Connections = require('nvim-ssns.connections')
+
+  local buffer_info = UiQuery.query_buffers[bufnr]
+  if not buffer_info then
+    return nil, nil, "Not a query buffer"
+  end
+
+  local server = buffer_info.server
+  if not server or type(server) ~= "table" or not server.connection_config then
+    return nil, nil, "No server associated with this query buffer"
+  end
+
+  local config = server.connection_config
+  local database = buffer_info.last_database
+  if not database and buffer_info.database then
+    database = type(buffer_info.database) == "string" and buffer_info.database or buffer_info.database.db_name
+  end
+  if database and config.type ~= "sqlite" then
+    config = Connections.with_database(config, database)
+  end
+
+  return config, QueryExecute.get_session_id(bufnr), nil
+end
+
+---Begin a transaction in a query buffer's session
+---@param bufnr number Query buffer number
+---@param isolation_level string? Isolation level (nil = server default)
+---@return boolean success
+function Transactions.begin(bufnr, isolation_level)
+  local config, session_id, err = get_buffer_context(bufnr)
+  if not config then
+    vim.notify("SSNS: " .. err, vim.log.levels.ERROR)
+    return false
+  end
+
+  local result = require('nvim-ssns.connection').begin_transaction(config, session_id, isolation_level)
+  if not result.success then
+    vim.notify("SSNS: BEGIN TRANSACTION failed: " .. tostring(result.message), vim.log.levels.ERROR)
+    return false
+  end
+
+  vim.notify(string.format("SSNS: Transaction started%s",
+    isolation_level and (" (" .. isolation_level .. ")") or ""), vim.log.levels.INFO)
+  return true
+end
+
+---Commit or roll back a session's transaction and report the outcome
+---@param session_id string Session ID
+---@param action "commit"|"rollback"
+---@return boolean success
+local function end_transaction(session_id, action)
+  local Connection = require('nvim-ssns.connection')
+  local result = action == "commit"
+    and Connection.commit_transaction(session_id)
+    or Connection.rollback_transaction(session_id)
+
+  if not result.success then
+    vim.notify(string.format("SSNS: %s failed: %s", action:upper(), tostring(result.message)), vim.log.levels.ERROR)
+    return false
+  end
+
+  local tx = result.transaction or {}
+  vim.notify(string.format("SSNS: %s (%d statement%s)", result.message,
+    tx.statementCount or 0, tx.statementCount == 1 and "" or "s"), vim.log.levels.INFO)
+  if tx.warning and tx.warning ~= vim.NIL then
+    -- Committed, but a file-backed database could not be saved yet
+    vim.notify("SSNS: " .. tostring(tx.warning), vim.log.levels.WARN)
+  end
+  return true
+end
+
+---Commit a query buffer's open transaction
+---@param bufnr number Query buffer number
+---@return boolean success
+function Transactions.commit(bufnr)
+  local _, session_id, err = get_buffer_context(bufnr)
+  if not session_id then
+    vim.notify("SSNS: " .. err, vim.log.levels.ERROR)
+    return false
+  end
+  return end_transaction(session_id, "commit")
+end
+
+---Roll back a query buffer's open transaction
+---@param bufnr number Query buffer number
+---@return boolean success
+function Transactions.rollback(bufnr)
+  local _, session_id, err = get_buffer_context(bufnr)
+  if not session_id then
+    vim.notify("SSNS: " .. err, vim.log.levels.ERROR)
+    return false
+  end
+  return end_transaction(session_id, "rollback")
+end
+
+---Show open transactions across all sessions
+function Transactions.show_status()
+  local transactions = require('nvim-ssns.connection').get_transactions()
+  if #transactions == 0 then
+    vim.notify("SSNS: No open transactions", vim.log.levels.INFO)
+    return
+  end
+
+  local lines = { "SSNS: Open transactions:" }
+  for _, tx in ipairs(transactions) do
+    table.insert(lines, "  " .. Transactions.describe(tx))
+  end
+  vim.notify(table.concat(lines, "\n"), vim.log.levels.WARN)
+end
+
+---Ask the user to commit or roll back each open transaction
+---Used where the session is about to go away (buffer deleted, Neovim exiting),
+---so uncommitted work is never rolled back without asking.
+---@param transactions table[] Open transactions (from Node.js openTransactions / get_transactions)
+---@param reason string Why the session is closing (shown in the prompt)
+function Transactions.resolve_open(transactions, reason)
+  for _, tx in ipairs(transactions or {}) do
+    local choice = vim.fn.confirm(
+      string.format("SSNS: %s with an open transaction\n%s", reason, Transactions.describe(tx)),
+      "&Commit\n&Rollback",
+      2
+    )
+    end_transaction(tx.sessionId, choice == 1 and "commit" or "rollback")
+  end
+end
+
+---Register the VimLeavePre prompt for open transactions
+function Transactions.setup()
+  vim.api.nvim_create_autocmd("VimLeavePre", {
+    group = vim.api.nvim_create_augroup("ssns_transactions", { clear = true }),
+    callback = function()
+      local transactions = require('nvim-ssns.connection').get_transactions()
+      if #transactions > 0 then
+        Transactions.resolve_open(transactions, "Exiting Neovim")
+      end
+    end,
+  })
+end
+
+return Transactions
@@ -17,6 +17,49 @@ local QueryResults
 ---@type table<number, string> bufnr -> task_id
 local active_query_tasks = {}
 
+---Node.js RPC tracking IDs for query buffers (for server-side cancellation)
+---@type table<number, string> bufnr -> tracking_id
+local active_rpc_queries = {}
+
+---Rows fetched by :SSNSFetchMore when query.max_rows is 0
+local DEFAULT_FETCH_COUNT = 10000
+
+---Node.js sessions pinned to query buffers, so temp tables, SET options and
+---session variables survive between runs of the same buffer
+---@type table<number, string> bufnr -> session_id
+local buffer_sessions = {}
+
+---Get the session ID for a query buffer
+---The session (and its pinned connection) is closed when the buffer is deleted;
+---an open transaction is committed or rolled back first, as the user chooses
+---@param bufnr number Query buffer number
+---@return string session_id
+function QueryExecute.get_session_id(bufnr)
+  local session_id = buffer_sessions[bufnr]
+  if session_id then
+    return session_id
+  end
+
+  session_id = string.format("query_buf_%d_%d", bufnr, os.time())
+  buffer_sessions[bufnr] = session_id
+
+  vim.api.nvim_create_autocmd({ "BufDelete", "BufWipeout" }, {
+    buffer = bufnr,
+    once = true,
+    callback = function()
+      buffer_sessions[bufnr] = nil
+      local Connection = require('nvim-ssns.connection')
+      local closed, result = Connection.close_session(session_id)
+      if not closed and result and result.openTransactions then
+        require('nvim-ssns.transactions').resolve_open(result.openTransactions, "Closing query buffer")
+        Connection.close_session(session_id, true)
+      end
+    end,
+  })
+
+  return session_id
+end
+
 ---Get or create a results buffer for a query buffer
 ---@param query_bufnr number Query buffer number
 ---@return number results_bufnr Results buffer number
@@ -101,8 +144,15 @@ function QueryExecute.cancel_query(bufnr)
       cancelled = true
     end
 
-    -- Cancel pending RPC callback (query continues in Node.js but callback won't fire)
-    if AsyncRPC.cancel(task_id) then
+    -- Cancel the query on the server (Node.js reports back a cancelled result)
+    local rpc_id = active_rpc_queries[bufnr]
+    if rpc_id then
+      local Connection = require('nvim-ssns.connection')
+      active_rpc_queries[bufnr] = nil
+      if Connection.cancel_rpc_async(rpc_id) then
+        cancelled = true
+      end
+    elseif AsyncRPC.cancel(task_id) then
       cancelled = true
     end
 
@@ -127,6 +177,86 @@ function QueryExecute.is_query_running(bufnr)
   return active_query_tasks[bufnr] ~= nil
 end
 
+---Close the truncated executions of a query buffer's result, releasing their connections
+---@param bufnr number Query buffer number
+function QueryExecute.close_continuations(bufnr)
+  local stored = UiQuery.buffer_results[bufnr]
+  if not stored or not stored.continuations then
+    return
+  end
+
+  local Connection = require('nvim-ssns.connection')
+  for _, entry in ipairs(stored.continuations) do
+    Connection.close_continuation(entry.handle)
+  end
+  stored.continuations = nil
+end
+
+---Fetch more rows of a query buffer's truncated result and show them
+---Rows come from the first truncated execution (chunk) until it is exhausted
+---@param bufnr number Query buffer number
+---@param count number? Rows to fetch (default: query.max_rows)
+function QueryExecute.fetch_more(bufnr, count)
+  local stored = UiQuery.buffer_results[bufnr]
+  local entry = stored and stored.continuations and stored.continuations[1]
+  if not entry then
+    vim.notify("SSNS: No more rows to fetch", vim.log.levels.INFO)
+    return
+  end
+
+  if not count then
+    local max_rows = require('nvim-ssns.config').get().query.max_rows or 0
+    count = max_rows > 0 and max_rows or DEFAULT_FETCH_COUNT
+  end
+
+  local Connection = require('nvim-ssns.connection')
+  local result = {
+    success = stored.success ~= false,
+    resultSets = stored.resultSets,
+    metadata = stored.metadata,
+    error = stored.error,
+    errors = stored.errors,
+    continuations = stored.continuations,
+  }
+  local page = Connection.fetch_more(entry.handle, count)
+  Connection.merge_page(result, entry, page)
+
+  QueryResults.display_results(result, stored.sql, stored.execution_time_ms, bufnr)
+  if type(page.error) == "table" and page.error.message then
+    local level = page.error.code == "ECONTINUATION" and vim.log.levels.WARN or vim.log.levels.ERROR
+    vim.notify("SSNS: " .. tostring(page.error.message), level)
+  end
+end
+
+---Show a running query's progress: row counts in its spinner, and server messages
+---(PRINT, RAISERROR ... WITH NOWAIT) below it in the results buffer as they arrive
+---@param results_bufnr number Results buffer
+---@param spinner_id string Spinner shown in it
+---@param event table Progress event (see AsyncRPC.handle_progress)
+---@param chunk_number number Chunk (GO batch) running
+---@param total_chunks number Number of chunks
+local function show_progress(results_bufnr, spinner_id, event, chunk_number, total_chunks)
+  local rows = tonumber(event.rowsReceived) or 0
+  local text = string.format("%d %s", rows, rows == 1 and "row" or "rows")
+  local result_sets = tonumber(event.resultSetsCompleted) or 0
+  if result_sets > 0 then
+    text = text .. string.format(", %d result %s done", result_sets, result_sets == 1 and "set" or "sets")
+  end
+  if total_chunks > 1 then
+    text = string.format("batch %d/%d, %s", chunk_number, total_chunks, text)
+  end
+  require('nvim-ssns.async.spinner').update(spinner_id, "Executing query... (" .. text .. ")")
+
+  local messages = type(event.messages) == "table" and event.messages or {}
+  if #messages > 0 and vim.api.nvim_buf_is_valid(results_bufnr) then
+    local builder = require('nvim-float.content').new()
+    for _, msg in ipairs(messages) do
+      QueryResults.render_message(builder, msg)
+    end
+    vim.api.nvim_buf_set_lines(results_bufnr, -1, -1, false, builder:build_lines())
+  end
+end
+
 ---Execute query in buffer (async with spinner)
 ---@param bufnr number The buffer number
 ---@param visual boolean Whether to execute visual selection
@@ -153,6 +283,9 @@ function QueryExecute.execute_query(bufnr, visual)
     QueryExecute.cancel_query(bufnr)
   end
 
+  -- The rows left in the previous result are not wanted anymore
+  QueryExecute.close_continuations(bufnr)
+
   -- Get SQL to execute and track selection info for history
   local sql
   local selection_start_line = 1 -- 1-based, default to first line (no offset needed)
@@ -300,6 +433,7 @@ function QueryExecute.execute_query(bufnr, visual)
   local function handle_completion(result, last_database, err, execution_time_ms)
     -- Clear task tracking
     active_query_tasks[bufnr] = nil
+    active_rpc_queries[bufnr] = nil
 
     -- Handle cancellation
     if err and (err:match("cancelled") or err:match("Operation cancelled") or err:match("timed out")) then
@@ -349,9 +483,18 @@ function QueryExecute.execute_query(bufnr, visual)
         error_line = error_obj.lineNumber,
       })
 
+      -- A batch that kept running past its errors (SQL Server) still returns what ran:
+      -- show it with the errors among its messages, and mark the error lines
+      if result and Connection.has_partial_results(result) then
+        Connection.shift_statement_ranges(result, selection_start_line - 1)
+        QueryResults.display_results(result, sql, execution_time_ms, bufnr, results_bufnr)
+        QueryExecute.mark_errors(result.errors or { error_obj }, bufnr, selection_start_line)
+        return
+      end
+
       -- Display detailed error with structured information
       -- Pass selection_start_line offset for error line adjustment
-      QueryExecute.display_error(error_obj, sql, bufnr, selection_start_line, results_bufnr)
+      QueryExecute.display_error(error_obj, sql, bufnr, selection_start_line, results_bufnr, result and result.errors)
       return
     end
 
@@ -391,6 +534,9 @@ function QueryExecute.execute_query(bufnr, visual)
       end
     end
 
+    -- Statement ranges are relative to the SQL sent (like error lines): map them into the buffer
+    Connection.shift_statement_ranges(result, selection_start_line - 1)
+
     -- Display results with execution metadata (pass pre-created results buffer)
     QueryResults.display_results(result, sql, execution_time_ms, bufnr, results_bufnr)
   end
@@ -413,12 +559,25 @@ function QueryExecute.execute_query(bufnr, visual)
     active_query_tasks[bufnr] = spinner_id
 
     -- Use truly async path - returns immediately, calls back when done
-    Connection.execute_with_buffer_context_rpc_async(
+    active_rpc_queries[bufnr] = Connection.execute_with_buffer_context_rpc_async(
       server.connection_config,
       sql,
       buffer_db,
       {
         timeout_ms = 300000, -- 5 minutes for long queries
+        query_timeout_ms = require('nvim-ssns.config').get().query.server_timeout_ms, -- Stopped on the server (opt-in)
+        max_rows = require('nvim-ssns.config').get().query.max_rows, -- Truncated, see QueryExecute.fetch_more
+        continuation_idle_ms = require('nvim-ssns.config').get().query.continuation_idle_ms,
+        describe_columns = true, -- Column types are shown in the results
+        session_id = QueryExecute.get_session_id(bufnr),
+        progress_interval_ms = require('nvim-ssns.config').get().async.progress_interval_ms,
+        on_progress = function(event, chunk_number, total_chunks)
+          -- A newer query owns this buffer
+          if active_query_tasks[bufnr] ~= spinner_id then
+            return
+          end
+          show_progress(results_bufnr, spinner_id, event, chunk_number, total_chunks)
+        end,
         on_complete = function(result, last_database, err)
           -- Calculate execution time
           local end_time = vim.loop.hrtime()
@@ -427,6 +586,11 @@ function QueryExecute.execute_query(bufnr, visual)
           -- Stop spinner
           Spinner.stop(spinner_id)
 
+          -- A newer query owns this buffer (this one was cancelled and replaced)
+          if active_query_tasks[bufnr] and active_query_tasks[bufnr] ~= spinner_id then
+            return
+          end
+
           -- Handle completion
           handle_completion(result, last_database, err, execution_time_ms)
         end,
@@ -452,6 +616,11 @@ function QueryExecute.execute_query(bufnr, visual)
         show_runtime = true,
         line = 0,
         timeout_ms = 300000, -- 5 minutes for long queries
+        query_timeout_ms = require('nvim-ssns.config').get().query.server_timeout_ms, -- Stopped on the server (opt-in)
+        max_rows = require('nvim-ssns.config').get().query.max_rows, -- Truncated, see QueryExecute.fetch_more
+        continuation_idle_ms = require('nvim-ssns.config').get().query.continuation_idle_ms,
+        describe_columns = true, -- Column types are shown in the results
+        session_id = QueryExecute.get_session_id(bufnr),
         on_complete = function(result, last_database, err)
           -- Calculate execution time
           local end_time = vim.loop.hrtime()
@@ -501,73 +670,120 @@ function QueryExecute.execute_statement_under_cursor(bufnr)
   local adapter = server:get_adapter()
   local result = adapter:execute(server.connection, sql)
 
-  if not result.success then
-    QueryExecute.display_error(result.error, sql, bufnr)
+  if not result.success and not require('nvim-ssns.connection').has_partial_results(result) then
+    QueryExecute.display_error(result.error, sql, bufnr, cursor_line + 1, nil, result.errors)
     return
   end
 
+  require('nvim-ssns.connection').shift_statement_ranges(result, cursor_line)
   QueryResults.display_results(result, sql, nil, bufnr)
+  if not result.success then
+    QueryExecute.mark_errors(result.errors or { result.error }, bufnr, cursor_line + 1)
+  end
 end
 
----Display query error with structured information
----@param error table Error object { message, code, lineNumber, procName }
----@param sql string The SQL that was executed
----@param query_bufnr number The query buffer number
----@param selection_start_line number? The 1-based line where the selection started (for offset adjustment)
----@param results_bufnr number? Pre-created results buffer to reuse (avoids creating a second buffer)
-function QueryExecute.display_error(error, sql, query_bufnr, selection_start_line, results_bufnr)
-  -- Default to line 1 if not provided (no offset)
-  selection_start_line = selection_start_line or 1
-
-  -- Clean up error message - remove ODBC driver prefix
-  local clean_message = error.message or "Unknown error"
+---Clean up a driver error message - remove the ODBC driver prefix
+---@param message string?
+---@return string
+local function clean_error_message(message)
+  local clean_message = message or "Unknown error"
   -- Pattern: "[Microsoft][ODBC Driver 17 for SQL Server][SQL Server]Actual message"
   local sql_msg = clean_message:match("%[SQL Server%](.+)$")
   if sql_msg then
     clean_message = sql_msg
   end
+  return clean_message
+end
 
-  -- Show error notification
-  local error_msg = clean_message
-  if error.code and error.code ~= vim.NIL then
-    error_msg = string.format("[SQL Error %s] %s", error.code, clean_message)
+---Notify query errors and mark their lines in the query buffer
+---The cursor moves to the first error line (and column, when the driver reports one)
+---@param errors table[] Error objects { message, code, lineNumber, column?, statement?, procName }
+---@param query_bufnr number The query buffer number
+---@param selection_start_line number? The 1-based line where the selection started (for offset adjustment)
+function QueryExecute.mark_errors(errors, query_bufnr, selection_start_line)
+  -- Default to line 1 if not provided (no offset)
+  selection_start_line = selection_start_line or 1
+  if #errors == 0 then
+    return
+  end
+
+  -- Show error notification (first error, with a count of the rest)
+  local first = errors[1]
+  local error_msg = clean_error_message(first.message)
+  if first.code and first.code ~= vim.NIL then
+    error_msg = string.format("[SQL Error %s] %s", first.code, error_msg)
+  end
+  if type(first.statement) == "number" and first.statement > 0 then
+    error_msg = string.format("%s (statement %d; the %d before it succeeded)", error_msg, first.statement + 1, first.statement)
+  end
+  if #errors > 1 then
+    error_msg = string.format("%s (+%d more)", error_msg, #errors - 1)
   end
 
   vim.notify(error_msg, vim.log.levels.ERROR)
 
-  -- Highlight error line in query buffer if lineNumber is available
-  if error.lineNumber and error.lineNumber ~= vim.NIL and query_bufnr and vim.api.nvim_buf_is_valid(query_bufnr) then
-    -- Adjust line number for selection offset
-    -- error.lineNumber is relative to the SQL sent (1-based)
-    -- selection_start_line is the buffer line where selection started (1-based)
-    -- Formula: buffer_line = selection_start_line + error_line - 1
-    local buffer_line = selection_start_line + error.lineNumber - 1
-
-    -- Convert to 0-based for Neovim API
-    local line_num = buffer_line - 1
-    line_num = math.min(math.max(0, line_num), vim.api.nvim_buf_line_count(query_bufnr) - 1)  -- Ensure within buffer range
-    -- Create namespace for error highlighting
-    local ns_id = vim.api.nvim_create_namespace('ssns_sql_error')
-
-    -- Clear previous error highlights
-    vim.api.nvim_buf_clear_namespace(query_bufnr, ns_id, 0, -1)
-
-    -- Highlight the error line
-    vim.api.nvim_buf_add_highlight(query_bufnr, ns_id, 'ErrorMsg', line_num, 0, -1)
-
-    -- Add virtual text with error message (just the clean message, not the full notification)
-    vim.api.nvim_buf_set_extmark(query_bufnr, ns_id, line_num, 0, {
-      virt_text = {{" <- " .. clean_message, "ErrorMsg"}},
-      virt_text_pos = "eol",
-    })
+  if not query_bufnr or not vim.api.nvim_buf_is_valid(query_bufnr) then
+    return
+  end
 
-    -- Move cursor to error line
-    local win = vim.fn.bufwinid(query_bufnr)
-    if win ~= -1 then
-      vim.api.nvim_win_set_cursor(win, {line_num + 1, 0})
+  -- Create namespace for error highlighting
+  local ns_id = vim.api.nvim_create_namespace('ssns_sql_error')
+
+  -- Clear previous error highlights
+  vim.api.nvim_buf_clear_namespace(query_bufnr, ns_id, 0, -1)
+
+  local first_line, first_col = nil, 0
+  for _, error in ipairs(errors) do
+    -- Highlight error line in query buffer if lineNumber is available
+    if error.lineNumber and error.lineNumber ~= vim.NIL then
+      -- Adjust line number for selection offset
+      -- error.lineNumber is relative to the SQL sent (1-based)
+      -- selection_start_line is the buffer line where selection started (1-based)
+      -- Formula: buffer_line = selection_start_line + error_line - 1
+      local buffer_line = selection_start_line + error.lineNumber - 1
+
+      -- Convert to 0-based for Neovim API
+      local line_num = buffer_line - 1
+      line_num = math.min(math.max(0, line_num), vim.api.nvim_buf_line_count(query_bufnr) - 1)  -- Ensure within buffer range
+
+      -- Highlight the error line
+      vim.api.nvim_buf_add_highlight(query_bufnr, ns_id, 'ErrorMsg', line_num, 0, -1)
+
+      -- Add virtual text with error message (just the clean message, not the full notification)
+      vim.api.nvim_buf_set_extmark(query_bufnr, ns_id, line_num, 0, {
+        virt_text = {{" <- " .. clean_error_message(error.message), "ErrorMsg"}},
+        virt_text_pos = "eol",
+      })
+
+      if not first_line then
+        first_line = line_num
+        if type(error.column) == "number" then
+          first_col = error.column - 1
+        end
+      end
     end
   end
 
+  -- Move cursor to error line (set_cursor clamps the column to the line)
+  local win = vim.fn.bufwinid(query_bufnr)
+  if first_line and win ~= -1 then
+    pcall(vim.api.nvim_win_set_cursor, win, {first_line + 1, first_col})
+  end
+end
+
+---Display query error with structured information
+---@param error table Error object { message, code, lineNumber, procName }
+---@param sql string The SQL that was executed
+---@param query_bufnr number The query buffer number
+---@param selection_start_line number? The 1-based line where the selection started (for offset adjustment)
+---@param results_bufnr number? Pre-created results buffer to reuse (avoids creating a second buffer)
+---@param errors table[]? Every error the batch raised (SQL Server can raise several), `error` first
+function QueryExecute.display_error(error, sql, query_bufnr, selection_start_line, results_bufnr, errors)
+  errors = errors or { error }
+
+  -- Show error notification and highlight the error lines
+  QueryExecute.mark_errors(errors, query_bufnr, selection_start_line)
+
   -- Display detailed error in results window
   -- Prefer the pre-created results buffer if provided (avoids creating a duplicate)
   local result_buf = nil
@@ -603,23 +819,34 @@ function QueryExecute.display_error(error, sql, query_bufnr, selection_start_lin
     end
   end
 
-  -- Format error message for results window
+  -- Format error messages for results window
   local lines = {
-    "=== SQL ERROR ===",
-    "",
-    "Message: " .. clean_message,
+    #errors > 1 and string.format("=== SQL ERRORS (%d) ===", #errors) or "=== SQL ERROR ===",
   }
 
-  if error.code and error.code ~= vim.NIL then
-    table.insert(lines, "Error Code: " .. tostring(error.code))
-  end
+  for _, err in ipairs(errors) do
+    table.insert(lines, "")
+    table.insert(lines, "Message: " .. clean_error_message(err.message))
 
-  if error.lineNumber and error.lineNumber ~= vim.NIL then
-    table.insert(lines, "Line Number: " .. tostring(error.lineNumber))
-  end
+    if err.code and err.code ~= vim.NIL then
+      table.insert(lines, "Error Code: " .. tostring(err.code))
+    end
+
+    if err.class and err.class ~= vim.NIL then
+      table.insert(lines, "Severity: " .. tostring(err.class))
+    end
+
+    if err.state and err.state ~= vim.NIL then
+      table.insert(lines, "State: " .. tostring(err.state))
+    end
 
-  if error.procName and error.procName ~= vim.NIL then
-    table.insert(lines, "Procedure: " .. tostring(error.procName))
+    if err.lineNumber and err.lineNumber ~= vim.NIL then
+      table.insert(lines, "Line Number: " .. tostring(err.lineNumber))
+    end
+
+    if err.procName and err.procName ~= vim.NIL then
+      table.insert(lines, "Procedure: " .. tostring(err.procName))
+    end
   end
 
   table.insert(lines, "")
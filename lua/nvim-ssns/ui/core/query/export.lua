@@ -1379,14 +1379,11 @@ end
 local TYPE_CATEGORY_MAP = {
   -- Integer types
   int = "integer",
+  integer = "integer",
   bigint = "integer",
   smallint = "integer",
+  mediumint = "integer",
   tinyint = "integer",
-  long = "integer",
-  short = "integer",
-  tiny = "integer",
-  longlong = "integer",
-  int24 = "integer",
 
   -- Decimal types
   decimal = "decimal",
@@ -1394,7 +1391,6 @@ local TYPE_CATEGORY_MAP = {
   float = "decimal",
   real = "decimal",
   double = "decimal",
-  newdecimal = "decimal",
 
   -- Money types (SQL Server specific)
   money = "money",
@@ -1407,7 +1403,9 @@ local TYPE_CATEGORY_MAP = {
   datetime = "datetime",
   datetime2 = "datetime",
   smalldatetime = "datetime",
+  datetimeoffset = "datetime",
   timestamp = "datetime",
+  timestamptz = "datetime",
 
   -- Time types
   time = "time",
@@ -1443,19 +1441,23 @@ local function matches_pattern(name, pattern)
 end
 
 ---Get style category from SQL type string
+---Types not in TYPE_CATEGORY_MAP (domains, SQLite declared types) fall back
+---to the column's portable category for numbers
 ---@param sql_type string? The SQL type from column metadata
+---@param portable_category string? The column's portable category (integer, decimal, ...)
 ---@return string? category The style category or nil
-local function get_type_category(sql_type)
-  if not sql_type then
-    return nil
+local function get_type_category(sql_type, portable_category)
+  if sql_type then
+    -- Normalize type string (lowercase, strip size info)
+    local normalized = sql_type:lower():match("^(%w+)")
+    if normalized and TYPE_CATEGORY_MAP[normalized] then
+      return TYPE_CATEGORY_MAP[normalized]
+    end
   end
 
-  -- Normalize type string (lowercase, strip size info)
-  local normalized = sql_type:lower():match("^(%w+)")
-  if normalized then
-    return TYPE_CATEGORY_MAP[normalized]
+  if portable_category == "integer" or portable_category == "decimal" then
+    return portable_category
   end
-
   return nil
 end
 
@@ -1587,7 +1589,7 @@ local function build_column_type_map(resultSet)
   if columns_metadata and type(columns_metadata) == "table" then
     for col_name, col_info in pairs(columns_metadata) do
       if col_name ~= vim.NIL and col_info and col_info.type then
-        local category = get_type_category(col_info.type)
+        local category = get_type_category(col_info.type, col_info.category)
         if category then
           type_map[col_name] = category
         end
@@ -1598,6 +1600,25 @@ local function build_column_type_map(resultSet)
   return type_map
 end
 
+---Numeric categories whose values arrive as strings (exact decimals, large integers)
+local NUMERIC_CATEGORIES = { integer = true, decimal = true, money = true }
+
+---Convert a numeric string to a number for spreadsheet cells
+---Integers beyond 2^53 stay text so no digits are lost
+---@param value any Cell value
+---@param category string? Column type category
+---@return any value
+local function to_cell_value(value, category)
+  if type(value) ~= "string" or not NUMERIC_CATEGORIES[category] then
+    return value
+  end
+  local number = tonumber(value)
+  if not number or (category == "integer" and math.abs(number) > 2 ^ 53) then
+    return value
+  end
+  return number
+end
+
 ---Get ordered column names from a result set
 ---@param resultSet table The result set with columns metadata
 ---@return string[] columns Ordered column names
@@ -1915,7 +1936,7 @@ function QueryExport.results_to_xlsx(resultSets, result_set_index, opts)
       local excel_row = data_start_row + row_idx - 1
 
       for col_idx, col_name in ipairs(columns) do
-        local value = row[col_name]
+        local value = to_cell_value(row[col_name], column_type_map[col_name])
         local is_null = (value == nil or value == vim.NIL)
 
         if is_null then
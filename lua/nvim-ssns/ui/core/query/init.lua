@@ -700,6 +700,10 @@ UiQuery.execute_statement_under_cursor = function(bufnr)
   QueryExecute.execute_statement_under_cursor(bufnr)
 end
 
+UiQuery.fetch_more = function(bufnr, count)
+  QueryExecute.fetch_more(bufnr, count)
+end
+
 UiQuery.display_error = function(error, sql, query_bufnr, selection_start_line)
   QueryExecute.display_error(error, sql, query_bufnr, selection_start_line)
 end
@@ -8,6 +8,30 @@ local KeymapManager = require('nvim-ssns.keymap_manager')
 ---@type UiQuery
 local UiQuery
 
+---Highlight styles of server message severities (others are muted)
+local MESSAGE_STYLES = { warning = "warning", error = "error" }
+
+---Render a server message: { message, severity, code } from the drivers, or plain text
+---Notices, warnings and errors are labelled with their severity and code
+---@param builder ContentBuilder
+---@param msg table|string
+function QueryResults.render_message(builder, msg)
+  if type(msg) ~= "table" then
+    builder:styled("  " .. tostring(msg), "muted")
+    return
+  end
+
+  local text = tostring(msg.message)
+  local severity = msg.severity ~= vim.NIL and msg.severity or "info"
+  if severity ~= "info" then
+    local code = msg.code ~= nil and msg.code ~= vim.NIL and (" " .. tostring(msg.code)) or ""
+    text = string.format("%s%s: %s", severity:upper(), code, text)
+  end
+  for _, line in ipairs(vim.split(text, "\n", { plain = true })) do
+    builder:styled("  " .. line, MESSAGE_STYLES[severity] or "muted")
+  end
+end
+
 ---Parse divider format string and generate lines
 ---@param format string Divider format (e.g., "20#", "10-\n10-", "5-(%row_count% rows)5-", "%fit%=", "%fit_results%-")
 ---@param metadata table Metadata for variable replacement (row_count, col_count, result_set_num, total_result_sets, run_time, total_time, chunk_number, batch_number, date, time, result_width)
@@ -385,6 +409,7 @@ end
 ---@return ContentBuilder builder ContentBuilder with all styled content
 ---@return table[] result_set_ranges Array of {start_line, end_line, index} for cursor-based result set detection
 ---@return table<number, ResultCellMap> cell_maps Map of result set index to cell map for visual selection
+---@return table[] statement_ranges Array of {start_line, end_line, statement} mapping output lines to metadata.statements
 function QueryResults.format_results_styled(resultSets, sql, execution_time_ms, query_metadata)
   local ContentBuilder = require('nvim-float.content')
   local Config = require('nvim-ssns.config')
@@ -404,6 +429,70 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     return builder, result_set_ranges
   end
 
+  -- Per-statement outcomes (metadata.statements): messages and row counts are
+  -- shown where each statement ran, around the result sets it produced
+  local statements = query_metadata and query_metadata.statements
+  if type(statements) ~= "table" or #statements == 0 then
+    statements = nil
+  end
+  local statement_ranges = {}
+  local statement_of_result_set = {}
+  local last_result_set_of = {}
+  local next_statement = 1
+  for index, statement in ipairs(statements or {}) do
+    for _, rs_index in ipairs(type(statement.resultSets) == "table" and statement.resultSets or {}) do
+      -- Result set indexes are 0-based
+      statement_of_result_set[rs_index + 1] = index
+      last_result_set_of[index] = rs_index + 1
+    end
+  end
+
+  ---Render a statement's messages and/or row count, tracking its lines
+  ---@param index number Statement index
+  ---@param with_messages boolean
+  ---@param with_count boolean
+  ---@param blank_before boolean? Separate from the preceding output with a blank line
+  ---@return boolean shown Whether anything was rendered
+  local function render_statement(index, with_messages, with_count, blank_before)
+    local statement = statements[index]
+    local messages = with_messages and type(statement.messages) == "table" and statement.messages or {}
+    local count = with_count and type(statement.rowsAffected) == "number" and statement.rowsAffected or nil
+    if #messages == 0 and not count then
+      return false
+    end
+
+    if blank_before then
+      builder:blank()
+    end
+    local start_line = builder:line_count() + 1
+    for _, msg in ipairs(messages) do
+      QueryResults.render_message(builder, msg)
+    end
+    if count then
+      builder:result_message(string.format("(%d %s affected)", count, count == 1 and "row" or "rows"))
+    end
+    table.insert(statement_ranges, { start_line = start_line, end_line = builder:line_count(), statement = index })
+    return true
+  end
+
+  ---Render the statements before `before` that have not been rendered yet
+  ---@param before number Statement index to stop at
+  ---@param blank_before boolean Put the separating blank line before each statement instead of after
+  ---@return boolean shown Whether anything was rendered
+  local function render_statements_until(before, blank_before)
+    local shown = false
+    while next_statement < before do
+      if render_statement(next_statement, true, true, blank_before) then
+        shown = true
+        if not blank_before then
+          builder:blank()
+        end
+      end
+      next_statement = next_statement + 1
+    end
+    return shown
+  end
+
   -- Check if empty (no result sets) - show rowsAffected messages
   if #resultSets == 0 then
     local showed_message = false
@@ -411,13 +500,15 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     -- Show PRINT/RAISERROR messages (trailing messages when no result sets)
     if query_metadata and query_metadata.messages and #query_metadata.messages > 0 then
       for _, msg in ipairs(query_metadata.messages) do
-        builder:styled("  " .. msg, "muted")
+        QueryResults.render_message(builder, msg)
         showed_message = true
       end
       builder:blank()
     end
 
-    if query_metadata and query_metadata.rowsAffected then
+    if statements then
+      showed_message = render_statements_until(#statements + 1, false) or showed_message
+    elseif query_metadata and query_metadata.rowsAffected then
       local rows_affected = query_metadata.rowsAffected
 
       -- Show EACH affected count on its own line
@@ -459,7 +550,7 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
       builder:styled(string.format("Total execution time: %s", time_str), "muted")
     end
 
-    return builder, result_set_ranges
+    return builder, result_set_ranges, cell_maps, statement_ranges
   end
 
   -- Process each result set
@@ -569,10 +660,21 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
       builder:blank()
     end
 
-    -- Render SQL Server PRINT/RAISERROR messages that arrived before this result set
-    if resultSet.messages and #resultSet.messages > 0 then
+    -- Render the output of statements that ran before this result set's
+    -- statement, then that statement's own messages
+    local owner = statement_of_result_set[i]
+    if owner then
+      render_statements_until(owner, false)
+      if next_statement == owner then
+        if render_statement(owner, true, false) then
+          builder:blank()
+        end
+        next_statement = owner + 1
+      end
+    elseif resultSet.messages and #resultSet.messages > 0 then
+      -- Render SQL Server PRINT/RAISERROR messages that arrived before this result set
       for _, msg in ipairs(resultSet.messages) do
-        builder:styled("  " .. msg, "muted")
+        QueryResults.render_message(builder, msg)
       end
       builder:blank()
     end
@@ -633,11 +735,22 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     local end_line = builder:line_count()
     table.insert(result_set_ranges, { start_line = start_line, end_line = end_line, index = i })
 
+    if owner then
+      table.insert(statement_ranges, { start_line = start_line, end_line = end_line, statement = owner })
+      -- Row count of a statement that returned rows (INSERT ... RETURNING) follows its last result set
+      if last_result_set_of[owner] == i then
+        render_statement(owner, false, true, true)
+      end
+    end
+
     ::continue_result_set::
   end
 
-  -- After result sets, show rowsAffected for non-SELECT statements
-  if query_metadata and query_metadata.rowsAffected then
+  if statements then
+    -- Statements after the last result set
+    render_statements_until(#statements + 1, true)
+  elseif query_metadata and query_metadata.rowsAffected then
+    -- After result sets, show rowsAffected for non-SELECT statements
     local rows_affected = query_metadata.rowsAffected
     local num_result_sets = #resultSets
 
@@ -665,7 +778,7 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
   if query_metadata and query_metadata.messages and #query_metadata.messages > 0 then
     builder:blank()
     for _, msg in ipairs(query_metadata.messages) do
-      builder:styled("  " .. msg, "muted")
+      QueryResults.render_message(builder, msg)
     end
   end
 
@@ -675,7 +788,7 @@ function QueryResults.format_results_styled(resultSets, sql, execution_time_ms,
     builder:styled(string.format("Total execution time: %s", total_time), "muted")
   end
 
-  return builder, result_set_ranges, cell_maps
+  return builder, result_set_ranges, cell_maps, statement_ranges
 end
 
 ---Display query results
@@ -696,6 +809,11 @@ function QueryResults.display_results(result, sql, execution_time_ms, query_bufn
     sql = sql,
     execution_time_ms = execution_time_ms,
     metadata = result.metadata,
+    success = result.success,
+    error = result.error,
+    errors = result.errors,
+    -- Truncated executions whose rows :SSNSFetchMore gets (see Connection.merge_page)
+    continuations = result.continuations,
   }
 
   -- Use pre-created results buffer if provided, otherwise find/create one
@@ -744,12 +862,19 @@ function QueryResults.display_results(result, sql, execution_time_ms, query_bufn
   pcall(vim.api.nvim_buf_set_var, result_buf, 'ssns_query_bufnr', query_bufnr)
 
   -- Format results with styled ContentBuilder (also returns line ranges and cell maps)
-  local builder, result_set_ranges, cell_maps = QueryResults.format_results_styled(result.resultSets, sql, execution_time_ms, result.metadata)
+  local builder, result_set_ranges, cell_maps, statement_ranges = QueryResults.format_results_styled(result.resultSets, sql, execution_time_ms, result.metadata)
+
+  if result.continuations and #result.continuations > 0 then
+    builder:blank()
+    builder:styled("More rows available - :SSNSFetchMore [count] shows the next rows", "warning")
+  end
 
   -- Store result set ranges for cursor-based export
   UiQuery.buffer_results[query_bufnr].result_set_ranges = result_set_ranges
   -- Store cell maps for visual selection support
   UiQuery.buffer_results[query_bufnr].cell_maps = cell_maps
+  -- Store statement output lines for jumping to the statement in the query buffer
+  UiQuery.buffer_results[query_bufnr].statement_ranges = statement_ranges
 
   -- Create namespace for result highlights
   local ns_id = vim.api.nvim_create_namespace("ssns_results")
@@ -884,7 +1009,7 @@ function QueryResults.toggle_results(query_bufnr)
     vim.api.nvim_buf_set_var(result_buf, 'ssns_query_bufnr', query_bufnr)
 
     -- Re-format and populate with styled results
-    local builder, result_set_ranges, cell_maps = QueryResults.format_results_styled(
+    local builder, result_set_ranges, cell_maps, statement_ranges = QueryResults.format_results_styled(
       stored.resultSets,
       stored.sql,
       stored.execution_time_ms,
@@ -894,6 +1019,7 @@ function QueryResults.toggle_results(query_bufnr)
     -- Update stored ranges and cell maps in case they weren't saved before
     stored.result_set_ranges = result_set_ranges
     stored.cell_maps = cell_maps
+    stored.statement_ranges = statement_ranges
 
     -- Create namespace and render styled content
     local ns_id = vim.api.nvim_create_namespace("ssns_results")
@@ -944,6 +1070,44 @@ function QueryResults.toggle_results(query_bufnr)
   end
 end
 
+---Jump from the statement output under cursor to its statement in the query buffer
+function QueryResults.goto_statement()
+  local result_buf = vim.api.nvim_get_current_buf()
+  local ok, query_bufnr = pcall(vim.api.nvim_buf_get_var, result_buf, 'ssns_query_bufnr')
+  local stored = ok and UiQuery.buffer_results[query_bufnr]
+  if not stored or not stored.statement_ranges then
+    return
+  end
+
+  local cursor_line = vim.api.nvim_win_get_cursor(0)[1]
+  local statement_index = nil
+  for _, entry in ipairs(stored.statement_ranges) do
+    if cursor_line >= entry.start_line and cursor_line <= entry.end_line then
+      statement_index = entry.statement
+      break
+    end
+  end
+  if not statement_index then
+    return
+  end
+
+  local statements = stored.metadata and stored.metadata.statements or {}
+  local statement = statements[statement_index]
+  local range = statement and statement.range
+  if type(range) ~= "table" then
+    vim.notify("SSNS: Statement location not available for this database", vim.log.levels.WARN)
+    return
+  end
+
+  local query_win = vim.fn.bufwinid(query_bufnr)
+  if query_win == -1 then
+    vim.notify("SSNS: Query buffer is not visible", vim.log.levels.WARN)
+    return
+  end
+  vim.api.nvim_set_current_win(query_win)
+  pcall(vim.api.nvim_win_set_cursor, query_win, { range.startLine, range.startColumn - 1 })
+end
+
 ---Show controls popup for results buffer
 function QueryResults.show_results_controls()
   local UiFloat = require('nvim-float.window')
@@ -960,6 +1124,7 @@ function QueryResults.show_results_controls()
         { key = km.export_all_csv or "A-E", desc = "Export ALL result sets" },
         { key = km.yank_csv or "A-y", desc = "Yank cursor result set" },
         { key = km.yank_all_csv or "A-Y", desc = "Yank ALL result sets" },
+        { key = km.goto_statement or "gs", desc = "Go to statement in query buffer" },
       },
     },
     {
@@ -1031,6 +1196,11 @@ function QueryResults.setup_results_keymaps(result_buf)
       QueryExport.yank_all_results_as_csv()
     end, desc = "Yank ALL result sets as CSV" },
 
+    -- Jump to the statement that produced the output under cursor
+    { mode = "n", lhs = km.goto_statement or "gs", rhs = function()
+      QueryResults.goto_statement()
+    end, desc = "Go to statement in query buffer" },
+
     -- Show controls
     { mode = "n", lhs = "?", rhs = function()
       QueryResults.show_results_controls()
@@ -45,6 +45,15 @@ local AUTH_TYPES = {
   },
 }
 
+-- Where the password of username/password authentication comes from (see
+-- CredentialSpec); the connections file only holds the reference
+local PASSWORD_SOURCES = {
+  { id = "prompt", label = "Ask when connecting" },
+  { id = "file", label = "Encrypted secrets file", field = "name", input = "SECRET NAME" },
+  { id = "env", label = "Environment variable", field = "variable", input = "VARIABLE" },
+  { id = "command", label = "Command output", field = "command", input = "COMMAND" },
+}
+
 -- Default ports
 local DEFAULT_PORTS = {
   sqlserver = 1433,
@@ -96,7 +105,50 @@ local function format_server_path(connection)
   return path
 end
 
+---Get a password source by id
+---@param id string? Source id
+---@return table source Entry of PASSWORD_SOURCES (the first one for unknown ids)
+local function get_password_source(id)
+  for _, source in ipairs(PASSWORD_SOURCES) do
+    if source.id == id then
+      return source
+    end
+  end
+  return PASSWORD_SOURCES[1]
+end
+
+---Check whether a connection keeps its password in the connections file
+---@param connection ConnectionData
+---@return boolean
+local function has_plaintext_password(connection)
+  return connection.auth ~= nil and connection.auth.password ~= nil and connection.auth.password ~= ""
+end
+
+---Build the credential provider reference from form state
+---Settings the form doesn't show (path, message, ttl_ms) are kept while the provider is unchanged
+---@param form_state table Form state from UI inputs
+---@return CredentialSpec credential
+local function build_credential(form_state)
+  local source = get_password_source(form_state.password_source)
+  local previous = form_state.credential
+  local credential = previous and previous.provider == source.id and vim.deepcopy(previous) or {}
+  credential.provider = source.id
+
+  if source.field then
+    local value = form_state.credential_value or ""
+    -- An argv list shown joined stays a list unless it was edited
+    local unchanged_list = type(credential.command) == "table" and table.concat(credential.command, " ") == value
+    if not (source.field == "command" and unchanged_list) then
+      credential[source.field] = value
+    end
+  end
+  return credential
+end
+
 ---Build a ConnectionData object from form state
+---The password never goes into it: username/password authentication saves a
+---credential provider reference (a password typed for the "file" source is
+---stored in the encrypted secrets file by save_connection())
 ---@param form_state table Form state from UI inputs
 ---@return ConnectionData connection Complete connection data object
 local function build_connection_data(form_state)
@@ -120,13 +172,16 @@ local function build_connection_data(form_state)
     auth = {
       type = form_state.auth_type,
       username = form_state.username,
-      password = form_state.password,
     },
     options = {},
     favorite = form_state.favorite,
     auto_connect = form_state.auto_connect,
   }
 
+  if form_state.auth_type == "sql" then
+    connection.auth.credential = build_credential(form_state)
+  end
+
   -- Add ODBC driver for SQL Server Windows auth
   if form_state.db_type == "sqlserver" and form_state.auth_type == "windows" then
     local odbc_driver = form_state.odbc_driver
@@ -147,6 +202,21 @@ end
 ---@return table form_state Form state with all fields
 local function form_state_from_connection(connection)
   local server_path = format_server_path(connection)
+  local credential = connection.auth and connection.auth.credential or nil
+
+  -- A plain-text password is moved to the encrypted secrets file on save
+  local password_source = "prompt"
+  local credential_value = ""
+  local plaintext = has_plaintext_password(connection)
+  if plaintext then
+    password_source = "file"
+    credential_value = connection.name or ""
+  elseif credential then
+    local source = get_password_source(credential.provider)
+    password_source = source.id
+    local value = source.field and credential[source.field] or ""
+    credential_value = type(value) == "table" and table.concat(value, " ") or tostring(value)
+  end
 
   return {
     name = connection.name or "",
@@ -156,7 +226,11 @@ local function form_state_from_connection(connection)
     port = connection.server and connection.server.port,
     auth_type = connection.auth and connection.auth.type or "windows",
     username = connection.auth and connection.auth.username or "",
-    password = connection.auth and connection.auth.password or "",
+    password = plaintext and connection.auth.password or "",
+    plaintext_password = plaintext,
+    credential = credential,
+    password_source = password_source,
+    credential_value = credential_value,
     odbc_driver = connection.options and connection.options.odbc_driver or "",
     favorite = connection.favorite or false,
     auto_connect = connection.auto_connect or false,
@@ -398,6 +472,9 @@ function AddServerUI._show_connection_list_internal()
       if in_tree then
         table.insert(spans, { text = " [active]", style = "success" })
       end
+      if has_plaintext_password(conn) then
+        table.insert(spans, { text = " [plain-text password]", style = "warning" })
+      end
 
       cb:spans(spans)
     end
@@ -637,6 +714,8 @@ function AddServerUI.show_new_connection_form(edit_connection)
       auth_type = "windows",
       username = "",
       password = "",
+      password_source = "prompt",
+      credential_value = "",
       odbc_driver = "",
       favorite = false,
       auto_connect = false,
@@ -758,7 +837,7 @@ function AddServerUI.show_new_connection_form_with_state(form_state, edit_connec
       end,
     })
 
-    -- Username/Password (embedded inputs, conditional)
+    -- Username and where the password comes from (embedded inputs, conditional)
     if needs_auth_creds then
       cb:embedded_input("username", {
         label = "     USERNAME       ",
@@ -766,12 +845,48 @@ function AddServerUI.show_new_connection_form_with_state(form_state, edit_connec
         placeholder = "(required)",
         width = 20,
       })
-      cb:embedded_input("password", {
-        label = "     PASSWORD       ",
-        value = form_state.password,
-        placeholder = "(required)",
-        width = 20,
+
+      local source = get_password_source(form_state.password_source)
+      local source_options = {}
+      for _, option in ipairs(PASSWORD_SOURCES) do
+        table.insert(source_options, { value = option.id, label = option.label })
+      end
+      cb:embedded_dropdown("password_source", {
+        label = "  PASSWORD FROM ",
+        options = source_options,
+        selected = source.id,
+        width = 26,
+        on_change = function(key, value)
+          AddServerUI._sync_inputs_to_form_state(form_state)
+          form_state.password_source = value
+          form_state.credential_value = ""
+          if value == "file" then
+            form_state.credential_value = form_state.name
+          end
+          AddServerUI.show_new_connection_form_with_state(form_state, edit_connection)
+        end,
       })
+
+      if source.input then
+        cb:embedded_input("credential_value", {
+          label = string.format("     %-15s", source.input),
+          value = form_state.credential_value,
+          placeholder = "(required)",
+          width = 20,
+        })
+      end
+      -- Typed only to be stored in the secrets file, see save_connection()
+      if source.id == "file" then
+        cb:embedded_input("password", {
+          label = "     PASSWORD       ",
+          value = form_state.password,
+          placeholder = "(keep stored secret)",
+          width = 20,
+        })
+      end
+      if form_state.plaintext_password then
+        cb:styled("  Password is stored in plain text: saving moves it to the secrets file", "warning")
+      end
     end
     cb:blank()
   end
@@ -898,6 +1013,8 @@ function AddServerUI._sync_inputs_to_form_state(form_state)
   if values.database then form_state.database = values.database end
   if values.username then form_state.username = values.username end
   if values.password then form_state.password = values.password end
+  if values.credential_value then form_state.credential_value = values.credential_value end
+  if values.password_source then form_state.password_source = values.password_source end
   if values.db_type then form_state.db_type = values.db_type end
   if values.auth_type then form_state.auth_type = values.auth_type end
   if values.port then
@@ -923,6 +1040,22 @@ function AddServerUI.save_connection(form_state, edit_connection)
 
   -- Build structured connection data
   local connection = build_connection_data(form_state)
+  local credential = connection.auth.credential
+  local source = credential and get_password_source(credential.provider)
+  if source and source.field and (credential[source.field] == nil or credential[source.field] == "") then
+    vim.notify(string.format("%s%s is required", source.input:sub(1, 1), source.input:sub(2):lower()), vim.log.levels.ERROR)
+    return
+  end
+
+  -- A typed password goes to the encrypted secrets file, never the connections file
+  if credential and credential.provider == "file" and form_state.password and form_state.password ~= "" then
+    local ok, result = pcall(vim.fn.SSNSStoreSecret, { credential.name, form_state.password, credential.path })
+    if not (ok and type(result) == "table" and result.success) then
+      local message = ok and type(result) == "table" and result.message or tostring(result)
+      vim.notify("Failed to store the password: " .. message, vim.log.levels.ERROR)
+      return
+    end
+  end
 
   -- Common post-save handler
   local function on_save_success()
@@ -956,6 +1089,7 @@ function AddServerUI.save_connection(form_state, edit_connection)
     Connections.update_async(edit_connection.name, connection, function(success, err)
       if success then
         vim.notify(string.format("Updated '%s'", connection.name), vim.log.levels.INFO)
+        AddServerUI.apply_edit(edit_connection, connection)
         on_save_success()
       elseif err then
         vim.notify(string.format("Failed to update: %s", err), vim.log.levels.ERROR)
@@ -974,6 +1108,31 @@ function AddServerUI.save_connection(form_state, edit_connection)
   end
 end
 
+---Make an edited connection take effect in the running session
+---Open servers switch to the new config (same database type only); Node.js
+---replaces their drivers once running queries and open transactions finish
+---@param old_connection ConnectionData Connection before the edit
+---@param connection ConnectionData Connection after the edit
+function AddServerUI.apply_edit(old_connection, connection)
+  local result = require('nvim-ssns.connection').reconfigure(old_connection, connection)
+  if not result.success then
+    vim.notify(string.format("Saved, but reconnect to apply the changes: %s", result.message or "unknown error"),
+      vim.log.levels.WARN)
+    return
+  end
+
+  local server = Cache.find_server(old_connection.name)
+  if server and server.connection_config and server.connection_config.type == connection.type then
+    server.connection_config = connection
+  end
+
+  local open_transactions = result.openTransactions or {}
+  if #open_transactions > 0 then
+    vim.notify(string.format("%d open transaction(s) keep the old connection until committed or rolled back",
+      #open_transactions), vim.log.levels.WARN)
+  end
+end
+
 ---Test the connection
 ---@param form_state table Current form values
 function AddServerUI.test_connection(form_state)
@@ -987,6 +1146,12 @@ function AddServerUI.test_connection(form_state)
   -- Build structured connection data
   local connection = build_connection_data(form_state)
 
+  -- Test a typed password before it is stored
+  if connection.auth.credential and form_state.password and form_state.password ~= "" then
+    connection.auth.credential = nil
+    connection.auth.password = form_state.password
+  end
+
   -- Create a temporary server to test the connection
   local Factory = require('nvim-ssns.factory')
   local test_name = "_test_" .. os.time()
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const ResultStream = require('./drivers/stream');
+const { log } = require('./ssns-log');
+
+/**
+ * Row caps with continuation handles
+ *
+ * An execution with a row cap runs in streaming mode (see ResultStream) with
+ * a sink that collects rows into pages instead of sending them to Lua. Once a
+ * page is full and another row arrives, the sink stops returning: the driver
+ * stays paused with its server cursor or stream open (pg cursor, paused
+ * mysql2/tedious socket, msnodesqlv8 query, sql.js statement) and the page is
+ * returned marked `truncated`, with a continuation handle. fetchMore() lets
+ * the next page through; close() cancels the execution.
+ *
+ * A handle left idle expires: its execution is cancelled and the connection
+ * goes back to the pool. Pages only hold the rows sent to Lua; Postgres
+ * scripts of several statements (which cannot use a cursor) are still read
+ * whole by the driver.
+ */
+
+// How long a truncated execution waits for fetchMore() before it is cancelled
+const DEFAULT_IDLE_MS = 5 * 60 * 1000;
+
+// Rows per stream batch (capped at the page size)
+const BATCH_SIZE = 500;
+
+// Error code of fetches from unknown, expired or closed handles
+const UNKNOWN_CONTINUATION = 'ECONTINUATION';
+
+// Open continuations - handle -> Continuation
+const continuations = new Map();
+
+class Continuation {
+  /**
+   * @param {Object} options
+   * @param {Object} options.driver - Driver running the execution
+   * @param {string} options.executionId - Execution ID (cancelled on close)
+   * @param {string|null} options.sessionId - Session the execution runs on
+   * @param {number} options.idleMs - Idle time before the handle expires
+   */
+  constructor({ driver, executionId, sessionId, idleMs }) {
+    this.id = `cont_${crypto.randomBytes(8).toString('hex')}`;
+    this.driver = driver;
+    this.executionId = executionId;
+    this.sessionId = sessionId;
+    this.idleMs = idleMs;
+    this.startTime = Date.now();
+
+    this.columns = [];    // Columns of each result set, by index
+    this.page = null;     // Page being filled: { limit, rowCount, resultSets: Map(index -> set) }
+    this.request = null;  // { resolve, reject } of the request waiting for the page
+    this.release = null;  // Lets a sink blocked on a full page go on
+    this.execution = null;
+    this.idleTimer = null;
+    this.done = false;
+    this.closed = false;
+  }
+
+  /**
+   * ResultStream sink: add rows to the page, blocking once it is full
+   * @param {Object} event - Stream event (see ResultStream)
+   */
+  async receive(event) {
+    if (this.closed) return;
+
+    if (event.type === 'columns') {
+      this.columns[event.resultSetIndex] = event.columns;
+      this.pageResultSet(event.resultSetIndex);
+      return;
+    }
+    if (event.type !== 'rows') return;
+
+    let rows = event.rows;
+    while (rows.length > 0 && !this.closed) {
+      if (this.page.rowCount >= this.page.limit) {
+        // A row past the cap: hand the page over and hold the driver until the next fetch
+        this.deliver(true);
+        await new Promise(resolve => { this.release = resolve; });
+        this.release = null;
+        continue;
+      }
+
+      const taken = rows.slice(0, this.page.limit - this.page.rowCount);
+      rows = rows.slice(taken.length);
+      const set = this.pageResultSet(event.resultSetIndex);
+      taken.forEach(row => set.rows.push(row));
+      this.page.rowCount += taken.length;
+    }
+  }
+
+  /**
+   * Get (or start) a result set of the page being filled
+   * @param {number} index - Result set index in the execution
+   * @returns {{resultSetIndex: number, columns: Object, rows: Array}}
+   */
+  pageResultSet(index) {
+    let set = this.page.resultSets.get(index);
+    if (!set) {
+      set = { resultSetIndex: index, columns: this.columns[index] || {}, rows: [] };
+      this.page.resultSets.set(index, set);
+    }
+    return set;
+  }
+
+  /**
+   * Start filling the next page, letting a blocked sink go on
+   * @param {number} limit - Rows in the page
+   * @returns {Promise<Object>} The page (see buildPage())
+   */
+  nextPage(limit) {
+    this.stopIdleTimer();
+    this.page = { limit, rowCount: 0, resultSets: new Map() };
+    const promise = new Promise((resolve, reject) => {
+      this.request = { resolve, reject };
+    });
+    if (this.release) {
+      this.release();
+    }
+    return promise;
+  }
+
+  /**
+   * Answer the waiting request with the page
+   * @param {boolean} truncated - More rows are waiting
+   * @param {Object} [result] - The driver's result, once the execution has finished
+   */
+  deliver(truncated, result = null) {
+    const request = this.request;
+    this.request = null;
+    if (truncated) {
+      this.startIdleTimer();
+    }
+    if (request) {
+      request.resolve(this.buildPage(truncated, result));
+    }
+  }
+
+  /**
+   * Build the page returned to Lua
+   *
+   * Its result sets are the ones that got rows (or started) in this page,
+   * each with its resultSetIndex in the execution. The last page carries the
+   * driver's result (metadata, error); a truncated page only the elapsed time.
+   *
+   * @param {boolean} truncated - More rows are waiting
+   * @param {Object|null} result - The driver's result (last page)
+   * @returns {Object} Result object, plus `truncated` and `continuation`
+   */
+  buildPage(truncated, result) {
+    const resultSets = Array.from(this.page.resultSets.values()).map(set => {
+      // Keep what the driver attached to the result set, but not its streaming summary
+      const finished = result && result.resultSets ? result.resultSets[set.resultSetIndex] : null;
+      const { rows, rowCount, streamed, ...summary } = finished || {};
+      return Object.assign(summary, set, { rowCount: set.rows.length });
+    });
+
+    if (truncated) {
+      return {
+        resultSets,
+        metadata: { executionTime: Date.now() - this.startTime, rowsAffected: [] },
+        error: null,
+        truncated: true,
+        continuation: this.id
+      };
+    }
+    return Object.assign({}, result, { resultSets, truncated: false, continuation: null });
+  }
+
+  /**
+   * Record the end of the execution and send the last page
+   * @param {Object|null} result - The driver's result
+   * @param {Error} [err] - Error thrown by the execution
+   */
+  finish(result, err = null) {
+    this.done = true;
+    this.stopIdleTimer();
+    continuations.delete(this.id);
+
+    if (err) {
+      const request = this.request;
+      this.request = null;
+      if (request) request.reject(err);
+      return;
+    }
+    this.deliver(false, result);
+  }
+
+  /**
+   * Cancel the execution and wait for it to end
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed || this.done) return;
+    this.closed = true;
+    this.stopIdleTimer();
+    continuations.delete(this.id);
+
+    // cancel() marks the execution cancelled before the sink lets the driver go on
+    const cancelling = this.driver.cancel(this.executionId).catch(err => {
+      log.warn(`[Continuations] Failed to cancel ${this.id}: ${err.message}`);
+    });
+    if (this.release) {
+      this.release();
+    }
+    await cancelling;
+    await this.execution;
+  }
+
+  startIdleTimer() {
+    this.stopIdleTimer();
+    if (this.idleMs > 0) {
+      this.idleTimer = setTimeout(() => {
+        log.info(`[Continuations] ${this.id} idle for ${this.idleMs} ms, closing it`);
+        this.close().catch(() => {});
+      }, this.idleMs);
+      this.idleTimer.unref();
+    }
+  }
+
+  stopIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+/**
+ * Run an execution with a row cap
+ *
+ * @param {Function} run - Starts the execution: (stream) => Promise<result>, the
+ *   stream to pass to the driver as options.stream
+ * @param {Object} options
+ * @param {Object} options.driver - Driver running it
+ * @param {string} options.executionId - Its execution ID
+ * @param {string|null} [options.sessionId] - Session it runs on
+ * @param {number} options.maxRows - Rows in the first page
+ * @param {number} [options.idleMs] - Idle time before the handle expires
+ * @param {ExecutionProgress} [options.progress] - Counts the rows read (see progress.js)
+ * @returns {Promise<Object>} First page: the whole result when it fits, otherwise
+ *   the first maxRows rows with `truncated: true` and a `continuation` handle
+ */
+function runCapped(run, { driver, executionId, sessionId = null, maxRows, idleMs = DEFAULT_IDLE_MS, progress = null }) {
+  const continuation = new Continuation({ driver, executionId, sessionId, idleMs });
+  continuations.set(continuation.id, continuation);
+
+  const sink = event => continuation.receive(event);
+  const stream = new ResultStream(progress ? progress.track(sink) : sink, {
+    batchSize: Math.min(BATCH_SIZE, maxRows)
+  });
+  const firstPage = continuation.nextPage(maxRows);
+  continuation.execution = Promise.resolve()
+    .then(() => run(stream))
+    .then(result => continuation.finish(result), err => continuation.finish(null, err));
+  return firstPage;
+}
+
+/**
+ * Get the next page of a truncated execution
+ * @param {string} id - Continuation handle
+ * @param {number} count - Rows in the page
+ * @returns {Promise<Object>} Page (see runCapped()); the last one has `truncated: false`
+ */
+async function fetchMore(id, count) {
+  const continuation = continuations.get(id);
+  if (!continuation) {
+    const err = new Error(`Unknown or expired continuation: ${id}`);
+    err.code = UNKNOWN_CONTINUATION;
+    throw err;
+  }
+  if (continuation.request) {
+    throw new Error(`A page of ${id} is already being fetched`);
+  }
+  return continuation.nextPage(count);
+}
+
+/**
+ * Close a continuation, cancelling its execution
+ * @param {string} id - Continuation handle
+ * @returns {Promise<boolean>} False if it was unknown or already closed
+ */
+async function closeContinuation(id) {
+  const continuation = continuations.get(id);
+  if (!continuation) return false;
+  await continuation.close();
+  return true;
+}
+
+/**
+ * Close the continuations matching a filter (a session about to run
+ * something else, a driver being closed)
+ * @param {function(Continuation): boolean} predicate
+ * @returns {Promise<number>} Number closed
+ */
+async function closeWhere(predicate) {
+  const matching = Array.from(continuations.values()).filter(predicate);
+  await Promise.all(matching.map(continuation => continuation.close()));
+  return matching.length;
+}
+
+module.exports = {
+  DEFAULT_IDLE_MS,
+  UNKNOWN_CONTINUATION,
+  runCapped,
+  fetchMore,
+  closeContinuation,
+  closeWhere
+};
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { log, registerSecret } = require('./ssns-log');
+
+/**
+ * Credential providers
+ *
+ * A connection can name where its password comes from instead of holding it:
+ *
+ *   auth.credential = { provider = "env", variable = "PGPASSWORD" }
+ *   auth.credential = { provider = "command", command = { "pass", "show", "db/prod" } }
+ *   auth.credential = { provider = "file", name = "prod", path = "..." }  -- path optional
+ *   auth.credential = { provider = "prompt" }
+ *
+ * The Node host resolves it before building the driver, so the password
+ * never sits in the config JSON Neovim holds. Resolved secrets are cached in
+ * memory for ttl_ms (default 15 minutes; 0 asks every time a config is
+ * resolved).
+ *
+ * "command" runs an argv list directly, or a string through the shell, and
+ * takes the first line of its output (the convention of pass, op read and
+ * security -w). "file" reads a secrets file encrypted with AES-256-GCM under
+ * a scrypt key from a passphrase (SSNS_SECRETS_PASSPHRASE, or prompted).
+ */
+
+const PROVIDERS = ['env', 'command', 'file', 'prompt'];
+
+// How long resolved secrets are kept in memory
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+
+// Longest a credential command may run (op and security may wait for a GUI unlock)
+const COMMAND_TIMEOUT_MS = 60 * 1000;
+
+// Secrets file format version and scrypt parameters
+const SECRETS_FILE_VERSION = 1;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// Resolved secrets - cache key -> { promise, expiresAt }
+const cache = new Map();
+
+// Neovim callbacks (see setHost()): prompt(message) and dataPath()
+let host = null;
+
+/**
+ * Give the providers access to Neovim
+ * @param {Object} callbacks
+ * @param {function(string): Promise<string>} callbacks.prompt - Ask for a secret ('' when cancelled)
+ * @param {function(): Promise<string>} callbacks.dataPath - Neovim's stdpath('data')
+ */
+function setHost(callbacks) {
+  host = callbacks;
+}
+
+/**
+ * Describe a connection for prompts and errors
+ * @param {Object} config - Connection configuration
+ * @returns {string} "user@host" style label
+ */
+function connectionLabel(config) {
+  const server = config.server || {};
+  const auth = config.auth || {};
+  const where = [server.host, server.instance].filter(Boolean).join('\\') || config.type;
+  return auth.username ? `${auth.username}@${where}` : where;
+}
+
+/**
+ * Cache key of a credential: the spec itself, plus the connection for
+ * prompts (every connection asks for its own)
+ * @param {Object} spec - auth.credential
+ * @param {Object} config - Connection configuration
+ * @returns {string}
+ */
+function cacheKey(spec, config) {
+  const fields = Object.keys(spec).filter(field => field !== 'ttl_ms').sort();
+  const key = `${spec.provider}|${JSON.stringify(spec, fields)}`;
+  return spec.provider === 'prompt' ? `${key}|${config.type}|${connectionLabel(config)}|${(config.server || {}).port || ''}` : key;
+}
+
+/**
+ * Check a credential spec
+ * @param {Object} spec - auth.credential
+ * @throws {Error} If the provider is unknown or a required field is missing
+ */
+function validateSpec(spec) {
+  if (!spec || typeof spec !== 'object' || !PROVIDERS.includes(spec.provider)) {
+    throw new Error(`Unknown credential provider "${spec && spec.provider}" (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  if (spec.provider === 'env' && !spec.variable) {
+    throw new Error('Credential provider "env" needs a variable');
+  }
+  if (spec.provider === 'command' && !(typeof spec.command === 'string' ? spec.command : (spec.command || []).length)) {
+    throw new Error('Credential provider "command" needs a command');
+  }
+  if (spec.provider === 'file' && !spec.name) {
+    throw new Error('Credential provider "file" needs a name');
+  }
+}
+
+/**
+ * Ask Neovim for a secret
+ * @param {string} message - Prompt text
+ * @returns {Promise<string>}
+ * @throws {Error} When there is no Neovim to ask or the prompt was cancelled
+ */
+async function prompt(message) {
+  if (!host) {
+    throw new Error('Cannot prompt for a credential outside Neovim');
+  }
+  const value = await host.prompt(message);
+  if (!value) {
+    throw new Error('Credential prompt cancelled');
+  }
+  return value;
+}
+
+/**
+ * Run a credential command and return the first line of its output
+ * @param {string|string[]} command - argv list, or a string for the shell
+ * @returns {Promise<string>}
+ */
+function runCommand(command) {
+  const shell = typeof command === 'string';
+  const file = shell ? command : command[0];
+  const args = shell ? [] : command.slice(1).map(String);
+
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { shell, timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const detail = (String(stderr || '').trim() || err.message).split('\n')[0];
+        reject(new Error(`Credential command ${shell ? 'failed' : `"${file}" failed`}: ${detail}`));
+        return;
+      }
+      const secret = String(stdout).split('\n')[0].replace(/\r$/, '');
+      if (!secret) {
+        reject(new Error('Credential command printed nothing'));
+        return;
+      }
+      resolve(secret);
+    });
+  });
+}
+
+/**
+ * Default secrets file: <stdpath('data')>/ssns/secrets.json.enc
+ * @returns {Promise<string>}
+ */
+async function defaultSecretsPath() {
+  const dataPath = host ? await host.dataPath() : path.join(process.env.HOME || '.', '.local', 'share', 'nvim');
+  return path.join(dataPath, 'ssns', 'secrets.json.enc');
+}
+
+/**
+ * Get the passphrase of a secrets file, from the environment or a prompt
+ * (cached like secrets)
+ * @param {string} filePath - Secrets file
+ * @param {boolean} [creating=false] - The file doesn't exist yet: confirm the passphrase
+ * @returns {Promise<string>}
+ */
+function getPassphrase(filePath, creating = false) {
+  if (process.env.SSNS_SECRETS_PASSPHRASE) {
+    return Promise.resolve(process.env.SSNS_SECRETS_PASSPHRASE);
+  }
+  return cached(`passphrase|${filePath}`, DEFAULT_TTL_MS, async () => {
+    const passphrase = await prompt(`${creating ? 'New passphrase' : 'Passphrase'} for ${filePath}: `);
+    if (creating && await prompt('Repeat passphrase: ') !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+  });
+}
+
+/**
+ * Decrypt a secrets file
+ * @param {string} filePath - Secrets file
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} name -> secret
+ * @throws {Error} If the file can't be read or the passphrase is wrong
+ */
+function readSecretsFile(filePath, passphrase) {
+  const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (envelope.version !== SECRETS_FILE_VERSION) {
+    throw new Error(`Unsupported secrets file version ${envelope.version}`);
+  }
+
+  const key = crypto.scryptSync(passphrase, Buffer.from(envelope.salt, 'base64'), 32, SCRYPT_OPTIONS);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (err) {
+    // Ask again next time rather than keep a wrong passphrase
+    cache.delete(`passphrase|${filePath}`);
+    throw new Error(`Cannot decrypt ${filePath}: wrong passphrase or corrupted file`);
+  }
+}
+
+/**
+ * Encrypt and write a secrets file (readable by the owner only)
+ * @param {string} filePath - Secrets file
+ * @param {string} passphrase - Passphrase
+ * @param {Object} secrets - name -> secret
+ */
+function writeSecretsFile(filePath, passphrase, secrets) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  const envelope = {
+    version: SECRETS_FILE_VERSION,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(envelope), { mode: 0o600 });
+  fs.renameSync(temp, filePath);
+}
+
+/**
+ * Add or replace a secret in a secrets file, creating the file if needed
+ * @param {string} name - Secret name (auth.credential.name)
+ * @param {string} secret - Secret value
+ * @param {string} [filePath] - Secrets file (default: defaultSecretsPath())
+ * @returns {Promise<string>} Path of the secrets file written
+ */
+async function storeSecret(name, secret, filePath = null) {
+  const target = filePath || await defaultSecretsPath();
+  const exists = fs.existsSync(target);
+  const passphrase = await getPassphrase(target, !exists);
+  const secrets = exists ? readSecretsFile(target, passphrase) : {};
+
+  secrets[name] = secret;
+  writeSecretsFile(target, passphrase, secrets);
+
+  // Connections using the old value pick up the new one
+  for (const key of Array.from(cache.keys())) {
+    if (key.startsWith('file|')) {
+      cache.delete(key);
+    }
+  }
+  log.info(`[credentials] Stored secret "${name}" in ${target}`);
+  return target;
+}
+
+/**
+ * Fetch a secret from its provider (uncached)
+ * @param {Object} spec - auth.credential
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<string>}
+ */
+async function fetchSecret(spec, config) {
+  switch (spec.provider) {
+    case 'env': {
+      const value = process.env[spec.variable];
+      if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${spec.variable} is not set`);
+      }
+      return value;
+    }
+
+    case 'command':
+      return runCommand(spec.command);
+
+    case 'file': {
+      const filePath = spec.path || await defaultSecretsPath();
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Secrets file ${filePath} does not exist (add secrets with :SSNSStoreSecret)`);
+      }
+      const secrets = readSecretsFile(filePath, await getPassphrase(filePath));
+      if (typeof secrets[spec.name] !== 'string') {
+        throw new Error(`No secret named "${spec.name}" in ${filePath}`);
+      }
+      return secrets[spec.name];
+    }
+
+    case 'prompt':
+      return prompt(spec.message || `Password for ${connectionLabel(config)}: `);
+
+    default:
+      throw new Error(`Unknown credential provider "${spec.provider}"`);
+  }
+}
+
+/**
+ * Get a value from the cache, or compute and cache it
+ *
+ * Concurrent callers share one pending fetch (one prompt, one command run).
+ * Failures are not cached.
+ *
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to keep the value (0 = don't keep it)
+ * @param {function(): Promise<string>} fetch - Computes the value
+ * @returns {Promise<string>}
+ */
+function cached(key, ttlMs, fetch) {
+  const entry = cache.get(key);
+  if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+    return entry.promise;
+  }
+
+  const promise = fetch().then((value) => {
+    registerSecret(value);
+    return value;
+  });
+  const fresh = { promise, expiresAt: null };
+  cache.set(key, fresh);
+  promise.then(
+    () => {
+      if (cache.get(key) !== fresh) return;
+      if (ttlMs > 0) {
+        fresh.expiresAt = Date.now() + ttlMs;
+      } else {
+        cache.delete(key);
+      }
+    },
+    () => {
+      if (cache.get(key) === fresh) cache.delete(key);
+    }
+  );
+  return promise;
+}
+
+/**
+ * Resolve a connection's credential provider into auth.password
+ * @param {Object} config - Connection configuration
+ * @returns {Promise<Object>} The config itself without auth.credential,
+ *   otherwise a copy with auth.password set
+ * @throws {Error} If the provider is invalid or can't produce the secret
+ */
+async function resolveCredentials(config) {
+  const spec = config.auth && config.auth.credential;
+  if (!spec) {
+    return config;
+  }
+
+  validateSpec(spec);
+  const ttlMs = typeof spec.ttl_ms === 'number' ? spec.ttl_ms : DEFAULT_TTL_MS;
+  let password;
+  try {
+    password = await cached(cacheKey(spec, config), ttlMs, () => fetchSecret(spec, config));
+  } catch (err) {
+    throw new Error(`Could not get the password for ${connectionLabel(config)} from "${spec.provider}": ${err.message}`);
+  }
+
+  return Object.assign({}, config, { auth: Object.assign({}, config.auth, { password }) });
+}
+
+/**
+ * Forget a connection's cached secret (after it was rejected)
+ * @param {Object} config - Connection configuration
+ */
+function forgetCredentials(config) {
+  const spec = config.auth && config.auth.credential;
+  if (spec && PROVIDERS.includes(spec.provider)) {
+    cache.delete(cacheKey(spec, config));
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  setHost,
+  resolveCredentials,
+  forgetCredentials,
+  storeSecret
+};
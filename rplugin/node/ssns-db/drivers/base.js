@@ -1,3 +1,36 @@
+const { log } = require('../ssns-log');
+
+// Isolation levels accepted by beginTransaction() (drivers may support fewer or more)
+const ISOLATION_LEVELS = ['read uncommitted', 'read committed', 'repeatable read', 'serializable', 'snapshot'];
+
+// Reconnection after a lost connection: attempts, and the doubling delay between them
+// (overridable per connection with config.options.reconnect = { attempts, delay_ms, max_delay_ms })
+const RECONNECT_DEFAULTS = { attempts: 5, delay_ms: 500, max_delay_ms: 10000 };
+
+// Pool sizing and timeouts (overridable per connection with config.options.pool):
+// max/min pooled connections, idle_timeout_ms before an idle pooled connection
+// is closed, connect_timeout_ms to open one, and evict_after_ms of disuse before
+// the whole driver is disconnected and forgotten (0 keeps it forever)
+const POOL_DEFAULTS = { max: 10, min: 0, idle_timeout_ms: 30000, connect_timeout_ms: 15000, evict_after_ms: 30 * 60 * 1000 };
+
+// Error codes of lost or unreachable connections (Node sockets, tedious/mssql, mysql2)
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH',
+  'ENOTFOUND', 'EAI_AGAIN', 'ESOCKET', 'ECONNCLOSED', 'ENOTOPEN', 'ECLOSE',
+  'PROTOCOL_CONNECTION_LOST', 'PROTOCOL_SEQUENCE_TIMEOUT', 'ER_SERVER_SHUTDOWN'
+]);
+
+// SQLSTATEs of lost connections: class 08 (connection exception) and Postgres
+// admin/crash shutdown
+const CONNECTION_ERROR_STATES = /^(08|57P0[123])/;
+
+// ODBC (msnodesqlv8) messages of a broken link, which may come without a SQLSTATE
+const CONNECTION_ERROR_MESSAGES = /communication link failure|TCP Provider|connection is (busy|closed|dead)|Connection terminated/i;
+
+// How long a cancel of an execution that hasn't started is kept for it
+// (an execution that never starts, or an ID that was never used, is forgotten)
+const PENDING_CANCEL_MS = 60 * 1000;
+
 /**
  * BaseDriver - Abstract base class for database drivers
  *
@@ -16,6 +49,62 @@ class BaseDriver {
     this.config = config;
     this.pool = null;
     this.isConnected = false;
+
+    // Running executions that can be cancelled, keyed by execution ID
+    this.activeExecutions = new Map();
+
+    // Pinned connections for sessions (one per query buffer), keyed by session ID
+    this.sessions = new Map();
+
+    // Connection health: 'disconnected', 'connected' or 'reconnecting'
+    this.connectionState = 'disconnected';
+    // Called with (state, detail) on every state change (see setConnectionState())
+    this.stateListener = null;
+    // Reconnection in progress: { promise, cancelled } (see connectionLost())
+    this.reconnection = null;
+
+    // Registry bookkeeping (see recordUse()): last use, for idle eviction, and last error
+    this.lastUsedAt = Date.now();
+    this.lastError = null;
+  }
+
+  /**
+   * Get the pool settings for this connection
+   *
+   * config.options.pool overrides the driver's defaults, which override
+   * POOL_DEFAULTS. The older config.options.timeout (seconds) still sets the
+   * connect timeout when the pool settings don't.
+   *
+   * @param {Object} [driverDefaults] - Driver-specific defaults
+   * @returns {{max: number, min: number, idle_timeout_ms: number, connect_timeout_ms: number, evict_after_ms: number}}
+   */
+  getPoolSettings(driverDefaults = {}) {
+    const options = this.config.options || {};
+    const settings = Object.assign({}, POOL_DEFAULTS, driverDefaults);
+    if (typeof options.timeout === 'number' && options.timeout > 0) {
+      settings.connect_timeout_ms = options.timeout * 1000;
+    }
+    return Object.assign(settings, options.pool || {});
+  }
+
+  /**
+   * Get the pool's current usage
+   * @returns {{max: number, total: number, idle: number, inUse: number, waiting: number}|null}
+   *   Null for drivers without a pool
+   */
+  getPoolStats() {
+    return null;
+  }
+
+  /**
+   * Record that the driver was used, and the error it returned if any
+   * @param {Error|Object|null} [error] - Error (or result error) of the use
+   */
+  recordUse(error = null) {
+    this.lastUsedAt = Date.now();
+    if (error) {
+      this.lastError = { message: error.message || String(error), at: new Date(this.lastUsedAt).toISOString() };
+    }
   }
 
   /**
@@ -36,30 +125,249 @@ class BaseDriver {
     throw new Error('BaseDriver.disconnect() must be implemented by subclass');
   }
 
+  /**
+   * Connect unless connected, waiting for a reconnection in progress first
+   *
+   * Drivers call this before using the pool, so the first query after a
+   * lost connection runs on the new one (or fails with the connect error
+   * once reconnection has given up).
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureConnected() {
+    if (this.reconnection) {
+      await this.reconnection.promise;
+    }
+    if (!this.isConnected) {
+      try {
+        await this.connect();
+      } catch (err) {
+        this.recordUse(err);
+        throw err;
+      }
+      this.setConnectionState('connected');
+    }
+  }
+
+  /**
+   * Check that the connection works by running a trivial query
+   *
+   * A pool can look connected while every connection in it is dead; the
+   * query's failure is what starts reconnection (see checkConnectionError()).
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the query fails
+   */
+  async ping() {
+    await this.ensureConnected();
+    const result = await this.execute('SELECT 1');
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+  }
+
+  /**
+   * Record a connection state change and report it to the listener
+   * @param {string} state - 'disconnected', 'connected' or 'reconnecting'
+   * @param {Object} [detail] - { attempt, attempts, error } for the listener
+   */
+  setConnectionState(state, detail = {}) {
+    if (state === this.connectionState && state !== 'reconnecting') {
+      return;
+    }
+    this.connectionState = state;
+    if (detail.error) {
+      this.lastError = { message: detail.error, at: new Date().toISOString() };
+    }
+    if (this.stateListener) {
+      try {
+        this.stateListener(state, detail);
+      } catch (err) {
+        log.error(`[${this.getType()}] Connection state listener failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether an error means the connection itself is gone (network
+   * drop, server restart, idle kill) rather than a statement failing
+   * @param {Error|Object} err - Driver error or error object of a result
+   * @returns {boolean}
+   */
+  isConnectionError(err) {
+    if (!err) return false;
+    if (err.fatal === true && err.code !== undefined) return true;
+    if (CONNECTION_ERROR_CODES.has(err.code)) return true;
+
+    const state = err.sqlState || err.sqlstate || (typeof err.code === 'string' ? err.code : null) ||
+      (typeof err.state === 'string' ? err.state : null);
+    if (state && /^[0-9A-Z]{5}$/.test(state) && CONNECTION_ERROR_STATES.test(state)) return true;
+
+    return CONNECTION_ERROR_MESSAGES.test(err.message || '');
+  }
+
+  /**
+   * React to an error that may have broken the connection it came from
+   *
+   * A session's connection is dropped (its temp tables and any transaction
+   * are gone with it; the next execution opens a new one); the shared
+   * connection is replaced in the background (see connectionLost()).
+   *
+   * @param {Error|Object} err - Error from a query or connection
+   * @param {string|null} [sessionId] - Session the query ran on
+   * @returns {boolean} True if it was a connection error
+   */
+  checkConnectionError(err, sessionId = null) {
+    if (!this.isConnectionError(err)) {
+      return false;
+    }
+    if (sessionId) {
+      log.warn(`[${this.getType()}] Session ${sessionId} lost its connection: ${err.message}`);
+      this.dropSession(sessionId);
+    } else {
+      this.connectionLost(err);
+    }
+    return true;
+  }
+
+  /**
+   * Mark the shared connection as lost and reconnect with backoff
+   *
+   * Called for pool 'error' events and connection errors of queries. Does
+   * nothing while disconnected or already reconnecting.
+   *
+   * @param {Error} err - What broke the connection
+   */
+  connectionLost(err) {
+    if (!this.isConnected || this.reconnection) {
+      return;
+    }
+
+    log.warn(`[${this.getType()}] Connection lost: ${err && err.message}`);
+    this.isConnected = false;
+
+    const reconnection = { promise: null, cancelled: false };
+    reconnection.promise = this.reconnect(reconnection, err)
+      .finally(() => {
+        if (this.reconnection === reconnection) {
+          this.reconnection = null;
+        }
+      });
+    this.reconnection = reconnection;
+  }
+
+  /**
+   * Replace a lost connection, retrying with exponential backoff
+   * @param {{cancelled: boolean}} reconnection - Set cancelled by stopReconnecting()
+   * @param {Error} cause - What broke the connection
+   * @returns {Promise<boolean>} True once reconnected
+   */
+  async reconnect(reconnection, cause) {
+    const settings = Object.assign({}, RECONNECT_DEFAULTS,
+      (this.config.options && this.config.options.reconnect) || {});
+    let lastError = cause;
+
+    try {
+      await this.discardConnection();
+    } catch (err) {
+      // Already broken - nothing left to release
+    }
+
+    for (let attempt = 1; attempt <= settings.attempts; attempt++) {
+      if (reconnection.cancelled) return false;
+      this.setConnectionState('reconnecting', { attempt, attempts: settings.attempts, error: lastError && lastError.message });
+
+      try {
+        await this.connect();
+        if (reconnection.cancelled) return false;
+        log.info(`[${this.getType()}] Reconnected after ${attempt} attempt(s)`);
+        this.setConnectionState('connected');
+        return true;
+      } catch (err) {
+        lastError = err;
+        log.warn(`[${this.getType()}] Reconnect attempt ${attempt}/${settings.attempts} failed: ${err.message}`);
+      }
+
+      if (attempt < settings.attempts) {
+        const delay = Math.min(settings.delay_ms * 2 ** (attempt - 1), settings.max_delay_ms);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    this.setConnectionState('disconnected', { error: lastError && lastError.message });
+    return false;
+  }
+
+  /**
+   * Stop a reconnection in progress (used by disconnect())
+   */
+  stopReconnecting() {
+    if (this.reconnection) {
+      this.reconnection.cancelled = true;
+      this.reconnection = null;
+    }
+  }
+
+  /**
+   * Release a broken shared connection before reconnecting, without
+   * touching sessions (their connections fail on their own)
+   * @returns {Promise<void>}
+   */
+  async discardConnection() {}
+
   /**
    * Execute a SQL query and return structured results
    *
    * @param {string} query - SQL query to execute
    * @param {Object} options - Execution options
+   * @param {string} [options.executionId] - ID used to cancel this execution via cancel()
+   * @param {string} [options.sessionId] - Run on the session's pinned connection (see openSession())
+   *   instead of a pooled one
+   * @param {Array|Object} [options.params] - Query parameters bound natively by the driver:
+   *   positional array for `?` placeholders or named object for `@name`/`:name`
+   *   placeholders; values may be `{ value, type }` hints (see params.js)
+   * @param {ResultStream} [options.stream] - When set, rows are sent to the stream in
+   *   batches as they arrive instead of being collected; returned result sets then
+   *   carry `streamed: true`, their columns and rowCount, and empty `rows`
+   * @param {number} [options.timeoutMs] - Stop the execution on the server once it has run
+   *   this long; the result then has `timedOut: true` and a 'timeout' error category
+   *   (see buildTimeoutResult())
+   * @param {boolean} [options.describeColumns] - The caller shows column types: drivers that
+   *   need extra work to find declared types and nullability (SQLite) only do it then
+   * @param {{message: Function}} [options.progress] - Told of each server message (PRINT,
+   *   RAISERROR ... WITH NOWAIT, RAISE NOTICE) as it arrives, see reportMessage()
    * @returns {Promise<Object>} Result object with structure:
    * {
-   *   resultSets: [
+   *   resultSets: [      // one per statement result that has columns
    *     {
-   *       columns: { colName: { type, nullable, precision, scale }, ... },
+   *       columns: { colName: { index, name, type, length, precision, scale,
+   *         nullable, category }, ... },  // type descriptor: see types.js
    *       rows: [ { colName: value, ... }, ... ],
    *       rowCount: number
    *     }
    *   ],
    *   metadata: {
    *     executionTime: number (ms),
-   *     rowsAffected: [number, ...]
+   *     rowsAffected: [number, ...],  // one per DML statement, in order
+   *     statements: [ { resultSets, rowsAffected, messages, range }, ... ],
+   *       // outcome of each statement, in order: see statements.js
+   *     messages: [ { message, severity, code }, ... ]  // (optional) messages not tied
+   *       // to a statement: driver notices, or everything raised before an error
    *   },
    *   error: null | {
    *     message: string,
    *     code: number,
    *     lineNumber: number,
+   *     column: number,    // (optional) 1-based column of lineNumber (MySQL, Postgres, SQLite)
+   *     statement: number, // (optional) index in metadata.statements of the failing
+   *       // statement; the ones before it succeeded and their results are kept
    *     procName: string
-   *   }
+   *   },
+   *   errors: [ error, ... ],  // (optional) every error when a batch raised several and
+   *     // went on past them (SQL Server); resultSets and statements then hold what ran
+   *     // around them, and `error` is the first
+   *   cancelled: boolean (only present when the execution was cancelled)
+   *   timedOut: boolean (only present when options.timeoutMs ran out)
    * }
    * @throws {Error} Must be implemented by subclass
    */
@@ -67,6 +375,542 @@ class BaseDriver {
     throw new Error('BaseDriver.execute() must be implemented by subclass');
   }
 
+  /**
+   * Register a running execution so it can be cancelled
+   *
+   * Subclasses call this once the server-side work has started, passing a
+   * function that stops that work (request.cancel(), pg_cancel_backend, etc.)
+   *
+   * @param {string} executionId - Execution ID (no-op if missing)
+   * @param {Function} cancelFn - Async function that cancels the running work
+   * @returns {Object|null} Handle whose `cancelled` flag is set once cancel() runs
+   */
+  trackExecution(executionId, cancelFn) {
+    if (!executionId) return null;
+
+    // cancel() may have arrived while the driver was still connecting
+    const existing = this.activeExecutions.get(executionId);
+    if (existing && existing.expiry) {
+      clearTimeout(existing.expiry);
+    }
+    const handle = { cancel: cancelFn, cancelled: !!(existing && existing.cancelled) };
+    this.activeExecutions.set(executionId, handle);
+
+    if (handle.cancelled) {
+      Promise.resolve(cancelFn()).catch(() => {});
+    }
+    return handle;
+  }
+
+  /**
+   * Remove an execution from the active set once it has finished
+   * @param {string} executionId - Execution ID
+   */
+  untrackExecution(executionId) {
+    const handle = executionId ? this.activeExecutions.get(executionId) : null;
+    if (handle) {
+      if (handle.expiry) {
+        clearTimeout(handle.expiry);
+      }
+      this.activeExecutions.delete(executionId);
+    }
+  }
+
+  /**
+   * Cancel a running execution on the server
+   *
+   * Only call this for executions that are still inside execute(); the
+   * caller (index.js) tracks which IDs are running.
+   *
+   * @param {string} executionId - Execution ID passed to execute()
+   * @returns {Promise<boolean>} True if the execution was running and a cancel was issued
+   */
+  async cancel(executionId) {
+    const handle = this.activeExecutions.get(executionId);
+    if (handle && handle.cancelled) {
+      return false;
+    }
+
+    if (!handle) {
+      // Not started on the server yet - trackExecution() cancels it on arrival,
+      // and execute() forgets it if it fails before getting that far
+      const pending = { cancel: null, cancelled: true, expiry: null };
+      pending.expiry = setTimeout(() => {
+        if (this.activeExecutions.get(executionId) === pending) {
+          this.activeExecutions.delete(executionId);
+        }
+      }, PENDING_CANCEL_MS);
+      pending.expiry.unref();
+      this.activeExecutions.set(executionId, pending);
+      return true;
+    }
+
+    handle.cancelled = true;
+    await handle.cancel();
+    return true;
+  }
+
+  /**
+   * Build the result returned by execute() when an execution was cancelled
+   *
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @returns {Object} Result object with `cancelled: true` and a 'cancelled' error category
+   */
+  buildCancelledResult(startTime) {
+    return {
+      resultSets: [],
+      metadata: {
+        executionTime: Date.now() - startTime,
+        rowsAffected: []
+      },
+      error: {
+        message: 'Query cancelled',
+        code: 'ECANCEL',
+        category: 'cancelled',
+        lineNumber: null,
+        procName: null
+      },
+      cancelled: true
+    };
+  }
+
+  /**
+   * Get the per-execution timeout requested with options.timeoutMs
+   * @param {Object} options - execute() options
+   * @returns {number|null} Timeout in ms, or null for none
+   */
+  getTimeoutMs(options) {
+    const timeoutMs = Number(options && options.timeoutMs);
+    return Number.isFinite(timeoutMs) && timeoutMs > 0 ? Math.ceil(timeoutMs) : null;
+  }
+
+  /**
+   * Start the timer of options.timeoutMs for drivers that enforce it themselves
+   *
+   * onTimeout runs once the timeout has passed and should stop the work on
+   * the server (an attention signal, KILL QUERY). Drivers that run
+   * synchronously between yields (sql.js) call expired() instead, which
+   * also notices a timeout the timer had no chance to report.
+   *
+   * @param {Object} options - execute() options
+   * @param {Function} [onTimeout] - Async function that stops the running work
+   * @returns {{timeoutMs: number|null, timedOut: boolean, expired: Function, clear: Function}}
+   *   timedOut is set once the timeout has passed; clear() must be called when
+   *   the execution ends
+   */
+  startTimeout(options, onTimeout = null) {
+    const timeoutMs = this.getTimeoutMs(options);
+    const deadline = timeoutMs ? Date.now() + timeoutMs : null;
+    let timer = null;
+
+    const timeout = {
+      timeoutMs,
+      timedOut: false,
+      expired() {
+        if (!timeout.timedOut && deadline !== null && Date.now() >= deadline) {
+          timeout.timedOut = true;
+        }
+        return timeout.timedOut;
+      },
+      clear() {
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+      }
+    };
+
+    if (timeoutMs && onTimeout) {
+      timer = setTimeout(() => {
+        timer = null;
+        timeout.timedOut = true;
+        log.info(`[${this.getType()}] Execution timed out after ${timeoutMs} ms, stopping it`);
+        Promise.resolve()
+          .then(onTimeout)
+          .catch(err => log.warn(`[${this.getType()}] Failed to stop timed out execution: ${err.message}`));
+      }, timeoutMs);
+    }
+    return timeout;
+  }
+
+  /**
+   * Pass a server message to options.progress as soon as the driver receives it
+   *
+   * The message is still reported with its statement in the result; this only
+   * lets a long script's output be shown while it runs.
+   *
+   * @param {Object} options - execute() options
+   * @param {Object} message - Server message (see serverMessage() in statements.js)
+   */
+  reportMessage(options, message) {
+    if (!options || !options.progress) return;
+    try {
+      options.progress.message(message);
+    } catch (err) {
+      log.warn(`[${this.getType()}] Progress listener failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build the result returned by execute() when options.timeoutMs ran out
+   *
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @param {number} timeoutMs - Timeout that ran out
+   * @returns {Object} Result object with `timedOut: true` and a 'timeout' error category
+   */
+  buildTimeoutResult(startTime, timeoutMs) {
+    return {
+      resultSets: [],
+      metadata: {
+        executionTime: Date.now() - startTime,
+        rowsAffected: []
+      },
+      error: {
+        message: `Query timed out after ${timeoutMs} ms`,
+        code: 'ETIMEOUT',
+        category: 'timeout',
+        lineNumber: null,
+        procName: null
+      },
+      timedOut: true
+    };
+  }
+
+  /**
+   * Open a session: one physical connection pinned for the session's lifetime
+   *
+   * Queries executed with `options.sessionId` run on this connection, so temp
+   * tables, SET options, USE and session variables carry over between runs.
+   * The pool is left for metadata and other one-off queries.
+   *
+   * @param {string} sessionId - Session ID (e.g. one per query buffer)
+   * @returns {Promise<boolean>} True if a new session was opened, false if it was already open
+   */
+  async openSession(sessionId) {
+    if (this.sessions.has(sessionId)) {
+      return false;
+    }
+
+    await this.ensureConnected();
+
+    const connection = await this.createSessionConnection(sessionId);
+    this.sessions.set(sessionId, { connection: connection, openedAt: Date.now() });
+    return true;
+  }
+
+  /**
+   * Close a session and its pinned connection
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session was open
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(sessionId);
+    await this.closeSessionConnection(session.connection);
+    return true;
+  }
+
+  /**
+   * Begin an explicit transaction on a session's pinned connection
+   *
+   * The transaction stays open across executions until commitTransaction()
+   * or rollbackTransaction().
+   *
+   * @param {string} sessionId - Session ID (must be open)
+   * @param {string|null} [isolationLevel] - e.g. "read committed", "serializable" (null = server default)
+   * @returns {Promise<Object>} Transaction status (see getTransactionStatus())
+   * @throws {Error} If the session is missing, already in a transaction, or the level is unsupported
+   */
+  async beginTransaction(sessionId, isolationLevel = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} is not open`);
+    }
+    if (session.transaction) {
+      throw new Error('A transaction is already open in this session');
+    }
+
+    const level = isolationLevel ? String(isolationLevel).toLowerCase().replace(/[_-]/g, ' ').trim() : null;
+    if (level && !this.getIsolationLevels().includes(level)) {
+      throw new Error(
+        `Unsupported isolation level for ${this.getType()}: ${isolationLevel} ` +
+        `(supported: ${this.getIsolationLevels().join(', ')})`
+      );
+    }
+
+    await this.runSessionStatement(sessionId, this.getTransactionSql('begin', level));
+    session.transaction = {
+      isolationLevel: level,
+      startedAt: Date.now(),
+      statementCount: 0
+    };
+    return this.getTransactionStatus(sessionId);
+  }
+
+  /**
+   * Commit a session's open transaction
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Status of the transaction that was committed
+   * @throws {Error} If no transaction is open
+   */
+  async commitTransaction(sessionId) {
+    return this.endTransaction(sessionId, 'commit');
+  }
+
+  /**
+   * Roll back a session's open transaction
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Status of the transaction that was rolled back
+   * @throws {Error} If no transaction is open
+   */
+  async rollbackTransaction(sessionId) {
+    return this.endTransaction(sessionId, 'rollback');
+  }
+
+  /**
+   * Commit or roll back a session's open transaction
+   * @param {string} sessionId - Session ID
+   * @param {string} action - "commit" or "rollback"
+   * @returns {Promise<Object>} Status of the finished transaction
+   */
+  async endTransaction(sessionId, action) {
+    const status = this.getTransactionStatus(sessionId);
+    if (!status) {
+      throw new Error('No transaction is open in this session');
+    }
+
+    await this.runSessionStatement(sessionId, this.getTransactionSql(action, status.isolationLevel));
+    this.sessions.get(sessionId).transaction = null;
+    return status;
+  }
+
+  /**
+   * Count an execution against a session's open transaction
+   * @param {string} sessionId - Session ID
+   */
+  recordSessionStatement(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.transaction) {
+      session.transaction.statementCount++;
+    }
+  }
+
+  /**
+   * Get a session's open transaction, if any
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} { isolationLevel, startedAt, ageMs, statementCount } or null
+   */
+  getTransactionStatus(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.transaction) {
+      return null;
+    }
+
+    const transaction = session.transaction;
+    return {
+      isolationLevel: transaction.isolationLevel,
+      startedAt: transaction.startedAt,
+      ageMs: Date.now() - transaction.startedAt,
+      statementCount: transaction.statementCount
+    };
+  }
+
+  /**
+   * Check whether any session on this driver has an open transaction
+   * @returns {boolean}
+   */
+  hasOpenTransaction() {
+    for (const session of this.sessions.values()) {
+      if (session.transaction) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a statement (BEGIN, COMMIT, ...) on a session, throwing on error
+   * @param {string} sessionId - Session ID
+   * @param {string} statement - SQL to run
+   * @param {Object} [options] - Extra execute() options (e.g. params)
+   * @returns {Promise<Array<Object>>} The statement's result sets
+   */
+  async runSessionStatement(sessionId, statement, options = {}) {
+    const result = await this.execute(statement, { ...options, sessionId });
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+    return result.resultSets;
+  }
+
+  /**
+   * Run work on a session of its own that is closed afterwards
+   *
+   * For statements that change connection state (SET SHOWPLAN_XML, a
+   * transaction that is rolled back) without touching pooled connections
+   * or the user's sessions.
+   *
+   * @param {function(string): Promise<*>} fn - Called with the session ID
+   * @returns {Promise<*>} What fn returned
+   */
+  async withTemporarySession(fn) {
+    const sessionId = `temp-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await this.openSession(sessionId);
+    try {
+      return await fn(sessionId);
+    } finally {
+      await this.closeSession(sessionId);
+    }
+  }
+
+  /**
+   * Isolation levels this driver accepts in beginTransaction()
+   * @returns {string[]} Lower-case level names
+   */
+  getIsolationLevels() {
+    return ISOLATION_LEVELS.filter(level => level !== 'snapshot');
+  }
+
+  /**
+   * Build the SQL for a transaction control action
+   * @param {string} action - "begin", "commit" or "rollback"
+   * @param {string|null} isolationLevel - Lower-case isolation level (begin only applies it)
+   * @returns {string} SQL to execute on the session
+   * @throws {Error} Must be implemented by subclass
+   */
+  getTransactionSql(action, isolationLevel) {
+    throw new Error('BaseDriver.getTransactionSql() must be implemented by subclass');
+  }
+
+  /**
+   * Close every open session (used by disconnect())
+   * @returns {Promise<void>}
+   */
+  async closeAllSessions() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      try {
+        await this.closeSession(sessionId);
+      } catch (err) {
+        // Connection may already be gone - nothing left to release
+      }
+    }
+  }
+
+  /**
+   * Check whether a session is open on this driver
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  hasSession(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Get the pinned connection for a session
+   * @param {string} sessionId - Session ID
+   * @returns {*} Driver-specific connection from createSessionConnection()
+   * @throws {Error} If the session is not open
+   */
+  getSessionConnection(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} is not open`);
+    }
+    return session.connection;
+  }
+
+  /**
+   * Forget a session whose connection was lost (server restart, network drop)
+   *
+   * The session's state (including any open transaction, which the server
+   * rolls back) is gone with the connection; the next openSession() for the
+   * same ID starts a fresh one.
+   *
+   * @param {string} sessionId - Session ID
+   */
+  dropSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Switch a session's pinned connection to another database
+   *
+   * @param {string} sessionId - Session ID
+   * @param {string} database - Database name
+   * @returns {Promise<boolean>} True if switched in place; false if the driver
+   *   cannot switch (the caller then opens a new session on the other database)
+   */
+  async useSessionDatabase(sessionId, database) {
+    return false;
+  }
+
+  /**
+   * Create the physical connection pinned by a session
+   * @param {string} sessionId - Session ID (used to drop the session if the connection fails)
+   * @returns {Promise<*>} Driver-specific connection
+   * @throws {Error} Must be implemented by subclass
+   */
+  async createSessionConnection(sessionId) {
+    throw new Error('BaseDriver.createSessionConnection() must be implemented by subclass');
+  }
+
+  /**
+   * Close a session's pinned connection
+   * @param {*} connection - Connection from createSessionConnection()
+   * @returns {Promise<void>}
+   * @throws {Error} Must be implemented by subclass
+   */
+  async closeSessionConnection(connection) {
+    throw new Error('BaseDriver.closeSessionConnection() must be implemented by subclass');
+  }
+
+  /**
+   * Get the execution plan of a query as an operator tree
+   *
+   * Runs on a temporary session, so temp tables of the caller's session are
+   * not visible. With `actual` the query is executed to collect run-time row
+   * counts and timings; where the database allows, inside a transaction that
+   * is rolled back afterwards.
+   *
+   * @param {string} query - SQL to explain
+   * @param {Object} [options]
+   * @param {boolean} [options.actual] - Execute the query and include actual rows and timings
+   * @param {Array|Object} [options.params] - Query parameters (see execute())
+   * @returns {Promise<Object>} Plans with structure:
+   * {
+   *   actual: boolean,
+   *   plans: [
+   *     {
+   *       statement: string | null,
+   *       root: PlanNode | null,     // see plan.js
+   *       warnings: [string],        // plan-wide: missing indexes, conversions, ...
+   *       raw: string | null         // native plan (XML, JSON or text)
+   *     }
+   *   ],
+   *   warnings: [string]
+   * }
+   * @throws {Error} Must be implemented by subclass
+   */
+  async explain(query, options = {}) {
+    throw new Error('BaseDriver.explain() must be implemented by subclass');
+  }
+
+  /**
+   * Write changes held in memory to durable storage
+   *
+   * Server databases persist every committed statement themselves, so this
+   * only does work for file-backed drivers (SQLite).
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite changes other processes made to the file
+   * @returns {Promise<Object>} { saved: boolean, path: string | null, conflict: boolean, message: string }
+   */
+  async flush(options = {}) {
+    return { saved: false, path: null, conflict: false, message: 'Nothing to flush: the server persists changes' };
+  }
+
   /**
    * Get metadata for a database object (table, view, etc.)
    * Used for IntelliSense features
@@ -80,17 +924,56 @@ class BaseDriver {
    *     {
    *       name: string,
    *       type: string,
+   *       maxLength: number | null,
    *       nullable: boolean,
    *       defaultValue: string | null,
+   *       ordinal: number,
+   *       isIdentity: boolean,
    *       isPrimaryKey: boolean,
    *       isForeignKey: boolean,
    *       foreignKeyTable: string | null,
+   *       foreignKeySchema: string | null,
+   *       precision: number | null,
+   *       scale: number | null
+   *     }
+   *   ],
+   *   indexes: [
+   *     { name, unique, primary, clustered, columns: [string], includedColumns: [string], filter: string | null }
+   *   ],
+   *   constraints: [
+   *     {
+   *       name: string | null,
+   *       type: 'PRIMARY KEY' | 'FOREIGN KEY' | 'UNIQUE' | 'CHECK' | 'DEFAULT',
+   *       columns: [string],
+   *       referencedSchema, referencedTable, referencedColumns,  // FOREIGN KEY only
+   *       onDelete, onUpdate,                                    // FOREIGN KEY only
+   *       expression: string | null                              // CHECK / DEFAULT only
+   *     }
+   *   ]
+   * }
+   *
+   * For 'procedure' and 'function', columns are the result columns of a
+   * table-valued / set-returning function (empty otherwise) and the routine's
+   * signature is added:
+   * {
+   *   routineType: 'procedure' | 'function',
+   *   returnType: string | null,
+   *   returnsSet: boolean,
+   *   parameters: [
+   *     {
+   *       name: string,
+   *       type: string,
+   *       direction: 'IN' | 'OUT' | 'INOUT',
+   *       defaultValue: string | null,
+   *       hasDefault: boolean,
+   *       nullable: boolean,
+   *       ordinal: number,
+   *       maxLength: number | null,
    *       precision: number | null,
    *       scale: number | null
    *     }
    *   ],
-   *   indexes: [ ... ],
-   *   constraints: [ ... ]
+   *   columns: [ { name, type, nullable, ordinal, maxLength, precision, scale } ]
    * }
    * @throws {Error} Must be implemented by subclass
    */
@@ -98,6 +981,38 @@ class BaseDriver {
     throw new Error('BaseDriver.getMetadata() must be implemented by subclass');
   }
 
+  /**
+   * Get metadata for every schema, table, view, column, key, index and routine
+   * in the connected database in one call (for warming completion caches)
+   *
+   * @param {Object} [options]
+   * @param {string} [options.schema] - Only this schema
+   * @returns {Promise<Object>} Snapshot with structure:
+   * {
+   *   database: string,
+   *   schemas: [ { name } ],
+   *   tables: [
+   *     {
+   *       schema: string | null,
+   *       name: string,
+   *       type: 'table' | 'view',
+   *       columns: [ { name, type, maxLength, precision, scale, nullable, defaultValue,
+   *                    ordinal, isIdentity, isPrimaryKey, isForeignKey } ],
+   *       primaryKey: { name, columns: [string] } | null,
+   *       foreignKeys: [ { name, columns, referencedSchema, referencedTable,
+   *                        referencedColumns, onDelete, onUpdate } ],
+   *       indexes: [ { name, unique, primary, clustered, columns, includedColumns, filter } ]
+   *     }
+   *   ],
+   *   routines: [ { schema, name, type: 'procedure' | 'function', returnType, returnsSet } ],
+   *   generatedAt: number (ms)
+   * }
+   * @throws {Error} Must be implemented by subclass
+   */
+  async getSchemaSnapshot(options = {}) {
+    throw new Error('BaseDriver.getSchemaSnapshot() must be implemented by subclass');
+  }
+
   /**
    * Get the database type identifier
    * @returns {string} Database type ('sqlserver', 'postgres', 'mysql', 'sqlite')
@@ -1,5 +1,109 @@
 const mysql = require('mysql2/promise');
 const BaseDriver = require('./base');
+const { normalizeParams, toOrdinalParams } = require('./params');
+const { buildSchemaSnapshot, buildTableMetadata, normalizeParameterDirection } = require('./schema');
+const { fromMysqlAnalyze, fromMysqlJson } = require('./plan');
+const { typeDescriptor } = require('./types');
+const { encodeRow } = require('./values');
+const {
+  splitStatements, isDmlKeyword, statementRange, locateError, serverMessage, statementOutcome, affectedCounts
+} = require('./statements');
+
+/**
+ * How long a timed out query's KILL QUERY may take before its connection is
+ * destroyed instead (see execute())
+ */
+const KILL_TIMEOUT_MS = 5000;
+
+/**
+ * Column flags from the protocol's column definition
+ */
+const FIELD_FLAGS = { NOT_NULL: 1, UNSIGNED: 32, ENUM: 256, SET: 2048 };
+
+/**
+ * Collation id of the binary character set (BINARY/BLOB columns)
+ */
+const BINARY_CHARSET = 63;
+
+/**
+ * Maximum bytes per character of the multi-byte character sets
+ * (the rest use one byte)
+ */
+const CHARSET_WIDTHS = {
+  UTF8MB4: 4, UTF8MB3: 3, UTF8: 3, UCS2: 2, UTF16: 4, UTF16LE: 4, UTF32: 4,
+  BIG5: 2, SJIS: 2, CP932: 2, GBK: 2, GB2312: 2, EUCKR: 2, UJIS: 3, EUCJPMS: 3, GB18030: 4
+};
+
+/**
+ * Character set name of each collation id ("UTF8MB4_0900_AI_CI" -> "UTF8MB4")
+ */
+const CHARSET_BY_COLLATION = {};
+Object.entries(mysql.Charsets).forEach(([name, id]) => {
+  if (name.includes('_') && !(id in CHARSET_BY_COLLATION)) {
+    CHARSET_BY_COLLATION[id] = name.split('_')[0];
+  }
+});
+
+/**
+ * Query options for user queries: BIGINT/DECIMAL and temporal values as the
+ * server's text and JSON unparsed, so values.js can encode them losslessly
+ */
+const RESULT_OPTIONS = {
+  supportBigNumbers: true,
+  bigNumberStrings: true,
+  dateStrings: true,
+  typeCast(field, next) {
+    return field.type === 'JSON' ? field.string('utf8') : next();
+  }
+};
+
+/**
+ * Message severity of each SHOW WARNINGS level
+ */
+const WARNING_LEVELS = { Note: 'notice', Warning: 'warning', Error: 'error' };
+
+/**
+ * Pair results in arrival order with a script's statements
+ *
+ * Each statement yields one result (rows or a header), except CALL, which
+ * yields the procedure's result sets followed by its own header.
+ *
+ * @param {Array<Object>} parts - Statements from splitStatements()
+ * @param {Array<Object>} entries - { resultSet: index } or { affectedRows, warnings } per result
+ * @returns {{groups: Array<{part: Object, group: Array<Object>}>, unpaired: number}} Statements
+ *   that yielded results, and the number of results left over
+ */
+function pairEntries(parts, entries) {
+  const groups = [];
+  let position = 0;
+
+  parts.forEach(part => {
+    if (position >= entries.length) return;
+    const group = [entries[position++]];
+    if (part.keyword === 'call') {
+      while ('resultSet' in group[group.length - 1] && position < entries.length) {
+        group.push(entries[position++]);
+      }
+    }
+    groups.push({ part, group });
+  });
+
+  return { groups, unpaired: entries.length - position };
+}
+
+/**
+ * Index of the statement that failed after the paired results: a CALL
+ * whose header never came (its procedure failed), else the next statement
+ * @param {Array<Object>} groups - Groups from pairEntries()
+ * @returns {number}
+ */
+function failedStatementIndex(groups) {
+  const last = groups[groups.length - 1];
+  if (last && last.part.keyword === 'call' && last.group.every(entry => 'resultSet' in entry)) {
+    return groups.length - 1;
+  }
+  return groups.length;
+}
 
 /**
  * MySQLDriver - MySQL database driver using mysql2 package
@@ -23,6 +127,7 @@ class MySQLDriver extends BaseDriver {
    * @param {string} [config.auth.password] - Password
    * @param {Object} [config.options] - Additional options
    * @param {boolean} [config.options.ssl] - Use SSL
+   * @param {Object} [config.options.pool] - Pool settings (see BaseDriver.getPoolSettings())
    */
   constructor(config) {
     super(config);
@@ -40,13 +145,18 @@ class MySQLDriver extends BaseDriver {
     const auth = config.auth || {};
     const options = config.options || {};
 
+    const pool = this.getPoolSettings({ connect_timeout_ms: 10000 });
+
     const mysqlConfig = {
       host: server.host || 'localhost',
       port: server.port || 3306,
       database: server.database || 'mysql',
       waitForConnections: true,
-      connectionLimit: 10,
+      connectionLimit: pool.max,
+      maxIdle: pool.min,                    // Idle connections kept past idleTimeout
+      idleTimeout: pool.idle_timeout_ms,
       queueLimit: 0,
+      connectTimeout: pool.connect_timeout_ms,
       enableKeepAlive: true,
       keepAliveInitialDelay: 0,
       multipleStatements: true  // Enable multiple result sets
@@ -61,7 +171,6 @@ class MySQLDriver extends BaseDriver {
       mysqlConfig.ssl = { rejectUnauthorized: false };
     }
 
-    console.error('[DEBUG] MySQL config:', JSON.stringify(mysqlConfig, null, 2));
     return mysqlConfig;
   }
 
@@ -83,6 +192,11 @@ class MySQLDriver extends BaseDriver {
       this.isConnected = true;
     } catch (err) {
       this.isConnected = false;
+      // Don't leave a pool behind for every failed (re)connect attempt
+      if (this.pool) {
+        this.pool.end().catch(() => {});
+        this.pool = null;
+      }
       throw new Error(`MySQL connection failed: ${err.message}`);
     }
   }
@@ -91,81 +205,166 @@ class MySQLDriver extends BaseDriver {
    * Close connection pool
    */
   async disconnect() {
+    this.stopReconnecting();
+    await this.closeAllSessions();
+
     if (this.pool) {
       await this.pool.end();
       this.pool = null;
       this.isConnected = false;
     }
+    this.setConnectionState('disconnected');
+  }
+
+  /**
+   * End a pool whose connection was lost (see BaseDriver.connectionLost())
+   *
+   * Not awaited: connections still checked out end once their queries fail.
+   */
+  async discardConnection() {
+    const pool = this.pool;
+    this.pool = null;
+    if (pool) {
+      pool.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Get the pool's current usage
+   *
+   * mysql2 has no public pool counters; these read its connection queues.
+   *
+   * @returns {{max: number, total: number, idle: number, inUse: number, waiting: number}|null}
+   */
+  getPoolStats() {
+    const core = this.pool && this.pool.pool;
+    if (!core) {
+      return null;
+    }
+    const total = core._allConnections.length;
+    const idle = core._freeConnections.length;
+    return {
+      max: this.mysqlConfig.connectionLimit,
+      total,
+      idle,
+      inUse: total - idle,
+      waiting: core._connectionQueue.length
+    };
   }
 
   /**
    * Execute SQL query with structured result sets
    *
+   * The query runs on a dedicated pooled connection (or the session's pinned
+   * connection) so that cancel() can target its thread with KILL QUERY.
+   * options.timeoutMs issues the same KILL QUERY once it runs out (unlike
+   * max_execution_time, this stops any statement, not only SELECTs); if the
+   * server does not take it, the connection is destroyed.
+   *
    * @param {string} query - SQL query to execute
    * @param {Object} options - Execution options
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
     const startTime = Date.now();
+    let connection = null;
+    let pinned = false;
+    let handle = null;
+    let timeout = null;
+    let destroyed = false;
+    let connectionLost = false;
 
     try {
       // Ensure connection
-      if (!this.isConnected) {
-        await this.connect();
+      await this.ensureConnected();
+
+      // Check out a connection so its thread ID is known for cancellation
+      if (options.sessionId) {
+        connection = this.getSessionConnection(options.sessionId);
+        pinned = true;
+      } else {
+        connection = await this.pool.getConnection();
       }
+      const threadId = connection.threadId;
+      handle = this.trackExecution(options.executionId, async () => {
+        await this.pool.query('KILL QUERY ?', [threadId]);
+      });
+      const core = connection.connection;
+      timeout = this.startTimeout(options, async () => {
+        if (!(await this.killQuery(threadId))) {
+          // The query's error ends runQuery() below
+          destroyed = true;
+          core.stream.destroy(Object.assign(new Error('Query timed out'), { code: 'ETIMEOUT' }));
+        }
+      });
 
-      // Execute query
-      const [rows, fields] = await this.pool.query(query);
+      // Parameterized queries use server-side prepared statements (single statement only)
+      const normalized = normalizeParams(options.params);
+      let sqlText = query;
+      let values = null;
+      if (normalized) {
+        const ordinal = toOrdinalParams(query, 'mysql', normalized, () => '?');
+        sqlText = ordinal.sql;
+        values = ordinal.params.map(param => this.toMysqlValue(param.value));
+      }
 
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      const { resultSets, entries, warnings, failure, stopped, sentAlone } = await this.runQuery(
+        connection, sqlText, values, options.stream || null,
+        () => !!(handle && handle.cancelled) || timeout.timedOut
+      );
 
-      // MySQL returns results differently based on query type
-      // SELECT: array of row objects
-      // INSERT/UPDATE/DELETE: ResultSetHeader object
-      // Multiple statements: array of [rows, fields] pairs
-
-      let resultSets = [];
-
-      // Check if this is a multi-statement result
-      if (Array.isArray(rows) && rows.length > 0 && Array.isArray(rows[0])) {
-        // Multiple result sets
-        for (let i = 0; i < rows.length; i++) {
-          const rowSet = rows[i];
-          const fieldSet = fields[i];
-
-          if (Array.isArray(rowSet)) {
-            // SELECT result
-            resultSets.push(this.formatResultSet(rowSet, fieldSet));
-          } else {
-            // INSERT/UPDATE/DELETE result (ResultSetHeader)
-            resultSets.push({
-              columns: {},
-              rows: [],
-              rowCount: rowSet.affectedRows || 0
-            });
-          }
+      // Cancelled or timed out between two statements
+      if (stopped) {
+        if (handle && handle.cancelled) {
+          return this.buildCancelledResult(startTime);
         }
-      } else {
-        // Single result set
-        if (Array.isArray(rows)) {
-          // SELECT result
-          resultSets.push(this.formatResultSet(rows, fields));
-        } else {
-          // INSERT/UPDATE/DELETE result
-          resultSets.push({
-            columns: {},
-            rows: [],
-            rowCount: rows.affectedRows || 0
-          });
+        return this.buildTimeoutResult(startTime, timeout.timeoutMs);
+      }
+
+      if (failure) {
+        // 1317 = ER_QUERY_INTERRUPTED
+        if (handle && handle.cancelled && failure.errno === 1317) {
+          return this.buildCancelledResult(startTime);
+        }
+        if (timeout.timedOut && (failure.errno === 1317 || destroyed)) {
+          if (destroyed && pinned) {
+            this.dropSession(options.sessionId);
+          }
+          connectionLost = destroyed;
+          return this.buildTimeoutResult(startTime, timeout.timeoutMs);
         }
+        connectionLost = this.checkConnectionError(failure, options.sessionId || null);
+
+        const error = this.describeError(failure);
+        const statements = this.buildStatements(entries, query, warnings,
+          serverMessage(error.message, 'error', error.code));
+        const location = this.locateFailure(entries, query, failure, sentAlone);
+
+        // Statements before the failing one ran: keep their results
+        return {
+          resultSets: resultSets,
+          metadata: {
+            executionTime: Date.now() - startTime,
+            rowsAffected: affectedCounts(statements),
+            statements: statements
+          },
+          error: {
+            ...error,
+            lineNumber: location ? location.lineNumber : null,
+            column: location ? location.column : null,
+            statement: statements.length - 1
+          }
+        };
       }
 
+      const statements = this.buildStatements(entries, query, warnings);
+
       return {
         resultSets: resultSets,
         metadata: {
-          executionTime: executionTime,
-          rowsAffected: resultSets.map(rs => rs.rowCount)
+          executionTime: Date.now() - startTime,
+          rowsAffected: affectedCounts(statements),
+          statements: statements
         },
         error: null
       };
@@ -173,6 +372,7 @@ class MySQLDriver extends BaseDriver {
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
+      connectionLost = this.checkConnectionError(err, options.sessionId || null);
 
       return {
         resultSets: [],
@@ -180,15 +380,363 @@ class MySQLDriver extends BaseDriver {
           executionTime: executionTime,
           rowsAffected: []
         },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.errno || err.code || null,
-          lineNumber: null, // MySQL doesn't provide line numbers
-          procName: null,
-          sqlState: err.sqlState || null
-        }
+        error: this.describeError(err)
       };
+    } finally {
+      this.untrackExecution(options.executionId);
+      if (timeout) {
+        timeout.clear();
+      }
+      if (connection && !pinned) {
+        // A broken connection is closed rather than returned to the pool
+        if (connectionLost) {
+          connection.destroy();
+        } else {
+          connection.release();
+        }
+      }
+    }
+  }
+
+  /**
+   * Stop the statement running on a thread with KILL QUERY
+   * @param {number} threadId - Connection thread ID
+   * @returns {Promise<boolean>} False if the server did not take it within KILL_TIMEOUT_MS
+   */
+  async killQuery(threadId) {
+    let timer = null;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), KILL_TIMEOUT_MS);
+    });
+    try {
+      return await Promise.race([this.pool.query('KILL QUERY ?', [threadId]).then(() => true), expired]);
+    } catch (err) {
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Open a dedicated connection for a session (outside the pool, so it is
+   * never handed to another query)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<PromiseConnection>} Connected mysql2 connection
+   */
+  async createSessionConnection(sessionId) {
+    // Pool-only options are rejected by single connections
+    const { waitForConnections, connectionLimit, maxIdle, idleTimeout, queueLimit, ...connectionConfig } = this.mysqlConfig;
+
+    let connection;
+    try {
+      connection = await mysql.createConnection(connectionConfig);
+    } catch (err) {
+      throw new Error(`MySQL session connection failed: ${err.message}`);
+    }
+
+    // A lost connection ends the session
+    connection.on('error', () => this.dropSession(sessionId));
+    return connection;
+  }
+
+  /**
+   * Close a session's connection
+   * @param {PromiseConnection} connection - Connection from createSessionConnection()
+   */
+  async closeSessionConnection(connection) {
+    await connection.end();
+  }
+
+  /**
+   * Switch a session's connection to another database with USE
+   * @param {string} sessionId - Session ID
+   * @param {string} database - Database name
+   * @returns {Promise<boolean>} True once switched
+   */
+  async useSessionDatabase(sessionId, database) {
+    const connection = this.getSessionConnection(sessionId);
+    await connection.query(`USE \`${database.replace(/`/g, '``')}\``);
+    return true;
+  }
+
+  /**
+   * Build transaction control SQL
+   *
+   * SET TRANSACTION without SESSION only applies to the next transaction.
+   *
+   * @param {string} action - "begin", "commit" or "rollback"
+   * @param {string|null} isolationLevel - Lower-case isolation level
+   * @returns {string} SQL
+   */
+  getTransactionSql(action, isolationLevel) {
+    switch (action) {
+      case 'begin':
+        return isolationLevel
+          ? `SET TRANSACTION ISOLATION LEVEL ${isolationLevel.toUpperCase()}; START TRANSACTION`
+          : 'START TRANSACTION';
+      case 'commit':
+        return 'COMMIT';
+      default:
+        return 'ROLLBACK';
+    }
+  }
+
+  /**
+   * Execute a query, collecting its results or sending rows to a
+   * ResultStream as they arrive, and read each statement's warnings
+   *
+   * SHOW WARNINGS only lists the last statement's warnings, so a script of
+   * several statements is sent one statement at a time on the connection,
+   * each followed by SHOW WARNINGS if it reported warnings or returned rows
+   * (whose warning count mysql2 does not pass on). A parameterized query is
+   * one prepared statement and is sent whole. Like the server, the script
+   * stops at the first statement that fails; it also stops before the next
+   * statement once `shouldStop()` says so (cancelled or timed out), since
+   * KILL QUERY only stops the statement running.
+   *
+   * @param {PromisePoolConnection} connection - Checked-out connection
+   * @param {string} query - SQL query
+   * @param {Array|null} [values] - Bound parameter values (uses a prepared statement)
+   * @param {ResultStream|null} [stream] - Stream to send rows to
+   * @param {function(): boolean} [shouldStop] - Checked before each statement after the first
+   * @returns {Promise<{resultSets: Array<Object>, entries: Array<Object>, warnings: Array<Array<Object>>,
+   *   failure: Error|null, stopped: boolean, sentAlone: boolean}>} Result sets (summaries when
+   *   streamed), the results in arrival order (see buildStatements()), the warnings of each
+   *   statement sent (by statement index), the error that stopped the query, whether it stopped
+   *   early, and whether statements were sent one at a time
+   */
+  async runQuery(connection, query, values = null, stream = null, shouldStop = () => false) {
+    const core = connection.connection;
+    if (stream) {
+      stream.setFlowControl(() => core.pause(), () => core.resume());
+    }
+
+    const parts = values ? [] : splitStatements(query, 'mysql');
+    const sentAlone = parts.length > 1;
+    const texts = sentAlone ? parts.map(part => query.slice(part.start, part.end)) : [query];
+    const collected = [];
+    const entries = [];
+    const warnings = [];
+    let failure = null;
+    let stopped = false;
+
+    for (let index = 0; index < texts.length; index++) {
+      if (index > 0 && shouldStop()) {
+        stopped = true;
+        break;
+      }
+
+      const first = entries.length;
+      failure = await this.sendQuery(core, texts[index], index === 0 ? values : null, stream, collected, entries);
+      const results = entries.slice(first);
+      results.forEach(entry => { entry.statement = index; });
+
+      // Warnings raised by a failed statement before its error (the error itself is added by execute())
+      const warned = failure
+        ? failure.errno && !failure.fatal
+        : results.some(entry => 'resultSet' in entry || entry.warnings > 0);
+      const messages = warned ? await this.readWarnings(connection).catch(() => []) : [];
+      warnings.push(failure ? messages.filter(message => message.severity !== 'error') : messages);
+      if (failure) break;
     }
+
+    const resultSets = stream
+      ? await stream.finish()
+      : collected.map(({ rows, fields }) => this.formatResultSet(rows, fields));
+    return { resultSets, entries, warnings, failure, stopped, sentAlone };
+  }
+
+  /**
+   * Send one query, adding its results to `collected` (or the stream) and `entries`
+   *
+   * mysql2 reports each statement's rows, or its header for
+   * INSERT/UPDATE/DELETE, in turn; the server stops at the first statement
+   * that fails.
+   *
+   * @param {Connection} core - Underlying (non-promise) mysql2 connection
+   * @param {string} query - SQL to send
+   * @param {Array|null} values - Bound parameter values (uses a prepared statement)
+   * @param {ResultStream|null} stream - Stream to send rows to
+   * @param {Array<Object>} collected - Receives { rows, fields } per result set when not streamed
+   * @param {Array<Object>} entries - Receives { resultSet: index } or { affectedRows, warnings } per result
+   * @returns {Promise<Error|null>} The error that stopped the query
+   */
+  sendQuery(core, query, values, stream, collected, entries) {
+    return new Promise((resolve) => {
+      // 'fields' is emitted with undefined before a ResultSetHeader (INSERT/UPDATE/DELETE)
+      let expectHeader = false;
+      let columns = {};
+
+      const q = values
+        ? core.execute({ sql: query, ...RESULT_OPTIONS }, values)
+        : core.query({ sql: query, ...RESULT_OPTIONS });
+
+      q.on('fields', (fields) => {
+        expectHeader = !fields;
+        if (!fields) return;
+        if (stream) {
+          columns = this.formatResultSet([], fields).columns;
+          stream.beginResultSet(columns);
+          entries.push({ resultSet: stream.resultSets.length - 1 });
+        } else {
+          entries.push({ resultSet: collected.push({ rows: [], fields }) - 1 });
+        }
+      });
+
+      q.on('result', (row) => {
+        if (expectHeader) {
+          if (stream) stream.endResultSet();
+          entries.push({ affectedRows: row.affectedRows || 0, warnings: row.warningStatus || 0 });
+        } else if (stream) {
+          stream.pushRow(encodeRow(row, columns));
+        } else {
+          collected[collected.length - 1].rows.push(row);
+        }
+      });
+
+      // An error ends the query without 'end'
+      q.on('error', err => resolve(err));
+      q.on('end', () => resolve(null));
+    });
+  }
+
+  /**
+   * Build the error object of a result
+   * @param {Error} err - mysql2 or connection error
+   * @returns {Object} { message, code, lineNumber, procName, sqlState }
+   */
+  describeError(err) {
+    return {
+      message: err.message || 'Unknown error',
+      code: err.errno || err.code || null,
+      lineNumber: null,
+      procName: null,
+      sqlState: err.sqlState || null
+    };
+  }
+
+  /**
+   * Read the warnings and notes left by the last statement run on a connection
+   * @param {PromisePoolConnection} connection - Connection the statement ran on
+   * @returns {Promise<Array<Object>>} Server messages (see statements.js)
+   */
+  async readWarnings(connection) {
+    const [rows] = await connection.query('SHOW WARNINGS');
+    return rows.map(row => serverMessage(row.Message, WARNING_LEVELS[row.Level] || 'warning', row.Code));
+  }
+
+  /**
+   * Build statement outcomes (see statements.js) from results in arrival order
+   *
+   * Results are paired with the script's statements (see pairEntries()); if
+   * the split disagrees, each result becomes a statement without a range.
+   * Each statement gets the warnings read after it (see runQuery()).
+   *
+   * When the query failed, the statements that yielded results succeeded
+   * and one more outcome is added for the failing statement (see
+   * failedStatementIndex()), holding its warnings and the error message.
+   *
+   * @param {Array<Object>} entries - { resultSet: index } or { affectedRows, warnings } per
+   *   result, with the index of the statement sent that yielded it
+   * @param {string} query - SQL as passed to execute()
+   * @param {Array<Array<Object>>} [warnings] - Messages from readWarnings(), by statement sent
+   * @param {Object|null} [failure] - Error message of a failed query (see serverMessage())
+   * @returns {Array<Object>} Statement outcomes
+   */
+  buildStatements(entries, query, warnings = [], failure = null) {
+    const parts = splitStatements(query, 'mysql');
+    const { groups, unpaired } = pairEntries(parts, entries);
+    const failedAt = failure ? failedStatementIndex(groups) : -1;
+    const warningsOf = index => warnings[index] || [];
+
+    if (unpaired !== 0 || (failure ? failedAt >= parts.length : groups.length !== parts.length)) {
+      // Warnings go to the last result of the statement they were read after;
+      // a failed query's last statement sent is the one that failed
+      const failedSent = failure ? warnings.length - 1 : -1;
+      const outcomes = entries.map((entry, index) => {
+        const next = entries[index + 1];
+        const last = !next || next.statement !== entry.statement;
+        return statementOutcome({
+          resultSets: 'resultSet' in entry ? [entry.resultSet] : [],
+          rowsAffected: 'resultSet' in entry ? null : entry.affectedRows,
+          messages: last && entry.statement !== failedSent ? warningsOf(entry.statement) : []
+        });
+      });
+      return failure
+        ? [...outcomes, statementOutcome({ messages: [...warningsOf(failedSent), failure] })]
+        : outcomes;
+    }
+
+    const succeeded = failure ? groups.slice(0, failedAt) : groups;
+    const outcomes = succeeded.map(({ part, group }, index) => {
+      const header = group.find(entry => !('resultSet' in entry));
+      return statementOutcome({
+        resultSets: group.filter(entry => 'resultSet' in entry).map(entry => entry.resultSet),
+        rowsAffected: header && isDmlKeyword(part.keyword) ? header.affectedRows : null,
+        messages: warningsOf(index),
+        range: statementRange(query, part.start, part.end)
+      });
+    });
+    if (!failure) {
+      return outcomes;
+    }
+
+    const part = parts[failedAt];
+    const call = groups[failedAt];
+    return [...outcomes, statementOutcome({
+      resultSets: call ? call.group.map(entry => entry.resultSet) : [],
+      messages: [...warningsOf(failedAt), failure],
+      range: statementRange(query, part.start, part.end)
+    })];
+  }
+
+  /**
+   * Locate the error of a failed query in the script
+   *
+   * Syntax errors end with "near '<text>' at line N", N counting from the
+   * line where the server started reading the failing statement: its first
+   * line when statements were sent one at a time, else just past the
+   * previous semicolon, after whitespace but not comments.
+   *
+   * @param {Array<Object>} entries - Results that arrived before the error
+   * @param {string} query - SQL as passed to execute()
+   * @param {Error} err - The error
+   * @param {boolean} [sentAlone] - The failing statement was sent by itself (see runQuery())
+   * @returns {{lineNumber: number, column: number, range: Object}|null} Null when the
+   *   failing statement can't be told
+   */
+  locateFailure(entries, query, err, sentAlone = false) {
+    const parts = splitStatements(query, 'mysql');
+    const { groups, unpaired } = pairEntries(parts, entries);
+    const failedAt = failedStatementIndex(groups);
+    if (unpaired !== 0 || failedAt >= parts.length) {
+      return null;
+    }
+
+    const part = parts[failedAt];
+    const hint = {};
+    const near = /near '([\s\S]*)' at line (\d+)$/.exec(err.message || '');
+    if (near) {
+      let read = sentAlone ? part.start : (failedAt > 0 ? query.indexOf(';', parts[failedAt - 1].end) + 1 : 0);
+      while (read < part.start && /\s/.test(query[read])) read++;
+      const skippedLines = (query.slice(read, part.start).match(/\n/g) || []).length;
+      hint.near = near[1];
+      hint.line = Number(near[2]) - skippedLines;
+    }
+    return locateError(query, part, hint);
+  }
+
+  /**
+   * Convert a parameter value to something mysql2 can bind
+   * @param {*} value - Parameter value
+   * @returns {*} Bindable value (undefined is not allowed by prepared statements)
+   */
+  toMysqlValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'object' && value !== null && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+      return JSON.stringify(value);
+    }
+    return value;
   }
 
   /**
@@ -202,9 +750,7 @@ class MySQLDriver extends BaseDriver {
         columns[field.name] = {
           index: index,
           name: field.name,
-          type: this.mapMySQLType(field.type),
-          length: field.length,
-          nullable: (field.flags & 1) === 0, // NOT_NULL flag is 1
+          ...this.describeField(field),
           flags: field.flags,
           decimals: field.decimals
         };
@@ -213,104 +759,473 @@ class MySQLDriver extends BaseDriver {
 
     return {
       columns: columns,
-      rows: rows || [],
+      rows: (rows || []).map(row => encodeRow(row, columns)),
       rowCount: rows ? rows.length : 0
     };
   }
 
   /**
-   * Map MySQL data types to display strings
+   * Build a column type descriptor from a column definition
+   *
+   * The protocol reports wire types (LONG, VAR_STRING, BLOB...) and a byte
+   * length; the SQL type comes from the wire type, the flags and the
+   * character set (binary = BINARY/VARBINARY/BLOB, otherwise CHAR/VARCHAR/TEXT),
+   * and lengths are converted to characters.
+   *
+   * @param {Object} field - mysql2 column definition
+   * @returns {Object} Type descriptor (see types.typeDescriptor())
+   */
+  describeField(field) {
+    const flags = field.flags || 0;
+    const byteLength = field.columnLength || 0;
+    const binary = field.characterSet === BINARY_CHARSET;
+    const charWidth = binary ? 1 : (CHARSET_WIDTHS[CHARSET_BY_COLLATION[field.characterSet]] || 1);
+    const charLength = Math.floor(byteLength / charWidth);
+    const unsigned = (flags & FIELD_FLAGS.UNSIGNED) !== 0;
+    const nullable = (flags & FIELD_FLAGS.NOT_NULL) === 0;
+    let type = this.mapMySQLType(field.type);
+    let length = null;
+    let precision = null;
+    let scale = null;
+
+    switch (type) {
+      case 'tinyint':
+      case 'smallint':
+      case 'mediumint':
+      case 'int':
+      case 'bigint':
+        if (unsigned) type += ' unsigned';
+        break;
+      case 'decimal':
+        // Display length counts the sign and decimal point
+        precision = byteLength - (field.decimals > 0 ? 1 : 0) - (unsigned ? 0 : 1);
+        scale = field.decimals;
+        break;
+      case 'time':
+      case 'datetime':
+      case 'timestamp':
+        precision = field.decimals;
+        break;
+      case 'bit':
+        length = byteLength;
+        break;
+      case 'char':
+      case 'varchar':
+        if (flags & FIELD_FLAGS.ENUM) {
+          type = 'enum';
+        } else if (flags & FIELD_FLAGS.SET) {
+          type = 'set';
+        } else if (binary) {
+          type = type === 'char' ? 'binary' : 'varbinary';
+          length = byteLength;
+        } else {
+          length = charLength;
+        }
+        break;
+      case 'blob':
+        length = binary ? byteLength : charLength;
+        type = `${length <= 255 ? 'tiny' : length <= 65535 ? '' : length <= 16777215 ? 'medium' : 'long'}` +
+          (binary ? 'blob' : 'text');
+        break;
+      default:
+        break;
+    }
+
+    return typeDescriptor({ type, length, precision, scale, nullable });
+  }
+
+  /**
+   * Map MySQL protocol type ids to SQL type names
+   *
+   * CHAR, VARCHAR and BLOB are refined by describeField() (binary, TEXT
+   * sizes, ENUM and SET).
    */
   mapMySQLType(typeId) {
-    // MySQL type constants
     const types = {
       0: 'decimal',
-      1: 'tiny',
-      2: 'short',
-      3: 'long',
+      1: 'tinyint',
+      2: 'smallint',
+      3: 'int',
       4: 'float',
       5: 'double',
       6: 'null',
       7: 'timestamp',
-      8: 'longlong',
-      9: 'int24',
+      8: 'bigint',
+      9: 'mediumint',
       10: 'date',
       11: 'time',
       12: 'datetime',
       13: 'year',
+      14: 'date',
       15: 'varchar',
       16: 'bit',
       245: 'json',
-      246: 'newdecimal',
+      246: 'decimal',
       247: 'enum',
       248: 'set',
-      249: 'tiny_blob',
-      250: 'medium_blob',
-      251: 'long_blob',
+      249: 'blob',
+      250: 'blob',
+      251: 'blob',
       252: 'blob',
-      253: 'var_string',
-      254: 'string',
+      253: 'varchar',
+      254: 'char',
       255: 'geometry'
     };
 
     return types[typeId] || 'unknown';
   }
 
+  /**
+   * Get the execution plan of a query
+   *
+   * Estimated plans come from EXPLAIN FORMAT=JSON. Actual plans come from
+   * EXPLAIN ANALYZE (MySQL 8.0.18+), run inside a transaction that is rolled
+   * back afterwards. Notes such as "Cannot use ref access on index ... due to
+   * type or collation conversion" are read with SHOW WARNINGS.
+   *
+   * @param {string} query - One SQL statement
+   * @param {Object} [options] - { actual, params } (see BaseDriver.explain())
+   * @returns {Promise<Object>} { actual, plans, warnings }
+   */
+  async explain(query, options = {}) {
+    await this.ensureConnected();
+
+    const actual = !!options.actual;
+    const statement = query.trim().replace(/;\s*$/, '');
+    const explainSql = actual ? `EXPLAIN ANALYZE ${statement}` : `EXPLAIN FORMAT=JSON ${statement}`;
+
+    return this.withTemporarySession(async (sessionId) => {
+      const run = async () => {
+        const plan = await this.runSessionStatement(sessionId, explainSql, { params: options.params });
+        // Read right away (the next statement clears them); note 1003 is just the rewritten query
+        const notes = await this.runSessionStatement(sessionId, 'SHOW WARNINGS');
+        return { plan, notes: notes[0] ? notes[0].rows : [] };
+      };
+
+      let result;
+      if (actual) {
+        await this.runSessionStatement(sessionId, 'START TRANSACTION');
+        try {
+          result = await run();
+        } finally {
+          await this.runSessionStatement(sessionId, 'ROLLBACK');
+        }
+      } else {
+        result = await run();
+      }
+
+      const warnings = result.notes
+        .filter(note => Number(note.Code) !== 1003)
+        .map(note => note.Message);
+
+      const row = result.plan[0] && result.plan[0].rows[0];
+      const output = row ? Object.values(row)[0] : null;
+      let plans = [];
+      if (output) {
+        plans = [actual
+          ? fromMysqlAnalyze(output, statement, warnings)
+          : fromMysqlJson(output, statement, warnings)];
+      }
+      return { actual, plans, warnings: [] };
+    });
+  }
+
   /**
    * Get metadata for database object (for IntelliSense)
    */
   async getMetadata(objectType, objectName, schemaName = null) {
     try {
-      if (!this.isConnected) {
-        await this.connect();
-      }
+      await this.ensureConnected();
 
       const database = schemaName || this.mysqlConfig.database;
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query information_schema for column metadata
-        const query = `
-          SELECT
-            c.COLUMN_NAME as name,
-            c.DATA_TYPE as type,
-            c.CHARACTER_MAXIMUM_LENGTH as maxLength,
-            c.NUMERIC_PRECISION as precision,
-            c.NUMERIC_SCALE as scale,
-            c.IS_NULLABLE as nullable,
-            c.COLUMN_DEFAULT as defaultValue,
-            c.COLUMN_KEY as columnKey,
-            c.EXTRA as extra
-          FROM INFORMATION_SCHEMA.COLUMNS c
-          WHERE c.TABLE_SCHEMA = ?
-            AND c.TABLE_NAME = ?
-          ORDER BY c.ORDINAL_POSITION
-        `;
-
-        const [rows] = await this.pool.query(query, [database, objectName]);
+        const filter = { schema: database, table: objectName };
+        const [parts, constraintRows] = await Promise.all([
+          this.readCatalog(filter),
+          this.readConstraints(filter)
+        ]);
+        return buildTableMetadata(parts, constraintRows);
+      }
 
-        return {
-          columns: rows.map(row => ({
-            name: row.name,
-            type: row.type,
-            maxLength: row.maxLength,
-            precision: row.precision,
-            scale: row.scale,
-            nullable: row.nullable === 'YES',
-            defaultValue: row.defaultValue,
-            isPrimaryKey: row.columnKey === 'PRI',
-            isForeignKey: row.columnKey === 'MUL',
-            isAutoIncrement: row.extra.includes('auto_increment')
-          }))
-        };
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, database);
       }
 
       return { columns: [] };
 
     } catch (err) {
+      this.checkConnectionError(err);
       throw new Error(`Failed to get metadata: ${err.message}`);
     }
   }
 
+  /**
+   * Read UNIQUE, CHECK and DEFAULT constraint rows for one table
+   *
+   * Column defaults have no name in MySQL, so DEFAULT rows are unnamed.
+   * CHECK constraints are only reported by MySQL 8.0.16+.
+   *
+   * @param {Object} filter
+   * @param {string} filter.schema - Database name
+   * @param {string} filter.table - Table name
+   * @returns {Promise<Array<Object>>} Constraint rows for buildTableMetadata()
+   */
+  async readConstraints(filter) {
+    const values = [filter.schema, filter.table];
+
+    const uniqueQuery = `
+      SELECT k.CONSTRAINT_NAME AS name, k.COLUMN_NAME AS columnName
+      FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+      JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+        ON k.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND k.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        AND k.TABLE_NAME = tc.TABLE_NAME
+      WHERE tc.CONSTRAINT_TYPE = 'UNIQUE' AND tc.TABLE_SCHEMA = ? AND tc.TABLE_NAME = ?
+      ORDER BY k.CONSTRAINT_NAME, k.ORDINAL_POSITION`;
+    const checkQuery = `
+      SELECT tc.CONSTRAINT_NAME AS name, cc.CHECK_CLAUSE AS expression
+      FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+      JOIN INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc
+        ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+      WHERE tc.CONSTRAINT_TYPE = 'CHECK' AND tc.TABLE_SCHEMA = ? AND tc.TABLE_NAME = ?
+      ORDER BY tc.CONSTRAINT_NAME`;
+    const defaultQuery = `
+      SELECT COLUMN_NAME AS columnName, COLUMN_DEFAULT AS expression
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_DEFAULT IS NOT NULL
+      ORDER BY ORDINAL_POSITION`;
+
+    const [[uniques], [checks], [defaults]] = await Promise.all([
+      this.pool.query(uniqueQuery, values),
+      this.pool.query(checkQuery, values).catch(() => [[]]),
+      this.pool.query(defaultQuery, values)
+    ]);
+
+    return [
+      ...uniques.map(row => ({ name: row.name, type: 'UNIQUE', column: row.columnName, expression: null })),
+      ...checks.map(row => ({ name: row.name, type: 'CHECK', column: null, expression: row.expression })),
+      ...defaults.map(row => ({ name: null, type: 'DEFAULT', column: row.columnName, expression: row.expression }))
+    ];
+  }
+
+  /**
+   * Get parameters and return type of a procedure or function
+   * (see BaseDriver.getMetadata())
+   *
+   * MySQL parameters have no defaults and functions only return scalars, so
+   * hasDefault is always false and columns is always empty.
+   *
+   * @param {string} objectType - 'procedure' or 'function'
+   * @param {string} objectName - Routine name
+   * @param {string} database - Database the routine belongs to
+   * @returns {Promise<Object>} Routine metadata
+   */
+  async getRoutineMetadata(objectType, objectName, database) {
+    // ORDINAL_POSITION 0 is a function's return value
+    const query = `
+      SELECT
+        ORDINAL_POSITION AS ordinal,
+        PARAMETER_MODE AS mode,
+        PARAMETER_NAME AS name,
+        DTD_IDENTIFIER AS type,
+        CHARACTER_MAXIMUM_LENGTH AS maxLength,
+        NUMERIC_PRECISION AS \`precision\`,
+        NUMERIC_SCALE AS scale
+      FROM INFORMATION_SCHEMA.PARAMETERS
+      WHERE SPECIFIC_SCHEMA = ? AND SPECIFIC_NAME = ? AND ROUTINE_TYPE = ?
+      ORDER BY ORDINAL_POSITION
+    `;
+
+    const [rows] = await this.pool.query(query, [database, objectName, objectType.toUpperCase()]);
+    const returnRow = rows.find(row => Number(row.ordinal) === 0);
+
+    return {
+      routineType: objectType,
+      returnType: returnRow ? returnRow.type : null,
+      returnsSet: false,
+      parameters: rows
+        .filter(row => Number(row.ordinal) > 0)
+        .map(row => ({
+          name: row.name,
+          type: row.type,
+          direction: normalizeParameterDirection(row.mode),
+          defaultValue: null,
+          hasDefault: false,
+          nullable: true,
+          ordinal: Number(row.ordinal),
+          maxLength: row.maxLength,
+          precision: row.precision,
+          scale: row.scale
+        })),
+      columns: []
+    };
+  }
+
+  /**
+   * Get a whole-database metadata snapshot (see BaseDriver.getSchemaSnapshot())
+   *
+   * MySQL schemas are databases, so the snapshot covers the connected database
+   * (or options.schema) and lists it as the only schema.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.schema] - Database to read (default: connected database)
+   * @returns {Promise<Object>} Normalized snapshot
+   */
+  async getSchemaSnapshot(options = {}) {
+    try {
+      await this.ensureConnected();
+
+      const parts = await this.readCatalog({
+        schema: options.schema || this.mysqlConfig.database,
+        table: null
+      });
+      return buildSchemaSnapshot(parts);
+    } catch (err) {
+      this.checkConnectionError(err);
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read tables, columns, indexes, foreign keys and routines from information_schema
+   *
+   * @param {Object} filter
+   * @param {string} filter.schema - Database to read
+   * @param {string|null} filter.table - Only this table/view/routine name (null = all)
+   * @returns {Promise<Object>} Flat catalog rows for buildSchemaSnapshot()
+   */
+  async readCatalog(filter) {
+    const values = [filter.schema, filter.table, filter.table];
+
+    const queries = {
+      tables: `
+        SELECT TABLE_SCHEMA AS schemaName, TABLE_NAME AS name, TABLE_TYPE AS tableType, ENGINE AS engine
+        FROM INFORMATION_SCHEMA.TABLES
+        WHERE TABLE_SCHEMA = ? AND (? IS NULL OR TABLE_NAME = ?)
+        ORDER BY TABLE_NAME`,
+      columns: `
+        SELECT
+          TABLE_SCHEMA AS schemaName,
+          TABLE_NAME AS tableName,
+          COLUMN_NAME AS name,
+          DATA_TYPE AS type,
+          CHARACTER_MAXIMUM_LENGTH AS maxLength,
+          NUMERIC_PRECISION AS \`precision\`,
+          NUMERIC_SCALE AS scale,
+          IS_NULLABLE AS nullable,
+          COLUMN_DEFAULT AS defaultValue,
+          ORDINAL_POSITION AS ordinal,
+          EXTRA AS extra
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = ? AND (? IS NULL OR TABLE_NAME = ?)
+        ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+      indexes: `
+        SELECT
+          s.TABLE_SCHEMA AS schemaName,
+          s.TABLE_NAME AS tableName,
+          s.INDEX_NAME AS name,
+          s.NON_UNIQUE AS nonUnique,
+          t.ENGINE AS engine,
+          s.COLUMN_NAME AS columnName,
+          s.EXPRESSION AS expression
+        FROM INFORMATION_SCHEMA.STATISTICS s
+        JOIN INFORMATION_SCHEMA.TABLES t
+          ON t.TABLE_SCHEMA = s.TABLE_SCHEMA AND t.TABLE_NAME = s.TABLE_NAME
+        WHERE s.TABLE_SCHEMA = ? AND (? IS NULL OR s.TABLE_NAME = ?)
+        ORDER BY s.TABLE_NAME, s.INDEX_NAME, s.SEQ_IN_INDEX`,
+      foreignKeys: `
+        SELECT
+          k.TABLE_SCHEMA AS schemaName,
+          k.TABLE_NAME AS tableName,
+          k.CONSTRAINT_NAME AS name,
+          k.COLUMN_NAME AS columnName,
+          k.REFERENCED_TABLE_SCHEMA AS referencedSchema,
+          k.REFERENCED_TABLE_NAME AS referencedTable,
+          k.REFERENCED_COLUMN_NAME AS referencedColumn,
+          r.DELETE_RULE AS onDelete,
+          r.UPDATE_RULE AS onUpdate
+        FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+        JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+          ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+          AND r.TABLE_NAME = k.TABLE_NAME
+        WHERE k.TABLE_SCHEMA = ? AND (? IS NULL OR k.TABLE_NAME = ?)
+          AND k.REFERENCED_TABLE_NAME IS NOT NULL
+        ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+      routines: `
+        SELECT
+          ROUTINE_SCHEMA AS schemaName,
+          ROUTINE_NAME AS name,
+          ROUTINE_TYPE AS routineType,
+          DTD_IDENTIFIER AS returnType
+        FROM INFORMATION_SCHEMA.ROUTINES
+        WHERE ROUTINE_SCHEMA = ? AND (? IS NULL OR ROUTINE_NAME = ?)
+        ORDER BY ROUTINE_NAME`
+    };
+
+    // MySQL 5.7 has no STATISTICS.EXPRESSION column (functional indexes are 8.0.13+)
+    const [[tables], [columns], [indexes], [foreignKeys], [routines]] = await Promise.all([
+      this.pool.query(queries.tables, values),
+      this.pool.query(queries.columns, values),
+      this.pool.query(queries.indexes, values)
+        .catch(() => this.pool.query(queries.indexes.replace('s.EXPRESSION', 'NULL'), values)),
+      this.pool.query(queries.foreignKeys, values),
+      this.pool.query(queries.routines, values)
+    ]);
+
+    return {
+      database: filter.schema,
+      schemas: [filter.schema],
+      tables: tables.map(row => ({
+        schema: row.schemaName,
+        name: row.name,
+        type: row.tableType === 'VIEW' ? 'view' : 'table'
+      })),
+      columns: columns.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        type: row.type,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale,
+        nullable: row.nullable === 'YES',
+        defaultValue: row.defaultValue,
+        ordinal: row.ordinal,
+        isIdentity: (row.extra || '').includes('auto_increment')
+      })),
+      // InnoDB clusters rows on the primary key
+      indexes: indexes.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        unique: Number(row.nonUnique) === 0,
+        primary: row.name === 'PRIMARY',
+        clustered: row.name === 'PRIMARY' && String(row.engine).toUpperCase() === 'INNODB',
+        filter: null,
+        column: row.columnName !== null ? row.columnName : row.expression,
+        included: false
+      })),
+      foreignKeys: foreignKeys.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        column: row.columnName,
+        referencedSchema: row.referencedSchema,
+        referencedTable: row.referencedTable,
+        referencedColumn: row.referencedColumn,
+        onDelete: row.onDelete,
+        onUpdate: row.onUpdate
+      })),
+      routines: routines.map(row => ({
+        schema: row.schemaName,
+        name: row.name,
+        type: row.routineType === 'PROCEDURE' ? 'procedure' : 'function',
+        returnType: row.returnType,
+        returnsSet: false
+      }))
+    };
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
@@ -0,0 +1,277 @@
+/**
+ * Query parameter helpers shared by all drivers
+ *
+ * Parameters arrive from Lua either positional (array) or named (object).
+ * Each value may be a plain value or a hint object { value, type } where
+ * type is a SQL type name such as "int", "decimal(10,2)", "nvarchar(50)",
+ * "date" or "varbinary". Without a hint the type is inferred from the value.
+ *
+ * Placeholder conventions accepted in SQL text (drivers rewrite them to
+ * what their native API expects):
+ * - Positional: ?            (Postgres also accepts $1, $2, ...)
+ * - Named:      @name or :name
+ */
+
+const { skipComment, skipQuoted } = require('./statements');
+
+/**
+ * Parse a SQL type hint such as "decimal(10,2)" or "nvarchar(max)"
+ * @param {string} type - Type hint
+ * @returns {{raw: string, name: string, length: number|null, precision: number|null, scale: number|null, max: boolean}}
+ */
+function parseTypeHint(type) {
+  const raw = String(type || '').trim();
+  const match = /^\s*([a-z_][a-z0-9_ ]*?)\s*(?:\(\s*([^)]*)\s*\))?\s*$/i.exec(raw);
+  if (!match) {
+    return { raw: raw, name: raw.toLowerCase(), length: null, precision: null, scale: null, max: false };
+  }
+
+  const name = match[1].toLowerCase();
+  const args = match[2] ? match[2].split(',').map(a => a.trim().toLowerCase()) : [];
+  const max = args[0] === 'max';
+  const first = args[0] !== undefined && !max ? parseInt(args[0], 10) : null;
+  const second = args[1] !== undefined ? parseInt(args[1], 10) : null;
+
+  return {
+    raw: raw,
+    name: name,
+    length: first,
+    precision: first,
+    scale: second,
+    max: max
+  };
+}
+
+/**
+ * Infer a SQL type name from a JavaScript value
+ * @param {*} value - Parameter value
+ * @returns {string} Inferred type ("int", "bigint", "float", "bit", "datetime2", "varbinary", "nvarchar")
+ */
+function inferParamType(value) {
+  if (value === null || value === undefined) return 'nvarchar';
+  if (typeof value === 'boolean') return 'bit';
+  if (typeof value === 'bigint') return 'bigint';
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return 'float';
+    return value >= -2147483648 && value <= 2147483647 ? 'int' : 'bigint';
+  }
+  if (value instanceof Date) return 'datetime2';
+  if (Buffer.isBuffer(value)) return 'varbinary';
+  return 'nvarchar';
+}
+
+/**
+ * Convert a value arriving from Lua to the JS type its hint implies
+ *
+ * Lua cannot send Dates or Buffers, so temporal values arrive as strings and
+ * binary values as hex strings. Lua's vim.NIL arrives as null.
+ *
+ * @param {*} value - Raw value
+ * @param {string} typeName - Lower-case SQL type name
+ * @returns {*} Coerced value
+ */
+function coerceValue(value, typeName) {
+  if (value === null || value === undefined) return null;
+
+  if (['binary', 'varbinary', 'image', 'blob', 'bytea', 'longblob', 'mediumblob', 'tinyblob'].includes(typeName)) {
+    if (typeof value === 'string') {
+      return Buffer.from(value.replace(/^0x/i, ''), 'hex');
+    }
+    return value;
+  }
+
+  if (['bit', 'bool', 'boolean'].includes(typeName) && typeof value !== 'boolean') {
+    return value === 1 || value === '1' || value === 'true';
+  }
+
+  if (['int', 'integer', 'smallint', 'tinyint', 'mediumint'].includes(typeName) && typeof value === 'string') {
+    return parseInt(value, 10);
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a params argument into an ordered list of parameters
+ *
+ * @param {Array|Object|null} params - Positional array or named object
+ * @returns {{named: boolean, list: Array<{name: string|null, value: *, type: string, hint: Object|null}>}|null}
+ *   null when there are no parameters
+ */
+function normalizeParams(params) {
+  if (params === null || params === undefined) return null;
+
+  const named = !Array.isArray(params);
+  const entries = named ? Object.entries(params) : params.map(value => [null, value]);
+  if (entries.length === 0) return null;
+
+  const list = entries.map(([name, raw]) => {
+    const isHint = raw !== null && typeof raw === 'object' && !Buffer.isBuffer(raw) && !(raw instanceof Date) && 'value' in raw;
+    const hint = isHint && raw.type ? parseTypeHint(raw.type) : null;
+    const rawValue = isHint ? raw.value : raw;
+    const value = hint ? coerceValue(rawValue, hint.name) : rawValue;
+
+    return {
+      name: name !== null ? String(name).replace(/^[@:$]/, '') : null,
+      value: value,
+      type: hint ? hint.name : inferParamType(value),
+      hint: hint
+    };
+  });
+
+  return { named, list };
+}
+
+/**
+ * Rewrite parameter placeholders in SQL, skipping string literals, quoted
+ * identifiers and comments as the dialect defines them (see skipQuoted():
+ * `[...]` is an array subscript in Postgres, `$tag$...$tag$` a quoted body)
+ *
+ * The replacer is called for each `?` (with kind "positional") and for each
+ * `@name` / `:name` whose name is in `names` (with kind "named"). Returning
+ * undefined leaves the placeholder unchanged.
+ *
+ * @param {string} sql - SQL text
+ * @param {string} dialect - 'sqlserver' | 'postgres' | 'mysql' | 'sqlite'
+ * @param {Set<string>|null} names - Named parameters to recognize (lower-case), or
+ *   null for every @name / :name
+ * @param {Function} replacer - (kind, name, prefix) => replacement string | undefined,
+ *   prefix being '@' or ':' for named placeholders
+ * @param {Array<Object>} [edits] - Receives each replacement made, in order:
+ *   { start, length } in the rewritten SQL and { originalStart, originalLength } in `sql`
+ * @returns {string} Rewritten SQL
+ */
+function rewritePlaceholders(sql, dialect, names, replacer, edits = null) {
+  let out = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Comments, quoted strings and identifiers: copy through to their end
+    const commentEnd = skipComment(sql, i, dialect);
+    const skipped = commentEnd !== -1 ? commentEnd : skipQuoted(sql, i, dialect);
+    if (skipped !== -1) {
+      out += sql.slice(i, skipped);
+      i = skipped;
+      continue;
+    }
+
+    if (ch === '?') {
+      const replacement = replacer('positional', null);
+      if (replacement !== undefined && edits) {
+        edits.push({ start: out.length, length: replacement.length, originalStart: i, originalLength: 1 });
+      }
+      out += replacement !== undefined ? replacement : ch;
+      i++;
+      continue;
+    }
+
+    // @name / :name (but not @@var or ::cast)
+    if ((ch === '@' || ch === ':') && next !== ch && sql[i - 1] !== ch) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i + 1));
+      if (match && (!names || names.has(match[0].toLowerCase()))) {
+        const replacement = replacer('named', match[0], ch);
+        if (replacement !== undefined) {
+          if (edits) {
+            edits.push({ start: out.length, length: replacement.length, originalStart: i, originalLength: 1 + match[0].length });
+          }
+          out += replacement;
+          i += 1 + match[0].length;
+          continue;
+        }
+      }
+    }
+
+    out += ch;
+    i++;
+  }
+
+  return out;
+}
+
+/**
+ * Rewrite SQL to ordinal placeholders and return values in binding order
+ *
+ * Used by drivers whose native API is positional (pg, mysql2, msnodesqlv8).
+ *
+ * Positional values must match the `?` placeholders one to one (SQL with
+ * no `?` at all is left for the driver, e.g. Postgres $1 placeholders).
+ * A `:name` without a value is an error; an `@name` without one is left
+ * alone, since it may be a T-SQL or MySQL variable.
+ *
+ * @param {string} sql - SQL text using ? or @name/:name placeholders
+ * @param {string} dialect - 'sqlserver' | 'postgres' | 'mysql' | 'sqlite'
+ * @param {Object} normalized - Result of normalizeParams()
+ * @param {Function} placeholder - (ordinal, param) => placeholder text, e.g. n => `$${n}`
+ * @returns {{sql: string, params: Array<Object>, edits: Array<Object>}} Rewritten SQL,
+ *   parameters in order and the replacements made (see rewritePlaceholders())
+ * @throws {Error} If the placeholders and the parameters given do not match
+ */
+function toOrdinalParams(sql, dialect, normalized, placeholder) {
+  const ordered = [];
+  const edits = [];
+
+  if (!normalized.named) {
+    let count = 0;
+    const rewritten = rewritePlaceholders(sql, dialect, new Set(), () => {
+      const param = normalized.list[count++];
+      if (!param) return undefined;
+      ordered.push(param);
+      return placeholder(ordered.length, param);
+    }, edits);
+    if (count > 0 && count !== normalized.list.length) {
+      throw new Error(
+        `Query has ${count} ? placeholder${count === 1 ? '' : 's'} but ` +
+        `${normalized.list.length} parameter value${normalized.list.length === 1 ? ' was' : 's were'} given`
+      );
+    }
+    return { sql: rewritten, params: ordered, edits };
+  }
+
+  const byName = new Map(normalized.list.map(p => [p.name.toLowerCase(), p]));
+  const rewritten = rewritePlaceholders(sql, dialect, null, (kind, name, prefix) => {
+    if (kind !== 'named') return undefined;
+    const param = byName.get(name.toLowerCase());
+    if (!param) {
+      if (prefix === ':') {
+        throw new Error(`No value given for parameter :${name}`);
+      }
+      return undefined;
+    }
+    ordered.push(param);
+    return placeholder(ordered.length, param);
+  }, edits);
+  return { sql: rewritten, params: ordered, edits };
+}
+
+/**
+ * Map an offset in rewritten SQL back to the SQL it was rewritten from
+ *
+ * An offset inside a replacement maps to the start of the placeholder it
+ * replaced.
+ *
+ * @param {Array<Object>} edits - Replacements from rewritePlaceholders() / toOrdinalParams()
+ * @param {number} offset - 0-based offset in the rewritten SQL
+ * @returns {number} 0-based offset in the original SQL
+ */
+function toOriginalOffset(edits, offset) {
+  let shift = 0;
+  for (const edit of edits) {
+    if (offset < edit.start) break;
+    if (offset < edit.start + edit.length) return edit.originalStart;
+    shift = (edit.originalStart + edit.originalLength) - (edit.start + edit.length);
+  }
+  return offset + shift;
+}
+
+module.exports = {
+  parseTypeHint,
+  inferParamType,
+  coerceValue,
+  normalizeParams,
+  rewritePlaceholders,
+  toOrdinalParams,
+  toOriginalOffset
+};
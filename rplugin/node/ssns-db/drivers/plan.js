@@ -0,0 +1,721 @@
+/**
+ * Execution plan helpers shared by all drivers
+ *
+ * Drivers read their native plan (SQL Server showplan XML, Postgres and MySQL
+ * JSON, MySQL EXPLAIN ANALYZE text, SQLite EXPLAIN QUERY PLAN rows) and these
+ * helpers convert it into one operator tree. Every node has the shape:
+ *
+ * {
+ *   operator: string,              // "Index Seek", "Seq Scan", "Table scan", "SEARCH", ...
+ *   object: string | null,         // Table (or index / CTE) the operator reads
+ *   details: string | null,        // Index used, join type, predicates, ...
+ *   estimatedRows: number | null,  // Rows per execution
+ *   actualRows: number | null,     // Rows per execution (actual plans only)
+ *   executions: number | null,     // Times the operator ran (actual plans only)
+ *   estimatedCost: number | null,  // Cost of the whole subtree, in the database's own units
+ *   actualTimeMs: number | null,   // Time spent in the subtree (actual plans only)
+ *   warnings: [string],            // Implicit conversions, spills, scans, misestimates, ...
+ *   children: [node]
+ * }
+ */
+
+// A row estimate this many times off (either way) is reported as a warning
+const MISESTIMATE_RATIO = 10;
+
+// ...unless both numbers are this small
+const MISESTIMATE_MIN_ROWS = 100;
+
+// Scans reading at least this many rows without a usable index are reported
+const LARGE_SCAN_ROWS = 1000;
+
+/**
+ * Create a plan node with every field present
+ * @param {Object} fields - Any of the node fields
+ * @returns {Object} Plan node
+ */
+function planNode(fields) {
+  return {
+    operator: 'Unknown',
+    object: null,
+    details: null,
+    estimatedRows: null,
+    actualRows: null,
+    executions: null,
+    estimatedCost: null,
+    actualTimeMs: null,
+    warnings: [],
+    children: [],
+    ...fields
+  };
+}
+
+/**
+ * Parse a number from a plan attribute
+ * @param {*} value - Attribute value
+ * @returns {number|null} The number, or null if missing or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Join the non-empty parts of a details string
+ * @param {Array<string|null>} parts - Detail fragments
+ * @returns {string|null}
+ */
+function joinDetails(parts) {
+  const text = parts.filter(part => part !== null && part !== undefined && part !== '').join(', ');
+  return text || null;
+}
+
+/**
+ * Finish a plan: add row misestimate warnings to actual plans
+ *
+ * @param {Object} plan - { statement, root, warnings, raw }
+ * @param {boolean} actual - Whether the plan has run-time counters
+ * @returns {Object} The plan
+ */
+function finishPlan(plan, actual) {
+  const visit = (node) => {
+    if (actual && node.estimatedRows !== null && node.actualRows !== null && node.executions) {
+      const estimated = Math.max(node.estimatedRows, 1);
+      const actualRows = Math.max(node.actualRows, 1);
+      const ratio = Math.max(estimated / actualRows, actualRows / estimated);
+      if (ratio >= MISESTIMATE_RATIO && Math.max(estimated, actualRows) >= MISESTIMATE_MIN_ROWS) {
+        node.warnings.push(
+          `Row estimate off by ${Math.round(ratio)}x (estimated ${round(node.estimatedRows)}, actual ${round(node.actualRows)})`
+        );
+      }
+    }
+    node.children.forEach(visit);
+  };
+
+  if (plan.root) {
+    visit(plan.root);
+  }
+  return {
+    statement: plan.statement || null,
+    root: plan.root || null,
+    warnings: plan.warnings || [],
+    raw: plan.raw || null
+  };
+}
+
+/**
+ * Round a row count for display
+ * @param {number} value - Row count
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse an XML document into { name, attributes, children } elements
+ *
+ * Only what showplan XML needs: elements, attributes and entities. Text
+ * content, comments, processing instructions and namespace prefixes are dropped.
+ *
+ * @param {string} text - XML text
+ * @returns {Object|null} Root element
+ */
+function parseXml(text) {
+  const decode = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    if (named[entity.toLowerCase()]) return named[entity.toLowerCase()];
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10));
+  });
+
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>/g;
+  const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    const [, closing, qualifiedName, attributeText, selfClosing] = match;
+    if (!qualifiedName) continue;
+
+    const name = qualifiedName.replace(/^[\w.-]+:/, '');
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const element = { name, attributes: {}, children: [] };
+    let attribute;
+    attributePattern.lastIndex = 0;
+    while ((attribute = attributePattern.exec(attributeText || '')) !== null) {
+      const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+      element.attributes[attribute[1].replace(/^[\w.-]+:/, '')] = decode(value);
+    }
+
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+
+  return root.children[0] || null;
+}
+
+/**
+ * Find descendant elements by name, without descending into nested operators
+ * @param {Object} element - XML element
+ * @param {string} name - Element name to find
+ * @param {Array<Object>} [found] - Accumulator
+ * @returns {Array<Object>} Matching elements in document order
+ */
+function findElements(element, name, found = []) {
+  element.children.forEach(child => {
+    if (child.name === name) {
+      found.push(child);
+    } else if (child.name !== 'RelOp') {
+      findElements(child, name, found);
+    }
+  });
+  return found;
+}
+
+/**
+ * Strip [brackets] from a showplan identifier
+ * @param {string|undefined} name - Bracketed identifier
+ * @returns {string|null}
+ */
+function unbracket(name) {
+  return name ? name.replace(/^\[|\]$/g, '').replace(/\]\]/g, ']') : null;
+}
+
+/**
+ * Turn "NoJoinPredicate" into "No join predicate"
+ * @param {string} name - PascalCase name
+ * @returns {string}
+ */
+function humanize(name) {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Describe the entries of a showplan <Warnings> element
+ * @param {Object} warnings - <Warnings> element
+ * @returns {string[]}
+ */
+function showplanWarnings(warnings) {
+  const messages = [];
+
+  Object.keys(warnings.attributes).forEach(name => {
+    if (warnings.attributes[name] === 'true' || warnings.attributes[name] === '1') {
+      messages.push(humanize(name));
+    }
+  });
+
+  warnings.children.forEach(child => {
+    const attrs = child.attributes;
+    switch (child.name) {
+      case 'PlanAffectingConvert':
+        messages.push(`Implicit conversion in expression (${attrs.Expression}) may affect "${attrs.ConvertIssue}" in query plan choice`);
+        break;
+      case 'ColumnsWithNoStatistics':
+        messages.push('Columns with no statistics: ' +
+          findElements(child, 'ColumnReference').map(ref => unbracket(ref.attributes.Column)).join(', '));
+        break;
+      case 'SpillToTempDb':
+        messages.push(`Operator spilled to tempdb (spill level ${attrs.SpillLevel || '?'})`);
+        break;
+      case 'Wait':
+        messages.push(`Waited ${attrs.WaitTime} ms for ${attrs.WaitType}`);
+        break;
+      case 'MemoryGrantWarning':
+        messages.push(`Memory grant warning: ${attrs.GrantWarningKind}`);
+        break;
+      default:
+        messages.push(humanize(child.name));
+    }
+  });
+
+  return messages;
+}
+
+/**
+ * Describe a showplan <MissingIndexes> element as warnings
+ * @param {Object} missingIndexes - <MissingIndexes> element
+ * @returns {string[]}
+ */
+function showplanMissingIndexes(missingIndexes) {
+  const messages = [];
+
+  findElements(missingIndexes, 'MissingIndexGroup').forEach(group => {
+    findElements(group, 'MissingIndex').forEach(index => {
+      const table = [index.attributes.Schema, index.attributes.Table].map(unbracket).filter(Boolean).join('.');
+      const usage = {};
+      findElements(index, 'ColumnGroup').forEach(columnGroup => {
+        usage[columnGroup.attributes.Usage] = findElements(columnGroup, 'Column')
+          .map(column => unbracket(column.attributes.Name));
+      });
+
+      const keyColumns = (usage.EQUALITY || []).concat(usage.INEQUALITY || []);
+      messages.push(
+        `Missing index (impact ${group.attributes.Impact}%): ${table} (${keyColumns.join(', ')})` +
+        (usage.INCLUDE ? ` INCLUDE (${usage.INCLUDE.join(', ')})` : '')
+      );
+    });
+  });
+
+  return messages;
+}
+
+/**
+ * Convert a showplan <RelOp> element into a plan node
+ * @param {Object} relOp - <RelOp> element
+ * @returns {Object} Plan node
+ */
+function showplanNode(relOp) {
+  const attrs = relOp.attributes;
+  const object = findElements(relOp, 'Object')[0];
+  const predicate = findElements(relOp, 'Predicate')[0];
+  const predicateText = predicate && findElements(predicate, 'ScalarOperator')[0];
+
+  const node = planNode({
+    operator: attrs.PhysicalOp || 'Unknown',
+    object: object
+      ? [object.attributes.Schema, object.attributes.Table].map(unbracket).filter(Boolean).join('.') || null
+      : null,
+    details: joinDetails([
+      attrs.LogicalOp && attrs.LogicalOp !== attrs.PhysicalOp ? attrs.LogicalOp : null,
+      object && object.attributes.Index ? `index ${unbracket(object.attributes.Index)}` : null,
+      predicateText && predicateText.attributes.ScalarString ? `predicate ${predicateText.attributes.ScalarString}` : null
+    ]),
+    estimatedRows: toNumber(attrs.EstimateRows),
+    estimatedCost: toNumber(attrs.EstimatedTotalSubtreeCost)
+  });
+
+  const runtime = relOp.children.find(child => child.name === 'RunTimeInformation');
+  if (runtime) {
+    let rows = 0;
+    let executions = 0;
+    let elapsed = null;
+    runtime.children.forEach(counters => {
+      rows += toNumber(counters.attributes.ActualRows) || 0;
+      executions += toNumber(counters.attributes.ActualExecutions) || 0;
+      const threadElapsed = toNumber(counters.attributes.ActualElapsedms);
+      if (threadElapsed !== null) elapsed = Math.max(elapsed || 0, threadElapsed);
+    });
+    node.executions = executions;
+    node.actualRows = executions > 0 ? rows / executions : 0;
+    node.actualTimeMs = elapsed;
+  }
+
+  const warnings = relOp.children.find(child => child.name === 'Warnings');
+  if (warnings) {
+    node.warnings.push(...showplanWarnings(warnings));
+  }
+
+  node.children = findElements(relOp, 'RelOp').map(showplanNode);
+  return node;
+}
+
+/**
+ * Convert SQL Server showplan XML (SHOWPLAN_XML or STATISTICS XML) into plans
+ *
+ * @param {string} xml - Showplan XML document
+ * @param {boolean} actual - Whether the XML has run-time counters
+ * @returns {Array<Object>} One plan per statement that has a query plan
+ */
+function fromShowplanXml(xml, actual) {
+  const document = parseXml(xml);
+  if (!document) return [];
+
+  const plans = [];
+  const visit = (element) => {
+    const queryPlan = element.name.startsWith('Stmt')
+      ? element.children.find(child => child.name === 'QueryPlan')
+      : null;
+
+    if (queryPlan) {
+      const warnings = [];
+      queryPlan.children.forEach(child => {
+        if (child.name === 'Warnings') warnings.push(...showplanWarnings(child));
+        if (child.name === 'MissingIndexes') warnings.push(...showplanMissingIndexes(child));
+      });
+      const relOp = queryPlan.children.find(child => child.name === 'RelOp');
+
+      plans.push(finishPlan({
+        statement: element.attributes.StatementText ? element.attributes.StatementText.trim() : null,
+        root: relOp ? showplanNode(relOp) : null,
+        warnings,
+        raw: xml
+      }, actual));
+    }
+
+    element.children.forEach(visit);
+  };
+
+  visit(document);
+  return plans;
+}
+
+/**
+ * Convert one node of a Postgres JSON plan
+ * @param {Object} pgNode - Plan node from EXPLAIN (FORMAT JSON)
+ * @returns {Object} Plan node
+ */
+function postgresNode(pgNode) {
+  const relation = pgNode['Relation Name']
+    ? (pgNode.Schema ? `${pgNode.Schema}.${pgNode['Relation Name']}` : pgNode['Relation Name'])
+    : (pgNode['CTE Name'] || pgNode['Function Name'] || null);
+  const conditions = ['Index Cond', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Filter', 'Recheck Cond']
+    .filter(key => pgNode[key])
+    .map(key => `${key.toLowerCase()} ${pgNode[key]}`);
+  const loops = toNumber(pgNode['Actual Loops']);
+  const totalTime = toNumber(pgNode['Actual Total Time']);
+
+  const node = planNode({
+    operator: pgNode['Node Type'] + (pgNode.Strategy && pgNode.Strategy !== 'Plain' ? ` (${pgNode.Strategy})` : ''),
+    object: relation,
+    details: joinDetails([
+      pgNode['Join Type'] ? `${pgNode['Join Type']} join` : null,
+      pgNode['Index Name'] ? `index ${pgNode['Index Name']}` : null,
+      pgNode.Alias && pgNode.Alias !== pgNode['Relation Name'] ? `as ${pgNode.Alias}` : null,
+      ...conditions,
+      pgNode['Sort Key'] ? `sort key ${[].concat(pgNode['Sort Key']).join(', ')}` : null,
+      pgNode['Shared Hit Blocks'] !== undefined
+        ? `buffers shared hit=${pgNode['Shared Hit Blocks']} read=${pgNode['Shared Read Blocks']}`
+        : null
+    ]),
+    estimatedRows: toNumber(pgNode['Plan Rows']),
+    estimatedCost: toNumber(pgNode['Total Cost']),
+    actualRows: toNumber(pgNode['Actual Rows']),
+    executions: loops,
+    actualTimeMs: totalTime !== null && loops !== null ? totalTime * loops : null
+  });
+
+  const removed = toNumber(pgNode['Rows Removed by Filter']);
+  if (pgNode['Node Type'] === 'Seq Scan' && removed !== null && removed >= LARGE_SCAN_ROWS &&
+      removed > (node.actualRows || 0) * MISESTIMATE_RATIO) {
+    node.warnings.push(`Sequential scan on ${relation} discarded ${removed} rows per loop by filter; an index may help`);
+  }
+  if (pgNode['Sort Space Type'] === 'Disk') {
+    node.warnings.push(`Sort spilled to disk (${pgNode['Sort Space Used']} kB)`);
+  }
+  if (toNumber(pgNode['Hash Batches']) > 1) {
+    node.warnings.push(`Hash spilled to disk (${pgNode['Hash Batches']} batches)`);
+  }
+
+  node.children = (pgNode.Plans || []).map(postgresNode);
+  return node;
+}
+
+/**
+ * Convert Postgres EXPLAIN (FORMAT JSON) output into a plan
+ *
+ * @param {Array|string} json - EXPLAIN output ([{ Plan, ... }])
+ * @param {string} statement - Explained statement
+ * @param {boolean} actual - Whether ANALYZE was used
+ * @returns {Object} Plan
+ */
+function fromPostgresJson(json, statement, actual) {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+  const entry = Array.isArray(parsed) ? parsed[0] : parsed;
+
+  return finishPlan({
+    statement,
+    root: entry && entry.Plan ? postgresNode(entry.Plan) : null,
+    warnings: [],
+    raw: JSON.stringify(parsed, null, 2)
+  }, actual);
+}
+
+// MySQL access types as operator names
+const MYSQL_ACCESS_TYPES = {
+  ALL: 'Table Scan',
+  index: 'Index Scan',
+  range: 'Index Range Scan',
+  ref: 'Index Lookup',
+  eq_ref: 'Unique Index Lookup',
+  ref_or_null: 'Index Lookup (or NULL)',
+  const: 'Constant Lookup',
+  system: 'Constant Lookup',
+  fulltext: 'Fulltext Index Lookup',
+  index_merge: 'Index Merge',
+  unique_subquery: 'Unique Subquery',
+  index_subquery: 'Index Subquery'
+};
+
+/**
+ * Convert a MySQL JSON plan table entry
+ * @param {Object} table - "table" object from EXPLAIN FORMAT=JSON
+ * @returns {Object} Plan node
+ */
+function mysqlTable(table) {
+  const cost = table.cost_info || {};
+  const examined = toNumber(table.rows_examined_per_scan);
+  const filtered = toNumber(table.filtered);
+
+  const node = planNode({
+    operator: MYSQL_ACCESS_TYPES[table.access_type] || table.access_type || 'Table',
+    object: table.table_name || null,
+    details: joinDetails([
+      table.key ? `index ${table.key}` : null,
+      table.used_key_parts ? `key parts ${table.used_key_parts.join(', ')}` : null,
+      table.ref ? `ref ${table.ref.join(', ')}` : null,
+      table.using_index ? 'covering index' : null,
+      table.attached_condition ? `filter ${table.attached_condition}` : null,
+      table.message || null
+    ]),
+    estimatedRows: examined !== null ? examined * (filtered !== null ? filtered / 100 : 1) : null,
+    estimatedCost: toNumber(cost.prefix_cost)
+  });
+
+  if (table.access_type === 'ALL' && !table.possible_keys && examined !== null && examined >= LARGE_SCAN_ROWS) {
+    node.warnings.push(`Full table scan on ${table.table_name} (${examined} rows) with no usable index`);
+  }
+  if (table.using_join_buffer) {
+    node.warnings.push(`Join buffer (${table.using_join_buffer}) used: the join has no usable index`);
+  }
+
+  if (table.materialized_from_subquery && table.materialized_from_subquery.query_block) {
+    node.children.push(mysqlBlock(table.materialized_from_subquery.query_block));
+  }
+  node.children.push(...mysqlSubqueries(table));
+  return node;
+}
+
+/**
+ * Convert the *_subqueries arrays of a MySQL JSON plan object
+ * @param {Object} object - Query block, operation or table
+ * @returns {Array<Object>} Plan nodes
+ */
+function mysqlSubqueries(object) {
+  const nodes = [];
+  Object.keys(object).forEach(key => {
+    if (key.endsWith('_subqueries') && Array.isArray(object[key])) {
+      object[key].forEach(subquery => {
+        if (subquery.query_block) nodes.push(mysqlBlock(subquery.query_block));
+      });
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Convert the operations nested in a MySQL JSON plan object
+ * @param {Object} object - Query block or operation
+ * @returns {Array<Object>} Plan nodes
+ */
+function mysqlChildren(object) {
+  const nodes = [];
+
+  if (object.table) {
+    nodes.push(mysqlTable(object.table));
+  }
+  if (Array.isArray(object.nested_loop)) {
+    nodes.push(planNode({
+      operator: 'Nested Loop',
+      children: object.nested_loop.flatMap(mysqlChildren)
+    }));
+  }
+
+  const operations = {
+    ordering_operation: 'Ordering',
+    grouping_operation: 'Grouping',
+    duplicates_removal: 'Duplicates Removal',
+    windowing: 'Window',
+    buffer_result: 'Buffer Result'
+  };
+  Object.keys(operations).forEach(key => {
+    const operation = object[key];
+    if (!operation) return;
+
+    const node = planNode({
+      operator: operations[key],
+      estimatedCost: toNumber(operation.cost_info && operation.cost_info.sort_cost),
+      children: mysqlChildren(operation)
+    });
+    if (operation.using_filesort) node.warnings.push('Uses filesort');
+    if (operation.using_temporary_table) node.warnings.push('Uses a temporary table');
+    nodes.push(node);
+  });
+
+  if (object.union_result) {
+    const union = object.union_result;
+    const node = planNode({
+      operator: 'Union',
+      children: (union.query_specifications || [])
+        .filter(spec => spec.query_block)
+        .map(spec => mysqlBlock(spec.query_block))
+    });
+    if (union.using_temporary_table) node.warnings.push('Uses a temporary table');
+    nodes.push(node);
+  }
+
+  return nodes.concat(mysqlSubqueries(object));
+}
+
+/**
+ * Convert a MySQL JSON query block
+ * @param {Object} block - query_block object
+ * @returns {Object} Plan node
+ */
+function mysqlBlock(block) {
+  return planNode({
+    operator: 'Query Block',
+    details: joinDetails([
+      block.select_id !== undefined ? `select #${block.select_id}` : null,
+      block.message || null
+    ]),
+    estimatedCost: toNumber(block.cost_info && block.cost_info.query_cost),
+    children: mysqlChildren(block)
+  });
+}
+
+/**
+ * Convert MySQL EXPLAIN FORMAT=JSON output into a plan
+ *
+ * @param {Object|string} json - EXPLAIN output ({ query_block })
+ * @param {string} statement - Explained statement
+ * @param {string[]} warnings - Notes from SHOW WARNINGS (e.g. conversions that prevent index use)
+ * @returns {Object} Plan
+ */
+function fromMysqlJson(json, statement, warnings) {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+
+  return finishPlan({
+    statement,
+    root: parsed && parsed.query_block ? mysqlBlock(parsed.query_block) : null,
+    warnings,
+    raw: JSON.stringify(parsed, null, 2)
+  }, false);
+}
+
+/**
+ * Convert one line of MySQL EXPLAIN ANALYZE output into a plan node
+ * @param {string} text - Line text after "-> "
+ * @returns {Object} Plan node
+ */
+function mysqlAnalyzeNode(text) {
+  const estimate = text.match(/\(cost=(?:[\d.e+-]+\.\.)?([\d.e+-]+) rows=([\d.e+-]+)\)/);
+  const actual = text.match(/\(actual time=([\d.e+-]+)\.\.([\d.e+-]+) rows=([\d.e+-]+) loops=(\d+)\)/);
+  const description = text
+    .replace(/\s*\((?:cost|actual time)=[^)]*\)/g, '')
+    .replace(/\s*\(never executed\)/, '')
+    .trim();
+
+  let operator = description;
+  let object = null;
+  let details = null;
+  const on = description.match(/^(.+?) on (`[^`]+`|\S+)\s*(.*)$/);
+  const labelled = description.match(/^([^:(]+): (.*)$/);
+  if (on && !(labelled && labelled[1].length < on[1].length)) {
+    [, operator, object, details] = on;
+    object = object.replace(/^`|`$/g, '');
+  } else if (labelled) {
+    [, operator, details] = labelled;
+  }
+
+  const loops = actual ? toNumber(actual[4]) : (/\(never executed\)/.test(text) ? 0 : null);
+  return planNode({
+    operator: operator.trim(),
+    object,
+    details: details ? details.trim() || null : null,
+    estimatedRows: estimate ? toNumber(estimate[2]) : null,
+    estimatedCost: estimate ? toNumber(estimate[1]) : null,
+    actualRows: actual ? toNumber(actual[3]) : (loops === 0 ? 0 : null),
+    executions: loops,
+    actualTimeMs: actual ? toNumber(actual[2]) * loops : null
+  });
+}
+
+/**
+ * Convert MySQL EXPLAIN ANALYZE tree text into a plan
+ *
+ * @param {string} text - EXPLAIN ANALYZE output ("-> operator (cost=...) (actual time=...)" lines)
+ * @param {string} statement - Explained statement
+ * @param {string[]} warnings - Notes from SHOW WARNINGS
+ * @returns {Object} Plan
+ */
+function fromMysqlAnalyze(text, statement, warnings) {
+  let root = null;
+  const stack = [];
+
+  String(text).split('\n').forEach(line => {
+    const indent = line.indexOf('->');
+    if (indent < 0 || line.slice(0, indent).trim() !== '') return;
+
+    const node = mysqlAnalyzeNode(line.slice(indent + 2).trim());
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      stack[stack.length - 1].node.children.push(node);
+    } else if (!root) {
+      root = node;
+    }
+    stack.push({ indent, node });
+  });
+
+  return finishPlan({ statement, root, warnings, raw: text }, true);
+}
+
+/**
+ * Convert one SQLite EXPLAIN QUERY PLAN detail into a plan node
+ * @param {string} detail - e.g. "SEARCH t USING INDEX idx (a=?)"
+ * @returns {Object} Plan node
+ */
+function sqliteNode(detail) {
+  const access = detail.match(/^(SCAN|SEARCH)\s+(?:TABLE\s+|SUBQUERY\s+)?(?!CONSTANT ROW$)(\S+)(?:\s+AS\s+(\S+))?\s*(.*)$/);
+  const node = access
+    ? planNode({
+      operator: access[1],
+      object: access[2],
+      details: joinDetails([access[3] ? `as ${access[3]}` : null, access[4]])
+    })
+    : planNode({ operator: detail });
+
+  if (/USING AUTOMATIC/.test(detail)) {
+    node.warnings.push(`Automatic index built on ${node.object} for this query; a permanent index may help`);
+  }
+  if (/^USE TEMP B-TREE/.test(detail)) {
+    node.warnings.push(`Uses a temporary B-tree ${detail.replace(/^USE TEMP B-TREE\s*FOR\s*/, 'for ')}`.trim());
+  }
+  return node;
+}
+
+/**
+ * Convert SQLite EXPLAIN QUERY PLAN rows into a plan
+ *
+ * SQLite plans have no row estimates, costs or run-time counters.
+ *
+ * @param {Array<Object>} rows - { id, parent, detail } rows
+ * @param {string} statement - Explained statement
+ * @returns {Object} Plan
+ */
+function fromSqliteQueryPlan(rows, statement) {
+  const nodes = new Map();
+  const top = [];
+
+  rows.forEach(row => {
+    const node = sqliteNode(String(row.detail));
+    nodes.set(row.id, node);
+    const parent = nodes.get(row.parent);
+    (parent ? parent.children : top).push(node);
+  });
+
+  const root = top.length === 1 ? top[0] : (top.length > 1 ? planNode({ operator: 'QUERY PLAN', children: top }) : null);
+  return finishPlan({
+    statement,
+    root,
+    warnings: [],
+    raw: rows.map(row => `${row.id}|${row.parent}|${row.detail}`).join('\n')
+  }, false);
+}
+
+module.exports = {
+  fromShowplanXml,
+  fromPostgresJson,
+  fromMysqlJson,
+  fromMysqlAnalyze,
+  fromSqliteQueryPlan
+};
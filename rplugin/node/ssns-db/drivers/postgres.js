@@ -1,5 +1,152 @@
-const { Pool } = require('pg');
+const { Pool, Client, types: pgTypes } = require('pg');
+const Cursor = require('pg-cursor');
 const BaseDriver = require('./base');
+const { normalizeParams, toOrdinalParams, toOriginalOffset } = require('./params');
+const { buildSchemaSnapshot, buildTableMetadata, normalizeParameterDirection, splitTopLevel } = require('./schema');
+const { fromPostgresJson } = require('./plan');
+const { categorizeType, typeDescriptor } = require('./types');
+const { encodeRow } = require('./values');
+const { splitStatements, statementRange, serverMessage, statementOutcome, affectedCounts } = require('./statements');
+
+/**
+ * Names of common built-in type OIDs; other types are looked up in pg_type
+ */
+const PG_TYPES = {
+  16: 'boolean',
+  17: 'bytea',
+  18: '"char"',
+  19: 'name',
+  20: 'bigint',
+  21: 'smallint',
+  23: 'integer',
+  24: 'regproc',
+  25: 'text',
+  26: 'oid',
+  114: 'json',
+  142: 'xml',
+  600: 'point',
+  601: 'lseg',
+  602: 'path',
+  603: 'box',
+  604: 'polygon',
+  628: 'line',
+  650: 'cidr',
+  700: 'real',
+  701: 'double precision',
+  705: 'unknown',
+  718: 'circle',
+  774: 'macaddr8',
+  790: 'money',
+  829: 'macaddr',
+  869: 'inet',
+  1042: 'char',
+  1043: 'varchar',
+  1082: 'date',
+  1083: 'time',
+  1114: 'timestamp',
+  1184: 'timestamptz',
+  1186: 'interval',
+  1266: 'timetz',
+  1560: 'bit',
+  1562: 'varbit',
+  1700: 'numeric',
+  2249: 'record',
+  2278: 'void',
+  2950: 'uuid',
+  3614: 'tsvector',
+  3615: 'tsquery',
+  3802: 'jsonb',
+  4072: 'jsonpath',
+  199: 'json[]',
+  1000: 'boolean[]',
+  1001: 'bytea[]',
+  1005: 'smallint[]',
+  1007: 'integer[]',
+  1009: 'text[]',
+  1014: 'char[]',
+  1015: 'varchar[]',
+  1016: 'bigint[]',
+  1021: 'real[]',
+  1022: 'double precision[]',
+  1115: 'timestamp[]',
+  1182: 'date[]',
+  1183: 'time[]',
+  1185: 'timestamptz[]',
+  1231: 'numeric[]',
+  2951: 'uuid[]',
+  3807: 'jsonb[]'
+};
+
+/**
+ * Type OIDs pg parses into JS values without loss (booleans, int2/int4/oid,
+ * floats, bytea and their arrays); everything else is read as server text
+ * (timestamps keep their offset, numeric/int8 their digits, JSON its text)
+ */
+const NATIVE_PARSED_TYPES = new Set([16, 17, 21, 23, 26, 700, 701, 1000, 1001, 1005, 1007, 1021, 1022, 1028]);
+
+/**
+ * Type parsers for user query results (catalog queries keep pg's defaults)
+ */
+const RESULT_TYPES = {
+  getTypeParser(oid, format) {
+    if (format === 'binary' || NATIVE_PARSED_TYPES.has(oid)) {
+      return pgTypes.getTypeParser(oid, format);
+    }
+    return value => value;
+  }
+};
+
+/**
+ * Command tags whose row count is the number of rows changed
+ */
+const DML_COMMANDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'COPY']);
+
+/**
+ * Message severity of each notice severity (the server's English names)
+ */
+const NOTICE_SEVERITIES = { WARNING: 'warning', NOTICE: 'notice', INFO: 'info', LOG: 'info', DEBUG: 'info' };
+
+/**
+ * Convert a pg notice (RAISE NOTICE/WARNING output, server warnings) to a server message
+ *
+ * Severity names are localized by lc_messages; unknown names fall back to
+ * the SQLSTATE class ("01" is warning).
+ *
+ * @param {Object} notice - pg NoticeMessage
+ * @returns {Object} Server message
+ */
+function noticeMessage(notice) {
+  const severity = NOTICE_SEVERITIES[notice.severity] ||
+    (String(notice.code || '').startsWith('01') ? 'warning' : 'notice');
+  return serverMessage(notice.message, severity, notice.code);
+}
+
+/**
+ * Check whether a pg result carries rows (as opposed to a command tag only)
+ * @param {Object} result - pg result
+ * @returns {boolean}
+ */
+function hasResultRows(result) {
+  return !!(result.fields && result.fields.length > 0);
+}
+
+/**
+ * Read the next batch of rows from a pg cursor
+ * @param {Cursor} cursor - Open cursor
+ * @param {number} count - Max rows to read
+ * @returns {Promise<{rows: Array, result: Object}>} Rows and the cursor's result (fields, rowCount)
+ */
+function readCursor(cursor, count) {
+  return new Promise((resolve, reject) => {
+    cursor.read(count, (err, rows, result) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ rows, result });
+    });
+  });
+}
 
 /**
  * PostgresDriver - PostgreSQL database driver using pg package
@@ -23,11 +170,14 @@ class PostgresDriver extends BaseDriver {
    * @param {string} [config.auth.password] - Password
    * @param {Object} [config.options] - Additional options
    * @param {boolean} [config.options.ssl] - Use SSL
+   * @param {Object} [config.options.pool] - Pool settings (see BaseDriver.getPoolSettings())
    */
   constructor(config) {
     super(config);
     this.pgConfig = this.buildPostgresConfig(config);
     this.pool = null;
+    this.typeNames = new Map(); // oid -> { name, category } of types outside PG_TYPES
+    this.timeoutRestores = new WeakMap(); // client -> statement_timeout to put back (see applyStatementTimeout())
   }
 
   /**
@@ -41,13 +191,16 @@ class PostgresDriver extends BaseDriver {
     const auth = config.auth || {};
     const options = config.options || {};
 
+    const pool = this.getPoolSettings({ connect_timeout_ms: 2000 });
+
     const pgConfig = {
       host: server.host || 'localhost',
       port: server.port || 5432,
       database: server.database || 'postgres',
-      max: 10,                    // Connection pool max size
-      idleTimeoutMillis: 30000,   // Close idle connections after 30s
-      connectionTimeoutMillis: 2000, // Connection timeout
+      max: pool.max,                                // Connection pool max size
+      min: pool.min,
+      idleTimeoutMillis: pool.idle_timeout_ms,      // Close idle connections
+      connectionTimeoutMillis: pool.connect_timeout_ms, // Connection timeout
     };
 
     // Authentication
@@ -59,7 +212,6 @@ class PostgresDriver extends BaseDriver {
       pgConfig.ssl = { rejectUnauthorized: false };
     }
 
-    console.error('[DEBUG] PostgreSQL config:', JSON.stringify(pgConfig, null, 2));
     return pgConfig;
   }
 
@@ -74,6 +226,10 @@ class PostgresDriver extends BaseDriver {
     try {
       this.pool = new Pool(this.pgConfig);
 
+      // Idle clients fail when the server restarts or the network drops;
+      // without a listener pg would crash the host
+      this.pool.on('error', (err) => this.connectionLost(err));
+
       // Test connection
       const client = await this.pool.connect();
       client.release();
@@ -81,6 +237,11 @@ class PostgresDriver extends BaseDriver {
       this.isConnected = true;
     } catch (err) {
       this.isConnected = false;
+      // Don't leave a pool behind for every failed (re)connect attempt
+      if (this.pool) {
+        this.pool.end().catch(() => {});
+        this.pool = null;
+      }
       throw new Error(`PostgreSQL connection failed: ${err.message}`);
     }
   }
@@ -89,11 +250,45 @@ class PostgresDriver extends BaseDriver {
    * Close connection pool
    */
   async disconnect() {
+    this.stopReconnecting();
+    await this.closeAllSessions();
+
     if (this.pool) {
       await this.pool.end();
       this.pool = null;
       this.isConnected = false;
     }
+    this.setConnectionState('disconnected');
+  }
+
+  /**
+   * End a pool whose connection was lost (see BaseDriver.connectionLost())
+   *
+   * Not awaited: clients still checked out end once their queries fail.
+   */
+  async discardConnection() {
+    const pool = this.pool;
+    this.pool = null;
+    if (pool) {
+      pool.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Get the pool's current usage
+   * @returns {{max: number, total: number, idle: number, inUse: number, waiting: number}|null}
+   */
+  getPoolStats() {
+    if (!this.pool) {
+      return null;
+    }
+    return {
+      max: this.pgConfig.max,
+      total: this.pool.totalCount,
+      idle: this.pool.idleCount,
+      inUse: this.pool.totalCount - this.pool.idleCount,
+      waiting: this.pool.waitingCount
+    };
   }
 
   /**
@@ -103,86 +298,441 @@ class PostgresDriver extends BaseDriver {
    * For single query: result is an object { rows, fields, rowCount }
    * For multiple queries: result is an array of result objects
    *
+   * The query runs on a dedicated pooled client (or the session's pinned
+   * client) so that cancel() can target its backend with pg_cancel_backend().
+   * options.timeoutMs becomes that client's statement_timeout while it runs.
+   *
    * @param {string} query - SQL query to execute
    * @param {Object} options - Execution options
    * @returns {Promise<Object>} Structured result object
    */
   async execute(query, options = {}) {
     const startTime = Date.now();
+    let client = null;
+    let pinned = false;
+    let handle = null;
+    let notices = null;
+    let connectionLost = false;
+    // Placeholder rewrites, to map error positions back to `query`
+    let edits = [];
+    const timeoutMs = this.getTimeoutMs(options);
+    // When statement_timeout took effect (null until it has)
+    let timeoutStart = null;
 
     try {
       // Ensure connection
-      if (!this.isConnected) {
-        await this.connect();
+      await this.ensureConnected();
+
+      // Check out a client so the backend PID is known for cancellation
+      if (options.sessionId) {
+        client = this.getSessionConnection(options.sessionId);
+        pinned = true;
+      } else {
+        client = await this.pool.connect();
+      }
+      const backendPid = client.processID;
+      handle = this.trackExecution(options.executionId, async () => {
+        await this.pool.query('SELECT pg_cancel_backend($1)', [backendPid]);
+      });
+
+      notices = this.watchNotices(client, options);
+      if (await this.applyStatementTimeout(client, timeoutMs)) {
+        timeoutStart = Date.now();
       }
 
-      // Execute query - pg supports multiple statements separated by semicolons
-      const result = await this.pool.query(query);
+      const bound = this.bindParams(query, normalizeParams(options.params));
+      const { sql: sqlText, values } = bound;
+      edits = bound.edits;
 
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      let results;
+      let resultSets;
 
-      // Check if this is a single result or multiple results
-      // pg@7.0+ returns an array for multiple statements
-      const results = Array.isArray(result) ? result : [result];
+      if (options.stream) {
+        ({ results, resultSets } = await this.executeStreaming(client, sqlText, options.stream, values, handle));
+        if (handle && handle.cancelled) {
+          return this.buildCancelledResult(startTime);
+        }
+      } else {
+        // Execute query - pg supports multiple statements separated by semicolons
+        // (only without parameters: bound queries use the extended protocol)
+        const result = await client.query({ text: sqlText, values, types: RESULT_TYPES });
 
-      // Format each result set
-      const resultSets = results.map(res => this.formatResultSet(res.rows, res.fields));
+        // Check if this is a single result or multiple results
+        // pg@7.0+ returns an array for multiple statements
+        results = Array.isArray(result) ? result : [result];
+
+        // Format each result set (statements without rows only report their command)
+        const catalog = await this.loadFieldCatalog(results.flatMap(res => res.fields || []));
+        resultSets = results
+          .filter(hasResultRows)
+          .map(res => this.formatResultSet(res.rows, res.fields, catalog));
+      }
+
+      const endTime = Date.now();
+      const executionTime = endTime - startTime;
+      const statements = this.buildStatements(results, query, notices.notices);
 
       return {
         resultSets: resultSets,
         metadata: {
           executionTime: executionTime,
-          rowsAffected: results.map(res => res.rowCount || 0)
+          rowsAffected: affectedCounts(statements),
+          statements: statements
         },
         error: null
       };
 
     } catch (err) {
+      // 57014 = query_canceled
+      if (handle && handle.cancelled && err.code === '57014') {
+        return this.buildCancelledResult(startTime);
+      }
+      // Any other cancel after timeoutMs is the statement_timeout set above (its
+      // message is localized by lc_messages, so it can't be matched)
+      if (err.code === '57014' && timeoutStart !== null && Date.now() - timeoutStart >= timeoutMs) {
+        return this.buildTimeoutResult(startTime, timeoutMs);
+      }
+      connectionLost = this.checkConnectionError(err, options.sessionId || null);
+
       const endTime = Date.now();
       const executionTime = endTime - startTime;
 
       // Parse PostgreSQL error
+      const location = err.position ? this.locatePosition(query, err.position, edits) : null;
       const error = {
         message: err.message || 'Unknown error',
         code: err.code || null,
-        lineNumber: err.position ? this.getLineFromPosition(query, err.position) : null,
+        lineNumber: location ? location.lineNumber : null,
+        column: location ? location.column : null,
         procName: null,
         severity: err.severity || null,
         detail: err.detail || null,
         hint: err.hint || null,
       };
+      const messages = notices ? notices.notices.map(notice => notice.message) : [];
 
       return {
         resultSets: [],
         metadata: {
           executionTime: executionTime,
-          rowsAffected: []
+          rowsAffected: [],
+          messages: messages.length > 0 ? messages : undefined
         },
         error: error
       };
+    } finally {
+      this.untrackExecution(options.executionId);
+      if (notices) {
+        notices.stop();
+      }
+      if (client && !connectionLost && !(await this.restoreStatementTimeout(client))) {
+        // A pooled client must not keep the timeout; a session's retries on its next execution
+        connectionLost = !pinned;
+      }
+      if (client && !pinned) {
+        // A broken client is destroyed rather than returned to the pool
+        client.release(connectionLost);
+      }
     }
   }
 
   /**
-   * Convert character position to line number
+   * Set a client's statement_timeout for one execution
+   *
+   * The server cancels any statement running longer than this (57014,
+   * "canceling statement due to statement timeout"). The setting it replaces
+   * is put back by restoreStatementTimeout(); a restore that failed before
+   * is retried first. Nothing is sent inside a failed transaction ('E'),
+   * where the server only accepts ROLLBACK.
+   *
+   * @param {Client} client - Checked-out or session client
+   * @param {number|null} timeoutMs - Timeout, or null to only retry a pending restore
+   * @returns {Promise<boolean>} True if the timeout was set
+   */
+  async applyStatementTimeout(client, timeoutMs) {
+    if (client.getTransactionStatus() === 'E') return false;
+
+    await this.restoreStatementTimeout(client);
+    if (!timeoutMs) return false;
+
+    const [shown] = await client.query(`SHOW statement_timeout; SET statement_timeout = ${timeoutMs}`);
+    this.timeoutRestores.set(client, shown.rows[0].statement_timeout);
+    return true;
+  }
+
+  /**
+   * Put back the statement_timeout replaced by applyStatementTimeout()
+   *
+   * In a failed transaction the restore waits for the next execution (a
+   * rollback also undoes a timeout set inside the transaction).
+   *
+   * @param {Client} client - Client the timeout was set on
+   * @returns {Promise<boolean>} False if the restore is still pending
+   */
+  async restoreStatementTimeout(client) {
+    if (!this.timeoutRestores.has(client)) return true;
+    if (client.getTransactionStatus() === 'E') return false;
+
+    try {
+      await client.query("SELECT set_config('statement_timeout', $1, false)", [this.timeoutRestores.get(client)]);
+      this.timeoutRestores.delete(client);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Open a dedicated client for a session (outside the pool, so it is never
+   * handed to another query)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Client>} Connected pg client
+   */
+  async createSessionConnection(sessionId) {
+    const client = new Client(this.pgConfig);
+
+    // A lost connection ends the session; without a listener pg would crash the host
+    client.on('error', () => this.dropSession(sessionId));
+
+    try {
+      await client.connect();
+    } catch (err) {
+      throw new Error(`PostgreSQL session connection failed: ${err.message}`);
+    }
+    return client;
+  }
+
+  /**
+   * Close a session's client
+   * @param {Client} client - Client from createSessionConnection()
+   */
+  async closeSessionConnection(client) {
+    await client.end();
+  }
+
+  /**
+   * Build transaction control SQL
+   * @param {string} action - "begin", "commit" or "rollback"
+   * @param {string|null} isolationLevel - Lower-case isolation level
+   * @returns {string} SQL
+   */
+  getTransactionSql(action, isolationLevel) {
+    switch (action) {
+      case 'begin':
+        return isolationLevel ? `BEGIN ISOLATION LEVEL ${isolationLevel.toUpperCase()}` : 'BEGIN';
+      case 'commit':
+        return 'COMMIT';
+      default:
+        return 'ROLLBACK';
+    }
+  }
+
+  /**
+   * Rewrite parameter placeholders to $n and collect the values to bind
+   *
+   * Type hints become casts ($1::numeric(10,2)); otherwise Postgres infers
+   * the parameter type. SQL already written with $1-style placeholders is
+   * bound in the order the values were given.
+   *
+   * @param {string} query - SQL query
+   * @param {Object|null} normalized - Result of normalizeParams()
+   * @returns {{sql: string, values: Array|undefined, edits: Array<Object>}} SQL to send,
+   *   values, and the placeholder rewrites (see params.toOriginalOffset())
+   */
+  bindParams(query, normalized) {
+    if (!normalized) {
+      return { sql: query, values: undefined, edits: [] };
+    }
+
+    const { sql, params, edits } = toOrdinalParams(query, 'postgres', normalized, (n, param) =>
+      param.hint ? `$${n}::${param.hint.raw}` : `$${n}`
+    );
+    const ordered = params.length > 0 ? params : normalized.list;
+
+    return { sql, values: ordered.map(param => param.value), edits };
+  }
+
+  /**
+   * Execute a query, sending rows to a ResultStream as they are fetched
+   *
+   * Uses a server-side cursor so only one batch is held in memory at a time.
+   * Cursors use the extended protocol, which only accepts a single statement,
+   * so scripts of several statements run as a simple query whose rows are
+   * then streamed in batches. They are split before anything is sent: a
+   * failed cursor Parse would abort an open transaction. A cancel between
+   * batches closes the cursor (the backend is idle then, so
+   * pg_cancel_backend() would not stop it).
+   *
+   * @param {Client} client - Checked-out pg client
    * @param {string} query - SQL query
-   * @param {string} position - Character position
-   * @returns {number|null} Line number
+   * @param {ResultStream} stream - Stream to send rows to
+   * @param {Array} [values] - Bound parameter values
+   * @param {Object|null} [handle] - Execution handle from trackExecution()
+   * @returns {Promise<{results: Array<Object>, resultSets: Array<Object>}>} pg results
+   *   (command, rowCount, fields; one per statement) and streamed result set summaries
+   */
+  async executeStreaming(client, query, stream, values, handle = null) {
+    if (splitStatements(query, 'postgres').length !== 1) {
+      return this.streamSimpleQuery(client, query, stream, values);
+    }
+
+    const cursor = client.query(new Cursor(query, values, { types: RESULT_TYPES }));
+    let last = null;
+    let columns = null;
+
+    try {
+      let started = false;
+      for (;;) {
+        const { rows, result } = await readCursor(cursor, stream.batchSize);
+        last = result;
+
+        if (!started && hasResultRows(result)) {
+          const catalog = await this.loadFieldCatalog(result.fields);
+          columns = this.formatResultSet([], result.fields, catalog).columns;
+          stream.beginResultSet(columns);
+          started = true;
+        }
+
+        rows.forEach(row => stream.pushRow(this.encodeRow(row, columns)));
+        await stream.drain();
+
+        if (rows.length < stream.batchSize || (handle && handle.cancelled)) break;
+      }
+      await cursor.close();
+    } catch (err) {
+      // 42601 = syntax_error, raised for "cannot insert multiple commands into a
+      // prepared statement" when the split missed a statement. Only retried
+      // outside a transaction block, which the failed Parse would have aborted.
+      if (err.code !== '42601' || !/multiple commands/.test(err.message) || client.getTransactionStatus() !== 'I') {
+        throw err;
+      }
+      return this.streamSimpleQuery(client, query, stream, values);
+    }
+
+    return { results: [last], resultSets: await stream.finish() };
+  }
+
+  /**
+   * Run a script as one simple query and send its rows to a ResultStream
+   * (see executeStreaming())
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {string} query - SQL script
+   * @param {ResultStream} stream - Stream to send rows to
+   * @param {Array} [values] - Bound parameter values
+   * @returns {Promise<{results: Array<Object>, resultSets: Array<Object>}>}
    */
-  getLineFromPosition(query, position) {
-    if (!position) return null;
+  async streamSimpleQuery(client, query, stream, values) {
+    const result = await client.query({ text: query, values, types: RESULT_TYPES });
+    const results = Array.isArray(result) ? result : [result];
+    const catalog = await this.loadFieldCatalog(results.flatMap(res => res.fields || []));
+    results.filter(hasResultRows).forEach(res => {
+      const resultColumns = this.formatResultSet([], res.fields, catalog).columns;
+      stream.beginResultSet(resultColumns);
+      (res.rows || []).forEach(row => stream.pushRow(this.encodeRow(row, resultColumns)));
+    });
+
+    return { results, resultSets: await stream.finish() };
+  }
+
+  /**
+   * Collect the notices raised on a client until stop() is called, with the
+   * index of the statement that was running when each arrived
+   *
+   * Statements are counted by the CommandComplete messages the client's
+   * connection emits as each statement of a script finishes.
+   *
+   * @param {Client} client - Checked-out pg client
+   * @param {Object} options - execute() options (notices also go to options.progress)
+   * @returns {{notices: Array<{statement: number, message: Object}>, stop: Function}}
+   */
+  watchNotices(client, options) {
+    const notices = [];
+    let completed = 0;
+
+    const onNotice = (notice) => {
+      const message = noticeMessage(notice);
+      notices.push({ statement: completed, message });
+      this.reportMessage(options, message);
+    };
+    const onCommandComplete = () => {
+      completed++;
+    };
+    client.on('notice', onNotice);
+    client.connection.on('commandComplete', onCommandComplete);
+
+    return {
+      notices,
+      stop() {
+        client.removeListener('notice', onNotice);
+        client.connection.removeListener('commandComplete', onCommandComplete);
+      }
+    };
+  }
+
+  /**
+   * Build statement outcomes (see statements.js) from pg results
+   *
+   * pg returns one result per statement, so results pair with the script's
+   * statements in order; ranges are left out if the split disagrees.
+   * Notices go to the statement that raised them (the last one if the
+   * statement count overshoots, as with queries run for column metadata).
+   *
+   * @param {Array<Object>} results - pg results (command, rowCount, fields)
+   * @param {string} query - SQL as passed to execute()
+   * @param {Array<Object>} [notices] - Notices from watchNotices()
+   * @returns {Array<Object>} Statement outcomes
+   */
+  buildStatements(results, query, notices = []) {
+    const parts = splitStatements(query, 'postgres');
+    const messages = results.map(() => []);
+    notices.forEach(notice => {
+      messages[Math.min(notice.statement, results.length - 1)].push(notice.message);
+    });
+    let resultSetIndex = 0;
+
+    return results.map((res, index) => {
+      const hasRows = hasResultRows(res);
+      // SELECT INTO / CREATE TABLE AS report the rows they wrote under the SELECT tag
+      const writesRows = DML_COMMANDS.has(res.command) || (res.command === 'SELECT' && !hasRows);
+      return statementOutcome({
+        resultSets: hasRows ? [resultSetIndex++] : [],
+        rowsAffected: writesRows ? res.rowCount : null,
+        messages: messages[index],
+        range: parts.length === results.length
+          ? statementRange(query, parts[index].start, parts[index].end)
+          : null
+      });
+    });
+  }
+
+  /**
+   * Convert an error position to a line and column of the SQL as passed to execute()
+   *
+   * The server counts characters (1-based) of the text it received, in which
+   * placeholders were rewritten to $n (see bindParams()).
+   *
+   * @param {string} query - SQL as passed to execute()
+   * @param {string} position - Character position (err.position)
+   * @param {Array<Object>} [edits] - Placeholder rewrites from bindParams()
+   * @returns {{lineNumber: number, column: number}|null} 1-based line and column
+   */
+  locatePosition(query, position, edits = []) {
     const pos = parseInt(position, 10);
-    if (isNaN(pos)) return null;
+    if (isNaN(pos) || pos < 1) return null;
 
-    const lines = query.substring(0, pos).split('\n');
-    return lines.length;
+    const offset = Math.min(toOriginalOffset(edits, pos - 1), query.length);
+    const location = statementRange(query, offset, offset + 1);
+    return { lineNumber: location.startLine, column: location.startColumn };
   }
 
   /**
    * Format a result set with column metadata
+   * @param {Array<Object>} rows - Result rows
+   * @param {Array<Object>} fields - pg field descriptions
+   * @param {Object} [catalog] - Result of loadFieldCatalog() for these fields
    */
-  formatResultSet(rows, fields) {
+  formatResultSet(rows, fields, catalog = null) {
     const columns = {};
 
     if (fields && fields.length > 0) {
@@ -190,47 +740,205 @@ class PostgresDriver extends BaseDriver {
         columns[field.name] = {
           index: index,
           name: field.name,
-          type: this.mapPostgresType(field.dataTypeID),
+          ...this.describeField(field, catalog),
           tableID: field.tableID,
           columnID: field.columnID,
-          dataTypeID: field.dataTypeID,
-          nullable: true, // PostgreSQL doesn't provide this in query results
+          dataTypeID: field.dataTypeID
         };
       });
     }
 
     return {
       columns: columns,
-      rows: rows || [],
+      rows: (rows || []).map(row => this.encodeRow(row, columns)),
       rowCount: rows ? rows.length : 0
     };
   }
 
   /**
-   * Map PostgreSQL data type IDs to display strings
-   * Common PostgreSQL type OIDs
+   * Encode a row for Lua (see values.js), parsing array text first
+   *
+   * Arrays whose elements pg would parse lossily arrive as text ("{1.10,2}")
+   * and are split into lists of element text here.
+   *
+   * @param {Object} row - Row from pg
+   * @param {Object} columns - Columns from formatResultSet()
+   * @returns {Object} Encoded row
+   */
+  encodeRow(row, columns) {
+    const parsed = {};
+    Object.keys(row).forEach(key => {
+      const value = row[key];
+      const column = columns[key];
+      parsed[key] = typeof value === 'string' && column && column.type.endsWith('[]')
+        ? pgTypes.arrayParser.create(value, item => item).parse()
+        : value;
+    });
+    return encodeRow(parsed, columns);
+  }
+
+  /**
+   * Look up what the row description leaves out: names of non-built-in types
+   * (enums, domains, extension types such as PostGIS geometry) and NOT NULL
+   * for columns read straight from a table
+   *
+   * Type names are cached for the life of the driver. The lookup runs on a
+   * pooled connection; if it fails (or cannot see the table, e.g. one created
+   * in an uncommitted transaction) columns fall back to "nullable" and an
+   * oid(N) type name.
+   *
+   * @param {Array<Object>} fields - pg field descriptions (of one or more result sets)
+   * @returns {Promise<{notNull: Set<string>}>} Keys "tableID.columnID" of NOT NULL columns
+   */
+  async loadFieldCatalog(fields) {
+    const catalog = { notNull: new Set() };
+    const unknownTypes = [...new Set(fields
+      .map(field => field.dataTypeID)
+      .filter(oid => !PG_TYPES[oid] && !this.typeNames.has(oid)))];
+    const tableColumns = fields.filter(field => field.tableID > 0);
+    if (unknownTypes.length === 0 && tableColumns.length === 0) {
+      return catalog;
+    }
+
+    try {
+      if (unknownTypes.length > 0) {
+        const result = await this.pool.query(
+          `SELECT t.oid::int AS oid, format_type(t.oid, NULL) AS name, t.typtype,
+                  format_type(t.typbasetype, NULL) AS base_type
+           FROM pg_type t
+           WHERE t.oid = ANY($1::oid[])`,
+          [unknownTypes]
+        );
+        result.rows.forEach(row => {
+          let category = categorizeType(row.name);
+          if (row.typtype === 'd') category = categorizeType(row.base_type);
+          if (row.typtype === 'e') category = 'string';
+          this.typeNames.set(row.oid, { name: row.name, category });
+        });
+      }
+
+      if (tableColumns.length > 0) {
+        const result = await this.pool.query(
+          `SELECT a.attrelid::int AS table_id, a.attnum AS column_id
+           FROM pg_attribute a
+           JOIN unnest($1::oid[], $2::int2[]) AS c(table_id, column_id)
+             ON a.attrelid = c.table_id AND a.attnum = c.column_id
+           WHERE a.attnotnull`,
+          [tableColumns.map(field => field.tableID), tableColumns.map(field => field.columnID)]
+        );
+        result.rows.forEach(row => catalog.notNull.add(`${row.table_id}.${row.column_id}`));
+      }
+    } catch (err) {
+      // Metadata only: the result set is still usable without it
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Build a column type descriptor from a pg field description
+   *
+   * Lengths, numeric precision/scale and fractional-second precision are
+   * decoded from the type modifier (atttypmod).
+   *
+   * @param {Object} field - pg field description
+   * @param {Object} [catalog] - Result of loadFieldCatalog()
+   * @returns {Object} Type descriptor (see types.typeDescriptor())
+   */
+  describeField(field, catalog = null) {
+    const resolved = this.typeNames.get(field.dataTypeID);
+    const type = this.mapPostgresType(field.dataTypeID);
+    const typmod = field.dataTypeModifier;
+    let length = null;
+    let precision = null;
+    let scale = null;
+
+    if (typmod >= 0) {
+      switch (type) {
+        case 'char':
+        case 'varchar':
+          length = typmod - 4;
+          break;
+        case 'bit':
+        case 'varbit':
+          length = typmod;
+          break;
+        case 'numeric':
+          precision = ((typmod - 4) >> 16) & 0xffff;
+          scale = (typmod - 4) & 0xffff;
+          break;
+        case 'time':
+        case 'timetz':
+        case 'timestamp':
+        case 'timestamptz':
+          precision = typmod;
+          break;
+        default:
+          break;
+      }
+    }
+
+    const nullable = !(catalog && catalog.notNull.has(`${field.tableID}.${field.columnID}`));
+    return typeDescriptor({
+      type,
+      length,
+      precision,
+      scale,
+      nullable,
+      category: resolved ? resolved.category : (PG_TYPES[field.dataTypeID] ? undefined : 'other')
+    });
+  }
+
+  /**
+   * Map PostgreSQL data type OIDs to type names
+   *
+   * Built-in types come from PG_TYPES, others from the names cached by
+   * loadFieldCatalog().
    */
   mapPostgresType(typeId) {
-    const types = {
-      16: 'boolean',
-      20: 'bigint',
-      21: 'smallint',
-      23: 'integer',
-      25: 'text',
-      700: 'real',
-      701: 'double precision',
-      1043: 'varchar',
-      1082: 'date',
-      1083: 'time',
-      1114: 'timestamp',
-      1184: 'timestamptz',
-      1700: 'numeric',
-      2950: 'uuid',
-      3802: 'jsonb',
-      114: 'json',
-    };
+    if (PG_TYPES[typeId]) {
+      return PG_TYPES[typeId];
+    }
+    const resolved = this.typeNames.get(typeId);
+    return resolved ? resolved.name : `oid(${typeId})`;
+  }
+
+  /**
+   * Get the execution plan of a query with EXPLAIN (FORMAT JSON)
+   *
+   * Actual plans add ANALYZE and BUFFERS and run inside a transaction that is
+   * rolled back afterwards.
+   *
+   * @param {string} query - One SQL statement
+   * @param {Object} [options] - { actual, params } (see BaseDriver.explain())
+   * @returns {Promise<Object>} { actual, plans, warnings }
+   */
+  async explain(query, options = {}) {
+    await this.ensureConnected();
+
+    const actual = !!options.actual;
+    const statement = query.trim().replace(/;\s*$/, '');
+    const explainSql = `EXPLAIN (${actual ? 'ANALYZE, BUFFERS, ' : ''}FORMAT JSON) ${statement}`;
+
+    const resultSets = await this.withTemporarySession(async (sessionId) => {
+      if (!actual) {
+        return this.runSessionStatement(sessionId, explainSql, { params: options.params });
+      }
 
-    return types[typeId] || `oid(${typeId})`;
+      await this.runSessionStatement(sessionId, 'BEGIN');
+      try {
+        return await this.runSessionStatement(sessionId, explainSql, { params: options.params });
+      } finally {
+        await this.runSessionStatement(sessionId, 'ROLLBACK');
+      }
+    });
+
+    const row = resultSets[0] && resultSets[0].rows[0];
+    return {
+      actual,
+      plans: row ? [fromPostgresJson(row['QUERY PLAN'], statement, actual)] : [],
+      warnings: []
+    };
   }
 
   /**
@@ -238,63 +946,394 @@ class PostgresDriver extends BaseDriver {
    */
   async getMetadata(objectType, objectName, schemaName = 'public') {
     try {
-      if (!this.isConnected) {
-        await this.connect();
-      }
+      await this.ensureConnected();
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query PostgreSQL system catalogs for column metadata
-        const query = `
-          SELECT
-            a.attname AS name,
-            pg_catalog.format_type(a.atttypid, a.atttypmod) AS type,
-            a.attnotnull AS not_null,
-            pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
-            a.attnum AS ordinal_position,
-            (SELECT EXISTS (
-              SELECT 1 FROM pg_constraint
-              WHERE conrelid = a.attrelid
-              AND contype = 'p'
-              AND a.attnum = ANY(conkey)
-            )) AS is_primary_key,
-            (SELECT EXISTS (
-              SELECT 1 FROM pg_constraint
-              WHERE conrelid = a.attrelid
-              AND contype = 'f'
-              AND a.attnum = ANY(conkey)
-            )) AS is_foreign_key
-          FROM pg_catalog.pg_attribute a
-          LEFT JOIN pg_catalog.pg_attrdef d ON (a.attrelid = d.adrelid AND a.attnum = d.adnum)
-          JOIN pg_catalog.pg_class c ON a.attrelid = c.oid
-          JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
-          WHERE n.nspname = $1
-            AND c.relname = $2
-            AND a.attnum > 0
-            AND NOT a.attisdropped
-          ORDER BY a.attnum;
-        `;
-
-        const result = await this.pool.query(query, [schemaName, objectName]);
-
-        return {
-          columns: result.rows.map(row => ({
-            name: row.name,
-            type: row.type,
-            nullable: !row.not_null,
-            defaultValue: row.default_value,
-            isPrimaryKey: row.is_primary_key,
-            isForeignKey: row.is_foreign_key,
-          }))
-        };
+        const filter = { schema: schemaName || 'public', table: objectName };
+        const [parts, constraintRows] = await Promise.all([
+          this.readCatalog(filter),
+          this.readConstraints(filter)
+        ]);
+        return buildTableMetadata(parts, constraintRows);
+      }
+
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, schemaName || 'public');
       }
 
       return { columns: [] };
 
     } catch (err) {
+      this.checkConnectionError(err);
       throw new Error(`Failed to get metadata: ${err.message}`);
     }
   }
 
+  /**
+   * Read UNIQUE, CHECK and DEFAULT constraint rows for one table
+   *
+   * Column defaults have no name in Postgres, so DEFAULT rows are unnamed.
+   *
+   * @param {Object} filter
+   * @param {string} filter.schema - Schema name
+   * @param {string} filter.table - Table name
+   * @returns {Promise<Array<Object>>} Constraint rows for buildTableMetadata()
+   */
+  async readConstraints(filter) {
+    const query = `
+      SELECT name, type, column_name, expression
+      FROM (
+        SELECT
+          con.conname AS name,
+          CASE con.contype WHEN 'u' THEN 'UNIQUE' ELSE 'CHECK' END AS type,
+          a.attname AS column_name,
+          CASE WHEN con.contype = 'c' THEN pg_catalog.pg_get_expr(con.conbin, con.conrelid) END AS expression,
+          CASE con.contype WHEN 'u' THEN 1 ELSE 2 END AS type_order,
+          k.position
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class c ON con.conrelid = c.oid
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        LEFT JOIN LATERAL unnest(con.conkey) WITH ORDINALITY AS k(attnum, position) ON true
+        LEFT JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        WHERE con.contype IN ('u', 'c') AND n.nspname = $1 AND c.relname = $2
+        UNION ALL
+        SELECT
+          NULL,
+          'DEFAULT',
+          a.attname,
+          pg_catalog.pg_get_expr(d.adbin, d.adrelid),
+          3,
+          a.attnum
+        FROM pg_catalog.pg_attrdef d
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+        JOIN pg_catalog.pg_class c ON d.adrelid = c.oid
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        WHERE n.nspname = $1 AND c.relname = $2 AND NOT a.attisdropped
+      ) constraints
+      ORDER BY type_order, name, position
+    `;
+
+    const result = await this.pool.query(query, [filter.schema, filter.table]);
+    return result.rows.map(row => ({
+      name: row.name,
+      type: row.type,
+      column: row.column_name,
+      expression: row.expression
+    }));
+  }
+
+  /**
+   * Get parameters, return type and result columns of a procedure or function
+   * (see BaseDriver.getMetadata())
+   *
+   * Functions can be overloaded: the top level describes the first overload
+   * (lowest OID) and, when there are several, `overloads` lists all of them.
+   *
+   * @param {string} objectType - 'procedure' or 'function'
+   * @param {string} objectName - Routine name
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Object>} Routine metadata
+   */
+  async getRoutineMetadata(objectType, objectName, schemaName) {
+    const routinesQuery = `
+      SELECT
+        p.oid,
+        pg_catalog.pg_get_function_result(p.oid) AS return_type,
+        p.proretset AS returns_set,
+        p.pronargdefaults AS default_count,
+        pg_catalog.pg_get_expr(p.proargdefaults, 0) AS defaults,
+        t.typrelid AS return_relid
+      FROM pg_catalog.pg_proc p
+      JOIN pg_catalog.pg_namespace n ON p.pronamespace = n.oid
+      JOIN pg_catalog.pg_type t ON p.prorettype = t.oid
+      WHERE n.nspname = $1 AND p.proname = $2 AND p.prokind = $3
+      ORDER BY p.oid
+    `;
+
+    // proargnames/proargmodes line up with proallargtypes, which is only set
+    // when there are OUT/INOUT/TABLE arguments
+    const argumentsQuery = `
+      SELECT
+        p.oid,
+        k.ordinal,
+        p.proargnames[k.ordinal] AS name,
+        pg_catalog.format_type(k.type_oid, NULL) AS type,
+        COALESCE(p.proargmodes[k.ordinal], 'i') AS mode
+      FROM pg_catalog.pg_proc p
+      CROSS JOIN LATERAL unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[]))
+        WITH ORDINALITY AS k(type_oid, ordinal)
+      WHERE p.oid = ANY($1::oid[])
+      ORDER BY p.oid, k.ordinal
+    `;
+
+    const columnsQuery = `
+      SELECT
+        a.attrelid AS relid,
+        a.attname AS name,
+        pg_catalog.format_type(a.atttypid, a.atttypmod) AS type,
+        NOT a.attnotnull AS nullable,
+        a.attnum AS ordinal
+      FROM pg_catalog.pg_attribute a
+      WHERE a.attrelid = ANY($1::oid[]) AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attrelid, a.attnum
+    `;
+
+    const kind = objectType === 'procedure' ? 'p' : 'f';
+    const routines = (await this.pool.query(routinesQuery, [schemaName, objectName, kind])).rows;
+    if (routines.length === 0) {
+      return { routineType: objectType, returnType: null, returnsSet: false, parameters: [], columns: [] };
+    }
+
+    const oids = routines.map(row => row.oid);
+    const relids = routines.map(row => row.return_relid).filter(relid => Number(relid) !== 0);
+    const [argRows, columnRows] = await Promise.all([
+      this.pool.query(argumentsQuery, [oids]).then(result => result.rows),
+      relids.length > 0
+        ? this.pool.query(columnsQuery, [relids]).then(result => result.rows)
+        : []
+    ]);
+
+    const overloads = routines.map(routine => {
+      const args = argRows.filter(row => row.oid === routine.oid);
+      const inputs = args.filter(row => ['i', 'b', 'v'].includes(row.mode));
+      const defaults = routine.defaults ? splitTopLevel(routine.defaults) : [];
+      // Defaults belong to the last pronargdefaults input arguments
+      const firstDefault = inputs.length - routine.default_count;
+
+      const parameters = args
+        .filter(row => row.mode !== 't')
+        .map(row => {
+          const inputIndex = inputs.indexOf(row);
+          const hasDefault = inputIndex >= 0 && inputIndex >= firstDefault;
+          return {
+            name: row.name || `$${row.ordinal}`,
+            type: row.type,
+            direction: normalizeParameterDirection(row.mode),
+            defaultValue: hasDefault ? (defaults[inputIndex - firstDefault] || null) : null,
+            hasDefault,
+            nullable: true,
+            ordinal: row.ordinal,
+            maxLength: null,
+            precision: null,
+            scale: null
+          };
+        });
+
+      // Result columns: OUT/INOUT/TABLE arguments, else the returned row type,
+      // else a single column named after the function for SETOF <scalar>
+      let columns = args
+        .filter(row => ['o', 'b', 't'].includes(row.mode))
+        .map((row, index) => ({ name: row.name || `column${index + 1}`, type: row.type, nullable: true, ordinal: index + 1 }));
+      if (columns.length === 0 && Number(routine.return_relid) !== 0) {
+        columns = columnRows
+          .filter(row => row.relid === routine.return_relid)
+          .map(row => ({ name: row.name, type: row.type, nullable: row.nullable, ordinal: row.ordinal }));
+      } else if (columns.length === 0 && routine.returns_set) {
+        columns = [{ name: objectName, type: routine.return_type.replace(/^SETOF /, ''), nullable: true, ordinal: 1 }];
+      }
+
+      return {
+        routineType: objectType,
+        returnType: routine.return_type,
+        returnsSet: routine.returns_set,
+        parameters,
+        columns: columns.map(column => ({ maxLength: null, precision: null, scale: null, ...column }))
+      };
+    });
+
+    return overloads.length > 1 ? { ...overloads[0], overloads } : overloads[0];
+  }
+
+  /**
+   * Get a whole-database metadata snapshot (see BaseDriver.getSchemaSnapshot())
+   *
+   * @param {Object} [options]
+   * @param {string} [options.schema] - Only this schema
+   * @returns {Promise<Object>} Normalized snapshot
+   */
+  async getSchemaSnapshot(options = {}) {
+    try {
+      await this.ensureConnected();
+
+      const parts = await this.readCatalog({ schema: options.schema || null, table: null });
+      return buildSchemaSnapshot(parts);
+    } catch (err) {
+      this.checkConnectionError(err);
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read relations, columns, indexes, foreign keys and routines from the system catalogs
+   *
+   * @param {Object} filter
+   * @param {string|null} filter.schema - Only this schema (null = all)
+   * @param {string|null} filter.table - Only this relation/routine name (null = all)
+   * @returns {Promise<Object>} Flat catalog rows for buildSchemaSnapshot()
+   */
+  async readCatalog(filter) {
+    const userSchemas = `
+      n.nspname NOT LIKE 'pg\\_%'
+      AND n.nspname <> 'information_schema'
+      AND ($1::text IS NULL OR n.nspname = $1)`;
+    const relationFilter = `${userSchemas} AND ($2::text IS NULL OR c.relname = $2)`;
+    const values = [filter.schema, filter.table];
+
+    const queries = {
+      database: 'SELECT current_database() AS name',
+      schemas: `
+        SELECT n.nspname AS name
+        FROM pg_catalog.pg_namespace n
+        WHERE ${userSchemas}
+        ORDER BY n.nspname`,
+      tables: `
+        SELECT n.nspname AS schema, c.relname AS name, c.relkind AS kind
+        FROM pg_catalog.pg_class c
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f') AND ${relationFilter}
+        ORDER BY n.nspname, c.relname`,
+      columns: `
+        SELECT
+          n.nspname AS schema,
+          c.relname AS table,
+          a.attname AS name,
+          pg_catalog.format_type(a.atttypid, NULL) AS type,
+          CASE WHEN a.atttypmod > 4 AND t.typcategory = 'S' THEN a.atttypmod - 4 END AS max_length,
+          CASE WHEN a.atttypid = 'numeric'::regtype AND a.atttypmod > 4
+               THEN ((a.atttypmod - 4) >> 16) & 65535 END AS precision,
+          CASE WHEN a.atttypid = 'numeric'::regtype AND a.atttypmod > 4
+               THEN (a.atttypmod - 4) & 65535 END AS scale,
+          NOT a.attnotnull AS nullable,
+          pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
+          a.attnum AS ordinal,
+          (a.attidentity <> '' OR COALESCE(pg_catalog.pg_get_expr(d.adbin, d.adrelid), '') LIKE 'nextval(%') AS is_identity
+        FROM pg_catalog.pg_attribute a
+        JOIN pg_catalog.pg_class c ON a.attrelid = c.oid
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        JOIN pg_catalog.pg_type t ON a.atttypid = t.oid
+        LEFT JOIN pg_catalog.pg_attrdef d ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+        WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+          AND a.attnum > 0
+          AND NOT a.attisdropped
+          AND ${relationFilter}
+        ORDER BY n.nspname, c.relname, a.attnum`,
+      indexes: `
+        SELECT
+          n.nspname AS schema,
+          c.relname AS table,
+          ic.relname AS name,
+          i.indisunique AS is_unique,
+          i.indisprimary AS is_primary,
+          i.indisclustered AS is_clustered,
+          pg_catalog.pg_get_expr(i.indpred, i.indrelid) AS filter,
+          pg_catalog.pg_get_indexdef(i.indexrelid, k.n, true) AS column,
+          k.n > i.indnkeyatts AS included
+        FROM pg_catalog.pg_index i
+        JOIN pg_catalog.pg_class c ON i.indrelid = c.oid
+        JOIN pg_catalog.pg_class ic ON i.indexrelid = ic.oid
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        CROSS JOIN LATERAL generate_series(1, i.indnatts) AS k(n)
+        WHERE ${relationFilter}
+        ORDER BY n.nspname, c.relname, ic.relname, k.n`,
+      foreignKeys: `
+        SELECT
+          n.nspname AS schema,
+          c.relname AS table,
+          con.conname AS name,
+          a.attname AS column,
+          rn.nspname AS referenced_schema,
+          rc.relname AS referenced_table,
+          ra.attname AS referenced_column,
+          con.confdeltype AS on_delete,
+          con.confupdtype AS on_update
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class c ON con.conrelid = c.oid
+        JOIN pg_catalog.pg_namespace n ON c.relnamespace = n.oid
+        JOIN pg_catalog.pg_class rc ON con.confrelid = rc.oid
+        JOIN pg_catalog.pg_namespace rn ON rc.relnamespace = rn.oid
+        CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, refattnum, position)
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        JOIN pg_catalog.pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = k.refattnum
+        WHERE con.contype = 'f' AND ${relationFilter}
+        ORDER BY n.nspname, c.relname, con.conname, k.position`,
+      routines: `
+        SELECT
+          n.nspname AS schema,
+          p.proname AS name,
+          CASE WHEN p.prokind = 'p' THEN 'procedure' ELSE 'function' END AS type,
+          pg_catalog.pg_get_function_result(p.oid) AS return_type,
+          p.proretset AS returns_set
+        FROM pg_catalog.pg_proc p
+        JOIN pg_catalog.pg_namespace n ON p.pronamespace = n.oid
+        WHERE p.prokind IN ('f', 'p')
+          AND ${userSchemas}
+          AND ($2::text IS NULL OR p.proname = $2)
+        ORDER BY n.nspname, p.proname`
+    };
+
+    const [database, schemas, tables, columns, indexes, foreignKeys, routines] = await Promise.all([
+      this.pool.query(queries.database),
+      this.pool.query(queries.schemas, [filter.schema]),
+      this.pool.query(queries.tables, values),
+      this.pool.query(queries.columns, values),
+      this.pool.query(queries.indexes, values),
+      this.pool.query(queries.foreignKeys, values),
+      this.pool.query(queries.routines, values)
+    ]);
+
+    return {
+      database: database.rows[0] ? database.rows[0].name : null,
+      schemas: schemas.rows.map(row => row.name),
+      tables: tables.rows.map(row => ({
+        schema: row.schema,
+        name: row.name,
+        type: row.kind === 'v' || row.kind === 'm' ? 'view' : 'table'
+      })),
+      columns: columns.rows.map(row => ({
+        schema: row.schema,
+        table: row.table,
+        name: row.name,
+        type: row.type,
+        maxLength: row.max_length,
+        precision: row.precision,
+        scale: row.scale,
+        nullable: row.nullable,
+        defaultValue: row.default_value,
+        ordinal: row.ordinal,
+        isIdentity: row.is_identity
+      })),
+      indexes: indexes.rows.map(row => ({
+        schema: row.schema,
+        table: row.table,
+        name: row.name,
+        unique: row.is_unique,
+        primary: row.is_primary,
+        clustered: row.is_clustered,
+        filter: row.filter,
+        column: row.column,
+        included: row.included
+      })),
+      foreignKeys: foreignKeys.rows.map(row => ({
+        schema: row.schema,
+        table: row.table,
+        name: row.name,
+        column: row.column,
+        referencedSchema: row.referenced_schema,
+        referencedTable: row.referenced_table,
+        referencedColumn: row.referenced_column,
+        onDelete: row.on_delete,
+        onUpdate: row.on_update
+      })),
+      routines: routines.rows.map(row => ({
+        schema: row.schema,
+        name: row.name,
+        type: row.type,
+        returnType: row.return_type,
+        returnsSet: row.returns_set
+      }))
+    };
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
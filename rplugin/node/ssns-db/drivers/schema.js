@@ -0,0 +1,337 @@
+/**
+ * Schema metadata helpers shared by all drivers
+ *
+ * Drivers read their catalogs into flat rows (one row per column, per index
+ * column, per foreign key column) and these helpers group them into the
+ * normalized shapes returned by getSchemaSnapshot() and getMetadata().
+ */
+
+/**
+ * Normalize a referential action to "NO ACTION", "CASCADE", "SET NULL", ...
+ *
+ * Accepts SQL Server's NO_ACTION style, information_schema's rules and
+ * Postgres' single-letter pg_constraint codes.
+ *
+ * @param {string|null} action - Driver-specific action
+ * @returns {string|null} Normalized action
+ */
+function normalizeReferentialAction(action) {
+  if (action === null || action === undefined) return null;
+
+  const pgCodes = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+  const value = String(action);
+  if (value.length === 1 && pgCodes[value]) {
+    return pgCodes[value];
+  }
+  return value.replace(/_/g, ' ').toUpperCase();
+}
+
+/**
+ * Normalize a routine parameter direction to "IN", "OUT" or "INOUT"
+ *
+ * Accepts information_schema's PARAMETER_MODE and Postgres' single-letter
+ * proargmodes codes ("v" variadic counts as IN, "t" TABLE columns as OUT).
+ *
+ * @param {string|null} mode - Driver-specific mode (null = IN)
+ * @returns {string} Normalized direction
+ */
+function normalizeParameterDirection(mode) {
+  if (mode === null || mode === undefined) return 'IN';
+
+  const pgCodes = { i: 'IN', o: 'OUT', b: 'INOUT', v: 'IN', t: 'OUT' };
+  const value = String(mode);
+  if (value.length === 1 && pgCodes[value]) {
+    return pgCodes[value];
+  }
+  const upper = value.toUpperCase();
+  return upper === 'OUT' || upper === 'INOUT' ? upper : 'IN';
+}
+
+/**
+ * Split SQL text on commas that are outside parentheses and string literals
+ *
+ * Used to take apart parameter lists and Postgres' proargdefaults expression list.
+ *
+ * @param {string} text - SQL fragment
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'" || ch === '"') {
+      // Copy the whole literal/quoted identifier ('' and "" are escapes)
+      let end = i + 1;
+      while (end < text.length && !(text[end] === ch && text[end + 1] !== ch)) {
+        end += text[end] === ch ? 2 : 1;
+      }
+      current += text.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+
+  if (current.trim() !== '') {
+    parts.push(current.trim());
+  }
+  return parts;
+}
+
+/**
+ * Key for grouping rows by table
+ * @param {string|null} schema - Schema name
+ * @param {string} table - Table name
+ * @returns {string}
+ */
+function tableKey(schema, table) {
+  return `${schema || ''}\u0000${table}`;
+}
+
+/**
+ * Group index column rows into index objects
+ *
+ * @param {Array<Object>} rows - { schema, table, name, unique, primary, clustered, filter, column, included }
+ *   in key order (included columns last)
+ * @returns {Array<Object>} { schema, table, name, unique, primary, clustered, columns, includedColumns, filter }
+ */
+function groupIndexRows(rows) {
+  const indexes = new Map();
+
+  rows.forEach(row => {
+    const key = `${tableKey(row.schema, row.table)}\u0000${row.name}`;
+    let index = indexes.get(key);
+    if (!index) {
+      index = {
+        schema: row.schema || null,
+        table: row.table,
+        name: row.name,
+        unique: !!row.unique,
+        primary: !!row.primary,
+        clustered: !!row.clustered,
+        columns: [],
+        includedColumns: [],
+        filter: row.filter || null
+      };
+      indexes.set(key, index);
+    }
+
+    if (row.column !== null && row.column !== undefined) {
+      (row.included ? index.includedColumns : index.columns).push(row.column);
+    }
+  });
+
+  return Array.from(indexes.values());
+}
+
+/**
+ * Group foreign key column rows into foreign key objects
+ *
+ * @param {Array<Object>} rows - { schema, table, name, column, referencedSchema, referencedTable,
+ *   referencedColumn, onDelete, onUpdate } in column order
+ * @returns {Array<Object>} { schema, table, name, columns, referencedSchema, referencedTable,
+ *   referencedColumns, onDelete, onUpdate }
+ */
+function groupForeignKeyRows(rows) {
+  const foreignKeys = new Map();
+
+  rows.forEach(row => {
+    const key = `${tableKey(row.schema, row.table)}\u0000${row.name}`;
+    let fk = foreignKeys.get(key);
+    if (!fk) {
+      fk = {
+        schema: row.schema || null,
+        table: row.table,
+        name: row.name,
+        columns: [],
+        referencedSchema: row.referencedSchema || null,
+        referencedTable: row.referencedTable,
+        referencedColumns: [],
+        onDelete: normalizeReferentialAction(row.onDelete),
+        onUpdate: normalizeReferentialAction(row.onUpdate)
+      };
+      foreignKeys.set(key, fk);
+    }
+
+    fk.columns.push(row.column);
+    fk.referencedColumns.push(row.referencedColumn);
+  });
+
+  return Array.from(foreignKeys.values());
+}
+
+/**
+ * Assemble a schema snapshot from flat catalog rows
+ *
+ * @param {Object} parts
+ * @param {string} parts.database - Database name
+ * @param {Array<string>} parts.schemas - Schema names
+ * @param {Array<Object>} parts.tables - { schema, name, type: 'table'|'view' }
+ * @param {Array<Object>} parts.columns - { schema, table, name, type, maxLength, precision, scale,
+ *   nullable, defaultValue, ordinal, isIdentity }
+ * @param {Array<Object>} parts.indexes - Index column rows (see groupIndexRows())
+ * @param {Array<Object>} parts.foreignKeys - Foreign key column rows (see groupForeignKeyRows())
+ * @param {Array<Object>} parts.routines - { schema, name, type: 'procedure'|'function', returnType, returnsSet }
+ * @returns {Object} Snapshot (see BaseDriver.getSchemaSnapshot())
+ */
+function buildSchemaSnapshot(parts) {
+  const tables = new Map();
+  parts.tables.forEach(table => {
+    tables.set(tableKey(table.schema, table.name), {
+      schema: table.schema || null,
+      name: table.name,
+      type: table.type,
+      columns: [],
+      primaryKey: null,
+      foreignKeys: [],
+      indexes: []
+    });
+  });
+
+  parts.columns.forEach(column => {
+    const table = tables.get(tableKey(column.schema, column.table));
+    if (!table) return;
+
+    table.columns.push({
+      name: column.name,
+      type: column.type,
+      maxLength: column.maxLength !== undefined ? column.maxLength : null,
+      precision: column.precision !== undefined ? column.precision : null,
+      scale: column.scale !== undefined ? column.scale : null,
+      nullable: !!column.nullable,
+      defaultValue: column.defaultValue !== undefined ? column.defaultValue : null,
+      ordinal: column.ordinal,
+      isIdentity: !!column.isIdentity,
+      isPrimaryKey: false,
+      isForeignKey: false
+    });
+  });
+
+  groupIndexRows(parts.indexes).forEach(index => {
+    const table = tables.get(tableKey(index.schema, index.table));
+    if (!table) return;
+
+    const { schema, table: tableName, ...indexInfo } = index;
+    table.indexes.push(indexInfo);
+
+    if (index.primary) {
+      table.primaryKey = { name: index.name, columns: index.columns.slice() };
+      table.columns.forEach(column => {
+        if (index.columns.includes(column.name)) column.isPrimaryKey = true;
+      });
+    }
+  });
+
+  groupForeignKeyRows(parts.foreignKeys).forEach(fk => {
+    const table = tables.get(tableKey(fk.schema, fk.table));
+    if (!table) return;
+
+    const { schema, table: tableName, ...fkInfo } = fk;
+    table.foreignKeys.push(fkInfo);
+    table.columns.forEach(column => {
+      if (fk.columns.includes(column.name)) column.isForeignKey = true;
+    });
+  });
+
+  return {
+    database: parts.database,
+    schemas: parts.schemas.map(name => ({ name })),
+    tables: Array.from(tables.values()),
+    routines: parts.routines.map(routine => ({
+      schema: routine.schema || null,
+      name: routine.name,
+      type: routine.type,
+      returnType: routine.returnType || null,
+      returnsSet: !!routine.returnsSet
+    })),
+    generatedAt: Date.now()
+  };
+}
+
+/**
+ * Build getMetadata() output for one table or view
+ *
+ * Columns, indexes, primary key and foreign keys come from the same catalog
+ * rows as the schema snapshot (read with a table filter); UNIQUE, CHECK and
+ * DEFAULT constraints come from the driver's constraint rows.
+ *
+ * @param {Object} parts - Catalog rows for the table (see buildSchemaSnapshot())
+ * @param {Array<Object>} constraintRows - { name, type: 'UNIQUE'|'CHECK'|'DEFAULT', column, expression },
+ *   one row per constraint column; unnamed DEFAULT constraints have name null
+ * @returns {Object} { columns, indexes, constraints } (see BaseDriver.getMetadata())
+ */
+function buildTableMetadata(parts, constraintRows) {
+  const table = buildSchemaSnapshot(parts).tables[0];
+  if (!table) {
+    return { columns: [], indexes: [], constraints: [] };
+  }
+
+  const columns = table.columns.map(column => {
+    const fk = table.foreignKeys.find(candidate => candidate.columns.includes(column.name));
+    return {
+      ...column,
+      foreignKeyTable: fk ? fk.referencedTable : null,
+      foreignKeySchema: fk ? fk.referencedSchema : null
+    };
+  });
+
+  const constraint = (name, type, extra) => ({
+    name,
+    type,
+    columns: [],
+    referencedSchema: null,
+    referencedTable: null,
+    referencedColumns: null,
+    onDelete: null,
+    onUpdate: null,
+    expression: null,
+    ...extra
+  });
+
+  const constraints = [];
+  if (table.primaryKey) {
+    constraints.push(constraint(table.primaryKey.name, 'PRIMARY KEY', { columns: table.primaryKey.columns }));
+  }
+  table.foreignKeys.forEach(fk => {
+    constraints.push(constraint(fk.name, 'FOREIGN KEY', fk));
+  });
+
+  const others = new Map();
+  constraintRows.forEach(row => {
+    // Unnamed constraints (column defaults, anonymous SQLite checks) never span columns
+    const key = row.name !== null
+      ? `${row.type}\u0000${row.name}`
+      : `${row.type}\u0000\u0000${row.column}\u0000${row.expression}`;
+    let entry = others.get(key);
+    if (!entry) {
+      entry = constraint(row.name, row.type, { expression: row.expression || null });
+      others.set(key, entry);
+      constraints.push(entry);
+    }
+    if (row.column !== null && row.column !== undefined) {
+      entry.columns.push(row.column);
+    }
+  });
+
+  return { columns, indexes: table.indexes, constraints };
+}
+
+module.exports = {
+  normalizeReferentialAction,
+  normalizeParameterDirection,
+  splitTopLevel,
+  groupIndexRows,
+  groupForeignKeyRows,
+  buildSchemaSnapshot,
+  buildTableMetadata
+};
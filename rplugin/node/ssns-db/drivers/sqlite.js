@@ -1,7 +1,217 @@
 const initSqlJs = require('sql.js');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const BaseDriver = require('./base');
+const { normalizeParams, toOrdinalParams } = require('./params');
+const { buildSchemaSnapshot, buildTableMetadata, splitTopLevel } = require('./schema');
+const { fromSqliteQueryPlan } = require('./plan');
+const { categorizeType, parseDeclaredType, typeDescriptor } = require('./types');
+const { encodeRow } = require('./values');
+const {
+  splitStatements, isDmlKeyword, statementRange, locateError, serverMessage, statementOutcome, affectedCounts
+} = require('./statements');
+
+// Rows stepped between yields to the event loop, so SSNSCancelQuery can be handled
+const ROWS_PER_YIELD = 500;
+
+// Leading keywords of statements whose result columns can come from tables
+const QUERY_KEYWORDS = new Set(['select', 'with', 'values']);
+
+// VDBE opcodes that store a computed value, keyed by the operand naming the
+// output register. A result column written by one of these is not a plain
+// table column, so its declared type does not apply.
+const VALUE_OPCODES = {
+  p1: ['Cast', 'AggFinal', 'RealAffinity'],
+  p2: ['Integer', 'Int64', 'Real', 'String8', 'String', 'Blob', 'Variable', 'Null', 'SoftNull'],
+  p3: ['Function', 'PureFunc', 'Add', 'Subtract', 'Multiply', 'Divide', 'Remainder', 'Concat',
+       'BitAnd', 'BitOr', 'ShiftLeft', 'ShiftRight', 'AggValue', 'Count', 'Offset']
+};
+
+/**
+ * Yield to the event loop so pending RPC requests (e.g. cancellation) can run
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Read a file's modification time and size
+ * @param {string} filePath - File path
+ * @returns {{mtimeMs: number, size: number}|null} null if the file does not exist
+ */
+function statFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return { mtimeMs: stat.mtimeMs, size: stat.size };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Hash file contents (to tell a rewritten file from a touched one)
+ * @param {Uint8Array} data - File contents
+ * @returns {string} Hex digest
+ */
+function hashContents(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Replace a file without ever leaving it half-written
+ *
+ * The data goes to a temp file in the same directory, is fsynced, and is then
+ * renamed over the target, so a crash leaves either the old or the new file.
+ * The target's permissions are kept.
+ *
+ * @param {string} filePath - File to replace (or create)
+ * @param {Uint8Array} data - New contents
+ */
+function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.ssns-${process.pid}.tmp`);
+  let mode = null;
+  try {
+    mode = fs.statSync(filePath).mode & 0o7777;
+  } catch (err) {
+    // New file - default permissions
+  }
+
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      if (mode !== null) fs.fchmodSync(fd, mode);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+
+  // Make the rename itself durable (directories can't be opened for fsync on Windows)
+  if (process.platform !== 'win32') {
+    try {
+      const dirFd = fs.openSync(dir, 'r');
+      try {
+        fs.fsyncSync(dirFd);
+      } finally {
+        fs.closeSync(dirFd);
+      }
+    } catch (err) {
+      // Best effort - the file itself is already synced
+    }
+  }
+}
+
+/**
+ * Read the savepoint name from SAVEPOINT, RELEASE or ROLLBACK TO
+ * @param {string} text - Statement text
+ * @returns {string} Unquoted lower-case name (SQLite compares them case-insensitively)
+ */
+function savepointName(text) {
+  const match = text.match(/("(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|[^\s;]+)\s*;?\s*$/);
+  const name = match ? match[1] : '';
+  const quoted = /^["`[]/.test(name) ? name.slice(1, -1).replace(/""|``/g, c => c[0]) : name;
+  return quoted.toLowerCase();
+}
+
+/**
+ * Work out the transaction state after a statement ran successfully
+ *
+ * sql.js does not expose sqlite3_get_autocommit(), so the driver follows
+ * the transaction control statements it runs itself. A transaction started
+ * by SAVEPOINT ends when its outermost savepoint is released.
+ *
+ * @param {{savepoints: string[], begun: boolean}|null} state - Open transaction, or null
+ * @param {string} keyword - Lower-case leading keyword
+ * @param {string} text - Statement text
+ * @returns {{savepoints: string[], begun: boolean}|null} State after the statement
+ */
+function nextTransactionState(state, keyword, text) {
+  switch (keyword) {
+    case 'begin':
+      return { savepoints: [], begun: true };
+    case 'commit':
+    case 'end':
+      return null;
+    case 'savepoint': {
+      const current = state || { savepoints: [], begun: false };
+      return { ...current, savepoints: [...current.savepoints, savepointName(text)] };
+    }
+    case 'release':
+    case 'rollback': {
+      const isRelease = keyword === 'release';
+      if (!isRelease && !/^\s*rollback(\s+transaction)?\s+to\b/i.test(text)) {
+        return null;
+      }
+      if (!state) return state;
+      const index = state.savepoints.lastIndexOf(savepointName(text));
+      if (index < 0) return state;
+      // RELEASE drops the savepoint itself, ROLLBACK TO keeps it
+      const savepoints = state.savepoints.slice(0, isRelease ? index : index + 1);
+      return savepoints.length === 0 && !state.begun ? null : { ...state, savepoints };
+    }
+    default:
+      return state;
+  }
+}
+
+/**
+ * Find the CHECK constraints in a CREATE TABLE statement
+ *
+ * SQLite keeps no catalog of CHECK constraints, only the original SQL.
+ * Column-level checks are attributed to their column.
+ *
+ * @param {string|null} tableSql - CREATE TABLE statement from sqlite_master
+ * @returns {Array<{name: string|null, column: string|null, expression: string}>}
+ */
+function parseCheckConstraints(tableSql) {
+  const checks = [];
+  const open = (tableSql || '').indexOf('(');
+  const close = (tableSql || '').lastIndexOf(')');
+  if (open < 0 || close <= open) return checks;
+
+  splitTopLevel(tableSql.slice(open + 1, close)).forEach(part => {
+    const isTableConstraint = /^(CONSTRAINT|PRIMARY|UNIQUE|CHECK|FOREIGN)\b/i.test(part);
+    const column = isTableConstraint ? null : part.match(/^("(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\S+)/)[1]
+      .replace(/^["`[]|["`\]]$/g, '');
+
+    const pattern = /\b(?:CONSTRAINT\s+("(?:[^"]|"")*"|\S+)\s+)?CHECK\s*\(/gi;
+    let match;
+    while ((match = pattern.exec(part)) !== null) {
+      // Take the balanced parenthesized expression, skipping string literals
+      let depth = 1;
+      let i = pattern.lastIndex;
+      for (; i < part.length && depth > 0; i++) {
+        if (part[i] === "'") {
+          i = part.indexOf("'", i + 1);
+          if (i < 0) break;
+        } else if (part[i] === '(') {
+          depth++;
+        } else if (part[i] === ')') {
+          depth--;
+        }
+      }
+      if (i < 0 || depth > 0) break;
+
+      checks.push({
+        name: match[1] ? match[1].replace(/^"|"$/g, '') : null,
+        column,
+        expression: part.slice(pattern.lastIndex, i - 1).trim()
+      });
+      pattern.lastIndex = i;
+    }
+  });
+
+  return checks;
+}
 
 /**
  * SQLiteDriver - SQLite database driver using sql.js package
@@ -11,6 +221,19 @@ const BaseDriver = require('./base');
  * - File-based connections
  * - No connection pooling needed (single-file database)
  * - Structured errors
+ *
+ * The whole file is loaded into memory. Changes (data, DDL and PRAGMAs such
+ * as user_version) are written back atomically after each execution or
+ * commit that made any, and before each execution the file is checked for
+ * changes made by other processes: a clean database is reloaded, one with
+ * unsaved changes reports a conflict instead of overwriting the file.
+ *
+ * sql.js can only save via export(), which closes and reopens the database.
+ * That drops temp tables and resets connection PRAGMAs, so saves are put off
+ * while a transaction is open or temp tables exist, and foreign_keys is
+ * turned back on afterwards. It also frees every prepared statement, as does
+ * a reload, so neither happens while another execution is part way through
+ * a script (yielding between rows, or paused by a row cap).
  */
 class SQLiteDriver extends BaseDriver {
   /**
@@ -25,6 +248,18 @@ class SQLiteDriver extends BaseDriver {
     this.dbPath = this.getSqliteFilePath(config);
     this.db = null;
     this.SQL = null;
+
+    // { mtimeMs, size, hash } of the file as last loaded or saved (null if it didn't exist)
+    this.fileState = null;
+
+    // Change counters at the last load or save (see readChangeCounters())
+    this.savedCounters = null;
+
+    // Transaction opened by the statements this driver ran (see nextTransactionState())
+    this.transactionState = null;
+
+    // Executions inside runStatements(), whose statements export() and reloads would free
+    this.openScripts = 0;
   }
 
   /**
@@ -39,8 +274,6 @@ class SQLiteDriver extends BaseDriver {
     // Try database field first, then host (for flexibility)
     let dbPath = server.database || server.host || ':memory:';
 
-    console.error('[DEBUG] SQLite database path:', dbPath);
-
     // Handle Windows paths
     if (process.platform === 'win32' && dbPath.startsWith('/')) {
       // Convert /C:/path to C:/path
@@ -70,23 +303,7 @@ class SQLiteDriver extends BaseDriver {
       this.SQL = await initSqlJs();
 
       // Load database from file or create new
-      if (this.dbPath === ':memory:') {
-        // In-memory database
-        this.db = new this.SQL.Database();
-      } else {
-        // File-based database
-        if (fs.existsSync(this.dbPath)) {
-          // Load existing database
-          const buffer = fs.readFileSync(this.dbPath);
-          this.db = new this.SQL.Database(buffer);
-        } else {
-          // Create new database file
-          this.db = new this.SQL.Database();
-        }
-      }
-
-      // Enable foreign keys
-      this.db.run('PRAGMA foreign_keys = ON');
+      this.loadDatabase();
 
       this.isConnected = true;
     } catch (err) {
@@ -99,24 +316,28 @@ class SQLiteDriver extends BaseDriver {
    * Close database connection
    */
   async disconnect() {
+    await this.closeAllSessions();
+
     if (this.db) {
-      // Save database to file if not in-memory
-      if (this.dbPath !== ':memory:') {
-        const data = this.db.export();
-        fs.writeFileSync(this.dbPath, data);
-      }
+      this.saveOnClose();
 
       this.db.close();
       this.db = null;
+      this.transactionState = null;
       this.isConnected = false;
     }
+    this.setConnectionState('disconnected');
   }
 
   /**
    * Execute SQL query with structured result sets
    *
-   * Note: sql.js executes synchronously, but we return a Promise
-   * for consistency with other drivers
+   * Note: sql.js executes synchronously, so statements are stepped one row
+   * at a time and the driver periodically yields to the event loop. This is
+   * what lets cancel() interrupt a long-running script between rows.
+   * options.timeoutMs interrupts it the same way, checked after every row (a
+   * single step that returns no row, such as a large aggregate, still runs
+   * to its end).
    *
    * @param {string} query - SQL query to execute
    * @param {Object} options - Execution options
@@ -124,49 +345,64 @@ class SQLiteDriver extends BaseDriver {
    */
   async execute(query, options = {}) {
     const startTime = Date.now();
+    const messages = [];
+    let handle = null;
+    const timeout = this.startTimeout(options);
 
     try {
       // Ensure connection
-      if (!this.isConnected) {
-        await this.connect();
-      }
+      await this.ensureConnected();
 
-      // sql.js can execute multiple statements with exec()
-      const results = this.db.exec(query);
+      // Pick up changes other processes made to the file (not mid-transaction:
+      // reloading would discard the transaction)
+      if (!this.inTransaction()) {
+        const syncMessage = this.syncWithFile();
+        // A conflict leaves the local changes unsaved; a reload is only news
+        if (syncMessage) messages.push(serverMessage(syncMessage, this.isDirty() ? 'warning' : 'notice'));
+      }
 
-      const resultSets = [];
+      // sql.js has no sqlite3_interrupt, so cancel() just raises a flag
+      // that runStatements() checks between rows
+      handle = this.trackExecution(options.executionId, async () => {});
 
-      if (results.length === 0) {
-        // No results (INSERT/UPDATE/DELETE)
-        resultSets.push({
-          columns: {},
-          rows: [],
-          rowCount: this.db.getRowsModified()
+      // Bind parameters as numbered ?NNN placeholders so one bindings object
+      // works for every statement in the script
+      let sqlText = query;
+      let bindings = null;
+      const normalized = normalizeParams(options.params);
+      if (normalized) {
+        const ordinal = toOrdinalParams(query, 'sqlite', normalized, n => `?${n}`);
+        sqlText = ordinal.sql;
+        bindings = {};
+        ordinal.params.forEach((param, index) => {
+          bindings[`?${index + 1}`] = this.toSqliteValue(param.value);
         });
-      } else {
+      }
+
+      const stream = options.stream || null;
+      const { results, statements, failure } = await this.runStatements(
+        sqlText, handle, stream, bindings, timeout, !!options.describeColumns
+      );
+      if ((handle && handle.cancelled) || timeout.timedOut) {
+        // The statements that finished before the interruption are applied:
+        // save them now, or the next syncWithFile() would reload them away
+        const saveMessage = this.autoSave();
+        if (saveMessage) messages.push(serverMessage(saveMessage, 'warning'));
+
+        const interrupted = handle && handle.cancelled
+          ? this.buildCancelledResult(startTime)
+          : this.buildTimeoutResult(startTime, timeout.timeoutMs);
+        interrupted.metadata.messages = messages;
+        return interrupted;
+      }
+
+      const resultSets = stream ? await stream.finish() : [];
+
+      if (!stream) {
         // Process each result set
         for (const result of results) {
-          const columns = {};
-          const rows = [];
-
-          // Build column metadata
-          result.columns.forEach((colName, index) => {
-            columns[colName] = {
-              index: index,
-              name: colName,
-              type: 'unknown', // sql.js doesn't provide type info
-              nullable: true
-            };
-          });
-
-          // Build row objects
-          result.values.forEach(valueArray => {
-            const row = {};
-            result.columns.forEach((colName, index) => {
-              row[colName] = valueArray[index];
-            });
-            rows.push(row);
-          });
+          const columns = this.buildColumns(result.columns, result.origins, result.values);
+          const rows = result.values.map(valueArray => encodeRow(this.buildRow(result.columns, valueArray), columns));
 
           resultSets.push({
             columns: columns,
@@ -179,17 +415,45 @@ class SQLiteDriver extends BaseDriver {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
 
-      // Save database after modifications
-      if (this.dbPath !== ':memory:' && resultSets.some(rs => rs.rowCount > 0)) {
-        const data = this.db.export();
-        fs.writeFileSync(this.dbPath, data);
+      const saveMessage = this.autoSave();
+      if (saveMessage) messages.push(serverMessage(saveMessage, 'warning'));
+
+      if (failure) {
+        // Statements before the failing one ran: keep their results
+        const message = failure.error.message || 'Unknown error';
+        const code = failure.error.code || null;
+        const location = this.locateFailure(sqlText, failure);
+        statements.push(statementOutcome({
+          messages: [serverMessage(message, 'error', code)],
+          range: location.range
+        }));
+
+        return {
+          resultSets: resultSets,
+          metadata: {
+            executionTime: executionTime,
+            rowsAffected: affectedCounts(statements),
+            messages: messages,
+            statements: statements
+          },
+          error: {
+            message: message,
+            code: code,
+            lineNumber: location.lineNumber,
+            column: location.column,
+            statement: statements.length - 1,
+            procName: null
+          }
+        };
       }
 
       return {
         resultSets: resultSets,
         metadata: {
           executionTime: executionTime,
-          rowsAffected: resultSets.map(rs => rs.rowCount)
+          rowsAffected: affectedCounts(statements),
+          messages: messages,
+          statements: statements
         },
         error: null
       };
@@ -198,20 +462,800 @@ class SQLiteDriver extends BaseDriver {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
 
+      // Statements before the failing one may have changed the database
+      const saveMessage = this.db ? this.autoSave() : null;
+      if (saveMessage) messages.push(serverMessage(saveMessage, 'warning'));
+
       return {
         resultSets: [],
         metadata: {
           executionTime: executionTime,
-          rowsAffected: []
+          rowsAffected: [],
+          messages: messages
         },
         error: {
           message: err.message || 'Unknown error',
           code: err.code || null,
-          lineNumber: null, // SQLite doesn't provide line numbers
+          lineNumber: null,
           procName: null
         }
       };
+    } finally {
+      this.untrackExecution(options.executionId);
+      timeout.clear();
+    }
+  }
+
+  /**
+   * Open the database from its file (or a new empty database)
+   *
+   * Replaces this.db, so sessions sharing the old one are pointed at it.
+   */
+  loadDatabase() {
+    let data = null;
+    let stat = null;
+    if (this.dbPath !== ':memory:') {
+      // Stat before reading: a write in between then shows up as a change
+      stat = statFile(this.dbPath);
+      data = stat ? fs.readFileSync(this.dbPath) : null;
+    }
+
+    if (this.db) {
+      this.db.close();
+    }
+    this.db = data ? new this.SQL.Database(data) : new this.SQL.Database();
+    this.fileState = data ? { ...stat, hash: hashContents(data) } : null;
+
+    this.applyConnectionPragmas();
+    this.markClean();
+    this.transactionState = null;
+
+    for (const session of this.sessions.values()) {
+      session.connection = this.db;
+    }
+  }
+
+  /**
+   * Set connection-level PRAGMAs (after opening and after every export())
+   */
+  applyConnectionPragmas() {
+    this.db.run('PRAGMA foreign_keys = ON');
+  }
+
+  /**
+   * Read the counters that change whenever the database is modified
+   *
+   * total_changes() counts inserted/updated/deleted rows, schema_version is
+   * bumped by DDL and the header PRAGMAs are compared directly.
+   *
+   * @returns {{changes: number, schemaVersion: number, userVersion: number, applicationId: number}}
+   */
+  readChangeCounters() {
+    return this.queryRows(
+      'SELECT total_changes() AS changes, ' +
+      '(SELECT schema_version FROM pragma_schema_version) AS schemaVersion, ' +
+      '(SELECT user_version FROM pragma_user_version) AS userVersion, ' +
+      '(SELECT application_id FROM pragma_application_id) AS applicationId'
+    )[0];
+  }
+
+  /**
+   * Record the current state as saved
+   */
+  markClean() {
+    this.savedCounters = this.readChangeCounters();
+  }
+
+  /**
+   * Check whether the database has changes that are not in the file yet
+   *
+   * Rolled-back changes still count (total_changes() includes them), which at
+   * worst causes one unnecessary save.
+   *
+   * @returns {boolean}
+   */
+  isDirty() {
+    const current = this.readChangeCounters();
+    return Object.keys(current).some(key => current[key] !== this.savedCounters[key]);
+  }
+
+  /**
+   * Check whether a transaction is open, including one started by a BEGIN
+   * or SAVEPOINT in a query rather than through beginTransaction()
+   *
+   * Only statements the driver ran are followed: a rollback SQLite does on
+   * its own after an error (SQLITE_FULL, ON CONFLICT ROLLBACK) is not seen,
+   * which at worst puts saving off until the next COMMIT or ROLLBACK.
+   *
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.hasOpenTransaction() || this.transactionState !== null;
+  }
+
+  /**
+   * Check whether an execution is part way through its statements
+   *
+   * Its current statement is prepared (paused at a row when a continuation
+   * waits for SSNSFetchMore), and export() or a reload would free it.
+   *
+   * @returns {boolean}
+   */
+  hasOpenStatements() {
+    return this.openScripts > 0;
+  }
+
+  /**
+   * Check whether temp tables, views or triggers exist (export() would drop them)
+   * @returns {boolean}
+   */
+  hasTempObjects() {
+    return this.queryRows('SELECT count(*) AS count FROM sqlite_temp_master')[0].count > 0;
+  }
+
+  /**
+   * Check whether another process changed the file since it was loaded or saved
+   *
+   * mtime and size are compared first; the contents are only hashed when
+   * those differ, so a file that was merely touched is not a change.
+   *
+   * @returns {boolean}
+   */
+  hasExternalChanges() {
+    if (this.dbPath === ':memory:') {
+      return false;
+    }
+
+    const stat = statFile(this.dbPath);
+    if (!stat) {
+      // Deleted - the next save recreates it
+      return false;
+    }
+    if (!this.fileState) {
+      // Created by someone else after we opened a new database
+      return true;
+    }
+    if (stat.mtimeMs === this.fileState.mtimeMs && stat.size === this.fileState.size) {
+      return false;
+    }
+
+    const hash = hashContents(fs.readFileSync(this.dbPath));
+    if (hash === this.fileState.hash) {
+      this.fileState = { ...stat, hash };
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pick up changes another process wrote to the file
+   *
+   * A database without unsaved changes is reloaded from disk. One with
+   * unsaved changes is kept, and saves refuse to overwrite the file until
+   * flush({ force: true }). Nothing is reloaded while statements are open
+   * (see hasOpenStatements()).
+   *
+   * @returns {string|null} Message describing the reload or conflict
+   */
+  syncWithFile() {
+    // Picked up by the next execution once no other one is stepping statements
+    if (this.hasOpenStatements() || !this.hasExternalChanges()) {
+      return null;
+    }
+    if (this.isDirty()) {
+      return `${this.dbPath} was changed by another process and this connection has unsaved changes; ` +
+        'they will not be saved until the database is flushed with force';
+    }
+
+    const hadTempObjects = this.hasTempObjects();
+    this.loadDatabase();
+    return `Reloaded ${this.dbPath}: it was changed by another process` +
+      (hadTempObjects ? ' (temp tables were dropped)' : '');
+  }
+
+  /**
+   * Write the in-memory database to its file
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite the file even if another process changed it
+   * @returns {{saved: boolean, path: string, conflict: boolean, message: string}}
+   */
+  saveToFile(options = {}) {
+    if (this.dbPath === ':memory:') {
+      return { saved: false, path: this.dbPath, conflict: false, message: 'In-memory database has no file' };
+    }
+    if (!options.force && this.hasExternalChanges()) {
+      return {
+        saved: false,
+        path: this.dbPath,
+        conflict: true,
+        message: `Not saved: ${this.dbPath} was changed by another process (flush with force to overwrite it)`
+      };
+    }
+
+    const data = this.db.export();
+    this.applyConnectionPragmas();
+    writeFileAtomic(this.dbPath, data);
+
+    this.fileState = { ...statFile(this.dbPath), hash: hashContents(data) };
+    this.markClean();
+    return { saved: true, path: this.dbPath, conflict: false, message: `Saved ${this.dbPath}` };
+  }
+
+  /**
+   * Save after an execution or commit, if anything changed
+   *
+   * Put off while a transaction is open (export() would roll it back),
+   * temp tables exist (export() would drop them) or another execution has
+   * statements open (export() would free them); the changes are saved by a
+   * later execution, flush() or disconnect().
+   *
+   * @returns {string|null} Why changes were left unsaved, if they were
+   */
+  autoSave() {
+    if (this.dbPath === ':memory:' || !this.isDirty() || this.inTransaction()) {
+      return null;
+    }
+    if (this.hasOpenStatements()) {
+      return 'Changes not saved yet: another query is still reading rows from this database (they are saved ' +
+        'once it finishes or its remaining rows are closed)';
+    }
+    if (this.hasTempObjects()) {
+      return 'Changes not saved yet: saving would drop temp tables (they are saved once the temp tables ' +
+        'are dropped, on flush or on disconnect)';
+    }
+
+    try {
+      const result = this.saveToFile();
+      return result.saved ? null : result.message;
+    } catch (err) {
+      return `Failed to save ${this.dbPath}: ${err.message}`;
+    }
+  }
+
+  /**
+   * Save unsaved changes before closing
+   *
+   * If another process changed the file, the local copy is written next to
+   * it as <file>.conflict-<timestamp> rather than overwriting their changes.
+   */
+  saveOnClose() {
+    if (this.dbPath === ':memory:' || !this.isDirty()) {
+      return;
+    }
+
+    const result = this.saveToFile();
+    if (result.conflict) {
+      writeFileAtomic(`${this.dbPath}.conflict-${Date.now()}`, this.db.export());
+    }
+  }
+
+  /**
+   * Write unsaved changes to the file now
+   *
+   * Temp tables are dropped by the save (see the class notes).
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite changes another process made to the file
+   * @returns {Promise<Object>} { saved, path, conflict, message }
+   */
+  async flush(options = {}) {
+    await this.ensureConnected();
+
+    if (this.dbPath === ':memory:') {
+      return this.saveToFile();
+    }
+    if (this.inTransaction()) {
+      return {
+        saved: false,
+        path: this.dbPath,
+        conflict: false,
+        message: 'Not saved: a transaction is open (commit or roll back first)'
+      };
+    }
+    if (this.hasOpenStatements()) {
+      return {
+        saved: false,
+        path: this.dbPath,
+        conflict: false,
+        message: 'Not saved: a query is still reading rows (fetch the rest or close it first)'
+      };
+    }
+    if (!options.force && !this.isDirty()) {
+      return { saved: false, path: this.dbPath, conflict: false, message: 'No unsaved changes' };
+    }
+    return this.saveToFile({ force: !!options.force });
+  }
+
+  /**
+   * SQLite transactions are always serializable
+   * @returns {string[]} Lower-case level names
+   */
+  getIsolationLevels() {
+    return ['serializable'];
+  }
+
+  /**
+   * Build transaction control SQL
+   * @param {string} action - "begin", "commit" or "rollback"
+   * @param {string|null} isolationLevel - Ignored (always serializable)
+   * @returns {string} SQL
+   */
+  getTransactionSql(action, isolationLevel) {
+    switch (action) {
+      case 'begin':
+        return 'BEGIN';
+      case 'commit':
+        return 'COMMIT';
+      default:
+        return 'ROLLBACK';
+    }
+  }
+
+  /**
+   * Commit, then save the committed changes to the file
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Status of the committed transaction, with
+   *   `warning` set if the changes could not be saved yet
+   */
+  async commitTransaction(sessionId) {
+    const status = await super.commitTransaction(sessionId);
+    const warning = this.autoSave();
+    return warning ? { ...status, warning } : status;
+  }
+
+  /**
+   * Sessions share the single in-process database, which already keeps temp
+   * tables and PRAGMAs between executions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Database>} The sql.js database
+   */
+  async createSessionConnection(sessionId) {
+    return this.db;
+  }
+
+  /**
+   * Nothing to release - the database stays open for the driver
+   * @param {Database} connection - sql.js database
+   */
+  async closeSessionConnection(connection) {}
+
+  /**
+   * Run every statement in a script, collecting the ones that return columns
+   *
+   * Results have the same { columns, values } shape as sql.js exec(), and
+   * each statement gets an outcome (see statements.js) whose range is its
+   * position in `query`. Stops early (returning what was collected so far)
+   * once the handle is cancelled or the timeout has expired. With a stream,
+   * rows are forwarded to it instead and nothing is collected.
+   *
+   * A statement that fails to prepare or run stops the script: what ran
+   * before it is returned with `failure`, the error and the offset in
+   * `query` where the failing statement's text starts.
+   *
+   * @param {string} query - SQL script
+   * @param {Object|null} handle - Execution handle from trackExecution()
+   * @param {ResultStream|null} [stream] - Stream to forward rows to
+   * @param {Object|null} [bindings] - Named bindings applied to every statement
+   * @param {Object|null} [timeout] - Timeout from startTimeout()
+   * @param {boolean} [describeColumns] - Trace the result columns of queries to their
+   *   table columns (see describeResultColumns()); otherwise storage classes are inferred
+   * @returns {Promise<{results: Array<{columns: string[], values: Array[]}>, statements: Array<Object>,
+   *   failure: {error: Error, start: number}|null}>}
+   */
+  async runStatements(query, handle, stream = null, bindings = null, timeout = null, describeColumns = false) {
+    const results = [];
+    const statements = [];
+    let rowsSinceYield = 0;
+    // Each statement's SQL runs from the end of the previous one (leading comments included)
+    let offset = 0;
+    // Statement being run; a failure outside one is the next statement failing to prepare
+    let running = null;
+
+    this.openScripts++;
+    try {
+      for (const stmt of this.db.iterateStatements(query)) {
+        const statementStart = offset;
+        running = { stmt, start: statementStart };
+        if (bindings) {
+          stmt.bind(bindings);
+        }
+
+        const text = stmt.getSQL();
+        const parts = splitStatements(text, 'sqlite');
+        offset += text.length;
+
+        const columns = stmt.getColumnNames();
+        // Only queries read table columns (RETURNING and PRAGMA columns have no origin)
+        const origins = describeColumns && columns.length > 0 && parts.length > 0 &&
+          QUERY_KEYWORDS.has(parts[0].keyword)
+          ? this.describeResultColumns(text)
+          : [];
+        const values = [];
+
+        // Streamed columns are sent once the first row is known, so storage
+        // classes can be inferred for expression columns
+        let started = false;
+        let resultColumns = {};
+        const begin = (sampleRows) => {
+          resultColumns = this.buildColumns(columns, origins, sampleRows);
+          stream.beginResultSet(resultColumns);
+          started = true;
+        };
+
+        while (stmt.step()) {
+          // Integers as BigInt, so values beyond 2^53 keep every digit (see values.js)
+          const valueArray = stmt.get(null, { useBigInt: true });
+          if (stream) {
+            if (!started) begin([valueArray]);
+            stream.pushRow(encodeRow(this.buildRow(columns, valueArray), resultColumns));
+          } else {
+            values.push(valueArray);
+          }
+
+          if (timeout && timeout.expired()) {
+            stmt.free();
+            return { results, statements, failure: null };
+          }
+          if (++rowsSinceYield >= ROWS_PER_YIELD) {
+            rowsSinceYield = 0;
+            if (stream) {
+              await stream.drain();
+            }
+            await yieldToEventLoop();
+            if (handle && handle.cancelled) {
+              stmt.free();
+              return { results, statements, failure: null };
+            }
+          }
+        }
+
+        if (stream && columns.length > 0 && !started) {
+          begin([]);
+        }
+        if (!stream && columns.length > 0) {
+          results.push({ columns, values, origins });
+        }
+
+        // WITH ... without result columns can only be DML
+        const keyword = parts.length > 0 ? parts[0].keyword : '';
+        if (parts.length > 0) {
+          this.transactionState = nextTransactionState(
+            this.transactionState, keyword, text.slice(parts[0].start, parts[0].end)
+          );
+        }
+        const isDml = isDmlKeyword(keyword) || (keyword === 'with' && columns.length === 0);
+        statements.push(statementOutcome({
+          resultSets: columns.length > 0
+            ? [stream ? stream.resultSets.length - 1 : results.length - 1]
+            : [],
+          rowsAffected: isDml ? this.db.getRowsModified() : null,
+          range: parts.length > 0
+            ? statementRange(query, statementStart + parts[0].start, statementStart + parts[parts.length - 1].end)
+            : null
+        }));
+
+        running = null;
+        await yieldToEventLoop();
+        if ((handle && handle.cancelled) || (timeout && timeout.expired())) {
+          return { results, statements, failure: null };
+        }
+      }
+    } catch (err) {
+      const start = running ? running.start : offset;
+      if (running) {
+        running.stmt.free();
+      }
+      return { results, statements, failure: { error: err, start } };
+    } finally {
+      this.openScripts--;
+    }
+
+    return { results, statements, failure: null };
+  }
+
+  /**
+   * Locate a statement failure from runStatements() in the script
+   *
+   * SQLite reports no positions, but syntax errors quote the offending
+   * token (near "FROM": syntax error) and a truncated statement reports
+   * "incomplete input", so the error can be placed within the failing
+   * statement.
+   *
+   * @param {string} query - SQL script
+   * @param {{error: Error, start: number}} failure - Failure from runStatements()
+   * @returns {{lineNumber: number, column: number, range: Object}}
+   */
+  locateFailure(query, failure) {
+    const parts = splitStatements(query.slice(failure.start), 'sqlite');
+    const part = parts.length > 0
+      ? { start: failure.start + parts[0].start, end: failure.start + parts[0].end }
+      : { start: failure.start, end: query.length };
+
+    const message = failure.error.message || '';
+    const near = message.match(/near "([\s\S]*?)": /);
+    const hint = {};
+    if (near) {
+      hint.near = near[1];
+    } else if (/incomplete input/.test(message)) {
+      hint.near = '';
+    }
+    return locateError(query, part, hint);
+  }
+
+  /**
+   * Get the execution plan of each statement with EXPLAIN QUERY PLAN
+   *
+   * SQLite has no row estimates, costs or run-time counters, so `actual`
+   * still returns the estimated plan (with a warning saying so).
+   *
+   * @param {string} query - SQL script
+   * @param {Object} [options] - { actual } (see BaseDriver.explain())
+   * @returns {Promise<Object>} { actual: false, plans, warnings }
+   */
+  async explain(query, options = {}) {
+    await this.ensureConnected();
+    if (!this.inTransaction()) {
+      this.syncWithFile();
+    }
+
+    const plans = [];
+    for (const stmt of this.db.iterateStatements(query)) {
+      const statement = stmt.getSQL().trim();
+      const rows = this.queryRows(`EXPLAIN QUERY PLAN ${statement}`);
+      if (rows.length > 0) {
+        plans.push(fromSqliteQueryPlan(rows, statement));
+      }
+    }
+
+    return {
+      actual: false,
+      plans,
+      warnings: options.actual ? ['SQLite does not report actual row counts or timings; showing the estimated plan'] : []
+    };
+  }
+
+  /**
+   * Build column metadata for a result set
+   *
+   * Columns read straight from a table report its declared type and NOT NULL
+   * constraint; other columns report the storage class of their first
+   * non-NULL value and are assumed nullable.
+   *
+   * @param {string[]} columnNames - Column names from the statement
+   * @param {Array<Object|null>} [origins] - Per-column { type, nullable } from describeResultColumns()
+   * @param {Array[]} [sampleRows] - Value arrays used to infer storage classes
+   * @returns {Object} Columns keyed by name
+   */
+  buildColumns(columnNames, origins = [], sampleRows = []) {
+    const columns = {};
+    columnNames.forEach((colName, index) => {
+      const origin = origins[index] || null;
+      let declared = origin ? origin.type : '';
+      if (!declared) {
+        const sample = sampleRows.find(row => row[index] !== null && row[index] !== undefined);
+        declared = sample ? this.inferType(sample[index]) : 'unknown';
+      }
+
+      const { type, length, precision, scale } = parseDeclaredType(declared);
+      columns[colName] = {
+        index: index,
+        name: colName,
+        ...typeDescriptor({
+          type,
+          length,
+          precision,
+          scale,
+          nullable: origin ? origin.nullable : true,
+          category: this.categorizeDeclaredType(type)
+        })
+      };
+    });
+    return columns;
+  }
+
+  /**
+   * Get the portable category of a declared type
+   *
+   * Declared types are free text in SQLite; names the shared table doesn't
+   * know fall back to SQLite's affinity rules ("UNSIGNED BIG INT" is an
+   * integer, "NATIVE CHARACTER(70)" a string).
+   *
+   * @param {string} type - Declared type without modifiers
+   * @returns {string} Category (see types.TYPE_CATEGORIES)
+   */
+  categorizeDeclaredType(type) {
+    const category = categorizeType(type);
+    if (category !== 'other') return category;
+
+    const upper = type.toUpperCase();
+    if (upper.includes('INT')) return 'integer';
+    if (/CHAR|CLOB|TEXT/.test(upper)) return 'string';
+    if (upper.includes('BLOB')) return 'binary';
+    if (/REAL|FLOA|DOUB/.test(upper)) return 'decimal';
+    return 'other';
+  }
+
+  /**
+   * Trace a statement's result columns back to the table columns they read
+   *
+   * sql.js does not expose sqlite3_column_decltype(), so the statement's
+   * EXPLAIN program is followed instead: cursors opened on tables and indexes,
+   * Column/Rowid reads into registers, records passed through sorters, and
+   * finally the ResultRow registers. A register also written by anything
+   * else (an expression, a second column) has no single origin.
+   *
+   * @param {string} sql - A single statement
+   * @returns {Array<Object|null>} Per result column { type, nullable }, or null when unknown
+   */
+  describeResultColumns(sql) {
+    let program;
+    let objects;
+    try {
+      program = this.queryRows(`EXPLAIN ${sql}`);
+      objects = this.queryRows(
+        `SELECT 0 AS db, type, name, tbl_name, rootpage, sql FROM sqlite_master
+         UNION ALL
+         SELECT 1, type, name, tbl_name, rootpage, sql FROM sqlite_temp_master`
+      );
+    } catch (err) {
+      return [];
+    }
+
+    const byRootpage = new Map(objects.map(obj => [`${obj.db}:${obj.rootpage}`, obj]));
+    const cursors = new Map();     // cursor -> { object } or { columns: [origin] }
+    const registers = new Map();   // register -> origin or null (ambiguous)
+    const records = new Map();     // register -> [origin] packed by MakeRecord
+    const pseudoCursors = new Map(); // content register -> pseudo cursor
+    const nullRows = new Set();    // cursors of outer-joined tables
+    const resultRows = [];
+
+    const write = (register, origin) => {
+      if (!registers.has(register)) {
+        registers.set(register, origin);
+        return;
+      }
+      const previous = registers.get(register);
+      const same = previous && origin && previous.object === origin.object && previous.column === origin.column;
+      registers.set(register, same ? previous : null);
+    };
+
+    const readCursor = (cursorId, column) => {
+      const source = cursors.get(cursorId);
+      if (!source) return null;
+      if (source.columns) return source.columns[column] || null;
+      if (/\bWITHOUT\s+ROWID\b/i.test(source.object.sql || '')) return null;
+      if (source.object.type === 'index') {
+        const xinfo = this.pragmaRows('index_xinfo', source.object.name).find(col => col.seqno === column);
+        if (!xinfo || xinfo.cid < -1) return null;
+        return { object: source.object.tbl_name, column: xinfo.cid, cursor: cursorId };
+      }
+      return { object: source.object.tbl_name, column, cursor: cursorId };
+    };
+
+    program.forEach(op => {
+      switch (op.opcode) {
+        case 'OpenRead':
+        case 'OpenWrite':
+        case 'ReopenIdx': {
+          const object = byRootpage.get(`${op.p3}:${op.p2}`);
+          if (object) cursors.set(op.p1, { object });
+          break;
+        }
+        case 'Column':
+          write(op.p3, readCursor(op.p1, op.p2));
+          break;
+        case 'Rowid':
+        case 'IdxRowid':
+          write(op.p2, readCursor(op.p1, -1));
+          break;
+        case 'Copy':
+        case 'SCopy':
+        case 'IntCopy':
+          for (let i = 0; i <= (op.opcode === 'Copy' ? op.p3 : 0); i++) {
+            write(op.p2 + i, registers.has(op.p1 + i) ? registers.get(op.p1 + i) : null);
+          }
+          break;
+        case 'MakeRecord': {
+          const origins = [];
+          for (let i = 0; i < op.p2; i++) {
+            origins.push(registers.get(op.p1 + i) || null);
+          }
+          records.set(op.p3, origins);
+          break;
+        }
+        case 'SorterInsert':
+        case 'IdxInsert':
+          if (records.has(op.p2)) cursors.set(op.p1, { columns: records.get(op.p2) });
+          break;
+        case 'OpenPseudo':
+          pseudoCursors.set(op.p2, op.p1);
+          break;
+        case 'SorterData': {
+          const pseudo = pseudoCursors.has(op.p2) ? pseudoCursors.get(op.p2) : op.p3;
+          if (cursors.has(op.p1)) cursors.set(pseudo, cursors.get(op.p1));
+          break;
+        }
+        case 'NullRow':
+          nullRows.add(op.p1);
+          break;
+        case 'ResultRow':
+          resultRows.push(op);
+          break;
+        default:
+          if (VALUE_OPCODES.p1.includes(op.opcode)) write(op.p1, null);
+          if (VALUE_OPCODES.p2.includes(op.opcode)) {
+            // Null clears registers P2..P3
+            const last = op.opcode === 'Null' && op.p3 > op.p2 ? op.p3 : op.p2;
+            for (let r = op.p2; r <= last; r++) write(r, null);
+          }
+          if (VALUE_OPCODES.p3.includes(op.opcode)) write(op.p3, null);
+      }
+    });
+
+    if (resultRows.length === 0) return [];
+
+    const tableInfo = new Map();
+    const describe = (origin) => {
+      if (!origin) return null;
+      if (!tableInfo.has(origin.object)) {
+        tableInfo.set(origin.object, this.pragmaRows('table_info', origin.object));
+      }
+      const info = tableInfo.get(origin.object);
+      const pkColumns = info.filter(col => col.pk > 0);
+      const ipk = pkColumns.length === 1 && String(pkColumns[0].type).toUpperCase() === 'INTEGER'
+        ? pkColumns[0]
+        : null;
+
+      const column = origin.column === -1 ? ipk : info.find(col => col.cid === origin.column);
+      const outerJoined = nullRows.has(origin.cursor);
+      if (!column) {
+        // The rowid of a table without an INTEGER PRIMARY KEY
+        return origin.column === -1 ? { type: 'INTEGER', nullable: outerJoined } : null;
+      }
+      return { type: column.type, nullable: outerJoined || (column.notnull === 0 && column !== ipk) };
+    };
+
+    // Compound SELECTs have one ResultRow per arm; keep what they agree on
+    const width = resultRows[0].p2;
+    const described = [];
+    for (let i = 0; i < width; i++) {
+      const arms = resultRows.map(op => describe(registers.get(op.p1 + i)));
+      const first = arms[0];
+      const agree = first && arms.every(arm => arm && arm.type === first.type);
+      described.push(agree
+        ? { type: first.type, nullable: arms.some(arm => arm.nullable) }
+        : null);
     }
+    return described;
+  }
+
+  /**
+   * Build a row object from a statement's value array
+   * @param {string[]} columnNames - Column names from the statement
+   * @param {Array} valueArray - Values in column order
+   * @returns {Object} Row keyed by column name
+   */
+  buildRow(columnNames, valueArray) {
+    const row = {};
+    columnNames.forEach((colName, index) => {
+      row[colName] = valueArray[index];
+    });
+    return row;
+  }
+
+  /**
+   * Convert a parameter value to something sql.js can bind
+   * @param {*} value - Parameter value
+   * @returns {number|string|Uint8Array|null}
+   */
+  toSqliteValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+    return value;
   }
 
   /**
@@ -222,8 +1266,9 @@ class SQLiteDriver extends BaseDriver {
     if (typeof value === 'number') {
       return Number.isInteger(value) ? 'integer' : 'real';
     }
+    if (typeof value === 'bigint') return 'integer';
     if (typeof value === 'string') return 'text';
-    if (Buffer.isBuffer(value)) return 'blob';
+    if (value instanceof Uint8Array) return 'blob';
     return 'unknown';
   }
 
@@ -232,30 +1277,14 @@ class SQLiteDriver extends BaseDriver {
    */
   async getMetadata(objectType, objectName, schemaName = null) {
     try {
-      if (!this.isConnected) {
-        await this.connect();
-      }
+      await this.ensureConnected();
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query SQLite system tables for column metadata
-        const query = `PRAGMA table_info(${objectName})`;
-        const results = this.db.exec(query);
-
-        if (results.length === 0 || results[0].values.length === 0) {
-          return { columns: [] };
-        }
-
-        // PRAGMA table_info returns: cid, name, type, notnull, dflt_value, pk
-        const columns = results[0].values.map(row => ({
-          name: row[1],
-          type: row[2],
-          nullable: row[3] === 0,
-          defaultValue: row[4],
-          isPrimaryKey: row[5] === 1,
-          isForeignKey: false, // Need separate query for FK info
-        }));
+        return buildTableMetadata(this.readCatalog({ table: objectName }), this.readConstraints(objectName));
+      }
 
-        return { columns };
+      if (objectType === 'procedure' || objectType === 'function') {
+        return this.getRoutineMetadata(objectType, objectName);
       }
 
       return { columns: [] };
@@ -265,6 +1294,321 @@ class SQLiteDriver extends BaseDriver {
     }
   }
 
+  /**
+   * Read UNIQUE, CHECK and DEFAULT constraint rows for one table
+   *
+   * UNIQUE constraints are the table's "u" origin indexes (their auto-index
+   * names are used), CHECK constraints are parsed from the CREATE TABLE
+   * statement and DEFAULT rows are unnamed.
+   *
+   * @param {string} table - Table name
+   * @returns {Array<Object>} Constraint rows for buildTableMetadata()
+   */
+  readConstraints(table) {
+    const master = this.queryRows(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = '${String(table).replace(/'/g, "''")}'`
+    );
+    if (master.length === 0) return [];
+
+    const rows = [];
+    this.pragmaRows('index_list', table)
+      .filter(index => index.origin === 'u')
+      .forEach(index => {
+        this.pragmaRows('index_info', index.name).forEach(col => {
+          rows.push({ name: index.name, type: 'UNIQUE', column: col.name, expression: null });
+        });
+      });
+
+    parseCheckConstraints(master[0].sql).forEach(check => {
+      rows.push({ name: check.name, type: 'CHECK', column: check.column, expression: check.expression });
+    });
+
+    this.pragmaRows('table_info', table)
+      .filter(col => col.dflt_value !== null)
+      .forEach(col => {
+        rows.push({ name: null, type: 'DEFAULT', column: col.name, expression: col.dflt_value });
+      });
+
+    return rows;
+  }
+
+  /**
+   * Get parameters and result columns of a function (see BaseDriver.getMetadata())
+   *
+   * SQLite has no stored routines. Table-valued functions (json_each,
+   * pragma_table_info, ...) are eponymous virtual tables whose hidden columns
+   * are the arguments; scalar and aggregate functions come from
+   * PRAGMA function_list, which only knows argument counts.
+   *
+   * @param {string} objectType - 'procedure' or 'function'
+   * @param {string} objectName - Function name
+   * @returns {Object} Routine metadata
+   */
+  getRoutineMetadata(objectType, objectName) {
+    const empty = { routineType: objectType, returnType: null, returnsSet: false, parameters: [], columns: [] };
+    if (objectType !== 'function') {
+      return empty;
+    }
+
+    const parameter = (name, ordinal, hasDefault) => ({
+      name,
+      type: '',
+      direction: 'IN',
+      defaultValue: null,
+      hasDefault,
+      nullable: true,
+      ordinal,
+      maxLength: null,
+      precision: null,
+      scale: null
+    });
+
+    let tableColumns = [];
+    try {
+      tableColumns = this.pragmaRows('table_xinfo', objectName);
+    } catch (err) {
+      // Not a table-valued function
+    }
+
+    const hidden = tableColumns.filter(col => col.hidden === 1);
+    if (hidden.length > 0) {
+      return {
+        routineType: objectType,
+        returnType: 'TABLE',
+        returnsSet: true,
+        // Trailing arguments may be omitted
+        parameters: hidden.map((col, index) => parameter(col.name, index + 1, index > 0)),
+        columns: tableColumns
+          .filter(col => col.hidden === 0)
+          .map((col, index) => ({
+            name: col.name,
+            type: col.type,
+            nullable: col.notnull === 0,
+            ordinal: index + 1,
+            maxLength: null,
+            precision: null,
+            scale: null
+          }))
+      };
+    }
+
+    // One row per overload; narg -1 means variadic
+    const overloads = this.queryRows('PRAGMA function_list')
+      .filter(fn => String(fn.name).toLowerCase() === String(objectName).toLowerCase());
+    if (overloads.length === 0) {
+      return empty;
+    }
+
+    const counts = overloads.map(fn => fn.narg);
+    const minArgs = Math.min(...counts.filter(n => n >= 0).concat(counts.includes(-1) ? [0] : []));
+    const maxArgs = Math.max(...counts);
+    const parameters = [];
+    for (let i = 1; i <= maxArgs; i++) {
+      parameters.push(parameter(`arg${i}`, i, i > minArgs));
+    }
+    if (counts.includes(-1)) {
+      parameters.push(parameter('...', parameters.length + 1, true));
+    }
+
+    return { ...empty, parameters };
+  }
+
+  /**
+   * Get a whole-database metadata snapshot (see BaseDriver.getSchemaSnapshot())
+   *
+   * SQLite has a single "main" schema and no stored routines.
+   *
+   * @param {Object} [options] - Unused (there is only one schema)
+   * @returns {Promise<Object>} Normalized snapshot
+   */
+  async getSchemaSnapshot(options = {}) {
+    try {
+      await this.ensureConnected();
+
+      return buildSchemaSnapshot(this.readCatalog({ table: null }));
+    } catch (err) {
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read tables, columns, indexes and foreign keys from sqlite_master and PRAGMAs
+   *
+   * @param {Object} filter
+   * @param {string|null} filter.table - Only this table/view (null = all)
+   * @returns {Object} Flat catalog rows for buildSchemaSnapshot()
+   */
+  readCatalog(filter) {
+    const objects = this.queryRows(
+      `SELECT name, type, sql FROM sqlite_master
+       WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+       ORDER BY name`
+    ).filter(row => !filter.table || row.name === filter.table);
+
+    const parts = {
+      database: 'main',
+      schemas: ['main'],
+      tables: [],
+      columns: [],
+      indexes: [],
+      foreignKeys: [],
+      routines: []
+    };
+
+    objects.forEach(object => {
+      parts.tables.push({ schema: 'main', name: object.name, type: object.type });
+      parts.columns.push(...this.readColumns(object.name));
+      if (object.type === 'table') {
+        parts.indexes.push(...this.readIndexes(object.name, object.sql));
+        parts.foreignKeys.push(...this.readForeignKeys(object.name));
+      }
+    });
+
+    return parts;
+  }
+
+  /**
+   * Run a query and return its first result set as row objects
+   * @param {string} query - SQL query
+   * @returns {Array<Object>} Rows keyed by column name
+   */
+  queryRows(query) {
+    const results = this.db.exec(query);
+    if (results.length === 0) return [];
+    return results[0].values.map(values => this.buildRow(results[0].columns, values));
+  }
+
+  /**
+   * Run a table-valued PRAGMA for one object
+   * @param {string} pragma - PRAGMA name (e.g. "table_info")
+   * @param {string} name - Table or index name
+   * @returns {Array<Object>} Rows keyed by column name
+   */
+  pragmaRows(pragma, name) {
+    return this.queryRows(`PRAGMA ${pragma}('${String(name).replace(/'/g, "''")}')`);
+  }
+
+  /**
+   * Read column rows for a table or view
+   * @param {string} table - Table or view name
+   * @returns {Array<Object>} Column rows for buildSchemaSnapshot()
+   */
+  readColumns(table) {
+    const info = this.pragmaRows('table_info', table);
+    const pkCount = info.filter(col => col.pk > 0).length;
+
+    return info.map(col => ({
+      schema: 'main',
+      table: table,
+      name: col.name,
+      type: col.type,
+      nullable: col.notnull === 0 && col.pk === 0,
+      defaultValue: col.dflt_value,
+      ordinal: col.cid + 1,
+      // A lone INTEGER PRIMARY KEY column is an alias for the auto-assigned rowid
+      isIdentity: pkCount === 1 && col.pk === 1 && String(col.type).toUpperCase() === 'INTEGER'
+    }));
+  }
+
+  /**
+   * Read index column rows for a table, including its primary key
+   *
+   * A rowid table's INTEGER PRIMARY KEY has no index of its own; it is
+   * reported as an unnamed clustered primary key instead.
+   *
+   * @param {string} table - Table name
+   * @param {string|null} tableSql - CREATE TABLE statement from sqlite_master
+   * @returns {Array<Object>} Index column rows for buildSchemaSnapshot()
+   */
+  readIndexes(table, tableSql) {
+    const withoutRowid = /\bWITHOUT\s+ROWID\s*;?\s*$/i.test(tableSql || '');
+    const rows = [];
+
+    this.pragmaRows('index_list', table).forEach(index => {
+      const primary = index.origin === 'pk';
+      let filter = null;
+      if (index.partial) {
+        const indexSql = this.queryRows(
+          `SELECT sql FROM sqlite_master WHERE type = 'index' AND name = '${String(index.name).replace(/'/g, "''")}'`
+        );
+        const match = indexSql[0] && /\bWHERE\b([\s\S]*)$/i.exec(indexSql[0].sql || '');
+        filter = match ? match[1].trim() : null;
+      }
+
+      this.pragmaRows('index_info', index.name).forEach(col => {
+        rows.push({
+          schema: 'main',
+          table: table,
+          name: index.name,
+          unique: index.unique === 1,
+          primary: primary,
+          clustered: primary && withoutRowid,
+          filter: filter,
+          column: col.name !== null ? col.name : '<expression>',
+          included: false
+        });
+      });
+    });
+
+    if (!rows.some(row => row.primary)) {
+      this.pragmaRows('table_info', table)
+        .filter(col => col.pk > 0)
+        .sort((x, y) => x.pk - y.pk)
+        .forEach(col => {
+          rows.push({
+            schema: 'main',
+            table: table,
+            name: null,
+            unique: true,
+            primary: true,
+            clustered: true,
+            filter: null,
+            column: col.name,
+            included: false
+          });
+        });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Read foreign key column rows for a table
+   *
+   * SQLite foreign keys are unnamed, so they are named after their id
+   * within the table ("fk_<table>_<id>").
+   *
+   * @param {string} table - Table name
+   * @returns {Array<Object>} Foreign key column rows for buildSchemaSnapshot()
+   */
+  readForeignKeys(table) {
+    const fkRows = this.pragmaRows('foreign_key_list', table)
+      .sort((x, y) => x.id - y.id || x.seq - y.seq);
+
+    return fkRows.map(fk => {
+      // A NULL "to" column references the parent table's primary key
+      let referencedColumn = fk.to;
+      if (referencedColumn === null) {
+        const parentPk = this.pragmaRows('table_info', fk.table)
+          .filter(col => col.pk > 0)
+          .sort((x, y) => x.pk - y.pk);
+        referencedColumn = parentPk[fk.seq] ? parentPk[fk.seq].name : null;
+      }
+
+      return {
+        schema: 'main',
+        table: table,
+        name: `fk_${table}_${fk.id}`,
+        column: fk.from,
+        referencedSchema: 'main',
+        referencedTable: fk.table,
+        referencedColumn: referencedColumn,
+        onDelete: fk.on_delete,
+        onUpdate: fk.on_update
+      };
+    });
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
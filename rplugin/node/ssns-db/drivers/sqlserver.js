@@ -1,6 +1,12 @@
 const sql = require('mssql');
 const msnodesqlv8 = require('msnodesqlv8'); // Use raw msnodesqlv8, not mssql wrapper
 const BaseDriver = require('./base');
+const { normalizeParams, rewritePlaceholders, toOrdinalParams } = require('./params');
+const { buildSchemaSnapshot, buildTableMetadata, splitTopLevel } = require('./schema');
+const { fromShowplanXml } = require('./plan');
+const { categorizeType, typeDescriptor } = require('./types');
+const { encodeValue } = require('./values');
+const { StatementTracker, serverMessage, affectedCounts } = require('./statements');
 const { ssnsLog } = require('../ssns-log');
 const packageJson = require('../package.json');
 
@@ -14,6 +20,58 @@ function getAppName() {
   return `Sql Server NeoVim Studio | SSNS v${version}`;
 }
 
+/**
+ * Read parameter defaults from a T-SQL routine definition
+ *
+ * sys.parameters only records defaults for CLR routines, so the parameter
+ * list of CREATE PROCEDURE/FUNCTION is parsed instead. Must only be called
+ * for routines that have parameters (the first "@" starts the list).
+ *
+ * @param {string|null} definition - OBJECT_DEFINITION() text
+ * @returns {Object} Default expression keyed by lower-case parameter name
+ */
+function parseParameterDefaults(definition) {
+  const defaults = {};
+  if (!definition) return defaults;
+
+  const text = definition
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/--[^\n]*/g, ' ');
+  const start = text.indexOf('@');
+  if (start < 0) return defaults;
+
+  // The list ends at the closing parenthesis (functions, parenthesized
+  // procedures) or at the top-level AS/WITH/FOR/RETURNS keyword
+  let depth = 0;
+  let end = start;
+  let partStart = start;
+  for (; end < text.length; end++) {
+    const ch = text[end];
+    if (ch === "'") {
+      end = text.indexOf("'", end + 1);
+      while (end >= 0 && text[end + 1] === "'") {
+        end = text.indexOf("'", end + 2);
+      }
+      if (end < 0) return defaults;
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')' && depth-- === 0) break;
+    if (ch === ',' && depth === 0) partStart = end + 1;
+    // "@name AS type" is allowed, so AS right after a parameter name is not the end
+    if (depth === 0 && /\s/.test(ch) && /^(AS|WITH|FOR|RETURNS)\b/i.test(text.slice(end + 1)) &&
+        !/^\s*@[\w@#$]+\s*$/.test(text.slice(partStart, end))) break;
+  }
+
+  splitTopLevel(text.slice(start, end)).forEach(part => {
+    const match = /^(@[\w@#$]+)\s+[^=]*?=\s*([\s\S]*?)(?:\s+(?:OUT|OUTPUT|READONLY))*\s*$/i.exec(part);
+    if (match) {
+      defaults[match[1].toLowerCase()] = match[2];
+    }
+  });
+  return defaults;
+}
+
 /**
  * SqlServerDriver - SQL Server database driver using mssql package
  *
@@ -151,6 +209,8 @@ class SqlServerDriver extends BaseDriver {
       host = 'localhost';
     }
 
+    const pool = this.getPoolSettings();
+
     const tediousConfig = {
       server: host,
       database: server.database || 'master',
@@ -161,11 +221,15 @@ class SqlServerDriver extends BaseDriver {
         enableArithAbort: true,
         encrypt: options.ssl === true,
         appName: getAppName(), // Shown in Activity Monitor/sp_who2
+        useUTC: true, // Dates hold the server's value in their UTC fields (see values.js)
       },
+      connectionTimeout: pool.connect_timeout_ms,
+      // No connection-wide request timeout: executions set their own (options.timeoutMs)
+      requestTimeout: 0,
       pool: {
-        max: 10,
-        min: 0,
-        idleTimeoutMillis: 30000
+        max: pool.max,
+        min: pool.min,
+        idleTimeoutMillis: pool.idle_timeout_ms
       }
     };
 
@@ -179,7 +243,8 @@ class SqlServerDriver extends BaseDriver {
       tediousConfig.port = server.port;
     }
 
-    ssnsLog(`[sqlserver] Built tedious config: ${JSON.stringify(tediousConfig, null, 2)}`);
+    ssnsLog(`[sqlserver] Built tedious config for ${tediousConfig.user || '(no user)'}@${tediousConfig.server}` +
+      `${server.instance ? `\\${server.instance}` : ''}/${tediousConfig.database}`);
     return tediousConfig;
   }
 
@@ -188,7 +253,7 @@ class SqlServerDriver extends BaseDriver {
    */
   async connect() {
     ssnsLog('[sqlserver] connect() called');
-    if (this.isConnected && this.connection) {
+    if (this.isConnected && (this.connection || this.pool)) {
       ssnsLog('[sqlserver] Already connected');
       return; // Already connected
     }
@@ -216,12 +281,17 @@ class SqlServerDriver extends BaseDriver {
     } else {
       // Use tedious for SQL Server authentication (promise-based API)
       ssnsLog('[sqlserver] Connecting with tedious (SQL auth)');
+      // A pool of this driver's own (sql.connect() would share one global pool
+      // between servers, and keep returning it after it broke)
+      const pool = new sql.ConnectionPool(this.tediousConfig);
+      pool.on('error', (err) => this.connectionLost(err));
       try {
-        this.pool = await sql.connect(this.tediousConfig);
+        this.pool = await pool.connect();
         this.isConnected = true;
         ssnsLog('[sqlserver] Successfully connected with tedious');
       } catch (err) {
         this.isConnected = false;
+        pool.close().catch(() => {});
         ssnsLog(`[sqlserver] Connection failed: ${err.message}`);
         throw new Error(`SQL Server connection failed: ${err.message}`);
       }
@@ -232,6 +302,9 @@ class SqlServerDriver extends BaseDriver {
    * Close connection pool
    */
   async disconnect() {
+    this.stopReconnecting();
+    await this.closeAllSessions();
+
     if (this.useNativeDriver && this.connection) {
       // Close msnodesqlv8 connection
       this.connection.close(() => {
@@ -244,6 +317,47 @@ class SqlServerDriver extends BaseDriver {
       this.pool = null;
       this.isConnected = false;
     }
+    this.setConnectionState('disconnected');
+  }
+
+  /**
+   * Close a connection (msnodesqlv8) or pool (tedious) that was lost
+   * (see BaseDriver.connectionLost())
+   *
+   * Not awaited: closing a dead ODBC link can take until its timeout.
+   */
+  async discardConnection() {
+    const connection = this.connection;
+    const pool = this.pool;
+    this.connection = null;
+    this.pool = null;
+    if (connection) {
+      connection.close(() => {});
+    }
+    if (pool) {
+      pool.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Get the pool's current usage (a single connection with msnodesqlv8)
+   * @returns {{max: number, total: number, idle: number, inUse: number, waiting: number}|null}
+   */
+  getPoolStats() {
+    if (this.connection) {
+      const inUse = this.activeExecutions.size > 0 ? 1 : 0;
+      return { max: 1, total: 1, idle: 1 - inUse, inUse, waiting: 0 };
+    }
+    if (!this.pool) {
+      return null;
+    }
+    return {
+      max: this.tediousConfig.pool.max,
+      total: this.pool.size,
+      idle: this.pool.available,
+      inUse: this.pool.borrowed,
+      waiting: this.pool.pending
+    };
   }
 
   /**
@@ -259,24 +373,30 @@ class SqlServerDriver extends BaseDriver {
 
     try {
       // Ensure connection
-      if (!this.isConnected) {
-        ssnsLog('[sqlserver] Not connected, calling connect()');
-        await this.connect();
-      }
+      await this.ensureConnected();
+
+      // Sessions run on their pinned connection (msnodesqlv8) or single-connection pool (tedious)
+      const pinned = options.sessionId ? this.getSessionConnection(options.sessionId) : null;
 
       // Use different execution based on driver
+      let result;
       if (this.useNativeDriver) {
         ssnsLog('[sqlserver] Using msnodesqlv8 for execution');
-        return await this.executeWithMsnodesqlv8(query, startTime);
+        result = await this.executeWithMsnodesqlv8(query, startTime, options, pinned || this.connection);
       } else {
         ssnsLog('[sqlserver] Using tedious for execution');
-        return await this.executeWithTedious(query, startTime);
+        result = await this.executeWithTedious(query, startTime, options, pinned || this.pool);
       }
 
+      // A link failure comes back as an error of the batch (ODBC 08S01, tedious ESOCKET)
+      (result.errors || []).some(error => this.checkConnectionError(error, options.sessionId || null));
+      return result;
+
     } catch (err) {
       const endTime = Date.now();
       const executionTime = endTime - startTime;
       ssnsLog(`[sqlserver] execute() error: ${err && err.stack ? err.stack : err}`);
+      this.checkConnectionError(err, options.sessionId || null);
       return {
         resultSets: [],
         metadata: {
@@ -292,7 +412,465 @@ class SqlServerDriver extends BaseDriver {
           class: err.class || null
         }
       };
+    } finally {
+      // A cancel that arrived before the query started (connect failed first)
+      this.untrackExecution(options.executionId);
+    }
+  }
+
+  /**
+   * Open the connection pinned by a session
+   *
+   * Windows auth opens a separate msnodesqlv8 connection. SQL auth uses an
+   * mssql pool of exactly one connection, which mssql never resets between
+   * requests, so #temp tables and SET options persist.
+   *
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} msnodesqlv8 connection or mssql ConnectionPool
+   */
+  async createSessionConnection(sessionId) {
+    ssnsLog(`[sqlserver] Opening session ${sessionId}`);
+
+    if (this.useNativeDriver) {
+      return new Promise((resolve, reject) => {
+        msnodesqlv8.open(this.odbcConnectionString, (err, conn) => {
+          if (err) {
+            reject(new Error(`SQL Server session connection failed: ${err.message || err}`));
+            return;
+          }
+          resolve(conn);
+        });
+      });
+    }
+
+    const pool = new sql.ConnectionPool(Object.assign({}, this.tediousConfig, {
+      pool: { max: 1, min: 1, idleTimeoutMillis: 2147483647 }
+    }));
+
+    // A lost connection ends the session (mssql would otherwise silently replace it)
+    pool.on('error', (err) => {
+      ssnsLog(`[sqlserver] Session ${sessionId} connection error: ${err.message}`);
+      this.dropSession(sessionId);
+    });
+
+    try {
+      await pool.connect();
+    } catch (err) {
+      throw new Error(`SQL Server session connection failed: ${err.message}`);
+    }
+    return pool;
+  }
+
+  /**
+   * Close a session's connection
+   * @param {Object} connection - msnodesqlv8 connection or mssql ConnectionPool
+   */
+  async closeSessionConnection(connection) {
+    if (this.useNativeDriver) {
+      await new Promise((resolve) => connection.close(() => resolve()));
+    } else {
+      await connection.close();
+    }
+  }
+
+  /**
+   * Switch a session's connection to another database with USE
+   * @param {string} sessionId - Session ID
+   * @param {string} database - Database name
+   * @returns {Promise<boolean>} True once switched
+   */
+  async useSessionDatabase(sessionId, database) {
+    const result = await this.execute(`USE [${database.replace(/\]/g, ']]')}]`, { sessionId });
+    if (result.error) {
+      throw new Error(result.error.message);
+    }
+    return true;
+  }
+
+  /**
+   * SQL Server also supports SNAPSHOT isolation (when enabled on the database)
+   * @returns {string[]} Lower-case level names
+   */
+  getIsolationLevels() {
+    return super.getIsolationLevels().concat(['snapshot']);
+  }
+
+  /**
+   * Build transaction control SQL
+   *
+   * SET TRANSACTION ISOLATION LEVEL lasts for the connection, so ending a
+   * transaction that changed it restores the READ COMMITTED default.
+   *
+   * @param {string} action - "begin", "commit" or "rollback"
+   * @param {string|null} isolationLevel - Lower-case isolation level
+   * @returns {string} T-SQL
+   */
+  getTransactionSql(action, isolationLevel) {
+    const restore = isolationLevel ? '; SET TRANSACTION ISOLATION LEVEL READ COMMITTED' : '';
+    switch (action) {
+      case 'begin':
+        return isolationLevel
+          ? `SET TRANSACTION ISOLATION LEVEL ${isolationLevel.toUpperCase()}; BEGIN TRANSACTION`
+          : 'BEGIN TRANSACTION';
+      case 'commit':
+        return 'COMMIT TRANSACTION' + restore;
+      default:
+        return 'IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION' + restore;
+    }
+  }
+
+  /**
+   * Generate unique column keys to handle duplicate/empty column names
+   * @param {Array<string>} names - Column names in ordinal order
+   * @returns {Array<string>} Keys in the same order ("col", "col_1", ...)
+   */
+  buildColumnKeys(names) {
+    const columnKeys = [];
+    const seenNames = {};
+    names.forEach((name) => {
+      const baseName = name || '(No column name)';
+      if (seenNames[baseName] === undefined) {
+        seenNames[baseName] = 0;
+        columnKeys.push(baseName);
+      } else {
+        seenNames[baseName]++;
+        columnKeys.push(`${baseName}_${seenNames[baseName]}`);
+      }
+    });
+    return columnKeys;
+  }
+
+  /**
+   * Build column metadata from msnodesqlv8 meta array
+   * @param {Array<Object>} meta - msnodesqlv8 column metadata
+   * @returns {{columns: Object, columnKeys: Array<string>}}
+   */
+  buildNativeColumns(meta) {
+    const columns = {};
+    const columnKeys = this.buildColumnKeys(meta.map(colMeta => colMeta.name));
+
+    // Build column metadata from meta array using unique keys
+    meta.forEach((colMeta, index) => {
+      const key = columnKeys[index];
+      const typeName = colMeta.sqlType ? String(colMeta.sqlType).toLowerCase() : 'unknown';
+      // ODBC column size: characters/bytes for strings and binary (0 = max), precision for numerics
+      const size = colMeta.size;
+      const isDecimal = typeName === 'decimal' || typeName === 'numeric';
+      columns[key] = {
+        index: index,
+        name: colMeta.name || '(No column name)',
+        ...this.describeColumn(typeName, {
+          length: size,
+          precision: isDecimal ? size : null,
+          nullable: colMeta.nullable !== false
+        }),
+        size: colMeta.size
+      };
+    });
+
+    return { columns, columnKeys };
+  }
+
+  /**
+   * Build column metadata from an mssql recordset's columns
+   * @param {Object} rsColumns - mssql columns object keyed by name
+   * @returns {{columns: Object, columnKeys: Array<string>}}
+   */
+  buildTediousColumns(rsColumns) {
+    const columns = {};
+    if (!rsColumns) {
+      return { columns, columnKeys: [] };
+    }
+
+    // Sort columns by index to ensure correct order
+    const sortedCols = Object.values(rsColumns).sort((a, b) => a.index - b.index);
+    const columnKeys = this.buildColumnKeys(sortedCols.map(col => col.name));
+
+    // Build column metadata using unique keys
+    sortedCols.forEach((col, index) => {
+      const key = columnKeys[index];
+      // CLR types mssql doesn't know (hierarchyid) keep their UDT name
+      let typeName = col.type ? col.type.declaration : 'unknown';
+      if (typeName === 'udt' && col.udt) {
+        typeName = String(col.udt.name).toLowerCase();
+      }
+      const unicode = typeName === 'nchar' || typeName === 'nvarchar' || typeName === 'ntext';
+      columns[key] = {
+        index: col.index,
+        name: col.name || '(No column name)',
+        ...this.describeColumn(typeName, {
+          // TDS reports byte lengths; 0xFFFF marks (max)
+          length: col.length === 0xFFFF ? 0 : (unicode ? Math.floor(col.length / 2) : col.length),
+          precision: col.precision,
+          scale: col.scale,
+          nullable: col.nullable !== false
+        }),
+        caseSensitive: col.caseSensitive,
+        identity: col.identity || false,
+        readOnly: col.readOnly || false
+      };
+    });
+
+    return { columns, columnKeys };
+  }
+
+  /**
+   * Build a column type descriptor from a SQL Server type name and the
+   * sizes the client library reported
+   *
+   * Only the modifiers that belong to the type are kept: length for strings
+   * and binary (0 or 2^30 - 1 and above = max, reported as -1), precision and
+   * scale for decimal/numeric, fractional-second digits (reported by SQL
+   * Server as scale) as precision for time, datetime2 and datetimeoffset.
+   *
+   * @param {string} typeName - Lower-case SQL Server type name
+   * @param {Object} sizes - { length, precision, scale, nullable }
+   * @returns {Object} Type descriptor (see types.typeDescriptor())
+   */
+  describeColumn(typeName, sizes) {
+    const category = categorizeType(typeName);
+    const known = value => (value === undefined || value === null ? null : value);
+    let length = null;
+    let precision = null;
+    let scale = null;
+
+    if ((category === 'string' || category === 'binary') && !['uniqueidentifier', 'xml'].includes(typeName)) {
+      const size = known(sizes.length);
+      length = size === null ? null : (size === 0 || size >= 0x3FFFFFFF ? -1 : size);
+    } else if (typeName === 'decimal' || typeName === 'numeric') {
+      precision = known(sizes.precision);
+      scale = known(sizes.scale);
+    } else if (['time', 'datetime2', 'datetimeoffset'].includes(typeName)) {
+      precision = known(sizes.scale);
+    }
+
+    return typeDescriptor({ type: typeName, length, precision, scale, nullable: sizes.nullable });
+  }
+
+  /**
+   * Convert an mssql row to a plain object keyed by unique column keys
+   * @param {Object} row - mssql row object
+   * @param {Object} columns - Column metadata from buildTediousColumns()
+   * @param {Array<string>} columnKeys - Unique column keys
+   * @returns {Object} Row object
+   */
+  formatTediousRow(row, columns, columnKeys) {
+    const rowObj = {};
+    if (columnKeys.length > 0) {
+      // Use column keys for proper ordering
+      columnKeys.forEach((key) => {
+        rowObj[key] = encodeValue(row[columns[key].name], columns[key]);
+      });
+    } else {
+      // Fallback for when we don't have column metadata
+      for (const colName in row) {
+        rowObj[colName] = encodeValue(row[colName]);
+      }
+    }
+    return rowObj;
+  }
+
+  /**
+   * Convert an informational message from tedious or msnodesqlv8 (PRINT,
+   * RAISERROR with severity 10 or lower) to a server message
+   *
+   * PRINT output (severity 0) is "info"; the rest, such as "Warning: Null
+   * value is eliminated by an aggregate", are notices carrying their
+   * message number.
+   *
+   * @param {Object|string} msg - info event payload
+   * @returns {Object|null} Server message, or null if the payload has no text
+   */
+  toServerMessage(msg) {
+    if (typeof msg === 'string') {
+      return serverMessage(msg, 'info');
+    }
+    if (!msg || !msg.message) {
+      return null;
+    }
+
+    const level = msg.class !== undefined ? msg.class : msg.severity;
+    if (!level) {
+      return serverMessage(msg.message, 'info');
+    }
+    return serverMessage(msg.message, 'notice', msg.number !== undefined ? msg.number : msg.code);
+  }
+
+  /**
+   * Describe an error from tedious (mssql RequestError) or msnodesqlv8
+   * @param {Error} err - Error raised by the batch
+   * @returns {{message: string, code: number|null, lineNumber: number|null, procName: string|null,
+   *   state: number|null, class: number|null}} code is the error number and class its severity
+   */
+  describeError(err) {
+    return {
+      message: err.message || 'Unknown error',
+      code: err.number || err.code || null,
+      lineNumber: err.lineNumber || null,
+      procName: err.procName || null,
+      state: err.state || err.sqlstate || null,
+      class: err.class || err.severity || null
+    };
+  }
+
+  /**
+   * Record an error raised by a batch with the statement that raised it
+   * @param {StatementTracker} tracker - The batch's statement tracker
+   * @param {Array<Object>} errors - Errors raised so far (see describeError())
+   * @param {Error} err - Error raised by the batch
+   */
+  recordError(tracker, errors, err) {
+    const error = this.describeError(err);
+    errors.push(error);
+    tracker.error(serverMessage(error.message, 'error', error.code));
+  }
+
+  /**
+   * Build the result of a batch from what it returned and the errors it raised
+   *
+   * SQL Server keeps running a batch after most errors (and a batch may
+   * raise several for one statement), so the result sets and statements
+   * from before and after them are kept, with every error in `errors` and
+   * the first also in `error`.
+   *
+   * @param {Array<Object>} resultSets - Result sets the batch returned
+   * @param {StatementTracker} tracker - The batch's statement tracker
+   * @param {Array<Object>} errors - Errors from recordError()
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @returns {Object} Structured result object
+   */
+  buildBatchResult(resultSets, tracker, errors, startTime) {
+    const statements = tracker.finish();
+    return {
+      resultSets: resultSets,
+      metadata: {
+        executionTime: Date.now() - startTime,
+        rowsAffected: affectedCounts(statements),
+        statements: statements
+      },
+      error: errors.length > 0 ? errors[0] : null,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  }
+
+  /**
+   * Resolve an mssql type for a parameter from its hint
+   * @param {Object} param - Normalized parameter (see params.js)
+   * @returns {Object|null} mssql type, or null to let mssql infer it from the value
+   */
+  toTediousType(param) {
+    const hint = param.hint;
+    if (!hint) return null;
+
+    const typeName = Object.keys(sql.TYPES).find(name => name.toLowerCase() === hint.name);
+    if (!typeName) return null;
+
+    const type = sql.TYPES[typeName];
+    if (hint.max) return type(sql.MAX);
+    if ((hint.name === 'decimal' || hint.name === 'numeric') && hint.precision !== null) {
+      return type(hint.precision, hint.scale || 0);
+    }
+    if (hint.length !== null) return type(hint.length);
+    return type;
+  }
+
+  /**
+   * Add parameters to an mssql request and rewrite placeholders to @names
+   *
+   * Positional `?` placeholders become @p1, @p2, ...; named `:name`
+   * placeholders become `@name` (which T-SQL already uses natively).
+   *
+   * @param {Request} request - mssql request
+   * @param {string} query - SQL query
+   * @param {Object|null} normalized - Result of normalizeParams()
+   * @returns {string} SQL text to execute
+   */
+  bindTediousParams(request, query, normalized) {
+    if (!normalized) return query;
+
+    const addInput = (name, param) => {
+      const type = this.toTediousType(param);
+      if (type) {
+        request.input(name, type, param.value);
+      } else {
+        request.input(name, param.value);
+      }
+    };
+
+    if (!normalized.named) {
+      const { sql: sqlText, params } = toOrdinalParams(query, 'sqlserver', normalized, n => `@p${n}`);
+      params.forEach((param, index) => addInput(`p${index + 1}`, param));
+      return sqlText;
+    }
+
+    normalized.list.forEach(param => addInput(param.name, param));
+    const names = new Set(normalized.list.map(param => param.name.toLowerCase()));
+    return rewritePlaceholders(query, 'sqlserver', names, (kind, name) => (kind === 'named' ? `@${name}` : undefined));
+  }
+
+  /**
+   * Rewrite placeholders to ODBC `?` and build msnodesqlv8 parameter values
+   *
+   * Hinted parameters are wrapped with msnodesqlv8's type helpers
+   * (e.g. msnodesqlv8.Int(5)); others are bound from their JS type.
+   *
+   * @param {string} query - SQL query
+   * @param {Object|null} normalized - Result of normalizeParams()
+   * @returns {{sql: string, values: Array}}
+   */
+  bindNativeParams(query, normalized) {
+    if (!normalized) {
+      return { sql: query, values: [] };
+    }
+
+    const { sql: sqlText, params } = toOrdinalParams(query, 'sqlserver', normalized, () => '?');
+    const values = params.map(param => {
+      if (!param.hint) return param.value;
+      const typeName = Object.keys(msnodesqlv8).find(name =>
+        name.toLowerCase() === param.hint.name && typeof msnodesqlv8[name] === 'function'
+      );
+      return typeName ? msnodesqlv8[typeName](param.value) : param.value;
+    });
+
+    return { sql: sqlText, values };
+  }
+
+  /**
+   * Build the msnodesqlv8 query object, passing options.timeoutMs on as the
+   * ODBC query timeout (whole seconds, enforced by the driver)
+   *
+   * numeric_string has numeric and integer columns read as text, so they
+   * arrive exact; decimal and money still arrive as doubles (see values.js).
+   *
+   * @param {string} sqlText - SQL to run
+   * @param {Object} options - execute() options
+   * @returns {Object} Query object { query_str, numeric_string, query_timeout }
+   */
+  buildNativeQuery(sqlText, options) {
+    const query = { query_str: sqlText, numeric_string: true };
+    const timeoutMs = this.getTimeoutMs(options);
+    if (timeoutMs) {
+      query.query_timeout = Math.ceil(timeoutMs / 1000);
     }
+    return query;
+  }
+
+  /**
+   * Check whether an msnodesqlv8 error is its query timeout running out:
+   * HYT00 from the ODBC driver, or on Linux with ODBC Driver 17 the cancel
+   * msnodesqlv8 issues itself once the timeout has passed
+   *
+   * @param {Error|Error[]} err - Error(s) of a queryRaw() callback or 'error' event
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @param {Object} options - execute() options
+   * @returns {boolean}
+   */
+  isNativeTimeout(err, startTime, options) {
+    const timeoutMs = this.getTimeoutMs(options);
+    if (!err || !timeoutMs) return false;
+    return (Array.isArray(err) ? err : [err]).some(e =>
+      e.sqlstate === 'HYT00' ||
+      (/operation cancel/i.test(e.message || '') && Date.now() - startTime >= timeoutMs));
   }
 
   /**
@@ -301,328 +879,357 @@ class SqlServerDriver extends BaseDriver {
    * Uses queryRaw to handle multiple result sets properly.
    * The callback is invoked once per result set, with 'more' parameter
    * indicating if there are additional result sets.
+   *
+   * @param {string} query - SQL query
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @param {Object} options - Execution options
+   * @param {Object} connection - msnodesqlv8 connection to run on
    */
-  async executeWithMsnodesqlv8(query, startTime) {
+  async executeWithMsnodesqlv8(query, startTime, options, connection) {
+    if (options.stream) {
+      return this.executeWithMsnodesqlv8Streaming(query, startTime, options, connection);
+    }
+
+    const { sql: sqlText, values } = this.bindNativeParams(query, normalizeParams(options.params));
+
     return new Promise((resolve) => {
+      let handle = null;
       const allResultSets = [];
-      let hasError = false;
-      let errorInfo = null;
-
-      // Track PRINT/RAISERROR messages in order with result sets
-      let pendingMessages = [];
+      const errors = [];
+      const tracker = new StatementTracker();
 
       // Capture PRINT/RAISERROR output via info event
       const infoHandler = (msg) => {
-        if (msg && msg.message) {
-          pendingMessages.push(msg.message);
-        } else if (typeof msg === 'string') {
-          pendingMessages.push(msg);
+        const message = this.toServerMessage(msg);
+        if (message) {
+          tracker.message(message);
+          this.reportMessage(options, message);
         }
       };
       // queryRaw() returns a StreamEvents (EventEmitter) that emits 'info' for PRINT/RAISERROR
-      const q = this.connection.queryRaw(query, (err, results, more) => {
-        // Check for errors
-        if (err) {
-          hasError = true;
-          errorInfo = err;
-
-          // If error, don't wait for more results - resolve immediately
-          if (!more) {
-            q.removeListener('info', infoHandler);
-            const endTime = Date.now();
-            const executionTime = endTime - startTime;
-
-            resolve({
-              resultSets: [],
-              metadata: {
-                executionTime: executionTime,
-                rowsAffected: [],
-                messages: pendingMessages
-              },
-              error: {
-                message: err.message || 'Unknown error',
-                code: err.code || null,
-                lineNumber: err.lineNumber || null,
-                procName: err.procName || null,
-                state: err.state || null,
-                class: err.class || null
-              }
-            });
-          }
+      const q = connection.queryRaw(this.buildNativeQuery(sqlText, options), values, (err, results, more) => {
+        // Cancelled via cancelQuery() - report it as a cancellation, not an error
+        if (err && handle && handle.cancelled) {
+          q.removeListener('info', infoHandler);
+          this.untrackExecution(options.executionId);
+          resolve(this.buildCancelledResult(startTime));
+          return;
+        }
+        if (this.isNativeTimeout(err, startTime, options)) {
+          q.removeListener('info', infoHandler);
+          this.untrackExecution(options.executionId);
+          resolve(this.buildTimeoutResult(startTime, this.getTimeoutMs(options)));
           return;
         }
 
+        // Errors don't stop the batch unless they are the last callback;
+        // several can arrive at once
+        if (err) {
+          (Array.isArray(err) ? err : [err]).forEach(e => this.recordError(tracker, errors, e));
+        }
+
         // Process this result set
         if (results && results.rows) {
           // queryRaw returns { meta, rows }
           // meta contains column metadata
           // rows is array of arrays (not objects!)
-
-          const columns = {};
-          const meta = results.meta || [];
-
-          // Generate unique column keys to handle duplicate/empty column names
-          const columnKeys = [];
-          const seenNames = {};
-          meta.forEach((colMeta) => {
-            const baseName = colMeta.name || '(No column name)';
-            if (seenNames[baseName] === undefined) {
-              seenNames[baseName] = 0;
-              columnKeys.push(baseName);
-            } else {
-              seenNames[baseName]++;
-              columnKeys.push(`${baseName}_${seenNames[baseName]}`);
-            }
-          });
-
-          // Build column metadata from meta array using unique keys
-          meta.forEach((colMeta, index) => {
-            const key = columnKeys[index];
-            columns[key] = {
-              index: index,
-              name: colMeta.name || '(No column name)',
-              type: this.mapSqlType(colMeta.sqlType) || 'unknown',
-              nullable: colMeta.nullable !== false,
-              size: colMeta.size
-            };
-          });
+          const { columns, columnKeys } = this.buildNativeColumns(results.meta || []);
 
           // Convert rows from array of arrays to array of objects
-          // Also convert Date objects to ISO strings for JSON serialization
           const rowObjects = results.rows.map(rowArray => {
             const rowObj = {};
-            meta.forEach((colMeta, index) => {
-              const value = rowArray[index];
-              const key = columnKeys[index];
-              // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-              rowObj[key] = value instanceof Date
-                ? value.toISOString().replace('T', ' ').slice(0, -1)
-                : value;
+            columnKeys.forEach((key, index) => {
+              rowObj[key] = encodeValue(rowArray[index], columns[key]);
             });
             return rowObj;
           });
 
-          // Attach pending PRINT messages that arrived before this result set
-          const messages = pendingMessages.length > 0 ? pendingMessages : undefined;
-          pendingMessages = [];
-
           allResultSets.push({
             columns: columns,
             rows: rowObjects,
-            rowCount: rowObjects.length,
-            messages: messages
+            rowCount: rowObjects.length
           });
+          tracker.resultSet(allResultSets.length - 1);
         }
 
         // Check if this is the last result set
         if (!more) {
           q.removeListener('info', infoHandler);
-          const endTime = Date.now();
-          const executionTime = endTime - startTime;
-
-          resolve({
-            resultSets: allResultSets,
-            metadata: {
-              executionTime: executionTime,
-              rowsAffected: allResultSets.map(rs => rs.rowCount),
-              messages: pendingMessages.length > 0 ? pendingMessages : undefined
-            },
-            error: null
-          });
+          this.untrackExecution(options.executionId);
+          resolve(this.buildBatchResult(allResultSets, tracker, errors, startTime));
         }
       });
       q.on('info', infoHandler);
+      // Emitted for statements without columns (DML), before their callback
+      q.on('rowcount', (count) => tracker.rowCount(count));
+
+      // Allow SSNSCancelQuery to stop the statement on the server
+      handle = this.trackExecution(options.executionId, () => new Promise((resolveCancel) => {
+        q.cancelQuery(() => resolveCancel());
+      }));
+    });
+  }
+
+  /**
+   * Execute query using msnodesqlv8 events, streaming rows as they arrive
+   *
+   * queryRaw() without a callback emits 'meta' per result set, 'row' at the
+   * start of each row and 'column' per value, so no result set is held in
+   * memory. The query is paused while a batch is being delivered.
+   */
+  async executeWithMsnodesqlv8Streaming(query, startTime, options, connection) {
+    const stream = options.stream;
+    const { sql: sqlText, values } = this.bindNativeParams(query, normalizeParams(options.params));
+
+    return new Promise((resolve) => {
+      let handle = null;
+      let settled = false;
+      let timedOut = false;
+      const errors = [];
+      let columnKeys = [];
+      let streamColumns = {};
+      let currentRow = null;
+      const tracker = new StatementTracker();
+
+      const q = connection.queryRaw(this.buildNativeQuery(sqlText, options), values);
+      stream.setFlowControl(() => q.pauseQuery(), () => q.resumeQuery());
+
+      const flushRow = () => {
+        if (currentRow) {
+          stream.pushRow(currentRow);
+          currentRow = null;
+        }
+      };
+
+      const settle = async () => {
+        if (settled) return;
+        settled = true;
+        flushRow();
+        this.untrackExecution(options.executionId);
+        const resultSets = await stream.finish();
+
+        if (handle && handle.cancelled) {
+          resolve(this.buildCancelledResult(startTime));
+          return;
+        }
+        if (timedOut) {
+          resolve(this.buildTimeoutResult(startTime, this.getTimeoutMs(options)));
+          return;
+        }
+
+        resolve(this.buildBatchResult(resultSets, tracker, errors, startTime));
+      };
+
+      q.on('meta', (meta) => {
+        flushRow();
+        const built = this.buildNativeColumns(meta || []);
+        columnKeys = built.columnKeys;
+        streamColumns = built.columns;
+
+        stream.beginResultSet(built.columns);
+        tracker.resultSet(stream.resultSets.length - 1);
+      });
+
+      q.on('row', () => {
+        flushRow();
+        currentRow = {};
+      });
+
+      q.on('column', (index, data) => {
+        if (currentRow) {
+          const key = columnKeys[index];
+          currentRow[key] = encodeValue(data, streamColumns[key]);
+        }
+      });
+
+      q.on('info', (msg) => {
+        const message = this.toServerMessage(msg);
+        if (message) {
+          tracker.message(message);
+          this.reportMessage(options, message);
+        }
+      });
+
+      q.on('rowcount', (count) => tracker.rowCount(count));
+
+      // The batch goes on after non-fatal errors ('more' is set)
+      q.on('error', (err, more) => {
+        flushRow();
+        timedOut = timedOut || this.isNativeTimeout(err, startTime, options);
+        this.recordError(tracker, errors, err);
+        if (!more) {
+          settle();
+        }
+      });
+
+      q.on('done', () => settle());
+
+      // Allow SSNSCancelQuery to stop the statement on the server
+      handle = this.trackExecution(options.executionId, () => new Promise((resolveCancel) => {
+        q.cancelQuery(() => resolveCancel());
+      }));
     });
   }
 
   /**
    * Execute query using tedious (SQL auth)
+   *
+   * The mssql request always runs in stream mode, the only mode in which it
+   * reports result set boundaries and row counts as they happen (needed to
+   * tell statements apart). Rows are collected here, or with options.stream
+   * forwarded as they arrive, the request being paused while a batch is
+   * being delivered.
+   *
+   * @param {string} query - SQL query
+   * @param {number} startTime - Execution start timestamp (ms)
+   * @param {Object} options - Execution options
+   * @param {ConnectionPool} pool - mssql pool to run on (shared pool or a session's pool)
    */
-  async executeWithTedious(query, startTime) {
-    try {
-      // Track PRINT/RAISERROR messages interleaved with result sets
-      let pendingMessages = [];
-      const resultSetMessages = []; // messages[i] = messages before result set i
+  async executeWithTedious(query, startTime, options, pool) {
+    let handle = null;
+    let timeout = null;
+    const stream = options.stream || null;
+    // PRINT/RAISERROR messages and errors are reported with the statement that raised them
+    const tracker = new StatementTracker();
+    const errors = [];
 
-      // Create request and attach info listener before executing
-      const request = this.pool.request();
+    try {
+      const collected = [];
+      let current = null;
+      let columns = {};
+      let columnKeys = [];
+
+      // Create request and attach listeners before executing
+      const request = pool.request();
+      request.stream = true;
+      if (stream) {
+        stream.setFlowControl(() => request.pause(), () => request.resume());
+      }
 
       // Capture PRINT/RAISERROR output via info event
       request.on('info', (msg) => {
-        if (msg && msg.message) {
-          pendingMessages.push(msg.message);
+        const message = this.toServerMessage(msg);
+        if (message) {
+          tracker.message(message);
+          this.reportMessage(options, message);
         }
       });
 
-      // Track result set boundaries to associate messages
-      request.on('recordset', () => {
-        resultSetMessages.push(pendingMessages.length > 0 ? pendingMessages : undefined);
-        pendingMessages = [];
+      request.on('recordset', (rsColumns) => {
+        ({ columns, columnKeys } = this.buildTediousColumns(rsColumns));
+
+        if (stream) {
+          stream.beginResultSet(columns);
+          tracker.resultSet(stream.resultSets.length - 1);
+        } else {
+          current = { columns, rows: [], rowCount: 0 };
+          collected.push(current);
+          tracker.resultSet(collected.length - 1);
+        }
       });
 
-      // Execute query
-      const result = await request.query(query);
+      // Convert rows to plain objects with values encoded for Lua (see values.js)
+      // Use columnKeys to map values correctly for duplicate column names
+      request.on('row', (row) => {
+        const formatted = this.formatTediousRow(row, columns, columnKeys);
+        if (stream) {
+          stream.pushRow(formatted);
+        } else {
+          current.rows.push(formatted);
+          current.rowCount++;
+        }
+      });
 
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      // DONE tokens that carry a count (not sent for DDL or under SET NOCOUNT ON)
+      request.on('rowsaffected', (count) => tracker.rowCount(count));
 
-      // Handle multiple result sets (native support!)
-      const resultSets = Array.isArray(result.recordsets)
-        ? result.recordsets
-        : [result.recordset];
-
-      // Format result sets with column metadata
-      let rsIndex = 0;
-      const formattedResultSets = resultSets
-        .filter(rs => rs !== undefined) // Filter out undefined result sets
-        .map(rs => {
-          // Get column metadata from result set, sorted by index
-          const columns = {};
-          const columnKeys = [];
-          const seenNames = {};
-
-          if (rs.columns) {
-            // Sort columns by index to ensure correct order
-            const sortedCols = Object.values(rs.columns).sort((a, b) => a.index - b.index);
-
-            // Generate unique column keys to handle duplicate/empty column names
-            sortedCols.forEach((col) => {
-              const baseName = col.name || '(No column name)';
-              if (seenNames[baseName] === undefined) {
-                seenNames[baseName] = 0;
-                columnKeys.push(baseName);
-              } else {
-                seenNames[baseName]++;
-                columnKeys.push(`${baseName}_${seenNames[baseName]}`);
-              }
-            });
+      // In stream mode mssql emits each error instead of rejecting, and the
+      // batch goes on after non-fatal ones
+      request.on('error', (err) => this.recordError(tracker, errors, err));
 
-            // Build column metadata using unique keys
-            sortedCols.forEach((col, index) => {
-              const key = columnKeys[index];
-              columns[key] = {
-                index: col.index,
-                name: col.name || '(No column name)',
-                length: col.length,
-                type: this.mapSqlType(col.type),
-                nullable: col.nullable !== false,
-                caseSensitive: col.caseSensitive,
-                identity: col.identity || false,
-                readOnly: col.readOnly || false
-              };
-            });
-          }
+      // Allow SSNSCancelQuery to send an attention signal for this request
+      handle = this.trackExecution(options.executionId, async () => request.cancel());
+      // options.timeoutMs sends the same attention signal, as tedious' own requestTimeout does
+      timeout = this.startTimeout(options, async () => request.cancel());
 
-          // Convert rows to plain objects with Date → string conversion for JSON serialization
-          // Use columnKeys to map values correctly for duplicate column names
-          const rowObjects = (rs || []).map(row => {
-            const rowObj = {};
-            if (columnKeys.length > 0) {
-              // Use column keys for proper ordering
-              columnKeys.forEach((key, index) => {
-                const originalName = columns[key].name;
-                const value = row[originalName];
-                // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-                rowObj[key] = value instanceof Date
-                  ? value.toISOString().replace('T', ' ').slice(0, -1)
-                  : value;
-              });
-            } else {
-              // Fallback for when we don't have column metadata
-              for (const colName in row) {
-                const value = row[colName];
-                // Convert Date to SQL Server format (YYYY-MM-DD HH:mm:ss.SSS) for display
-                rowObj[colName] = value instanceof Date
-                  ? value.toISOString().replace('T', ' ').slice(0, -1)
-                  : value;
-              }
-            }
-            return rowObj;
-          });
+      // Bind parameters with request.input()
+      const sqlText = this.bindTediousParams(request, query, normalizeParams(options.params));
 
-          // Attach pending PRINT messages that arrived before this result set
-          const messages = resultSetMessages[rsIndex];
-          rsIndex++;
+      // Execute query
+      await request.query(sqlText);
 
-          return {
-            columns: columns,
-            rows: rowObjects,
-            rowCount: rowObjects.length,
-            messages: messages
-          };
-        });
+      const resultSets = stream ? await stream.finish() : collected;
+      if (timeout.timedOut && errors.length > 0) {
+        return this.buildTimeoutResult(startTime, timeout.timeoutMs);
+      }
+      if (handle && handle.cancelled && errors.length > 0) {
+        return this.buildCancelledResult(startTime);
+      }
 
-      return {
-        resultSets: formattedResultSets,
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: result.rowsAffected || [],
-          messages: pendingMessages.length > 0 ? pendingMessages : undefined
-        },
-        error: null
-      };
+      return this.buildBatchResult(resultSets, tracker, errors, startTime);
 
     } catch (err) {
-      const endTime = Date.now();
-      const executionTime = endTime - startTime;
+      if (timeout && timeout.timedOut) {
+        return this.buildTimeoutResult(startTime, timeout.timeoutMs);
+      }
+      if (handle && handle.cancelled) {
+        return this.buildCancelledResult(startTime);
+      }
 
-      return {
-        resultSets: [],
-        metadata: {
-          executionTime: executionTime,
-          rowsAffected: []
-        },
-        error: {
-          message: err.message || 'Unknown error',
-          code: err.number || err.code || null,
-          lineNumber: err.lineNumber || null,
-          procName: err.procName || null,
-          state: err.state || null,
-          class: err.class || null
-        }
-      };
+      // Failed before the batch ran (parameters, connection)
+      this.recordError(tracker, errors, err);
+      return this.buildBatchResult([], tracker, errors, startTime);
+    } finally {
+      this.untrackExecution(options.executionId);
+      if (timeout) {
+        timeout.clear();
+      }
     }
   }
 
   /**
-   * Map SQL Server data types to display strings
-   * @param {Object} sqlType - mssql type object
-   * @returns {string} Human-readable type name
-   */
-  mapSqlType(sqlType) {
-    if (!sqlType) return 'unknown';
-
-    const typeMap = {
-      [sql.BigInt]: 'bigint',
-      [sql.Binary]: 'binary',
-      [sql.Bit]: 'bit',
-      [sql.Char]: 'char',
-      [sql.Date]: 'date',
-      [sql.DateTime]: 'datetime',
-      [sql.DateTime2]: 'datetime2',
-      [sql.DateTimeOffset]: 'datetimeoffset',
-      [sql.Decimal]: 'decimal',
-      [sql.Float]: 'float',
-      [sql.Int]: 'int',
-      [sql.Money]: 'money',
-      [sql.NChar]: 'nchar',
-      [sql.NText]: 'ntext',
-      [sql.Numeric]: 'numeric',
-      [sql.NVarChar]: 'nvarchar',
-      [sql.Real]: 'real',
-      [sql.SmallDateTime]: 'smalldatetime',
-      [sql.SmallInt]: 'smallint',
-      [sql.SmallMoney]: 'smallmoney',
-      [sql.Text]: 'text',
-      [sql.Time]: 'time',
-      [sql.TinyInt]: 'tinyint',
-      [sql.UniqueIdentifier]: 'uniqueidentifier',
-      [sql.VarBinary]: 'varbinary',
-      [sql.VarChar]: 'varchar',
-      [sql.Xml]: 'xml'
-    };
+   * Get the execution plan of a query
+   *
+   * Estimated plans come from SET SHOWPLAN_XML (the query is compiled, not
+   * run). Actual plans come from SET STATISTICS XML inside a transaction that
+   * is rolled back afterwards.
+   *
+   * @param {string} query - SQL to explain (may hold several statements)
+   * @param {Object} [options] - { actual, params } (see BaseDriver.explain())
+   * @returns {Promise<Object>} { actual, plans, warnings }
+   */
+  async explain(query, options = {}) {
+    await this.ensureConnected();
+
+    const actual = !!options.actual;
+    const resultSets = await this.withTemporarySession(async (sessionId) => {
+      if (!actual) {
+        // SHOWPLAN_XML must be the only statement in its batch
+        await this.runSessionStatement(sessionId, 'SET SHOWPLAN_XML ON');
+        return this.runSessionStatement(sessionId, query, { params: options.params });
+      }
 
-    return typeMap[sqlType] || sqlType.toString();
+      await this.runSessionStatement(sessionId, 'BEGIN TRANSACTION');
+      try {
+        await this.runSessionStatement(sessionId, 'SET STATISTICS XML ON');
+        return await this.runSessionStatement(sessionId, query, { params: options.params });
+      } finally {
+        await this.runSessionStatement(sessionId, 'IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION');
+      }
+    });
+
+    // Each plannable statement adds a one-row result set holding its showplan
+    const plans = [];
+    resultSets.forEach(resultSet => {
+      resultSet.rows.forEach(row => {
+        const value = Object.values(row)[0];
+        if (typeof value === 'string' && value.startsWith('<ShowPlanXML')) {
+          plans.push(...fromShowplanXml(value, actual));
+        }
+      });
+    });
+
+    return { actual, plans, warnings: [] };
   }
 
   /**
@@ -636,90 +1243,20 @@ class SqlServerDriver extends BaseDriver {
   async getMetadata(objectType, objectName, schemaName = 'dbo') {
     ssnsLog(`[sqlserver] getMetadata() called with objectType: ${objectType}, objectName: ${objectName}, schemaName: ${schemaName}`);
     try {
-      if (!this.isConnected) {
-        ssnsLog('[sqlserver] Not connected, calling connect() in getMetadata');
-        await this.connect();
-      }
+      await this.ensureConnected();
 
       if (objectType === 'table' || objectType === 'view') {
-        // Query system catalogs for column metadata
-        const query = `
-          SELECT
-            c.COLUMN_NAME as name,
-            c.DATA_TYPE as type,
-            c.CHARACTER_MAXIMUM_LENGTH as maxLength,
-            c.NUMERIC_PRECISION as precision,
-            c.NUMERIC_SCALE as scale,
-            c.IS_NULLABLE as nullable,
-            c.COLUMN_DEFAULT as defaultValue,
-            CASE WHEN pk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isPrimaryKey,
-            CASE WHEN fk.COLUMN_NAME IS NOT NULL THEN 1 ELSE 0 END as isForeignKey,
-            fk.FK_TABLE as foreignKeyTable,
-            fk.FK_SCHEMA as foreignKeySchema
-          FROM INFORMATION_SCHEMA.COLUMNS c
-          LEFT JOIN (
-            SELECT ku.TABLE_SCHEMA, ku.TABLE_NAME, ku.COLUMN_NAME
-            FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
-            JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
-              ON tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
-              AND tc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
-              AND tc.TABLE_SCHEMA = ku.TABLE_SCHEMA
-              AND tc.TABLE_NAME = ku.TABLE_NAME
-          ) pk ON c.TABLE_SCHEMA = pk.TABLE_SCHEMA
-             AND c.TABLE_NAME = pk.TABLE_NAME
-             AND c.COLUMN_NAME = pk.COLUMN_NAME
-          LEFT JOIN (
-            SELECT
-              ku.TABLE_SCHEMA,
-              ku.TABLE_NAME,
-              ku.COLUMN_NAME,
-              cu.TABLE_NAME as FK_TABLE,
-              cu.TABLE_SCHEMA as FK_SCHEMA
-            FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
-            JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE ku
-              ON rc.CONSTRAINT_NAME = ku.CONSTRAINT_NAME
-              AND rc.CONSTRAINT_SCHEMA = ku.CONSTRAINT_SCHEMA
-            JOIN INFORMATION_SCHEMA.CONSTRAINT_COLUMN_USAGE cu
-              ON rc.UNIQUE_CONSTRAINT_NAME = cu.CONSTRAINT_NAME
-              AND rc.UNIQUE_CONSTRAINT_SCHEMA = cu.CONSTRAINT_SCHEMA
-          ) fk ON c.TABLE_SCHEMA = fk.TABLE_SCHEMA
-             AND c.TABLE_NAME = fk.TABLE_NAME
-             AND c.COLUMN_NAME = fk.COLUMN_NAME
-          WHERE c.TABLE_SCHEMA = '${schemaName}'
-            AND c.TABLE_NAME = '${objectName}'
-          ORDER BY c.ORDINAL_POSITION
-        `;
-
-        ssnsLog(`[sqlserver] getMetadata() running query: ${query}`);
-
-        // Use execute() which handles both Windows auth (msnodesqlv8) and SQL auth (tedious)
-        const result = await this.execute(query);
-        ssnsLog(`[sqlserver] getMetadata() query result: ${JSON.stringify(result)}`);
-
-        // Extract rows from the first result set
-        const rows = result.resultSets && result.resultSets[0] ? result.resultSets[0].rows : [];
-        if (result.error) {
-          throw new Error(result.error.message || 'Query failed');
-        }
+        const filter = { schema: schemaName || 'dbo', table: objectName };
+        const parts = await this.readCatalog(filter);
+        const constraintRows = await this.readConstraints(filter);
+        return buildTableMetadata(parts, constraintRows);
+      }
 
-        return {
-          columns: rows.map(row => ({
-            name: row.name,
-            type: row.type,
-            maxLength: row.maxLength,
-            precision: row.precision,
-            scale: row.scale,
-            nullable: row.nullable === 'YES',
-            defaultValue: row.defaultValue,
-            isPrimaryKey: row.isPrimaryKey === 1,
-            isForeignKey: row.isForeignKey === 1,
-            foreignKeyTable: row.foreignKeyTable,
-            foreignKeySchema: row.foreignKeySchema
-          }))
-        };
+      if (objectType === 'procedure' || objectType === 'function') {
+        return await this.getRoutineMetadata(objectType, objectName, schemaName);
       }
 
-      ssnsLog('[sqlserver] getMetadata() objectType not table/view, returning empty columns');
+      ssnsLog('[sqlserver] getMetadata() objectType not table/view/routine, returning empty columns');
       return { columns: [] };
 
     } catch (err) {
@@ -728,6 +1265,370 @@ class SqlServerDriver extends BaseDriver {
     }
   }
 
+  /**
+   * Read UNIQUE, CHECK and DEFAULT constraint rows for one table
+   *
+   * @param {Object} filter
+   * @param {string} filter.schema - Schema name
+   * @param {string} filter.table - Table name
+   * @returns {Promise<Array<Object>>} Constraint rows for buildTableMetadata()
+   */
+  async readConstraints(filter) {
+    const query = `
+      SET NOCOUNT ON;
+
+      DECLARE @objectId INT = OBJECT_ID(QUOTENAME(@schema) + '.' + QUOTENAME(@table));
+
+      SELECT name, type, columnName, expression
+      FROM (
+        SELECT kc.name, 'UNIQUE' AS type, c.name AS columnName, NULL AS expression,
+               1 AS typeOrder, ic.key_ordinal AS position
+        FROM sys.key_constraints kc
+        JOIN sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+        JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+        WHERE kc.type = 'UQ' AND kc.parent_object_id = @objectId
+        UNION ALL
+        SELECT cc.name, 'CHECK', c.name, cc.definition, 2, 0
+        FROM sys.check_constraints cc
+        LEFT JOIN sys.columns c ON c.object_id = cc.parent_object_id AND c.column_id = cc.parent_column_id
+        WHERE cc.parent_object_id = @objectId
+        UNION ALL
+        SELECT dc.name, 'DEFAULT', c.name, dc.definition, 3, c.column_id
+        FROM sys.default_constraints dc
+        JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+        WHERE dc.parent_object_id = @objectId
+      ) constraints
+      ORDER BY typeOrder, name, position;
+    `;
+
+    const result = await this.execute(query, { params: { schema: filter.schema, table: filter.table } });
+    if (result.error) {
+      throw new Error(result.error.message || 'Query failed');
+    }
+
+    const rs = result.resultSets.find(set => Object.keys(set.columns || {}).length > 0);
+    return (rs ? rs.rows : []).map(row => ({
+      name: row.name,
+      type: row.type,
+      column: row.columnName,
+      expression: row.expression
+    }));
+  }
+
+  /**
+   * Get parameters, return type and result columns of a procedure or function
+   * (see BaseDriver.getMetadata())
+   *
+   * @param {string} objectType - 'procedure' or 'function'
+   * @param {string} objectName - Routine name
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Object>} Routine metadata
+   */
+  async getRoutineMetadata(objectType, objectName, schemaName) {
+    const typeList = objectType === 'procedure'
+      ? "'P', 'PC', 'X'"
+      : "'FN', 'FS', 'IF', 'TF', 'FT'";
+
+    const query = `
+      SET NOCOUNT ON;
+
+      DECLARE @objectId INT = (
+        SELECT o.object_id
+        FROM sys.objects o
+        JOIN sys.schemas s ON o.schema_id = s.schema_id
+        WHERE s.name = @schema AND o.name = @name AND o.type IN (${typeList})
+      );
+
+      SELECT o.type AS objectType, OBJECT_DEFINITION(o.object_id) AS definition
+      FROM sys.objects o
+      WHERE o.object_id = @objectId;
+
+      SELECT
+        p.parameter_id AS ordinal,
+        p.name AS name,
+        t.name AS type,
+        CASE
+          WHEN t.name NOT IN ('char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary') THEN NULL
+          WHEN p.max_length = -1 THEN -1
+          WHEN t.name IN ('nchar', 'nvarchar') THEN p.max_length / 2
+          ELSE p.max_length
+        END AS maxLength,
+        CASE WHEN t.name IN ('decimal', 'numeric') THEN p.precision ELSE NULL END AS precision,
+        CASE WHEN t.name IN ('decimal', 'numeric', 'datetime2', 'time', 'datetimeoffset') THEN p.scale ELSE NULL END AS scale,
+        p.is_output AS isOutput,
+        p.has_default_value AS hasDefaultValue,
+        CONVERT(NVARCHAR(4000), p.default_value) AS defaultValue,
+        p.is_nullable AS nullable
+      FROM sys.parameters p
+      JOIN sys.types t ON p.user_type_id = t.user_type_id
+      WHERE p.object_id = @objectId
+      ORDER BY p.parameter_id;
+
+      SELECT
+        c.column_id AS ordinal,
+        c.name AS name,
+        t.name AS type,
+        CASE
+          WHEN t.name NOT IN ('char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary') THEN NULL
+          WHEN c.max_length = -1 THEN -1
+          WHEN t.name IN ('nchar', 'nvarchar') THEN c.max_length / 2
+          ELSE c.max_length
+        END AS maxLength,
+        CASE WHEN t.name IN ('decimal', 'numeric') THEN c.precision ELSE NULL END AS precision,
+        CASE WHEN t.name IN ('decimal', 'numeric', 'datetime2', 'time', 'datetimeoffset') THEN c.scale ELSE NULL END AS scale,
+        c.is_nullable AS nullable
+      FROM sys.columns c
+      JOIN sys.types t ON c.user_type_id = t.user_type_id
+      WHERE c.object_id = @objectId
+      ORDER BY c.column_id;
+    `;
+
+    const result = await this.execute(query, { params: { schema: schemaName, name: objectName } });
+    if (result.error) {
+      throw new Error(result.error.message || 'Query failed');
+    }
+
+    const [routineRows, parameterRows, columnRows] = result.resultSets
+      .filter(rs => Object.keys(rs.columns || {}).length > 0)
+      .map(rs => rs.rows);
+
+    if (!routineRows || routineRows.length === 0) {
+      return { routineType: objectType, returnType: null, returnsSet: false, parameters: [], columns: [] };
+    }
+
+    const routineType = String(routineRows[0].objectType).trim();
+    const returnsSet = ['IF', 'TF', 'FT'].includes(routineType);
+    const returnRow = parameterRows.find(row => row.ordinal === 0);
+    const inputRows = parameterRows.filter(row => row.ordinal > 0);
+    const defaults = inputRows.length > 0 ? parseParameterDefaults(routineRows[0].definition) : {};
+
+    return {
+      routineType: objectType,
+      returnType: returnsSet ? 'TABLE' : (returnRow ? returnRow.type : null),
+      returnsSet,
+      parameters: inputRows.map(row => {
+        const parsedDefault = defaults[String(row.name).toLowerCase()];
+        const defaultValue = row.hasDefaultValue ? row.defaultValue : parsedDefault;
+        return {
+          name: row.name,
+          type: row.type,
+          // OUTPUT parameters also pass a value in
+          direction: row.isOutput ? 'INOUT' : 'IN',
+          defaultValue: defaultValue !== undefined ? defaultValue : null,
+          hasDefault: !!row.hasDefaultValue || parsedDefault !== undefined,
+          nullable: !!row.nullable,
+          ordinal: row.ordinal,
+          maxLength: row.maxLength,
+          precision: row.precision,
+          scale: row.scale
+        };
+      }),
+      columns: returnsSet ? columnRows.map(row => ({
+        name: row.name,
+        type: row.type,
+        nullable: !!row.nullable,
+        ordinal: row.ordinal,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale
+      })) : []
+    };
+  }
+
+  /**
+   * Get a whole-database metadata snapshot (see BaseDriver.getSchemaSnapshot())
+   *
+   * @param {Object} [options]
+   * @param {string} [options.schema] - Only this schema
+   * @returns {Promise<Object>} Normalized snapshot
+   */
+  async getSchemaSnapshot(options = {}) {
+    ssnsLog(`[sqlserver] getSchemaSnapshot() called with schema: ${options.schema || '(all)'}`);
+    try {
+      const parts = await this.readCatalog({ schema: options.schema || null, table: null });
+      return buildSchemaSnapshot(parts);
+    } catch (err) {
+      ssnsLog(`[sqlserver] getSchemaSnapshot() error: ${err && err.stack ? err.stack : err}`);
+      throw new Error(`Failed to get schema snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read tables, columns, indexes, foreign keys and routines from the catalog
+   * views in a single batch
+   *
+   * @param {Object} filter
+   * @param {string|null} filter.schema - Only this schema (null = all)
+   * @param {string|null} filter.table - Only this table/view/routine name (null = all)
+   * @returns {Promise<Object>} Flat catalog rows for buildSchemaSnapshot()
+   */
+  async readCatalog(filter) {
+    const objectFilter = `
+      o.is_ms_shipped = 0
+      AND (@schema IS NULL OR s.name = @schema)
+      AND (@table IS NULL OR o.name = @table)`;
+
+    const query = `
+      SET NOCOUNT ON;
+
+      SELECT DB_NAME() AS databaseName;
+
+      SELECT s.name AS name
+      FROM sys.schemas s
+      WHERE s.schema_id < 16384
+        AND s.name NOT IN ('sys', 'INFORMATION_SCHEMA', 'guest')
+        AND (@schema IS NULL OR s.name = @schema)
+      ORDER BY s.name;
+
+      SELECT s.name AS schemaName, o.name AS name, o.type AS objectType
+      FROM sys.objects o
+      JOIN sys.schemas s ON o.schema_id = s.schema_id
+      WHERE o.type IN ('U', 'V') AND ${objectFilter}
+      ORDER BY s.name, o.name;
+
+      SELECT
+        s.name AS schemaName,
+        o.name AS tableName,
+        c.name AS name,
+        t.name AS type,
+        CASE
+          WHEN t.name NOT IN ('char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary') THEN NULL
+          WHEN c.max_length = -1 THEN -1
+          WHEN t.name IN ('nchar', 'nvarchar') THEN c.max_length / 2
+          ELSE c.max_length
+        END AS maxLength,
+        CASE WHEN t.name IN ('decimal', 'numeric') THEN c.precision ELSE NULL END AS precision,
+        CASE WHEN t.name IN ('decimal', 'numeric', 'datetime2', 'time', 'datetimeoffset') THEN c.scale ELSE NULL END AS scale,
+        c.is_nullable AS nullable,
+        OBJECT_DEFINITION(c.default_object_id) AS defaultValue,
+        c.column_id AS ordinal,
+        c.is_identity AS isIdentity
+      FROM sys.columns c
+      JOIN sys.objects o ON c.object_id = o.object_id
+      JOIN sys.schemas s ON o.schema_id = s.schema_id
+      JOIN sys.types t ON c.user_type_id = t.user_type_id
+      WHERE o.type IN ('U', 'V') AND ${objectFilter}
+      ORDER BY s.name, o.name, c.column_id;
+
+      SELECT
+        s.name AS schemaName,
+        o.name AS tableName,
+        i.name AS name,
+        i.is_unique AS isUnique,
+        i.is_primary_key AS isPrimary,
+        CASE WHEN i.type = 1 THEN 1 ELSE 0 END AS isClustered,
+        i.filter_definition AS filter,
+        c.name AS columnName,
+        ic.is_included_column AS isIncluded
+      FROM sys.indexes i
+      JOIN sys.objects o ON i.object_id = o.object_id
+      JOIN sys.schemas s ON o.schema_id = s.schema_id
+      JOIN sys.index_columns ic ON i.object_id = ic.object_id AND i.index_id = ic.index_id
+      JOIN sys.columns c ON ic.object_id = c.object_id AND ic.column_id = c.column_id
+      WHERE i.type > 0 AND o.type IN ('U', 'V') AND ${objectFilter}
+      ORDER BY s.name, o.name, i.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id;
+
+      SELECT
+        s.name AS schemaName,
+        o.name AS tableName,
+        fk.name AS name,
+        pc.name AS columnName,
+        rs.name AS referencedSchema,
+        ro.name AS referencedTable,
+        rc.name AS referencedColumn,
+        fk.delete_referential_action_desc AS onDelete,
+        fk.update_referential_action_desc AS onUpdate
+      FROM sys.foreign_keys fk
+      JOIN sys.objects o ON fk.parent_object_id = o.object_id
+      JOIN sys.schemas s ON o.schema_id = s.schema_id
+      JOIN sys.foreign_key_columns fkc ON fk.object_id = fkc.constraint_object_id
+      JOIN sys.columns pc ON fkc.parent_object_id = pc.object_id AND fkc.parent_column_id = pc.column_id
+      JOIN sys.objects ro ON fk.referenced_object_id = ro.object_id
+      JOIN sys.schemas rs ON ro.schema_id = rs.schema_id
+      JOIN sys.columns rc ON fkc.referenced_object_id = rc.object_id AND fkc.referenced_column_id = rc.column_id
+      WHERE ${objectFilter}
+      ORDER BY s.name, o.name, fk.name, fkc.constraint_column_id;
+
+      SELECT
+        s.name AS schemaName,
+        o.name AS name,
+        CASE WHEN o.type IN ('P', 'PC') THEN 'procedure' ELSE 'function' END AS routineType,
+        CASE
+          WHEN o.type IN ('IF', 'TF', 'FT') THEN 'TABLE'
+          ELSE (SELECT TYPE_NAME(p.user_type_id) FROM sys.parameters p
+                WHERE p.object_id = o.object_id AND p.parameter_id = 0)
+        END AS returnType,
+        CASE WHEN o.type IN ('IF', 'TF', 'FT') THEN 1 ELSE 0 END AS returnsSet
+      FROM sys.objects o
+      JOIN sys.schemas s ON o.schema_id = s.schema_id
+      WHERE o.type IN ('P', 'PC', 'FN', 'FS', 'IF', 'TF', 'FT') AND ${objectFilter}
+      ORDER BY s.name, o.name;
+    `;
+
+    const result = await this.execute(query, { params: { schema: filter.schema, table: filter.table } });
+    if (result.error) {
+      throw new Error(result.error.message || 'Query failed');
+    }
+
+    // Every SELECT yields a result set (with columns, even when empty)
+    const sets = result.resultSets
+      .filter(rs => Object.keys(rs.columns || {}).length > 0)
+      .map(rs => rs.rows);
+    const [dbRows, schemaRows, objectRows, columnRows, indexRows, fkRows, routineRows] = sets;
+
+    return {
+      database: dbRows[0] ? dbRows[0].databaseName : null,
+      schemas: schemaRows.map(row => row.name),
+      tables: objectRows.map(row => ({
+        schema: row.schemaName,
+        name: row.name,
+        type: String(row.objectType).trim() === 'V' ? 'view' : 'table'
+      })),
+      columns: columnRows.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        type: row.type,
+        maxLength: row.maxLength,
+        precision: row.precision,
+        scale: row.scale,
+        nullable: !!row.nullable,
+        defaultValue: row.defaultValue,
+        ordinal: row.ordinal,
+        isIdentity: !!row.isIdentity
+      })),
+      indexes: indexRows.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        unique: !!row.isUnique,
+        primary: !!row.isPrimary,
+        clustered: !!row.isClustered,
+        filter: row.filter,
+        column: row.columnName,
+        included: !!row.isIncluded
+      })),
+      foreignKeys: fkRows.map(row => ({
+        schema: row.schemaName,
+        table: row.tableName,
+        name: row.name,
+        column: row.columnName,
+        referencedSchema: row.referencedSchema,
+        referencedTable: row.referencedTable,
+        referencedColumn: row.referencedColumn,
+        onDelete: row.onDelete,
+        onUpdate: row.onUpdate
+      })),
+      routines: routineRows.map(row => ({
+        schema: row.schemaName,
+        name: row.name,
+        type: row.routineType,
+        returnType: row.returnType,
+        returnsSet: !!row.returnsSet
+      }))
+    };
+  }
+
   /**
    * Get database type identifier
    * @returns {string}
@@ -0,0 +1,514 @@
+/**
+ * Per-statement execution outcomes shared by all drivers
+ *
+ * execute() reports one outcome per statement of the batch, in the order the
+ * server ran them, in metadata.statements:
+ *
+ *   {
+ *     resultSets: [number, ...],   // indexes into the execution's resultSets
+ *     rowsAffected: number|null,   // rows changed by DML; null for queries and commands
+ *     messages: [message, ...],    // server messages raised by the statement (optional)
+ *     range: { startLine, startColumn, endLine, endColumn } | null
+ *   }
+ *
+ * Server messages (PRINT/RAISERROR output, Postgres notices, MySQL warnings)
+ * are { message, severity, code }: severity is one of MESSAGE_SEVERITIES and
+ * code is the server's message number or SQLSTATE (null if none).
+ *
+ * Ranges locate the statement in the SQL passed to execute(): 1-based lines
+ * and 1-based byte columns, end inclusive (as Neovim counts them). They are
+ * null when the driver cannot tell statements apart (T-SQL needs no
+ * delimiters, and control flow may run a statement several times).
+ */
+
+/**
+ * Severities of server messages, least severe first
+ */
+const MESSAGE_SEVERITIES = ['info', 'notice', 'warning', 'error'];
+
+/**
+ * Leading keywords of statements that report a count of changed rows
+ */
+const DML_KEYWORDS = new Set(['insert', 'update', 'delete', 'replace', 'merge', 'copy', 'load']);
+
+/**
+ * Keywords following END that close a block the splitter does not count
+ * (MySQL's END IF, END LOOP, ...)
+ */
+const UNCOUNTED_END_KEYWORDS = new Set(['if', 'loop', 'while', 'repeat', 'for']);
+
+/**
+ * Characters opening a quoted string or identifier, by dialect
+ */
+const QUOTES_BY_DIALECT = {
+  mysql: "'\"`",
+  sqlite: "'\"`[",
+  sqlserver: "'\"[",
+  postgres: "'\""
+};
+
+/**
+ * Find where the comment starting at `i` ends, if one starts there
+ * @param {string} sql - SQL text
+ * @param {number} i - Position
+ * @param {string} dialect - 'postgres' | 'mysql' | 'sqlite' | 'sqlserver'
+ * @returns {number} Position after the comment, or -1 if no comment starts at i
+ */
+function skipComment(sql, i, dialect) {
+  const ch = sql[i];
+  const next = sql[i + 1];
+
+  // MySQL only treats "--" as a comment when followed by whitespace
+  const lineComment = (ch === '-' && next === '-' && (dialect !== 'mysql' || !/\S/.test(sql[i + 2] || ' '))) ||
+    (ch === '#' && dialect === 'mysql');
+  if (lineComment) {
+    const end = sql.indexOf('\n', i);
+    return end === -1 ? sql.length : end + 1;
+  }
+
+  if (ch === '/' && next === '*') {
+    // Postgres block comments nest
+    let depth = 1;
+    let j = i + 2;
+    while (j < sql.length && depth > 0) {
+      if (sql[j] === '*' && sql[j + 1] === '/') {
+        depth--;
+        j += 2;
+      } else if (dialect === 'postgres' && sql[j] === '/' && sql[j + 1] === '*') {
+        depth++;
+        j += 2;
+      } else {
+        j++;
+      }
+    }
+    return j;
+  }
+
+  return -1;
+}
+
+/**
+ * Find where the quoted string or identifier starting at `i` ends, if one starts there
+ *
+ * Square brackets quote identifiers in SQL Server and SQLite only (Postgres
+ * uses them for arrays), backticks in MySQL and SQLite only.
+ *
+ * @param {string} sql - SQL text
+ * @param {number} i - Position
+ * @param {string} dialect - 'postgres' | 'mysql' | 'sqlite' | 'sqlserver'
+ * @returns {number} Position after the closing quote, or -1 if no quote starts at i
+ */
+function skipQuoted(sql, i, dialect) {
+  const ch = sql[i];
+
+  // Postgres dollar quoting: $$...$$ or $tag$...$tag$
+  if (ch === '$' && dialect === 'postgres' && !/[A-Za-z0-9_]/.test(sql[i - 1] || '')) {
+    const match = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+    if (match) {
+      const end = sql.indexOf(match[0], i + match[0].length);
+      return end === -1 ? sql.length : end + match[0].length;
+    }
+    return -1;
+  }
+
+  const quotes = QUOTES_BY_DIALECT[dialect] || "'\"";
+  if (!quotes.includes(ch)) {
+    return -1;
+  }
+
+  const close = ch === '[' ? ']' : ch;
+  // Backslash escapes: MySQL strings and Postgres E'...' strings
+  const backslashes = (dialect === 'mysql' && ch !== '`') ||
+    (dialect === 'postgres' && ch === "'" && /[eE]/.test(sql[i - 1] || '') && !/[A-Za-z0-9_]/.test(sql[i - 2] || ''));
+
+  let j = i + 1;
+  while (j < sql.length) {
+    if (backslashes && sql[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (sql[j] === close) {
+      if (sql[j + 1] === close && close !== ']') {
+        j += 2;
+        continue;
+      }
+      return j + 1;
+    }
+    j++;
+  }
+  return sql.length;
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {string} sql - SQL text
+ * @param {number} i - Position
+ * @param {string} dialect - 'postgres' | 'mysql' | 'sqlite'
+ * @returns {number} Position of the next significant character
+ */
+function skipInsignificant(sql, i, dialect) {
+  while (i < sql.length) {
+    if (/\s/.test(sql[i])) {
+      i++;
+      continue;
+    }
+    const end = skipComment(sql, i, dialect);
+    if (end === -1) break;
+    i = end;
+  }
+  return i;
+}
+
+/**
+ * Split a script into statements on top-level semicolons
+ *
+ * Skips string literals, quoted identifiers, comments and dollar-quoted
+ * bodies. Semicolons inside BEGIN ... END blocks of CREATE statements
+ * (MySQL routines and triggers, Postgres BEGIN ATOMIC bodies) and inside
+ * CASE ... END do not split. Empty statements are dropped.
+ *
+ * @param {string} sql - SQL script
+ * @param {string} dialect - 'postgres' | 'mysql' | 'sqlite'
+ * @returns {Array<{start: number, end: number, keyword: string}>} Statements with
+ *   the offsets of their first and past-the-last significant characters and
+ *   their lower-case leading keyword
+ */
+function splitStatements(sql, dialect) {
+  const statements = [];
+  let start = -1;
+  let end = -1;
+  let keyword = '';
+  let depth = 0;
+  let skipNextWord = false;
+  let i = 0;
+
+  const finish = () => {
+    if (start !== -1) {
+      statements.push({ start, end, keyword });
+    }
+    start = -1;
+    keyword = '';
+    depth = 0;
+    skipNextWord = false;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const commentEnd = skipComment(sql, i, dialect);
+    if (commentEnd !== -1) {
+      i = commentEnd;
+      continue;
+    }
+
+    if (ch === ';' && depth === 0) {
+      finish();
+      i++;
+      continue;
+    }
+
+    if (start === -1) {
+      start = i;
+    }
+
+    const quotedEnd = skipQuoted(sql, i, dialect);
+    if (quotedEnd !== -1) {
+      i = quotedEnd;
+      end = i;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i, i + 64));
+    if (word && !/[A-Za-z0-9_$]/.test(sql[i - 1] || '')) {
+      const lower = word[0].toLowerCase();
+      if (!keyword) {
+        keyword = lower;
+      } else if (skipNextWord) {
+        skipNextWord = false;
+        if (UNCOUNTED_END_KEYWORDS.has(lower) || lower === 'case') {
+          i += word[0].length;
+          end = i;
+          continue;
+        }
+      }
+
+      if (lower === 'case' || (lower === 'begin' && keyword === 'create')) {
+        depth++;
+      } else if (lower === 'end') {
+        // END IF/LOOP/... close blocks that were not counted; END CASE closes the CASE
+        const following = /^[A-Za-z_]+/.exec(sql.slice(skipInsignificant(sql, i + 3, dialect)));
+        if (!following || !UNCOUNTED_END_KEYWORDS.has(following[0].toLowerCase())) {
+          depth = Math.max(depth - 1, 0);
+        }
+        skipNextWord = true;
+      }
+
+      i += word[0].length;
+      end = i;
+      continue;
+    }
+
+    i++;
+    end = i;
+  }
+
+  finish();
+  return statements;
+}
+
+/**
+ * Get the leading keyword of a statement, skipping comments
+ * @param {string} sql - Statement text
+ * @param {string} [dialect] - 'postgres' | 'mysql' | 'sqlite'
+ * @returns {string} Lower-case keyword ('' if none)
+ */
+function leadingKeyword(sql, dialect = 'sqlite') {
+  const text = String(sql || '');
+  const match = /^[A-Za-z_]+/.exec(text.slice(skipInsignificant(text, 0, dialect)));
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Check whether a statement's leading keyword makes it DML that reports changed rows
+ * @param {string} keyword - Lower-case leading keyword
+ * @returns {boolean}
+ */
+function isDmlKeyword(keyword) {
+  return DML_KEYWORDS.has(keyword);
+}
+
+/**
+ * Convert a pair of offsets into a line/column range
+ * @param {string} sql - Full SQL text
+ * @param {number} start - Offset of the first character
+ * @param {number} end - Offset past the last character
+ * @returns {{startLine: number, startColumn: number, endLine: number, endColumn: number}}
+ */
+function statementRange(sql, start, end) {
+  const position = (offset) => {
+    const before = sql.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+      line: before.split('\n').length,
+      column: Buffer.byteLength(before.slice(lineStart), 'utf8') + 1
+    };
+  };
+
+  const first = position(start);
+  // The last character's own first byte
+  const last = position(Math.max(end - 1, start));
+  return {
+    startLine: first.line,
+    startColumn: first.column,
+    endLine: last.line,
+    endColumn: last.column
+  };
+}
+
+/**
+ * Locate an error in a script
+ *
+ * The error is placed at the failing statement's start, or further in when
+ * the server said where: `line` moves to that line of the statement (MySQL's
+ * "at line N" counts from the statement's first line) and `near` to the
+ * quoted text's first whole-token occurrence from there on (empty text
+ * means the statement ended too soon).
+ *
+ * @param {string} sql - Full SQL text
+ * @param {{start: number, end: number}} part - Failing statement from splitStatements()
+ * @param {Object} [hint]
+ * @param {number} [hint.line] - Line within the statement (1-based)
+ * @param {string} [hint.near] - Text the server quoted at the error
+ * @returns {{lineNumber: number, column: number, range: Object}} 1-based line and
+ *   column in `sql`, and the failing statement's range
+ */
+function locateError(sql, part, hint = {}) {
+  let offset = part.start;
+
+  if (hint.line > 1) {
+    let line = 1;
+    while (line < hint.line && offset < part.end) {
+      const newline = sql.indexOf('\n', offset);
+      if (newline === -1 || newline >= part.end) break;
+      offset = newline + 1;
+      line++;
+    }
+  }
+
+  if (typeof hint.near === 'string') {
+    // Servers quote a limited length of text: match on its first line
+    const near = hint.near.split('\n')[0].trim();
+    if (near === '') {
+      offset = Math.max(part.end - 1, part.start);
+    } else {
+      // Whole tokens only: "t" is not the t ending "select"
+      const escaped = near.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(
+        `${/^\w/.test(near) ? '(?<!\\w)' : ''}${escaped}${/\w$/.test(near) ? '(?!\\w)' : ''}`, 'g');
+      pattern.lastIndex = offset;
+      const found = pattern.exec(sql);
+      if (found && found.index < part.end) {
+        offset = found.index;
+      }
+    }
+  }
+
+  const location = statementRange(sql, offset, offset + 1);
+  return {
+    lineNumber: location.startLine,
+    column: location.startColumn,
+    range: statementRange(sql, part.start, part.end)
+  };
+}
+
+/**
+ * Build a server message
+ * @param {string} text - Message text
+ * @param {string} severity - One of MESSAGE_SEVERITIES
+ * @param {string|number|null} [code] - Message number or SQLSTATE
+ * @returns {{message: string, severity: string, code: string|number|null}}
+ */
+function serverMessage(text, severity, code = null) {
+  return {
+    message: String(text),
+    severity: MESSAGE_SEVERITIES.includes(severity) ? severity : 'info',
+    code: code === undefined || code === null || code === '' ? null : code
+  };
+}
+
+/**
+ * Build a statement outcome
+ * @param {Object} [info]
+ * @param {number[]} [info.resultSets] - Indexes of the statement's result sets
+ * @param {number|null} [info.rowsAffected] - Rows changed (DML only)
+ * @param {Object[]} [info.messages] - Server messages raised by the statement (see serverMessage())
+ * @param {Object|null} [info.range] - Range from statementRange()
+ * @returns {Object}
+ */
+function statementOutcome(info = {}) {
+  const rowsAffected = info.rowsAffected;
+  return {
+    resultSets: info.resultSets || [],
+    rowsAffected: rowsAffected === undefined || rowsAffected === null ? null : rowsAffected,
+    messages: info.messages && info.messages.length > 0 ? info.messages : undefined,
+    range: info.range || null
+  };
+}
+
+/**
+ * Rows affected by each DML statement, in order (metadata.rowsAffected)
+ * @param {Array<Object>} statements - Statement outcomes
+ * @returns {number[]}
+ */
+function affectedCounts(statements) {
+  return statements
+    .filter(statement => statement.rowsAffected !== null)
+    .map(statement => statement.rowsAffected);
+}
+
+/**
+ * Groups an event-driven batch (SQL Server's TDS token stream) into statements
+ *
+ * Drivers report result sets, DONE row counts, messages and errors as they
+ * arrive. A statement ends at its row count or error, or when a second
+ * result set starts without one (SET NOCOUNT ON). Messages belong to the
+ * statement that is running when they arrive; trailing messages form a
+ * statement of their own.
+ */
+class StatementTracker {
+  constructor() {
+    this.statements = [];
+    this.current = null;
+  }
+
+  /**
+   * Get the running statement, starting one if needed
+   * @returns {Object}
+   */
+  running() {
+    if (!this.current) {
+      this.current = { resultSets: [], messages: [] };
+    }
+    return this.current;
+  }
+
+  /**
+   * A result set started
+   * @param {number} index - Index of the result set in the execution
+   */
+  resultSet(index) {
+    if (this.current && this.current.resultSets.length > 0) {
+      this.end();
+    }
+    this.running().resultSets.push(index);
+  }
+
+  /**
+   * A message (PRINT, RAISERROR, warning) arrived
+   * @param {Object} message - Message from serverMessage()
+   */
+  message(message) {
+    this.running().messages.push(message);
+  }
+
+  /**
+   * The running statement failed; it ends with its error
+   * @param {Object} message - Error message from serverMessage()
+   */
+  error(message) {
+    this.running().messages.push(message);
+    this.end();
+  }
+
+  /**
+   * A statement finished with a row count
+   *
+   * Queries count the rows they returned, which are not reported as affected.
+   *
+   * @param {number} count - Row count from the server
+   */
+  rowCount(count) {
+    const statement = this.running();
+    statement.rowsAffected = statement.resultSets.length > 0 ? null : count;
+    this.end();
+  }
+
+  /**
+   * End the running statement, if any
+   */
+  end() {
+    if (this.current) {
+      this.statements.push(statementOutcome(this.current));
+      this.current = null;
+    }
+  }
+
+  /**
+   * Finish the batch
+   * @returns {Array<Object>} Statement outcomes
+   */
+  finish() {
+    this.end();
+    return this.statements;
+  }
+}
+
+module.exports = {
+  MESSAGE_SEVERITIES,
+  skipComment,
+  skipQuoted,
+  splitStatements,
+  leadingKeyword,
+  isDmlKeyword,
+  statementRange,
+  locateError,
+  serverMessage,
+  statementOutcome,
+  affectedCounts,
+  StatementTracker
+};
@@ -0,0 +1,162 @@
+/**
+ * ResultStream - Batches result rows and forwards them to a sink as they arrive
+ *
+ * Used by drivers when execute() is called with `options.stream`. Instead of
+ * building every row in memory, a driver reports each result set's columns
+ * and rows here; they are forwarded to the sink (index.js sends them to Lua)
+ * in batches. Sends are serialized, and the driver is paused while a batch is
+ * in flight so a fast server cannot outrun Neovim.
+ *
+ * Events passed to the sink:
+ *   { type: 'columns', resultSetIndex, columns }
+ *   { type: 'rows', resultSetIndex, rows, rowCount }   (rowCount = running total)
+ *   { type: 'resultSetEnd', resultSetIndex, rowCount }
+ */
+class ResultStream {
+  /**
+   * @param {Function} sink - Async function receiving each event
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=500] - Rows per 'rows' event
+   */
+  constructor(sink, options = {}) {
+    this.sink = sink;
+    this.batchSize = options.batchSize || 500;
+    this.resultSets = [];
+    this.current = null;
+    this.buffer = [];
+    this.sending = Promise.resolve();
+    this.inFlight = 0;
+    this.pauseFn = null;
+    this.resumeFn = null;
+  }
+
+  /**
+   * Register driver hooks used for backpressure while a batch is being sent
+   * @param {Function} pauseFn - Stop the driver from emitting rows
+   * @param {Function} resumeFn - Let the driver emit rows again
+   */
+  setFlowControl(pauseFn, resumeFn) {
+    this.pauseFn = pauseFn;
+    this.resumeFn = resumeFn;
+  }
+
+  /**
+   * Start a new result set (ends the previous one, if any)
+   * @param {Object} columns - Column metadata in the driver's result set format
+   * @returns {Object} Summary object for this result set (drivers may attach messages)
+   */
+  beginResultSet(columns) {
+    this.endResultSet();
+
+    this.current = {
+      columns: columns,
+      rows: [],
+      rowCount: 0,
+      streamed: true
+    };
+    this.resultSets.push(this.current);
+
+    this.send({
+      type: 'columns',
+      resultSetIndex: this.resultSets.length - 1,
+      columns: columns
+    });
+
+    return this.current;
+  }
+
+  /**
+   * Add a row to the current result set
+   * @param {Object} row - Formatted row object
+   */
+  pushRow(row) {
+    if (!this.current) {
+      this.beginResultSet({});
+    }
+
+    this.buffer.push(row);
+    this.current.rowCount++;
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send buffered rows for the current result set
+   */
+  flush() {
+    if (!this.current || this.buffer.length === 0) return;
+
+    const rows = this.buffer;
+    this.buffer = [];
+
+    this.send({
+      type: 'rows',
+      resultSetIndex: this.resultSets.length - 1,
+      rows: rows,
+      rowCount: this.current.rowCount
+    });
+  }
+
+  /**
+   * Finish the current result set, flushing remaining rows
+   * @returns {Object|null} Summary of the finished result set (rows are not retained)
+   */
+  endResultSet() {
+    if (!this.current) return null;
+
+    this.flush();
+    const finished = this.current;
+    this.current = null;
+
+    this.send({
+      type: 'resultSetEnd',
+      resultSetIndex: this.resultSets.length - 1,
+      rowCount: finished.rowCount
+    });
+
+    return finished;
+  }
+
+  /**
+   * Queue an event for the sink, pausing the driver until it has been delivered
+   * @param {Object} event - Stream event
+   */
+  send(event) {
+    this.inFlight++;
+    if (this.inFlight === 1 && this.pauseFn) {
+      this.pauseFn();
+    }
+
+    this.sending = this.sending
+      .then(() => this.sink(event))
+      .catch(() => {})
+      .then(() => {
+        this.inFlight--;
+        if (this.inFlight === 0 && this.resumeFn) {
+          this.resumeFn();
+        }
+      });
+  }
+
+  /**
+   * Wait for every queued event to reach the sink
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await this.sending;
+  }
+
+  /**
+   * End the last result set and wait for delivery
+   * @returns {Promise<Array<Object>>} Result set summaries (columns, rowCount, streamed)
+   */
+  async finish() {
+    this.endResultSet();
+    await this.drain();
+    return this.resultSets;
+  }
+}
+
+module.exports = ResultStream;
@@ -0,0 +1,235 @@
+/**
+ * Column type descriptors shared by all drivers
+ *
+ * Every result-set column carries the SQL-level type name ("int", "varchar",
+ * "numeric"), its length, precision and scale, its nullability and a portable
+ * category. The category lets the UI and ETL treat columns alike across
+ * databases (alignment, casting, target column types) without knowing each
+ * server's type names.
+ */
+
+/**
+ * Portable type categories
+ */
+const TYPE_CATEGORIES = ['integer', 'decimal', 'string', 'temporal', 'binary', 'json', 'spatial', 'other'];
+
+/**
+ * Category of each known type name (lower-case, without length or modifiers)
+ *
+ * Booleans, bit strings, sql_variant, hierarchyid, arrays, ranges and unknown
+ * names fall into "other".
+ */
+const CATEGORY_BY_TYPE = {
+  // Integers
+  tinyint: 'integer',
+  smallint: 'integer',
+  mediumint: 'integer',
+  int: 'integer',
+  integer: 'integer',
+  bigint: 'integer',
+  int2: 'integer',
+  int4: 'integer',
+  int8: 'integer',
+  smallserial: 'integer',
+  serial: 'integer',
+  bigserial: 'integer',
+  oid: 'integer',
+  year: 'integer',
+
+  // Exact and approximate numerics
+  decimal: 'decimal',
+  numeric: 'decimal',
+  money: 'decimal',
+  smallmoney: 'decimal',
+  float: 'decimal',
+  float4: 'decimal',
+  float8: 'decimal',
+  real: 'decimal',
+  double: 'decimal',
+  'double precision': 'decimal',
+
+  // Character data
+  char: 'string',
+  character: 'string',
+  nchar: 'string',
+  varchar: 'string',
+  'character varying': 'string',
+  nvarchar: 'string',
+  text: 'string',
+  tinytext: 'string',
+  mediumtext: 'string',
+  longtext: 'string',
+  ntext: 'string',
+  clob: 'string',
+  bpchar: 'string',
+  name: 'string',
+  citext: 'string',
+  enum: 'string',
+  set: 'string',
+  uuid: 'string',
+  uniqueidentifier: 'string',
+  xml: 'string',
+  inet: 'string',
+  cidr: 'string',
+  macaddr: 'string',
+  macaddr8: 'string',
+  tsvector: 'string',
+  tsquery: 'string',
+
+  // Dates and times
+  date: 'temporal',
+  time: 'temporal',
+  timetz: 'temporal',
+  'time with time zone': 'temporal',
+  'time without time zone': 'temporal',
+  datetime: 'temporal',
+  datetime2: 'temporal',
+  smalldatetime: 'temporal',
+  datetimeoffset: 'temporal',
+  timestamp: 'temporal',
+  timestamptz: 'temporal',
+  'timestamp with time zone': 'temporal',
+  'timestamp without time zone': 'temporal',
+  interval: 'temporal',
+
+  // Binary data
+  binary: 'binary',
+  varbinary: 'binary',
+  image: 'binary',
+  blob: 'binary',
+  tinyblob: 'binary',
+  mediumblob: 'binary',
+  longblob: 'binary',
+  bytea: 'binary',
+  rowversion: 'binary',
+
+  // JSON
+  json: 'json',
+  jsonb: 'json',
+
+  // Spatial
+  geometry: 'spatial',
+  geography: 'spatial',
+  point: 'spatial',
+  linestring: 'spatial',
+  polygon: 'spatial',
+  multipoint: 'spatial',
+  multilinestring: 'spatial',
+  multipolygon: 'spatial',
+  geometrycollection: 'spatial',
+  geomcollection: 'spatial',
+  line: 'spatial',
+  lseg: 'spatial',
+  box: 'spatial',
+  path: 'spatial',
+  circle: 'spatial'
+};
+
+/**
+ * Normalize a type name for lookup: lower-case, no length/precision,
+ * no MySQL UNSIGNED/ZEROFILL attributes
+ * @param {string} typeName - Type name as reported or declared
+ * @returns {string}
+ */
+function normalizeTypeName(typeName) {
+  return String(typeName)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\b(unsigned|signed|zerofill)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get the portable category of a type name
+ *
+ * "bit" is "other" (a boolean on SQL Server, a bit string on MySQL and
+ * Postgres). Array types ("integer[]") are "other".
+ *
+ * @param {string|null} typeName - SQL type name, with or without length ("varchar(20)")
+ * @returns {string} One of TYPE_CATEGORIES
+ */
+function categorizeType(typeName) {
+  if (!typeName) return 'other';
+
+  const normalized = normalizeTypeName(typeName);
+  if (normalized.endsWith('[]')) return 'other';
+  if (CATEGORY_BY_TYPE[normalized]) return CATEGORY_BY_TYPE[normalized];
+
+  // "timestamp(3) with time zone" loses its precision above; try the first word
+  const firstWord = normalized.split(' ')[0];
+  return CATEGORY_BY_TYPE[firstWord] || 'other';
+}
+
+/**
+ * Parse a declared type such as "VARCHAR(20)", "numeric(10, 2)" or
+ * "nvarchar(max)" into its name and modifiers
+ *
+ * String and binary types take the first number as their length ("max" = -1);
+ * other types take precision and scale.
+ *
+ * @param {string|null} declared - Declared type
+ * @returns {{type: string, length: number|null, precision: number|null, scale: number|null}}
+ */
+function parseDeclaredType(declared) {
+  const text = String(declared || '').trim();
+  const match = text.match(/^([^(]*?)\s*\(\s*([^,)]+?)\s*(?:,\s*([^)]+?)\s*)?\)(.*)$/);
+  if (!match) {
+    return { type: text.toLowerCase(), length: null, precision: null, scale: null };
+  }
+
+  const type = `${match[1]}${match[4]}`.toLowerCase().replace(/\s+/g, ' ').trim();
+  const first = /^max$/i.test(match[2]) ? -1 : toInteger(match[2]);
+  const second = match[3] !== undefined ? toInteger(match[3]) : null;
+  const category = categorizeType(type);
+
+  if (category === 'string' || category === 'binary') {
+    return { type, length: first, precision: null, scale: null };
+  }
+  return { type, length: null, precision: first, scale: second };
+}
+
+/**
+ * Parse an integer modifier
+ * @param {string} value
+ * @returns {number|null}
+ */
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Build a column type descriptor
+ *
+ * Unknown modifiers are null; a length of -1 means "max" (unbounded).
+ *
+ * @param {Object} info
+ * @param {string} info.type - SQL type name without modifiers
+ * @param {number|null} [info.length] - Length in characters (strings) or bytes (binary)
+ * @param {number|null} [info.precision] - Numeric precision or fractional-second digits
+ * @param {number|null} [info.scale] - Numeric scale
+ * @param {boolean} [info.nullable=true] - Whether the column can hold NULL
+ * @param {string} [info.category] - Category, when the type name alone cannot tell
+ * @returns {{type: string, length: number|null, precision: number|null, scale: number|null,
+ *   nullable: boolean, category: string}}
+ */
+function typeDescriptor(info) {
+  const present = value => (value === undefined || value === null ? null : value);
+  const type = info.type || 'unknown';
+  return {
+    type,
+    length: present(info.length),
+    precision: present(info.precision),
+    scale: present(info.scale),
+    nullable: info.nullable !== false,
+    category: info.category || categorizeType(type)
+  };
+}
+
+module.exports = {
+  TYPE_CATEGORIES,
+  categorizeType,
+  parseDeclaredType,
+  typeDescriptor
+};
@@ -0,0 +1,189 @@
+/**
+ * Lossless value encoding shared by all drivers
+ *
+ * Result values travel to Lua over msgpack, where every number is a double
+ * and Dates, Buffers and BigInts have no faithful form. Drivers fetch values
+ * as exactly as their client library allows (server text for temporal and
+ * exact numeric types where possible) and encode each row with the result
+ * set's column descriptors (see types.js):
+ *
+ * - integers are numbers while they fit in a double exactly, else strings
+ * - decimal, numeric and money are strings ("12.50"), except values a client
+ *   library could only read as doubles (tedious, msnodesqlv8's decimal and
+ *   money) that may have been rounded: those stay numbers, as read
+ * - binary is "0x" followed by upper-case hex
+ * - temporal values are strings in the server's own format; Dates (SQL
+ *   Server's drivers read values as UTC) are written from their UTC fields,
+ *   to the column's fractional-second precision, datetimeoffset ones with a
+ *   "Z" as their stored offset is lost
+ * - arrays are lists of encoded elements
+ * - JSON stays the server's text
+ */
+
+const { categorizeType } = require('./types');
+
+/**
+ * Exact numeric types sent as strings
+ */
+const EXACT_NUMERIC_TYPES = new Set(['decimal', 'numeric', 'money', 'smallmoney']);
+
+/**
+ * Significant digits any decimal survives a round trip through a double with
+ */
+const DOUBLE_EXACT_DIGITS = 15;
+
+/**
+ * Fractional-second digits of temporal types whose precision isn't reported
+ */
+const DEFAULT_FRACTION_DIGITS = { datetime: 3, smalldatetime: 0 };
+
+/**
+ * Zero-pad a number
+ * @param {number} value
+ * @param {number} width
+ * @returns {string}
+ */
+function pad(value, width = 2) {
+  return String(value).padStart(width, '0');
+}
+
+/**
+ * Format a Date from its UTC fields as the column's SQL type
+ *
+ * Sub-millisecond digits come from tedious/msnodesqlv8's nanosecondsDelta
+ * (extra seconds beyond the Date's milliseconds). Both libraries convert
+ * datetimeoffset values to UTC and drop the offset the value was stored
+ * with, so these are written in UTC marked "Z" (UTC, original offset
+ * unknown) rather than with an offset the value may never have had.
+ *
+ * @param {Date} date - Date value
+ * @param {Object|null} column - Column descriptor
+ * @returns {string}
+ */
+function formatDate(date, column) {
+  const type = column ? column.type : 'datetime';
+  const datePart = `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  if (type === 'date') {
+    return datePart;
+  }
+
+  let digits = column && column.precision !== null && column.precision !== undefined
+    ? column.precision
+    : (type in DEFAULT_FRACTION_DIGITS ? DEFAULT_FRACTION_DIGITS[type] : 3);
+  digits = Math.min(Math.max(digits, 0), 9);
+
+  let timePart = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  if (digits > 0) {
+    const nanoseconds = date.getUTCMilliseconds() * 1e6 + Math.round((date.nanosecondsDelta || 0) * 1e9);
+    timePart += `.${pad(nanoseconds, 9).slice(0, digits)}`;
+  }
+
+  if (type === 'time') {
+    return timePart;
+  }
+  return `${datePart} ${timePart}${type === 'datetimeoffset' ? 'Z' : ''}`;
+}
+
+/**
+ * Encode an integer held as a BigInt or a digit string
+ * @param {bigint|string} value
+ * @returns {number|string} Number when exact, otherwise the decimal string
+ */
+function encodeInteger(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : String(value);
+}
+
+/**
+ * Format a number the client library read from an exact numeric column,
+ * to the column's declared scale
+ *
+ * A double only restores the column's digits when they are at most 15
+ * significant ones at a known scale; anything else may already be rounded
+ * and is returned as the number it is rather than padded to look exact.
+ *
+ * @param {number|bigint} value
+ * @param {Object} column - Column descriptor
+ * @returns {string|number} Decimal string, or the number when it may be inexact
+ */
+function formatExactNumber(value, column) {
+  const scale = column.scale !== null && column.scale !== undefined
+    ? column.scale
+    : (column.type.endsWith('money') ? 4 : null);
+  if (typeof value === 'bigint') {
+    return scale ? `${value}.${'0'.repeat(scale)}` : String(value);
+  }
+  if (scale === null || Math.abs(value) >= 10 ** (DOUBLE_EXACT_DIGITS - scale)) {
+    return value;
+  }
+  return value.toFixed(scale);
+}
+
+/**
+ * Descriptor for the elements of an array column ("integer[]" -> "integer")
+ * @param {Object|null} column - Array column descriptor
+ * @returns {Object|null}
+ */
+function elementColumn(column) {
+  if (!column || !column.type || !column.type.endsWith('[]')) return column;
+  const type = column.type.slice(0, -2);
+  return { ...column, type, category: categorizeType(type) };
+}
+
+/**
+ * Encode one value for Lua
+ * @param {*} value - Value from the driver
+ * @param {Object|null} [column] - Column descriptor (type, precision, scale, category)
+ * @returns {*} Encoded value
+ */
+function encodeValue(value, column = null) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const type = column ? column.type : null;
+  const category = column ? column.category : null;
+
+  if (typeof value === 'bigint') {
+    return EXACT_NUMERIC_TYPES.has(type) ? formatExactNumber(value, column) : encodeInteger(value);
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return `0x${Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('hex').toUpperCase()}`;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : formatDate(value, column);
+  }
+  if (Array.isArray(value)) {
+    const element = elementColumn(column);
+    return value.map(item => encodeValue(item, element));
+  }
+
+  if (typeof value === 'string' && category === 'integer' && /^-?\d+$/.test(value)) {
+    return encodeInteger(value);
+  }
+
+  if (typeof value === 'number' && EXACT_NUMERIC_TYPES.has(type)) {
+    return formatExactNumber(value, column);
+  }
+
+  return value;
+}
+
+/**
+ * Encode every value of a row
+ * @param {Object} row - Row keyed by column key
+ * @param {Object} columns - Result set columns keyed by column key
+ * @returns {Object} Encoded row
+ */
+function encodeRow(row, columns) {
+  const encoded = {};
+  Object.keys(row).forEach(key => {
+    encoded[key] = encodeValue(row[key], columns[key] || null);
+  });
+  return encoded;
+}
+
+module.exports = {
+  encodeValue,
+  encodeRow
+};
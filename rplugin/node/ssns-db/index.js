@@ -1,23 +1,124 @@
 
+const crypto = require('crypto');
 const DriverFactory = require('./drivers/factory');
-const { ssnsLog } = require('./ssns-log');
+const ResultStream = require('./drivers/stream');
+const Credentials = require('./credentials');
+const Continuations = require('./continuations');
+const ExecutionProgress = require('./progress');
+const { ssnsLog, log, configure: configureLog, registerSecret, withCorrelation } = require('./ssns-log');
 
 // Driver registry - reuse drivers for same connections
 const drivers = new Map();
 
+// Drivers replaced after their connection's config changed, until drained - driver -> key
+const retiredDrivers = new Map();
+
+// How often a retired driver is checked for finished work (see drainDriver())
+const DRAIN_POLL_MS = 250;
+
+// Per-process HMAC key for config fingerprints, so a fingerprint reveals nothing about passwords
+const FINGERPRINT_SECRET = crypto.randomBytes(32);
+
+// Running executions - executionId -> driver, so SSNSCancelQuery can find them
+const executions = new Map();
+let executionCounter = 0;
+
+// Async executions returned to Lua but not started yet - executionId -> { cancelled }
+const pendingExecutions = new Map();
+
+// Pinned sessions - sessionId -> { driver, serverKey, database }
+const sessions = new Map();
+
+// Numbers correlation IDs of RPC calls that don't bring their own
+let requestCounter = 0;
+
+// Sends driver connection state changes to Lua (set once the plugin registers)
+let connectionStateSink = null;
+
+// How often idle drivers are looked for (see evictIdleDrivers())
+const EVICTION_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Generate a unique ID for a query execution
+ * @returns {string} Execution ID
+ */
+function nextExecutionId() {
+  executionCounter++;
+  return `exec_${Date.now()}_${executionCounter}`;
+}
+
+/**
+ * Execute a query while tracking it as cancellable under the given ID
+ * @param {BaseDriver} driver - Driver to execute on
+ * @param {string} query - SQL query
+ * @param {string} executionId - Execution ID
+ * @param {Object} [options] - Extra execution options passed to driver.execute()
+ * @returns {Promise<Object>} Driver result object
+ */
+async function executeTracked(driver, query, executionId, options = {}) {
+  executions.set(executionId, driver);
+  driver.recordUse();
+  try {
+    const result = await driver.execute(query, Object.assign({}, options, { executionId }));
+    driver.recordUse(result && result.error);
+    return result;
+  } catch (err) {
+    driver.recordUse(err);
+    throw err;
+  } finally {
+    executions.delete(executionId);
+  }
+}
+
+/**
+ * Execute a query, capped at execOpts.max_rows rows when set
+ *
+ * A capped execution that has more rows returns the first page with
+ * `truncated: true` and a `continuation` handle for SSNSFetchMore; it keeps
+ * running (paused) until fetched to the end, closed or idle for
+ * execOpts.continuation_idle_ms. Streamed executions are not capped.
+ *
+ * @param {BaseDriver} driver - Driver to execute on
+ * @param {string} query - SQL query
+ * @param {string} executionId - Execution ID
+ * @param {Object} options - Execution options passed to driver.execute()
+ * @param {Object} execOpts - Options from Lua (max_rows, continuation_idle_ms)
+ * @returns {Promise<Object>} Driver result object, or its first page
+ */
+function executeCapped(driver, query, executionId, options, execOpts) {
+  const maxRows = Number(execOpts.max_rows) || 0;
+  if (maxRows <= 0 || options.stream) {
+    return executeTracked(driver, query, executionId, options);
+  }
+
+  const idleMs = Number(execOpts.continuation_idle_ms);
+  return Continuations.runCapped(
+    stream => executeTracked(driver, query, executionId, Object.assign({}, options, { stream })),
+    {
+      driver,
+      executionId,
+      sessionId: options.sessionId || null,
+      maxRows,
+      idleMs: Number.isFinite(idleMs) && idleMs >= 0 ? idleMs : Continuations.DEFAULT_IDLE_MS,
+      progress: options.progress || null
+    }
+  );
+}
+
 /**
  * Generate a connection key from config for driver registry
  * @param {Object} config - Connection configuration object
+ * @param {boolean} [includeDatabase=true] - Include the database (false identifies the server only)
  * @returns {string} Unique key for this connection
  */
-function generateConnectionKey(config) {
+function generateConnectionKey(config, includeDatabase = true) {
   const parts = [config.type];
 
   if (config.server) {
     parts.push(config.server.host || '');
     if (config.server.instance) parts.push(config.server.instance);
     if (config.server.port) parts.push(String(config.server.port));
-    if (config.server.database) parts.push(config.server.database);
+    if (includeDatabase && config.server.database) parts.push(config.server.database);
   }
 
   if (config.auth) {
@@ -28,6 +129,63 @@ function generateConnectionKey(config) {
   return parts.join(':');
 }
 
+/**
+ * Canonical JSON for fingerprinting: sorted keys, and null or empty values
+ * dropped (Lua encodes an empty table as [] and an unset field as nothing)
+ * @param {*} value
+ * @returns {string|undefined} Undefined for values that are dropped
+ */
+function canonicalJson(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => canonicalJson(item)).filter(item => item !== undefined);
+    return items.length > 0 ? `[${items.join(',')}]` : undefined;
+  }
+  if (typeof value === 'object') {
+    const fields = Object.keys(value).sort()
+      .map(field => [field, canonicalJson(value[field])])
+      .filter(([, json]) => json !== undefined)
+      .map(([field, json]) => `${JSON.stringify(field)}:${json}`);
+    return fields.length > 0 ? `{${fields.join(',')}}` : undefined;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint a connection's effective config
+ *
+ * Covers everything drivers read (type, server, auth including the
+ * password, options) but not display fields such as name or favorite. The
+ * registry key stays free of secrets; the fingerprint is what tells an
+ * edited config apart.
+ *
+ * @param {Object} config - Connection configuration object
+ * @returns {string} Hex HMAC of the canonical config
+ */
+function configFingerprint(config) {
+  const effective = { type: config.type, server: config.server, auth: config.auth, options: config.options };
+  return crypto.createHmac('sha256', FINGERPRINT_SECRET)
+    .update(canonicalJson(effective) || '')
+    .digest('hex');
+}
+
+/**
+ * Identify a connection to Lua without its credentials
+ * @param {Object} config - Connection configuration object
+ * @returns {Object} { type, server: { host, instance, port, database }, auth: { type, username } }
+ */
+function describeConnection(config) {
+  const server = config.server || {};
+  const auth = config.auth || {};
+  return {
+    type: config.type,
+    server: { host: server.host, instance: server.instance, port: server.port, database: server.database },
+    auth: { type: auth.type, username: auth.username }
+  };
+}
+
 /**
  * Get or create driver instance for connection config
  * @param {Object} config - Connection configuration object
@@ -35,20 +193,293 @@ function generateConnectionKey(config) {
  */
 function getDriverInstance(config) {
   const key = generateConnectionKey(config);
+  const fingerprint = configFingerprint(config);
 
-  // Check if driver already exists in registry
-  if (drivers.has(key)) {
-    return drivers.get(key);
+  // Reuse the registered driver unless the config has changed since it was built
+  const existing = drivers.get(key);
+  if (existing && existing.configFingerprint === fingerprint) {
+    existing.recordUse();
+    return existing;
+  }
+  if (existing) {
+    log.info(`[index] Config of ${key} changed; replacing its driver`);
+    retireDriver(key, existing);
   }
 
   // Use factory to create appropriate driver
   const driver = DriverFactory.getDriver(config);
+  driver.configFingerprint = fingerprint;
+
+  // Report connection losses and reconnects so Lua can show them
+  driver.stateListener = (state, detail) => {
+    if (connectionStateSink) {
+      connectionStateSink(Object.assign({ connection: describeConnection(config), state }, detail));
+    }
+  };
 
   // Store in registry for reuse
   drivers.set(key, driver);
   return driver;
 }
 
+/**
+ * Disconnect a registered driver and forget it and its sessions
+ * @param {string} key - Registry key
+ * @param {BaseDriver} driver - Driver registered under the key
+ * @returns {Promise<void>}
+ */
+async function closeDriver(key, driver) {
+  if (drivers.get(key) === driver) {
+    drivers.delete(key);
+  }
+  retiredDrivers.delete(driver);
+  await Continuations.closeWhere(continuation => continuation.driver === driver);
+
+  // disconnect() closes the driver's sessions
+  for (const [sessionId, session] of sessions) {
+    if (session.driver === driver) {
+      sessions.delete(sessionId);
+    }
+  }
+  await driver.disconnect();
+}
+
+/**
+ * Check whether a query is running on a driver
+ * @param {BaseDriver} driver - Driver
+ * @returns {boolean}
+ */
+function isExecuting(driver) {
+  if (driver.activeExecutions.size > 0) {
+    return true;
+  }
+  for (const running of executions.values()) {
+    if (running === driver) return true;
+  }
+  return false;
+}
+
+/**
+ * Take a driver out of the registry and disconnect it once drained
+ * @param {string} key - Registry key
+ * @param {BaseDriver} driver - Driver to retire
+ */
+function retireDriver(key, driver) {
+  if (drivers.get(key) === driver) {
+    drivers.delete(key);
+  }
+  if (retiredDrivers.has(driver)) {
+    return;
+  }
+  retiredDrivers.set(driver, key);
+  drainDriver(key, driver).catch(err => log.warn(`[index] Draining ${key} failed: ${err.message}`));
+}
+
+/**
+ * Wait for a retired driver's work to finish, then disconnect it
+ *
+ * Running queries finish on the old driver. Its idle sessions are closed
+ * (the next query on them opens a new session on the new driver), but a
+ * session with an open transaction keeps it until committed or rolled back.
+ *
+ * @param {string} key - Registry key the driver was registered under
+ * @param {BaseDriver} driver - Retired driver
+ * @returns {Promise<void>}
+ */
+async function drainDriver(key, driver) {
+  while (retiredDrivers.has(driver)) {
+    if (!isExecuting(driver)) {
+      let pinned = 0;
+      for (const [sessionId, session] of Array.from(sessions)) {
+        if (session.driver !== driver) continue;
+        if (driver.getTransactionStatus(sessionId)) {
+          pinned++;
+        } else {
+          await closeSession(sessionId);
+        }
+      }
+      if (pinned === 0) break;
+    }
+    await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+  }
+
+  // Closed meanwhile (SSNSCloseAll)
+  if (!retiredDrivers.has(driver)) {
+    return;
+  }
+  retiredDrivers.delete(driver);
+  log.info(`[index] Drained replaced driver of ${key}; disconnecting`);
+  await driver.disconnect();
+}
+
+/**
+ * Describe a registered driver for SSNSListConnections
+ * @param {string} key - Registry key
+ * @param {BaseDriver} driver - Driver
+ * @returns {Object} { key, type, state, pool, sessions, running, idleMs, lastUsedAt, lastError, evictAfterMs, retired }
+ */
+function describeDriver(key, driver) {
+  const now = Date.now();
+  return {
+    key,
+    type: driver.getType(),
+    state: driver.connectionState,
+    pool: driver.getPoolStats(),
+    sessions: driver.sessions.size,
+    running: driver.activeExecutions.size,
+    idleMs: now - driver.lastUsedAt,
+    lastUsedAt: new Date(driver.lastUsedAt).toISOString(),
+    lastError: driver.lastError,
+    evictAfterMs: driver.getPoolSettings().evict_after_ms,
+    retired: retiredDrivers.has(driver)
+  };
+}
+
+/**
+ * Disconnect and forget drivers unused for longer than their evict_after_ms
+ * pool setting
+ *
+ * Drivers with open sessions or running queries are kept: a session's
+ * pinned connection belongs to its buffer (temp tables, transactions).
+ *
+ * @returns {Promise<number>} Number of drivers evicted
+ */
+async function evictIdleDrivers() {
+  const now = Date.now();
+  let evicted = 0;
+
+  for (const [key, driver] of Array.from(drivers)) {
+    const evictAfterMs = driver.getPoolSettings().evict_after_ms;
+    if (!evictAfterMs || now - driver.lastUsedAt < evictAfterMs) continue;
+    if (driver.sessions.size > 0 || driver.activeExecutions.size > 0) continue;
+
+    log.info(`[index] Evicting idle connection ${key} (idle ${Math.round((now - driver.lastUsedAt) / 1000)}s)`);
+    try {
+      await closeDriver(key, driver);
+      evicted++;
+    } catch (err) {
+      log.warn(`[index] Evicting ${key} failed: ${err.message}`);
+    }
+  }
+
+  return evicted;
+}
+
+/**
+ * Close a session and forget it
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session was open
+ */
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  sessions.delete(sessionId);
+  await releaseSession(sessionId);
+  await session.driver.closeSession(sessionId);
+  return true;
+}
+
+/**
+ * Close the truncated executions (see executeCapped()) still holding a
+ * session's connection, so the next statement on it can run
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function releaseSession(sessionId) {
+  await Continuations.closeWhere(continuation => continuation.sessionId === sessionId);
+}
+
+/**
+ * Refuse to replace a session's connection while it holds an open transaction
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session registry entry
+ * @param {string} action - Description of what was attempted (for the error message)
+ * @throws {Error} If the session has an open transaction
+ */
+function assertNoTransaction(sessionId, session, action) {
+  if (session.driver.getTransactionStatus(sessionId)) {
+    throw new Error(`Cannot ${action}: this session has an open transaction. Commit or roll back first.`);
+  }
+}
+
+/**
+ * List open transactions across sessions
+ * @param {Function} [filter] - (sessionId, session) => boolean
+ * @returns {Array<Object>} { sessionId, connection, database, isolationLevel, startedAt, ageMs, statementCount }
+ */
+function listOpenTransactions(filter = () => true) {
+  const transactions = [];
+  for (const [sessionId, session] of sessions) {
+    const status = session.driver.getTransactionStatus(sessionId);
+    if (status && filter(sessionId, session)) {
+      transactions.push(Object.assign({
+        sessionId: sessionId,
+        connection: session.serverKey,
+        database: session.database
+      }, status));
+    }
+  }
+  return transactions;
+}
+
+/**
+ * Get the driver holding a session's pinned connection, opening the session
+ * on first use
+ *
+ * A session follows its buffer's connection: a different database on the
+ * same server is switched to in place (USE) where the driver supports it;
+ * otherwise the old session is closed and a new one opened.
+ *
+ * @param {string} sessionId - Session ID
+ * @param {Object} config - Connection configuration for this execution
+ * @returns {Promise<BaseDriver>} Driver to execute on with options.sessionId
+ */
+async function resolveSession(sessionId, config) {
+  const serverKey = generateConnectionKey(config, false);
+  const database = (config.server && config.server.database) || null;
+  let session = sessions.get(sessionId);
+  await releaseSession(sessionId);
+
+  if (session && !session.driver.hasSession(sessionId)) {
+    log.warn(`[index] Session ${sessionId} lost its connection; opening a new one`);
+    sessions.delete(sessionId);
+    session = null;
+  }
+
+  // The connection's config changed: move to the new driver once no transaction holds the old one
+  if (session && retiredDrivers.has(session.driver) && !session.driver.getTransactionStatus(sessionId)) {
+    await closeSession(sessionId);
+    session = null;
+  }
+
+  if (session && session.serverKey === serverKey && session.database !== database && database) {
+    const switched = await session.driver.useSessionDatabase(sessionId, database);
+    if (switched) {
+      session.database = database;
+    } else {
+      assertNoTransaction(sessionId, session, `switch to database ${database}`);
+      await closeSession(sessionId);
+      session = null;
+    }
+  } else if (session && session.serverKey !== serverKey) {
+    assertNoTransaction(sessionId, session, 'switch to another server');
+    await closeSession(sessionId);
+    session = null;
+  }
+
+  if (!session) {
+    const driver = getDriverInstance(config);
+    await driver.openSession(sessionId);
+    session = { driver, serverKey, database };
+    sessions.set(sessionId, session);
+  }
+
+  return session.driver;
+}
+
 /**
  * Parse config from JSON string or return as-is if already object
  * @param {string|Object} configInput - JSON string or config object
@@ -61,13 +492,63 @@ function parseConfig(configInput) {
   return configInput;
 }
 
+/**
+ * Parse config and resolve its credential provider (see credentials.js)
+ * @param {string|Object} configInput - JSON string or config object
+ * @returns {Promise<Object>} Config with auth.password filled in
+ */
+async function loadConfig(configInput) {
+  const config = await Credentials.resolveCredentials(parseConfig(configInput));
+  if (config.auth && config.auth.password) {
+    registerSecret(config.auth.password);
+  }
+  return config;
+}
+
+/**
+ * Correlation ID of an RPC call: the correlation_id of its options table
+ * when Lua sends one, else a generated "<function>#<n>"
+ * @param {string} name - RPC function name
+ * @param {Array} args - RPC arguments
+ * @returns {string}
+ */
+function correlationIdFor(name, args) {
+  const list = Array.isArray(args) && Array.isArray(args[0]) ? args[0] : (args || []);
+  const tagged = list.find(arg => arg && typeof arg === 'object' && typeof arg.correlation_id === 'string');
+  if (tagged) {
+    return tagged.correlation_id;
+  }
+  requestCounter++;
+  return `${name}#${requestCounter}`;
+}
+
 /**
  * Neovim remote plugin entry point
  * @param {Object} plugin - Neovim plugin instance
  */
 
 module.exports = (plugin) => {
-  ssnsLog('[SSNS] Plugin initializing...');
+  log.info('[SSNS] Plugin initializing...');
+
+  // Every function logs under the correlation ID of the call it serves
+  const register = (name, handler, options) => plugin.registerFunction(name,
+    (args) => withCorrelation(correlationIdFor(name, args), () => handler(args)), options);
+
+  connectionStateSink = (event) => {
+    plugin.nvim.call('luaeval', ['require("nvim-ssns.connection").handle_state_change(_A)', event])
+      .catch(err => log.warn(`[index] Connection state notification failed: ${err}`));
+  };
+
+  // Credential providers prompt and find the secrets file through Neovim
+  Credentials.setHost({
+    prompt: (message) => plugin.nvim.call('inputsecret', [message]),
+    dataPath: () => plugin.nvim.call('stdpath', ['data'])
+  });
+
+  // Don't let the timer keep the host alive
+  setInterval(() => {
+    evictIdleDrivers().catch(err => log.warn(`[index] Idle eviction failed: ${err.message}`));
+  }, EVICTION_INTERVAL_MS).unref();
 
   // Wrap in try-catch to catch any errors during registration
   try {
@@ -75,16 +556,26 @@ module.exports = (plugin) => {
    * SSNSExecuteQuery - Execute SQL query and return structured results
    *
    * Usage from Lua:
-   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSExecuteQuery', {config_json, query})
+   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSExecuteQuery', {config_json, query, params, opts})
    *
-   * @param {Array} args - [configJson, query]
+   * params is optional: a positional list (? placeholders) or a named table
+   * (@name / :name placeholders). Values may be { value, type } to give a type hint.
+   * opts.session_id runs the query on that session's pinned connection (opened on first use).
+   * opts.timeout_ms stops the query on the server once it has run that long (the result's
+   * error then has category 'timeout').
+   * opts.max_rows caps the rows returned: a result with more is `truncated`, with a
+   * `continuation` handle for SSNSFetchMore (see executeCapped()).
+   *
+   * @param {Array} args - [configJson, query, params?, opts?]
    * @returns {Promise<Object>} Result object with resultSets, metadata, error
    */
-  plugin.registerFunction('SSNSExecuteQuery', async (args) => {
+  register('SSNSExecuteQuery', async (args) => {
     try {
       // Handle double-wrapped array from Neovim
       const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
       const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const params = Array.isArray(args[0]) ? args[0][2] : args[2];
+      const execOpts = (Array.isArray(args[0]) ? args[0][3] : args[3]) || {};
 
       if (!configInput || !query) {
         return {
@@ -100,18 +591,27 @@ module.exports = (plugin) => {
       }
 
       // Parse config from JSON
-      const config = parseConfig(configInput);
+      const config = await loadConfig(configInput);
 
-      // Get driver for this connection
-      const driver = getDriverInstance(config);
+      // Get driver for this connection (or the one holding the session's connection)
+      const sessionId = execOpts.session_id || null;
+      const driver = sessionId ? await resolveSession(sessionId, config) : getDriverInstance(config);
 
       // Execute query
-      const result = await driver.execute(query);
+      const result = await executeCapped(driver, query, nextExecutionId(), {
+        params: params || null,
+        sessionId,
+        timeoutMs: execOpts.timeout_ms || null,
+        describeColumns: !!execOpts.describe_columns
+      }, execOpts);
+      if (sessionId) {
+        driver.recordSessionStatement(sessionId);
+      }
 
       return result;
 
     } catch (err) {
-      ssnsLog(`[SSNSExecuteQuery] Error: ${err && err.stack ? err.stack : err}`);
+      log.error(`[SSNSExecuteQuery] Error: ${err && err.stack ? err.stack : err}`);
       return {
         resultSets: [],
         metadata: {},
@@ -134,7 +634,7 @@ module.exports = (plugin) => {
    * @param {Array} args - [configJson, objectType, objectName, schemaName]
    * @returns {Promise<Object>} Metadata object with columns, indexes, constraints
    */
-  plugin.registerFunction('SSNSGetMetadata', async (args) => {
+  register('SSNSGetMetadata', async (args) => {
     try {
       // Handle double-wrapped array from Neovim
       const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
@@ -150,7 +650,7 @@ module.exports = (plugin) => {
       }
 
       // Parse config from JSON
-      const config = parseConfig(configInput);
+      const config = await loadConfig(configInput);
 
       // Get driver for this connection
       const driver = getDriverInstance(config);
@@ -161,7 +661,7 @@ module.exports = (plugin) => {
       return metadata;
 
     } catch (err) {
-      ssnsLog(`[SSNSGetMetadata] Error: ${err && err.stack ? err.stack : err}`);
+      log.error(`[SSNSGetMetadata] Error: ${err && err.stack ? err.stack : err}`);
       return {
         columns: [],
         error: err.message || 'Unknown error occurred'
@@ -169,6 +669,104 @@ module.exports = (plugin) => {
     }
   }, { sync: true });
 
+  /**
+   * SSNSGetSchemaSnapshot - Get tables, views, columns, keys, indexes and routines
+   * for a whole database in one round trip (for completion cache warm-up)
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSGetSchemaSnapshot({config_json, {schema = 'dbo'}})
+   *
+   * @param {Array} args - [configJson, opts?] where opts = { schema? }
+   * @returns {Promise<Object>} { database, schemas, tables, routines, generatedAt } or { error }
+   */
+  register('SSNSGetSchemaSnapshot', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const opts = (Array.isArray(args[0]) ? args[0][1] : args[1]) || {};
+
+      if (!configInput) {
+        return { error: 'Missing required parameter: config' };
+      }
+
+      const config = await loadConfig(configInput);
+      const driver = getDriverInstance(config);
+
+      return await driver.getSchemaSnapshot({ schema: opts.schema || null });
+
+    } catch (err) {
+      log.error(`[SSNSGetSchemaSnapshot] Error: ${err && err.stack ? err.stack : err}`);
+      return { error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSExplain - Get a query's execution plan as an operator tree
+   *
+   * Every driver returns the same node shape (operator, object, estimated vs.
+   * actual rows, cost, warnings, children; see drivers/plan.js). With actual,
+   * the query is executed to collect run-time counters (in a transaction that
+   * is rolled back where the database allows).
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSExplain({config_json, query, {actual = true}})
+   *
+   * @param {Array} args - [configJson, query, opts?] where opts = { actual?, params? }
+   * @returns {Promise<Object>} { actual, plans: [{ statement, root, warnings, raw }], warnings } or { error }
+   */
+  register('SSNSExplain', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const query = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const opts = (Array.isArray(args[0]) ? args[0][2] : args[2]) || {};
+
+      if (!configInput || !query) {
+        return { error: 'Missing required parameters: config and query' };
+      }
+
+      const config = await loadConfig(configInput);
+      const driver = getDriverInstance(config);
+
+      return await driver.explain(query, { actual: !!opts.actual, params: opts.params });
+
+    } catch (err) {
+      log.error(`[SSNSExplain] Error: ${err && err.stack ? err.stack : err}`);
+      return { error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSFlush - Write a file-backed (SQLite) database's unsaved changes to disk now
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSFlush({config_json, {force = true}})
+   *
+   * @param {Array} args - [configJson, opts?] where opts = { force? } (overwrite
+   *   changes another process made to the file)
+   * @returns {Promise<Object>} { saved, path, conflict, message } or { error }
+   */
+  register('SSNSFlush', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const opts = (Array.isArray(args[0]) ? args[0][1] : args[1]) || {};
+
+      if (!configInput) {
+        return { error: 'Missing required parameter: config' };
+      }
+
+      const config = await loadConfig(configInput);
+      const driver = getDriverInstance(config);
+
+      return await driver.flush({ force: !!opts.force });
+
+    } catch (err) {
+      log.error(`[SSNSFlush] Error: ${err && err.stack ? err.stack : err}`);
+      return { error: err.message || 'Unknown error occurred' };
+    }
+  }, { sync: true });
+
   /**
    * SSNSTestConnection - Test database connection
    *
@@ -178,9 +776,8 @@ module.exports = (plugin) => {
    * @param {Array} args - [configJson]
    * @returns {Promise<Object>} { success: boolean, message: string }
    */
-  plugin.registerFunction('SSNSTestConnection', async (args) => {
+  register('SSNSTestConnection', async (args) => {
     ssnsLog('[index] SSNSTestConnection called');
-    ssnsLog(`[index] args: ${JSON.stringify(args)}`);
 
     try {
       // If Neovim double-wraps the array, unwrap it
@@ -196,7 +793,7 @@ module.exports = (plugin) => {
       }
 
       // Parse config from JSON
-      const config = parseConfig(configInput);
+      const config = await loadConfig(configInput);
       ssnsLog(`[index] Parsed config type: ${config.type}`);
 
       ssnsLog('[index] Getting driver...');
@@ -204,8 +801,14 @@ module.exports = (plugin) => {
       const driver = getDriverInstance(config);
 
       ssnsLog('[index] Testing connection...');
-      // Test connection
-      await driver.connect();
+      // Test connection (a query, so a dead pooled connection is caught too)
+      try {
+        await driver.ping();
+      } catch (err) {
+        // A mistyped or rotated secret shouldn't stay cached
+        Credentials.forgetCredentials(config);
+        throw err;
+      }
 
       ssnsLog('[index] Connection successful!');
       return {
@@ -214,7 +817,7 @@ module.exports = (plugin) => {
       };
 
     } catch (err) {
-      ssnsLog(`[index] Connection failed: ${err.message}`);
+      log.warn(`[index] Connection failed: ${err.message}`);
       return {
         success: false,
         message: err.message || 'Connection failed'
@@ -227,18 +830,34 @@ module.exports = (plugin) => {
    *
    * This function returns immediately and calls back to Lua when the query completes.
    * The callback is invoked via plugin.nvim.call() to the Lua function SSNSAsyncCallback.
+   * The returned executionId can be passed to SSNSCancelQuery to stop the query.
+   *
+   * With opts.stream, rows are not sent in the final callback. Instead the column
+   * metadata of each result set and then batches of rows are pushed to
+   * nvim-ssns.async.rpc.handle_stream as they arrive, and the final callback
+   * carries result sets with `streamed = true` and their row counts.
+   *
+   * With opts.progress_interval_ms, progress events (elapsed time, rows read so far,
+   * result sets completed and new server messages, see progress.js) are pushed to
+   * nvim-ssns.async.rpc.handle_progress every interval and as soon as a PRINT,
+   * RAISERROR ... WITH NOWAIT or RAISE NOTICE message arrives. Rows are then read
+   * in streaming mode even when not streamed to Lua, so they can be counted.
    *
    * Usage from Lua:
-   *   vim.fn.SSNSExecuteQueryAsync({config_json, query, callback_id})
+   *   vim.fn.SSNSExecuteQueryAsync({config_json, query, callback_id, opts})
    *
-   * @param {Array} args - [configJson, query, callbackId]
-   * @returns {Object} { started: true } immediately
+   * @param {Array} args - [configJson, query, callbackId, opts?]
+   *   opts: { stream: boolean, batch_size: number, params: Array|Object, session_id: string,
+   *     timeout_ms: number, max_rows: number, continuation_idle_ms: number,
+   *     progress_interval_ms: number }
+   * @returns {Object} { started: true, executionId } immediately
    */
-  plugin.registerFunction('SSNSExecuteQueryAsync', async (args) => {
+  register('SSNSExecuteQueryAsync', async (args) => {
     // Handle double-wrapped array from Neovim
     const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
     const query = Array.isArray(args[0]) ? args[0][1] : args[1];
     const callbackId = Array.isArray(args[0]) ? args[0][2] : args[2];
+    const execOpts = (Array.isArray(args[0]) ? args[0][3] : args[3]) || {};
 
     if (!configInput || !query || !callbackId) {
       // Return error immediately for missing params
@@ -248,17 +867,71 @@ module.exports = (plugin) => {
       };
     }
 
+    const executionId = nextExecutionId();
+    const startTime = Date.now();
+
+    // SSNSCancelQuery may arrive before the deferred start below
+    pendingExecutions.set(executionId, { cancelled: false });
+
     // Return immediately - query runs in background
     setImmediate(async () => {
+      let progress = null;
       try {
         // Parse config from JSON
-        const config = parseConfig(configInput);
+        const config = await loadConfig(configInput);
 
-        // Get driver for this connection
-        const driver = getDriverInstance(config);
+        // Get driver for this connection (or the one holding the session's connection)
+        const sessionId = execOpts.session_id || null;
+        const driver = sessionId ? await resolveSession(sessionId, config) : getDriverInstance(config);
 
-        // Execute query
-        const result = await driver.execute(query);
+        // Stream rows to Lua in batches when requested
+        const driverOptions = {
+          params: execOpts.params || null,
+          sessionId,
+          timeoutMs: execOpts.timeout_ms || null,
+          describeColumns: !!execOpts.describe_columns
+        };
+
+        // Report progress while it runs when requested
+        if (execOpts.progress_interval_ms > 0) {
+          progress = new ExecutionProgress(async (event) => {
+            await plugin.nvim.call('luaeval', [
+              'require("nvim-ssns.async.rpc").handle_progress(_A.id, _A.event)',
+              { id: callbackId, event: event }
+            ]);
+          }, { intervalMs: execOpts.progress_interval_ms });
+          driverOptions.progress = progress;
+          progress.start();
+        }
+
+        if (execOpts.stream) {
+          const sink = async (event) => {
+            await plugin.nvim.call('luaeval', [
+              'require("nvim-ssns.async.rpc").handle_stream(_A.id, _A.event)',
+              { id: callbackId, event: event }
+            ]);
+          };
+          driverOptions.stream = new ResultStream(progress ? progress.track(sink) : sink, { batchSize: execOpts.batch_size });
+        }
+
+        // Cancelled while connecting: nothing is run. Otherwise executeTracked()
+        // takes over the ID before the next await, so a cancel finds it there.
+        const cancelledEarly = pendingExecutions.get(executionId).cancelled;
+        pendingExecutions.delete(executionId);
+
+        // Execute query (rows read in streaming mode to be counted, see ExecutionProgress.collect())
+        const result = cancelledEarly
+          ? driver.buildCancelledResult(startTime)
+          : progress && !execOpts.stream && !(execOpts.max_rows > 0)
+            ? await progress.collect(stream => executeTracked(driver, query, executionId,
+              Object.assign({}, driverOptions, { stream })))
+            : await executeCapped(driver, query, executionId, driverOptions, execOpts);
+        if (sessionId && !cancelledEarly) {
+          driver.recordSessionStatement(sessionId);
+        }
+        if (progress) {
+          await progress.stop();
+        }
 
         // Call back to Lua with result
         try {
@@ -267,11 +940,14 @@ module.exports = (plugin) => {
             { id: callbackId, result: result }
           ]);
         } catch (callbackErr) {
-          ssnsLog(`[SSNSExecuteQueryAsync] Callback error: ${callbackErr}`);
+          log.error(`[SSNSExecuteQueryAsync] Callback error: ${callbackErr}`);
         }
 
       } catch (err) {
-        ssnsLog(`[SSNSExecuteQueryAsync] Error: ${err && err.stack ? err.stack : err}`);
+        log.error(`[SSNSExecuteQueryAsync] Error: ${err && err.stack ? err.stack : err}`);
+        if (progress) {
+          await progress.stop();
+        }
 
         // Call back to Lua with error
         try {
@@ -290,31 +966,367 @@ module.exports = (plugin) => {
             { id: callbackId, result: errorResult, err: err.message }
           ]);
         } catch (callbackErr) {
-          ssnsLog(`[SSNSExecuteQueryAsync] Error callback failed: ${callbackErr}`);
+          log.error(`[SSNSExecuteQueryAsync] Error callback failed: ${callbackErr}`);
         }
+      } finally {
+        // Failed before it started
+        pendingExecutions.delete(executionId);
       }
     });
 
     // Return immediately
-    return { started: true };
+    return { started: true, executionId: executionId };
   }, { sync: true });  // sync:true so we can return { started: true } immediately
 
+  /**
+   * SSNSCancelQuery - Cancel a running query on the server
+   *
+   * Uses the driver's native cancellation (tedious request.cancel(), msnodesqlv8
+   * cancelQuery, pg_cancel_backend, KILL QUERY, or a SQLite interrupt). The
+   * execution's callback then receives a result with `cancelled: true`. An
+   * async execution cancelled before it started (still connecting) never runs.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSCancelQuery({execution_id})
+   *
+   * @param {Array} args - [executionId]
+   * @returns {Promise<Object>} { success: boolean, message: string }
+   */
+  register('SSNSCancelQuery', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const executionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    if (!executionId) {
+      return {
+        success: false,
+        message: 'Missing required parameter: executionId'
+      };
+    }
+
+    // Not started yet: the deferred start sees the flag and runs nothing
+    const pending = pendingExecutions.get(executionId);
+    if (pending) {
+      pending.cancelled = true;
+      return {
+        success: true,
+        message: 'Cancel requested'
+      };
+    }
+
+    const driver = executions.get(executionId);
+    if (!driver) {
+      return {
+        success: false,
+        message: `No running execution with ID ${executionId}`
+      };
+    }
+
+    try {
+      const cancelled = await driver.cancel(executionId);
+      return {
+        success: cancelled,
+        message: cancelled ? 'Cancel requested' : 'Execution is not cancellable yet or already cancelled'
+      };
+    } catch (err) {
+      log.error(`[SSNSCancelQuery] Error: ${err && err.stack ? err.stack : err}`);
+      return {
+        success: false,
+        message: err.message || 'Cancel failed'
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSFetchMore - Get the next page of a truncated result
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSFetchMore({handle, count})
+   *
+   * The page's result sets carry their resultSetIndex in the execution. A page
+   * with `truncated: true` has a `continuation` handle for the next one; the
+   * last page (`truncated: false`) carries the execution's metadata and error.
+   *
+   * @param {Array} args - [handle, count]
+   * @returns {Promise<Object>} Page result object
+   */
+  register('SSNSFetchMore', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const actualArgs = Array.isArray(args[0]) ? args[0] : args;
+    const [handle, count] = actualArgs;
+
+    try {
+      if (!handle) {
+        throw new Error('Missing required parameter: handle');
+      }
+      const rows = Number(count);
+      if (!Number.isInteger(rows) || rows <= 0) {
+        throw new Error(`Invalid row count: ${count}`);
+      }
+      return await Continuations.fetchMore(handle, rows);
+    } catch (err) {
+      const level = err.code === Continuations.UNKNOWN_CONTINUATION ? 'warn' : 'error';
+      log[level](`[SSNSFetchMore] Error: ${err.message}`);
+      return {
+        resultSets: [],
+        metadata: {},
+        error: {
+          message: err.message || 'Fetch failed',
+          code: err.code || null
+        },
+        truncated: false,
+        continuation: null
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSCloseContinuation - Drop a truncated result's remaining rows
+   *
+   * Cancels the paused execution, releasing its connection.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSCloseContinuation({handle})
+   *
+   * @param {Array} args - [handle]
+   * @returns {Promise<{success: boolean, closed: boolean}>}
+   */
+  register('SSNSCloseContinuation', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const handle = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    try {
+      const closed = await Continuations.closeContinuation(handle);
+      return { success: true, closed };
+    } catch (err) {
+      log.error(`[SSNSCloseContinuation] Error: ${err.message}`);
+      return { success: false, closed: false, error: err.message };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSOpenSession - Pin one physical connection to a session ID
+   *
+   * Queries executed with opts.session_id then share that connection, so
+   * temp tables, SET options, USE and session variables persist between runs
+   * (like an SSMS or psql window). Sessions also open on first use, so calling
+   * this is only needed to connect eagerly.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSOpenSession({config_json, session_id})
+   *
+   * @param {Array} args - [configJson, sessionId]
+   * @returns {Promise<Object>} { success: boolean, message: string }
+   */
+  register('SSNSOpenSession', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const sessionId = Array.isArray(args[0]) ? args[0][1] : args[1];
+
+      if (!configInput || !sessionId) {
+        return {
+          success: false,
+          message: 'Missing required parameters: config and sessionId'
+        };
+      }
+
+      await resolveSession(sessionId, await loadConfig(configInput));
+      return {
+        success: true,
+        message: 'Session open'
+      };
+
+    } catch (err) {
+      log.error(`[SSNSOpenSession] Error: ${err && err.stack ? err.stack : err}`);
+      return {
+        success: false,
+        message: err.message || 'Failed to open session'
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSCloseSession - Close a session and its pinned connection
+   *
+   * A session with an open transaction is not closed unless force is set;
+   * the result then carries `openTransactions` so Lua can ask the user to
+   * commit or roll back instead of the server silently rolling back.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSCloseSession({session_id, force})
+   *
+   * @param {Array} args - [sessionId, force?]
+   * @returns {Promise<Object>} { success: boolean, message: string, openTransactions?: Array }
+   */
+  register('SSNSCloseSession', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const sessionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+    const force = Array.isArray(args[0]) ? args[0][1] : args[1];
+
+    if (!sessionId) {
+      return {
+        success: false,
+        message: 'Missing required parameter: sessionId'
+      };
+    }
+
+    const openTransactions = listOpenTransactions(id => id === sessionId);
+    if (openTransactions.length > 0 && !force) {
+      return {
+        success: false,
+        message: 'Session has an open transaction',
+        openTransactions: openTransactions
+      };
+    }
+
+    try {
+      const closed = await closeSession(sessionId);
+      return {
+        success: true,
+        message: closed ? 'Session closed' : 'Session was not open'
+      };
+    } catch (err) {
+      log.error(`[SSNSCloseSession] Error: ${err && err.stack ? err.stack : err}`);
+      return {
+        success: false,
+        message: err.message || 'Failed to close session'
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSBeginTransaction - Begin an explicit transaction on a session
+   *
+   * The transaction stays open across executions with the same session_id
+   * until SSNSCommit or SSNSRollback.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSBeginTransaction({config_json, session_id, isolation_level})
+   *
+   * @param {Array} args - [configJson, sessionId, isolationLevel?]
+   *   isolationLevel: "read uncommitted" | "read committed" | "repeatable read" |
+   *   "serializable" | "snapshot" (SQL Server), or nil for the server default
+   * @returns {Promise<Object>} { success: boolean, message: string, transaction?: Object }
+   */
+  register('SSNSBeginTransaction', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const sessionId = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const isolationLevel = Array.isArray(args[0]) ? args[0][2] : args[2];
+
+      if (!configInput || !sessionId) {
+        return {
+          success: false,
+          message: 'Missing required parameters: config and sessionId'
+        };
+      }
+
+      const driver = await resolveSession(sessionId, await loadConfig(configInput));
+      const transaction = await driver.beginTransaction(sessionId, isolationLevel || null);
+      return {
+        success: true,
+        message: 'Transaction started',
+        transaction: transaction
+      };
+
+    } catch (err) {
+      log.error(`[SSNSBeginTransaction] Error: ${err && err.stack ? err.stack : err}`);
+      return {
+        success: false,
+        message: err.message || 'Failed to begin transaction'
+      };
+    }
+  }, { sync: true });
+
+  /**
+   * Register SSNSCommit / SSNSRollback
+   * @param {string} name - RPC function name
+   * @param {string} action - "commit" or "rollback"
+   */
+  const registerTransactionEnd = (name, action) => {
+    /**
+     * Usage from Lua:
+     *   vim.fn.SSNSCommit({session_id}) / vim.fn.SSNSRollback({session_id})
+     *
+     * @param {Array} args - [sessionId]
+     * @returns {Promise<Object>} { success: boolean, message: string, transaction?: Object }
+     */
+    register(name, async (args) => {
+      // Handle double-wrapped array from Neovim
+      const sessionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const session = sessions.get(sessionId);
+
+      if (!session) {
+        return {
+          success: false,
+          message: sessionId ? `Session ${sessionId} is not open` : 'Missing required parameter: sessionId'
+        };
+      }
+
+      try {
+        await releaseSession(sessionId);
+        const transaction = action === 'commit'
+          ? await session.driver.commitTransaction(sessionId)
+          : await session.driver.rollbackTransaction(sessionId);
+        return {
+          success: true,
+          message: action === 'commit' ? 'Transaction committed' : 'Transaction rolled back',
+          transaction: transaction
+        };
+      } catch (err) {
+        log.error(`[${name}] Error: ${err && err.stack ? err.stack : err}`);
+        return {
+          success: false,
+          message: err.message || `Failed to ${action} transaction`
+        };
+      }
+    }, { sync: true });
+  };
+
+  registerTransactionEnd('SSNSCommit', 'commit');
+  registerTransactionEnd('SSNSRollback', 'rollback');
+
+  /**
+   * SSNSGetTransactionStatus - List open transactions
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSGetTransactionStatus({session_id})  -- one session
+   *   vim.fn.SSNSGetTransactionStatus({})            -- all sessions
+   *
+   * @param {Array} args - [sessionId?]
+   * @returns {Object} { transactions: Array<{ sessionId, connection, database, isolationLevel, startedAt, ageMs, statementCount }> }
+   */
+  register('SSNSGetTransactionStatus', async (args) => {
+    // Handle double-wrapped array from Neovim
+    const sessionId = Array.isArray(args[0]) ? args[0][0] : args[0];
+
+    return {
+      transactions: listOpenTransactions(id => !sessionId || id === sessionId)
+    };
+  }, { sync: true });
+
   /**
    * SSNSCloseConnection - Close database connection
    *
+   * If a session on this connection has an open transaction, nothing is
+   * closed unless force is set; the result carries `openTransactions` so Lua
+   * can prompt instead of the server silently rolling back.
+   *
    * Usage from Lua:
-   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSCloseConnection', {config_json})
+   *   vim.fn['remote#host#FunctionCall']('node', 'SSNSCloseConnection', {config_json, force})
    *
-   * @param {Array} args - [configJson]
-   * @returns {Promise<Object>} { success: boolean }
+   * @param {Array} args - [configJson, force?]
+   * @returns {Promise<Object>} { success: boolean, message?: string, openTransactions?: Array, error?: string }
    */
-  plugin.registerFunction('SSNSCloseConnection', async (args) => {
+  register('SSNSCloseConnection', async (args) => {
     try {
       // Handle double-wrapped array from Neovim
       const configInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const force = Array.isArray(args[0]) ? args[0][1] : args[1];
 
       if (!configInput) {
-        return { success: false };
+        return { success: false, error: 'Missing required parameter: config' };
       }
 
       // Parse config from JSON
@@ -323,22 +1335,180 @@ module.exports = (plugin) => {
 
       // Get driver from registry
       const driver = drivers.get(key);
+      const openTransactions = driver ? listOpenTransactions((id, session) => session.driver === driver) : [];
+      if (openTransactions.length > 0 && !force) {
+        return {
+          success: false,
+          message: 'Connection has open transactions',
+          openTransactions: openTransactions
+        };
+      }
+
       if (driver) {
-        await driver.disconnect();
-        drivers.delete(key);
+        await closeDriver(key, driver);
       }
 
       return { success: true };
 
     } catch (err) {
-      return { success: false };
+      log.error(`[SSNSCloseConnection] Error: ${err && err.stack ? err.stack : err}`);
+      return { success: false, error: err.message || 'Unknown error occurred' };
     }
   }, { sync: true });
 
+  /**
+   * SSNSReconfigure - Apply an edited connection without restarting
+   *
+   * Every driver on the old config's server (one per database) is taken out
+   * of the registry and disconnected once drained; the next use builds a
+   * driver from the new config. Nothing happens when the effective config
+   * is unchanged. Drivers are also replaced on their own when a query
+   * arrives with a changed config, so this only makes it take effect now.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSReconfigure({old_config_json, new_config_json})
+   *
+   * @param {Array} args - [oldConfigJson, newConfigJson?]
+   * @returns {Object} { success, changed, replaced, openTransactions }
+   *   openTransactions keep their old connection until they end
+   */
+  register('SSNSReconfigure', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const oldInput = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const newInput = Array.isArray(args[0]) ? args[0][1] : args[1];
+
+      if (!oldInput) {
+        return { success: false, message: 'Missing required parameter: config' };
+      }
+
+      const oldConfig = parseConfig(oldInput);
+      const newConfig = newInput ? parseConfig(newInput) : null;
+      if (newConfig && configFingerprint(newConfig) === configFingerprint(oldConfig)) {
+        return { success: true, changed: false, replaced: 0, openTransactions: [] };
+      }
+
+      const serverKey = generateConnectionKey(oldConfig, false);
+      const replaced = Array.from(drivers).filter(([, driver]) => generateConnectionKey(driver.config, false) === serverKey);
+      replaced.forEach(([key, driver]) => retireDriver(key, driver));
+
+      const retired = new Set(replaced.map(([, driver]) => driver));
+      const openTransactions = listOpenTransactions((id, session) => retired.has(session.driver));
+      log.info(`[index] Reconfigured ${serverKey}: ${replaced.length} driver(s) replaced`);
+
+      return { success: true, changed: true, replaced: replaced.length, openTransactions };
+
+    } catch (err) {
+      log.error(`[index] SSNSReconfigure failed: ${err.message}`);
+      return { success: false, message: err.message };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSStoreSecret - Add or replace a secret in the encrypted secrets file
+   * (the "file" credential provider)
+   *
+   * The file's passphrase comes from SSNS_SECRETS_PASSPHRASE or is prompted for.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSStoreSecret({name, secret, path?})
+   *
+   * @param {Array} args - [name, secret, path?]
+   * @returns {Promise<Object>} { success, path?, message? }
+   */
+  register('SSNSStoreSecret', async (args) => {
+    try {
+      // Handle double-wrapped array from Neovim
+      const name = Array.isArray(args[0]) ? args[0][0] : args[0];
+      const secret = Array.isArray(args[0]) ? args[0][1] : args[1];
+      const filePath = Array.isArray(args[0]) ? args[0][2] : args[2];
+
+      if (!name || !secret) {
+        return { success: false, message: 'Missing required parameters: name and secret' };
+      }
+
+      const written = await Credentials.storeSecret(name, secret, filePath || null);
+      return { success: true, path: written };
+
+    } catch (err) {
+      return { success: false, message: err.message };
+    }
+  }, { sync: true });
+
+  /**
+   * SSNSListConnections - List registered drivers and their pool usage
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSListConnections({})
+   *
+   * @returns {Object} { connections: Array<Object> } (see describeDriver())
+   */
+  register('SSNSListConnections', async () => {
+    const connections = [];
+    for (const [key, driver] of drivers) {
+      connections.push(describeDriver(key, driver));
+    }
+    for (const [driver, key] of retiredDrivers) {
+      connections.push(describeDriver(key, driver));
+    }
+    return { connections };
+  }, { sync: true });
+
+  /**
+   * SSNSCloseAll - Disconnect every registered driver (run on VimLeavePre)
+   *
+   * Pools are ended, sessions closed (open transactions roll back) and
+   * SQLite files saved. One driver failing to close doesn't stop the rest.
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSCloseAll({})
+   *
+   * @returns {Promise<Object>} { closed: number, errors: Array<{ key, message }> }
+   */
+  register('SSNSCloseAll', async () => {
+    const errors = [];
+    let closed = 0;
+
+    const registered = Array.from(drivers).concat(Array.from(retiredDrivers, ([driver, key]) => [key, driver]));
+    for (const [key, driver] of registered) {
+      try {
+        await closeDriver(key, driver);
+        closed++;
+      } catch (err) {
+        log.warn(`[index] Closing ${key} failed: ${err.message}`);
+        errors.push({ key, message: err.message });
+      }
+    }
+
+    return { closed, errors };
+  }, { sync: true });
+
+  /**
+   * SSNSSetLogConfig - Change the host's log settings (see ssns-log.js)
+   *
+   * Usage from Lua:
+   *   vim.fn.SSNSSetLogConfig({{ level = "debug", format = "json", max_bytes = ..., max_files = ..., path = ... }})
+   *
+   * @param {Array} args - [settings] (any subset)
+   * @returns {Object} { level, format, maxBytes, maxFiles, path } now in effect
+   */
+  register('SSNSSetLogConfig', async (args) => {
+    const input = (Array.isArray(args[0]) ? args[0][0] : args[0]) || {};
+    const settings = configureLog({
+      level: input.level,
+      format: input.format,
+      maxBytes: input.max_bytes,
+      maxFiles: input.max_files,
+      path: input.path
+    });
+    log.info(`[index] Log settings: level ${settings.level}, format ${settings.format}`);
+    return settings;
+  }, { sync: true });
+
   ssnsLog('[index] All functions registered successfully');
 
   } catch (err) {
-    ssnsLog(`[index] ERROR during plugin initialization: ${err && err.stack ? err.stack : err}`);
+    log.error(`[index] ERROR during plugin initialization: ${err && err.stack ? err.stack : err}`);
     throw err;
   }
 };
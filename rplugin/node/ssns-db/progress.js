@@ -0,0 +1,152 @@
+const ResultStream = require('./drivers/stream');
+const { log } = require('./ssns-log');
+
+/**
+ * Live progress of an async execution
+ *
+ * Counts the rows and finished result sets of the execution's stream as the
+ * driver reads them (see track()) and takes the server messages the driver
+ * passes to options.progress as they arrive. A progress event goes to the
+ * reporter every interval, and right away when a message arrives, so PRINT
+ * and RAISERROR ... WITH NOWAIT output shows while a script runs.
+ *
+ * Events are sent one at a time: messages arriving meanwhile go out together
+ * in the next event, and an interval tick is skipped while one is in flight.
+ *
+ * Event: { elapsedMs, rowsReceived, resultSetsCompleted, messages }
+ *   (messages: server messages since the last event, see serverMessage())
+ */
+class ExecutionProgress {
+  /**
+   * @param {Function} report - Async function receiving each event
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=1000] - Time between periodic events
+   */
+  constructor(report, options = {}) {
+    this.report = report;
+    this.intervalMs = options.intervalMs || 1000;
+    this.startTime = Date.now();
+    this.rowsReceived = 0;
+    this.resultSetsCompleted = 0;
+    this.messages = [];       // Not yet sent
+    this.sending = null;      // Event in flight
+    this.sendAgain = false;   // Messages arrived while it was
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start the periodic events
+   */
+  start() {
+    this.timer = setInterval(() => this.send(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sending, waiting for the event in flight so none arrives after the
+   * execution's result
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.sending;
+  }
+
+  /**
+   * Count a stream event (see ResultStream)
+   * @param {Object} event
+   */
+  observe(event) {
+    if (event.type === 'rows') {
+      this.rowsReceived += event.rows.length;
+    } else if (event.type === 'resultSetEnd') {
+      this.resultSetsCompleted++;
+    }
+  }
+
+  /**
+   * Wrap a stream sink so its events are counted
+   * @param {Function} sink - Async function receiving stream events
+   * @returns {Function} Sink to give the ResultStream
+   */
+  track(sink) {
+    return (event) => {
+      this.observe(event);
+      return sink(event);
+    };
+  }
+
+  /**
+   * Driver hook (options.progress): a server message arrived
+   * @param {Object} message - Server message
+   */
+  message(message) {
+    if (this.stopped) return;
+    this.messages.push(message);
+    this.send();
+  }
+
+  /**
+   * Send an event now, or once the one in flight has been delivered if
+   * messages are waiting
+   */
+  send() {
+    if (this.stopped) return;
+    if (this.sending) {
+      this.sendAgain = this.sendAgain || this.messages.length > 0;
+      return;
+    }
+
+    const event = {
+      elapsedMs: Date.now() - this.startTime,
+      rowsReceived: this.rowsReceived,
+      resultSetsCompleted: this.resultSetsCompleted,
+      messages: this.messages.splice(0)
+    };
+    this.sending = Promise.resolve()
+      .then(() => this.report(event))
+      .catch(err => log.warn(`[Progress] Failed to send progress: ${err.message}`))
+      .then(() => {
+        this.sending = null;
+        if (this.sendAgain) {
+          this.sendAgain = false;
+          this.send();
+        }
+      });
+  }
+
+  /**
+   * Run an execution in streaming mode so its rows are counted as they are
+   * read, putting them back into its result sets
+   *
+   * @param {Function} run - Starts the execution: (stream) => Promise<result>
+   * @param {number} [batchSize] - Rows per stream batch
+   * @returns {Promise<Object>} The driver's result, with rows as if not streamed
+   */
+  async collect(run, batchSize) {
+    const collected = [];
+    const stream = new ResultStream(this.track(async (event) => {
+      if (event.type === 'columns') {
+        collected[event.resultSetIndex] = [];
+      } else if (event.type === 'rows') {
+        event.rows.forEach(row => collected[event.resultSetIndex].push(row));
+      }
+    }), { batchSize });
+
+    const result = await run(stream);
+    (result.resultSets || []).forEach((set, index) => {
+      if (!set.streamed) return;
+      delete set.streamed;
+      set.rows = collected[index] || [];
+      set.rowCount = set.rows.length;
+    });
+    return result;
+  }
+}
+
+module.exports = ExecutionProgress;
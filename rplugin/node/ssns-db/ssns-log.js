@@ -1,8 +1,165 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
-// Log file path (matches the frontend log location)
-const LOG_PATH = path.join(process.env.LOCALAPPDATA || process.env.HOME || '.', 'nvim-data', 'ssns_debug.log');
+/**
+ * Node host logger
+ *
+ * Lines below the configured level are dropped. Every line is redacted
+ * (registered secrets and password-like fields) before it is written, tagged
+ * with the correlation ID of the Lua request being served (see
+ * withCorrelation()), and the file is rotated by size.
+ *
+ * Settings come from SSNS_LOG_* environment variables (Lua sets them before
+ * the host starts, see nvim-ssns.debug) and can be changed live with
+ * configure() (SSNSSetLogConfig).
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+
+const DEFAULT_SETTINGS = {
+  level: 'info',
+  format: 'text',            // 'text' or 'json' (one JSON object per line)
+  maxBytes: 5 * 1024 * 1024, // Rotate when the file would grow past this
+  maxFiles: 3,               // Rotated files kept: node.log.1 .. node.log.<maxFiles>
+  path: null                 // Default: defaultLogPath()
+};
+
+// Fields whose values are never logged, in JSON, connection strings and inspected objects
+const SECRET_FIELDS = 'password|passwd|pwd|passphrase|secret|token|api[_-]?key';
+const REDACTIONS = [
+  [new RegExp(`("(?:${SECRET_FIELDS})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"`, 'gi'), '$1"***"'],
+  [new RegExp(`(\\b(?:${SECRET_FIELDS})\\s*:\\s*)'(?:[^'\\\\]|\\\\.)*'`, 'gi'), "$1'***'"],
+  [new RegExp(`(\\b(?:${SECRET_FIELDS})\\s*=\\s*)(?:\\{[^}]*\\}|[^;\\s]*)`, 'gi'), '$1***'],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^:/@\s]+:)[^@/\s]+@/gi, '$1***@']
+];
+
+// Shortest registered secret that is redacted wherever it appears
+const MIN_SECRET_LENGTH = 3;
+
+let settings = settingsFromEnv();
+let currentSize = null;
+
+// Resolved passwords and other values to blank out of every line
+const secrets = new Set();
+
+// Correlation ID of the request being served, across its async work
+const correlation = new AsyncLocalStorage();
+
+/**
+ * Default log file: Neovim's state directory (XDG_STATE_HOME on Unix,
+ * LOCALAPPDATA on Windows), honouring NVIM_APPNAME
+ * @returns {string}
+ */
+function defaultLogPath() {
+  const appName = process.env.NVIM_APPNAME || 'nvim';
+  const stateDir = process.platform === 'win32'
+    ? path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), `${appName}-data`)
+    : path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), appName);
+  return path.join(stateDir, 'nvim-ssns', 'node.log');
+}
+
+/**
+ * Read settings from SSNS_LOG_LEVEL, SSNS_LOG_FORMAT, SSNS_LOG_MAX_BYTES,
+ * SSNS_LOG_MAX_FILES and SSNS_LOG_PATH
+ * @returns {Object}
+ */
+function settingsFromEnv() {
+  const env = process.env;
+  return normalizeSettings({
+    level: env.SSNS_LOG_LEVEL,
+    format: env.SSNS_LOG_FORMAT,
+    maxBytes: env.SSNS_LOG_MAX_BYTES && Number(env.SSNS_LOG_MAX_BYTES),
+    maxFiles: env.SSNS_LOG_MAX_FILES && Number(env.SSNS_LOG_MAX_FILES),
+    path: env.SSNS_LOG_PATH
+  }, DEFAULT_SETTINGS);
+}
+
+/**
+ * Merge valid settings over a base, ignoring unknown or invalid values
+ * @param {Object} changes
+ * @param {Object} base
+ * @returns {Object}
+ */
+function normalizeSettings(changes, base) {
+  const next = Object.assign({}, base);
+  if (changes.level && changes.level in LEVELS) next.level = changes.level;
+  if (changes.format === 'text' || changes.format === 'json') next.format = changes.format;
+  if (Number.isFinite(changes.maxBytes) && changes.maxBytes > 0) next.maxBytes = changes.maxBytes;
+  if (Number.isInteger(changes.maxFiles) && changes.maxFiles >= 0) next.maxFiles = changes.maxFiles;
+  if (typeof changes.path === 'string' && changes.path !== '') next.path = changes.path;
+  return next;
+}
+
+/**
+ * Change logger settings
+ * @param {Object} changes - { level, format, maxBytes, maxFiles, path } (any subset)
+ * @returns {Object} Settings now in effect, with the resolved path
+ */
+function configure(changes = {}) {
+  const next = normalizeSettings(changes, settings);
+  if (next.path !== settings.path) {
+    currentSize = null;
+  }
+  settings = next;
+  return Object.assign({}, settings, { path: getLogPath() });
+}
+
+/**
+ * Get the log file path
+ * @returns {string}
+ */
+function getLogPath() {
+  return settings.path || defaultLogPath();
+}
+
+/**
+ * Blank a value out of every later log line (resolved passwords)
+ * @param {string} value
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Remove secrets from a message
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+  let result = String(text);
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join('***');
+    }
+  }
+  for (const [pattern, replacement] of REDACTIONS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Run a function with a correlation ID attached to everything it logs,
+ * including its async continuations
+ * @param {string} id - Correlation ID (the Lua request's ID)
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+function withCorrelation(id, fn) {
+  return correlation.run(id, fn);
+}
+
+/**
+ * Get the correlation ID of the request being served
+ * @returns {string|null}
+ */
+function getCorrelationId() {
+  return correlation.getStore() || null;
+}
 
 function getTimestamp() {
   const now = new Date();
@@ -12,16 +169,91 @@ function getTimestamp() {
 }
 
 /**
- * Log a message to the debug log file with [NODE] prefix and timestamp
- * @param {string} msg
+ * Shift node.log -> node.log.1 -> ... -> node.log.<maxFiles>, dropping the oldest
+ * @param {string} file - Log file
  */
-function ssnsLog(msg) {
-  const line = `${getTimestamp()} [NODE] ${msg}`;
+function rotate(file) {
+  if (settings.maxFiles === 0) {
+    fs.truncateSync(file, 0);
+    return;
+  }
+  for (let index = settings.maxFiles - 1; index >= 1; index--) {
+    if (fs.existsSync(`${file}.${index}`)) {
+      fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+    }
+  }
+  fs.renameSync(file, `${file}.1`);
+}
+
+/**
+ * Append a line, rotating first when it would take the file past maxBytes
+ * @param {string} line - Line without newline
+ */
+function write(line) {
+  const file = getLogPath();
+  const bytes = Buffer.byteLength(line) + 1;
+
+  if (currentSize === null) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    currentSize = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  }
+  if (currentSize > 0 && currentSize + bytes > settings.maxBytes) {
+    rotate(file);
+    currentSize = 0;
+  }
+
+  fs.appendFileSync(file, line + '\n', { encoding: 'utf8' });
+  currentSize += bytes;
+}
+
+/**
+ * Log a message at a level
+ * @param {string} level - One of LEVELS
+ * @param {string} msg - Message
+ * @param {Object} [fields] - Extra fields (JSON format only)
+ */
+function logAt(level, msg, fields = null) {
+  if (LEVELS[level] > LEVELS[settings.level]) {
+    return;
+  }
+
+  const cid = getCorrelationId();
+  const text = redact(msg);
+  const line = settings.format === 'json'
+    ? redact(JSON.stringify(Object.assign({ ts: new Date().toISOString(), level, cid, msg: text }, fields || {})))
+    : `${getTimestamp()} [NODE] ${level.toUpperCase().padEnd(5)}${cid ? ` [${cid}]` : ''} ${text}`;
+
   try {
-    fs.appendFileSync(LOG_PATH, line + '\n', { encoding: 'utf8' });
+    write(line);
   } catch (e) {
     process.stderr.write(line + '\n');
   }
 }
 
-module.exports = { ssnsLog };
+const log = {
+  error: (msg, fields) => logAt('error', msg, fields),
+  warn: (msg, fields) => logAt('warn', msg, fields),
+  info: (msg, fields) => logAt('info', msg, fields),
+  debug: (msg, fields) => logAt('debug', msg, fields),
+  trace: (msg, fields) => logAt('trace', msg, fields)
+};
+
+/**
+ * Log a debug message (the host's chatty tracing; see log for other levels)
+ * @param {string} msg
+ */
+function ssnsLog(msg) {
+  logAt('debug', msg);
+}
+
+module.exports = {
+  LEVELS,
+  ssnsLog,
+  log,
+  configure,
+  getLogPath,
+  registerSecret,
+  redact,
+  withCorrelation,
+  getCorrelationId
+};
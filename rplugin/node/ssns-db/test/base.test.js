@@ -0,0 +1,48 @@
+const BaseDriver = require('../drivers/base');
+
+describe('BaseDriver cancellation', () => {
+  let driver;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    driver = new BaseDriver({ type: 'test', server: {} });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('cancels an execution that starts after the cancel', async () => {
+    expect(await driver.cancel('exec-1')).toBe(true);
+
+    const cancelFn = jest.fn(async () => {});
+    const handle = driver.trackExecution('exec-1', cancelFn);
+    expect(handle.cancelled).toBe(true);
+    expect(cancelFn).toHaveBeenCalled();
+
+    driver.untrackExecution('exec-1');
+    expect(driver.activeExecutions.size).toBe(0);
+  });
+
+  test('keeps an early cancel past its expiry once the execution started', async () => {
+    await driver.cancel('exec-1');
+    const handle = driver.trackExecution('exec-1', async () => {});
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(driver.activeExecutions.get('exec-1')).toBe(handle);
+  });
+
+  test('forgets a cancel of an execution that never starts', async () => {
+    await driver.cancel('never-started');
+    expect(driver.activeExecutions.size).toBe(1);
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(driver.activeExecutions.size).toBe(0);
+  });
+
+  test('forgets an early cancel when execute() untracks before starting', async () => {
+    await driver.cancel('exec-1');
+    driver.untrackExecution('exec-1');
+    expect(driver.activeExecutions.size).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
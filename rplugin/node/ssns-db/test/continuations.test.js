@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLiteDriver = require('../drivers/sqlite');
+const Continuations = require('../continuations');
+const { configure } = require('../ssns-log');
+
+let dir;
+let driver;
+let executionCounter = 0;
+
+/**
+ * Run a capped query the way SSNSExecuteQuery does (see executeCapped())
+ */
+function runCapped(sql, maxRows, options = {}) {
+  const executionId = `test-${++executionCounter}`;
+  return Continuations.runCapped(
+    stream => driver.execute(sql, { executionId, stream }),
+    { driver, executionId, maxRows, ...options }
+  );
+}
+
+function rowCount(page) {
+  return page.resultSets.reduce((sum, set) => sum + set.rows.length, 0);
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-continuations-'));
+  configure({ path: path.join(dir, 'node.log'), level: 'error' });
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  driver = new SQLiteDriver({ type: 'sqlite', server: { database: path.join(dir, `test-${Date.now()}.db`) } });
+  await driver.connect();
+  await driver.execute(
+    'CREATE TABLE numbers (n INTEGER NOT NULL); ' +
+    'WITH RECURSIVE c(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM c WHERE n < 2000) ' +
+    'INSERT INTO numbers SELECT n FROM c'
+  );
+});
+
+afterEach(async () => {
+  await Continuations.closeWhere(continuation => continuation.driver === driver);
+  await driver.disconnect();
+});
+
+describe('SQLite continuations', () => {
+  test('a save while a page is pending keeps the paused statement open', async () => {
+    const first = await runCapped('SELECT n FROM numbers ORDER BY n', 500);
+    expect(first.truncated).toBe(true);
+    expect(rowCount(first)).toBe(500);
+
+    // Would export() the database, freeing the paused SELECT
+    const insert = await driver.execute('INSERT INTO numbers VALUES (2001)');
+    expect(insert.error).toBeNull();
+    expect(insert.metadata.messages.map(m => m.message).join('\n')).toMatch(/another query is still reading rows/);
+
+    const rest = await Continuations.fetchMore(first.continuation, 5000);
+    expect(rest.error).toBeNull();
+    expect(rest.truncated).toBe(false);
+    // The SELECT's snapshot may or may not include the new row
+    expect(rowCount(rest)).toBeGreaterThanOrEqual(1500);
+    expect(rest.resultSets[0].rows[0].n).toBe(501);
+
+    // Saved once the SELECT finished
+    expect(driver.isDirty()).toBe(false);
+    const reopened = new SQLiteDriver({ type: 'sqlite', server: { database: driver.dbPath } });
+    await reopened.connect();
+    const count = await reopened.execute('SELECT count(*) AS count FROM numbers');
+    await reopened.disconnect();
+    expect(count.resultSets[0].rows[0].count).toBe(2001);
+  });
+
+  test('flush refuses to save while a page is pending', async () => {
+    const first = await runCapped('SELECT n FROM numbers', 100);
+    await driver.execute('INSERT INTO numbers VALUES (0)');
+
+    const flushed = await driver.flush();
+    expect(flushed.saved).toBe(false);
+    expect(flushed.message).toMatch(/still reading rows/);
+
+    const rest = await Continuations.fetchMore(first.continuation, 5000);
+    expect(rest.error).toBeNull();
+    expect(rest.truncated).toBe(false);
+  });
+
+  test('a file changed by another process is not reloaded under a paused statement', async () => {
+    const first = await runCapped('SELECT n FROM numbers ORDER BY n', 500);
+
+    // Another process rewrites the file
+    const other = new SQLiteDriver({ type: 'sqlite', server: { database: driver.dbPath } });
+    await other.connect();
+    await other.execute('DELETE FROM numbers WHERE n > 1000');
+    await other.disconnect();
+
+    const count = await driver.execute('SELECT count(*) AS count FROM numbers');
+    expect(count.error).toBeNull();
+
+    const rest = await Continuations.fetchMore(first.continuation, 5000);
+    expect(rest.error).toBeNull();
+    expect(rowCount(rest)).toBe(1500);
+
+    // Picked up once nothing is open
+    await driver.execute('SELECT 1');
+    const after = await driver.execute('SELECT count(*) AS count FROM numbers');
+    expect(after.resultSets[0].rows[0].count).toBe(1000);
+  });
+
+  test('closing a continuation saves what other executions changed meanwhile', async () => {
+    const first = await runCapped('SELECT n FROM numbers', 100);
+    await driver.execute('INSERT INTO numbers VALUES (0)');
+    expect(driver.isDirty()).toBe(true);
+
+    expect(await Continuations.closeContinuation(first.continuation)).toBe(true);
+    expect(driver.hasOpenStatements()).toBe(false);
+    expect(driver.isDirty()).toBe(false);
+  });
+});
+
+describe('Continuation paging', () => {
+  test('returns a result that fits the cap whole', async () => {
+    const page = await runCapped('SELECT n FROM numbers WHERE n <= 10', 10);
+    expect(page.truncated).toBe(false);
+    expect(page.continuation).toBeNull();
+    expect(rowCount(page)).toBe(10);
+  });
+
+  test('pages through every row across result sets', async () => {
+    const first = await runCapped('SELECT n FROM numbers WHERE n <= 700 ORDER BY n; SELECT n * 10 AS m FROM numbers WHERE n <= 5', 300);
+    expect(first.truncated).toBe(true);
+    expect(first.resultSets.map(set => set.resultSetIndex)).toEqual([0]);
+
+    const second = await Continuations.fetchMore(first.continuation, 300);
+    expect(second.truncated).toBe(true);
+    expect(second.continuation).toBe(first.continuation);
+    expect(second.resultSets[0].rows[0].n).toBe(301);
+
+    const last = await Continuations.fetchMore(first.continuation, 300);
+    expect(last.truncated).toBe(false);
+    expect(last.continuation).toBeNull();
+    expect(last.resultSets.map(set => [set.resultSetIndex, set.rows.length])).toEqual([[0, 100], [1, 5]]);
+    expect(Object.keys(last.resultSets[1].columns)).toEqual(['m']);
+    expect(last.resultSets[1].rows.map(row => row.m)).toEqual([10, 20, 30, 40, 50]);
+
+    // A finished execution's handle is gone
+    await expect(Continuations.fetchMore(first.continuation, 300))
+      .rejects.toMatchObject({ code: Continuations.UNKNOWN_CONTINUATION });
+  });
+
+  test('closing cancels the execution and forgets the handle', async () => {
+    const first = await runCapped('SELECT n FROM numbers', 100);
+
+    expect(await Continuations.closeContinuation(first.continuation)).toBe(true);
+    expect(await Continuations.closeContinuation(first.continuation)).toBe(false);
+    await expect(Continuations.fetchMore(first.continuation, 100))
+      .rejects.toMatchObject({ code: Continuations.UNKNOWN_CONTINUATION });
+
+    // The connection is free for the next execution
+    const count = await driver.execute('SELECT count(*) AS count FROM numbers');
+    expect(count.resultSets[0].rows[0].count).toBe(2000);
+  });
+
+  test('an idle handle expires', async () => {
+    const first = await runCapped('SELECT n FROM numbers', 100, { idleMs: 20 });
+    expect(first.truncated).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await expect(Continuations.fetchMore(first.continuation, 100))
+      .rejects.toMatchObject({ code: Continuations.UNKNOWN_CONTINUATION });
+    expect(driver.hasOpenStatements()).toBe(false);
+  });
+});
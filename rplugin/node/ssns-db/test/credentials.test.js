@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveCredentials, forgetCredentials, storeSecret } = require('../credentials');
+const { configure } = require('../ssns-log');
+
+let dir;
+let secretsPath;
+const savedEnv = {};
+
+/**
+ * Connection configuration reading its password from a provider
+ */
+function withCredential(credential) {
+  return { type: 'postgres', server: { host: 'db' }, auth: { username: 'app', credential } };
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-credentials-'));
+  configure({ path: path.join(dir, 'node.log'), level: 'error' });
+  secretsPath = path.join(dir, 'nested', 'secrets.json.enc');
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  for (const name of ['SSNS_SECRETS_PASSPHRASE', 'SSNS_TEST_PASSWORD']) {
+    savedEnv[name] = process.env[name];
+  }
+  process.env.SSNS_SECRETS_PASSPHRASE = 'correct horse';
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+describe('encrypted secrets file', () => {
+  test('stores secrets that the file provider reads back', async () => {
+    expect(await storeSecret('prod', 's3cret-prod', secretsPath)).toBe(secretsPath);
+    await storeSecret('test', 's3cret-test', secretsPath);
+
+    const resolved = await resolveCredentials(withCredential({ provider: 'file', name: 'prod', path: secretsPath }));
+    expect(resolved.auth.password).toBe('s3cret-prod');
+    const other = await resolveCredentials(withCredential({ provider: 'file', name: 'test', path: secretsPath }));
+    expect(other.auth.password).toBe('s3cret-test');
+  });
+
+  test('keeps the secrets encrypted and the file private', async () => {
+    await storeSecret('prod', 's3cret-prod', secretsPath);
+
+    const text = fs.readFileSync(secretsPath, 'utf8');
+    expect(text).not.toMatch(/s3cret|prod/);
+    expect(JSON.parse(text)).toMatchObject({ version: 1, kdf: 'scrypt' });
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(secretsPath).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  test('replaces a stored secret', async () => {
+    const config = withCredential({ provider: 'file', name: 'rotated', path: secretsPath });
+    await storeSecret('rotated', 'old', secretsPath);
+    expect((await resolveCredentials(config)).auth.password).toBe('old');
+
+    await storeSecret('rotated', 'new', secretsPath);
+    expect((await resolveCredentials(config)).auth.password).toBe('new');
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    await storeSecret('prod', 's3cret-prod', secretsPath);
+    process.env.SSNS_SECRETS_PASSPHRASE = 'wrong';
+
+    await expect(resolveCredentials(withCredential({ provider: 'file', name: 'prod', path: secretsPath, ttl_ms: 0 })))
+      .rejects.toThrow('wrong passphrase or corrupted file');
+  });
+
+  test('reports a missing secret or file', async () => {
+    await storeSecret('prod', 's3cret-prod', secretsPath);
+
+    await expect(resolveCredentials(withCredential({ provider: 'file', name: 'nope', path: secretsPath })))
+      .rejects.toThrow(`Could not get the password for app@db from "file": No secret named "nope" in ${secretsPath}`);
+    await expect(resolveCredentials(withCredential({ provider: 'file', name: 'prod', path: path.join(dir, 'none.enc') })))
+      .rejects.toThrow('does not exist');
+  });
+});
+
+describe('resolveCredentials', () => {
+  test('leaves a configuration without a credential alone', async () => {
+    const config = { type: 'sqlite', server: { database: ':memory:' } };
+    expect(await resolveCredentials(config)).toBe(config);
+  });
+
+  test('reads environment variables and caches them until forgotten', async () => {
+    process.env.SSNS_TEST_PASSWORD = 'first';
+    const config = withCredential({ provider: 'env', variable: 'SSNS_TEST_PASSWORD' });
+    const resolved = await resolveCredentials(config);
+    expect(resolved.auth).toEqual({ username: 'app', credential: config.auth.credential, password: 'first' });
+    expect(config.auth.password).toBeUndefined();
+
+    process.env.SSNS_TEST_PASSWORD = 'second';
+    expect((await resolveCredentials(config)).auth.password).toBe('first');
+    forgetCredentials(config);
+    expect((await resolveCredentials(config)).auth.password).toBe('second');
+  });
+
+  test('rejects unknown providers and missing fields', async () => {
+    await expect(resolveCredentials(withCredential({ provider: 'vault' })))
+      .rejects.toThrow('Unknown credential provider "vault"');
+    await expect(resolveCredentials(withCredential({ provider: 'file' })))
+      .rejects.toThrow('Credential provider "file" needs a name');
+  });
+
+  test('cannot prompt outside Neovim', async () => {
+    await expect(resolveCredentials(withCredential({ provider: 'prompt' })))
+      .rejects.toThrow('Cannot prompt for a credential outside Neovim');
+  });
+});
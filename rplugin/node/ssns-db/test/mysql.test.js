@@ -0,0 +1,117 @@
+const { EventEmitter } = require('events');
+const MySQLDriver = require('../drivers/mysql');
+
+// mysql2 wire type of LONG (INT) columns
+const LONG = 3;
+
+/**
+ * Driver over a connection double answering each statement from `replies`:
+ * { rows } for queries, { affectedRows, warnings } for DML or { error },
+ * plus { showWarnings } for what SHOW WARNINGS lists after it
+ */
+function fakeDriver(replies) {
+  const sent = [];
+  let lastReply = null;
+
+  const core = {
+    pause() {},
+    resume() {},
+    query({ sql }) {
+      sent.push(sql);
+      const reply = replies[sql];
+      lastReply = reply;
+      const q = new EventEmitter();
+      setImmediate(() => {
+        if (reply.error) {
+          q.emit('error', Object.assign(new Error(reply.error.message), reply.error));
+          return;
+        }
+        if (reply.rows) {
+          q.emit('fields', [{ name: 'n', type: LONG, flags: 0, columnLength: 11, characterSet: 63, decimals: 0 }]);
+          reply.rows.forEach(row => q.emit('result', row));
+        } else {
+          q.emit('fields', undefined);
+          q.emit('result', { affectedRows: reply.affectedRows, warningStatus: reply.warnings || 0 });
+        }
+        q.emit('end');
+      });
+      return q;
+    }
+  };
+  const connection = {
+    threadId: 7,
+    connection: core,
+    release() {},
+    async query(sql) {
+      sent.push(sql);
+      const rows = (lastReply && lastReply.showWarnings) || [];
+      return [rows.map(([Level, Code, Message]) => ({ Level, Code, Message }))];
+    }
+  };
+
+  const driver = new MySQLDriver({ type: 'mysql', server: {} });
+  driver.isConnected = true;
+  driver.pool = { getConnection: async () => connection, query: async () => [[]] };
+  return { driver, sent };
+}
+
+describe('MySQLDriver warnings', () => {
+  const truncated = ['Warning', 1265, "Data truncated for column 'a' at row 1"];
+
+  test('reads the warnings of every statement of a script', async () => {
+    const { driver, sent } = fakeDriver({
+      "INSERT INTO t VALUES ('too long')": { affectedRows: 1, warnings: 1, showWarnings: [truncated] },
+      'UPDATE t SET a = 1': { affectedRows: 2 },
+      'SELECT n FROM t': { rows: [{ n: 1 }], showWarnings: [['Note', 1003, 'a note']] }
+    });
+
+    const result = await driver.execute("INSERT INTO t VALUES ('too long');\nUPDATE t SET a = 1;\nSELECT n FROM t");
+
+    expect(result.error).toBeNull();
+    expect(sent).toEqual([
+      "INSERT INTO t VALUES ('too long')", 'SHOW WARNINGS',
+      'UPDATE t SET a = 1',
+      'SELECT n FROM t', 'SHOW WARNINGS'
+    ]);
+    expect(result.metadata.statements.map(statement => statement.messages)).toEqual([
+      [{ message: "Data truncated for column 'a' at row 1", severity: 'warning', code: 1265 }],
+      undefined,
+      [{ message: 'a note', severity: 'notice', code: 1003 }]
+    ]);
+    expect(result.metadata.rowsAffected).toEqual([1, 2]);
+    expect(result.resultSets[0].rows).toEqual([{ n: 1 }]);
+  });
+
+  test('stops at a failing statement, keeping its warnings and locating its error', async () => {
+    const { driver, sent } = fakeDriver({
+      'UPDATE t SET a = 1': { affectedRows: 1, warnings: 1, showWarnings: [truncated] },
+      'SELEC\n  oops': {
+        error: { message: "You have an error in your SQL syntax; check the manual near 'oops' at line 2", errno: 1064 },
+        showWarnings: [['Error', 1064, 'syntax']]
+      }
+    });
+
+    const result = await driver.execute('UPDATE t SET a = 1;\n\nSELEC\n  oops;\nSELECT 2');
+
+    expect(sent).toEqual(['UPDATE t SET a = 1', 'SHOW WARNINGS', 'SELEC\n  oops', 'SHOW WARNINGS']);
+    expect(result.error).toMatchObject({ code: 1064, lineNumber: 4, column: 3, statement: 1 });
+    expect(result.metadata.statements[0].messages).toHaveLength(1);
+    expect(result.metadata.statements[1].messages).toEqual([
+      { message: expect.stringMatching(/^You have an error/), severity: 'error', code: 1064 }
+    ]);
+  });
+
+  test('does not run the next statement once cancelled', async () => {
+    const { driver, sent } = fakeDriver({
+      'SELECT SLEEP(1)': { rows: [{ n: 0 }] },
+      'DELETE FROM t': { affectedRows: 3 }
+    });
+    const running = driver.execute('SELECT SLEEP(1); DELETE FROM t', { executionId: 'exec-1' });
+    await new Promise(resolve => setImmediate(resolve));
+    await driver.cancel('exec-1');
+
+    const result = await running;
+    expect(result.cancelled).toBe(true);
+    expect(sent).not.toContain('DELETE FROM t');
+  });
+});
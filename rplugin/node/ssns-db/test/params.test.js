@@ -0,0 +1,171 @@
+const {
+  parseTypeHint,
+  inferParamType,
+  coerceValue,
+  normalizeParams,
+  rewritePlaceholders,
+  toOrdinalParams,
+  toOriginalOffset
+} = require('../drivers/params');
+
+const dollar = n => `$${n}`;
+
+describe('parseTypeHint', () => {
+  test('reads precision and scale', () => {
+    expect(parseTypeHint('decimal(10, 2)')).toMatchObject({ name: 'decimal', precision: 10, scale: 2, max: false });
+  });
+
+  test('reads max lengths', () => {
+    expect(parseTypeHint('NVARCHAR(MAX)')).toMatchObject({ name: 'nvarchar', length: null, max: true });
+  });
+});
+
+describe('inferParamType', () => {
+  test.each([
+    [1, 'int'],
+    [2 ** 40, 'bigint'],
+    [1.5, 'float'],
+    [true, 'bit'],
+    [10n, 'bigint'],
+    [new Date(0), 'datetime2'],
+    [Buffer.from('a'), 'varbinary'],
+    ['text', 'nvarchar'],
+    [null, 'nvarchar']
+  ])('%p is %s', (value, type) => {
+    expect(inferParamType(value)).toBe(type);
+  });
+});
+
+describe('coerceValue', () => {
+  test('turns hex strings into buffers for binary types', () => {
+    expect(coerceValue('0x0aff', 'varbinary')).toEqual(Buffer.from([0x0a, 0xff]));
+  });
+
+  test('turns strings into booleans and integers', () => {
+    expect(coerceValue('1', 'bit')).toBe(true);
+    expect(coerceValue('42', 'int')).toBe(42);
+  });
+});
+
+describe('normalizeParams', () => {
+  test('returns null without parameters', () => {
+    expect(normalizeParams(null)).toBeNull();
+    expect(normalizeParams([])).toBeNull();
+  });
+
+  test('strips name prefixes and applies hints', () => {
+    const normalized = normalizeParams({ '@id': { value: '7', type: 'int' }, ':name': 'x' });
+    expect(normalized.named).toBe(true);
+    expect(normalized.list).toEqual([
+      { name: 'id', value: 7, type: 'int', hint: expect.objectContaining({ name: 'int' }) },
+      { name: 'name', value: 'x', type: 'nvarchar', hint: null }
+    ]);
+  });
+});
+
+describe('rewritePlaceholders', () => {
+  test('skips strings, quoted identifiers and comments', () => {
+    const sql = "SELECT ?, '?', \"a?\", [b?] -- ?\n/* ? */ FROM t WHERE x = :x AND y::int = @@rowcount";
+    const rewritten = rewritePlaceholders(sql, 'sqlserver', new Set(['x']), (kind, name) =>
+      kind === 'positional' ? 'P' : `N(${name})`
+    );
+    expect(rewritten).toBe("SELECT P, '?', \"a?\", [b?] -- ?\n/* ? */ FROM t WHERE x = N(x) AND y::int = @@rowcount");
+  });
+});
+
+describe('rewritePlaceholders dialects', () => {
+  const mark = kind => (kind === 'positional' ? 'P' : undefined);
+
+  test('quotes identifiers with brackets and backticks only where the dialect does', () => {
+    expect(rewritePlaceholders('SELECT [a?], `b?`', 'sqlserver', new Set(), mark)).toBe('SELECT [a?], `bP`');
+    expect(rewritePlaceholders('SELECT `b?`, [a?]', 'mysql', new Set(), mark)).toBe('SELECT `b?`, [aP]');
+    expect(rewritePlaceholders('SELECT [a?], `b?`', 'sqlite', new Set(), mark)).toBe('SELECT [a?], `b?`');
+  });
+
+  test('binds Postgres array constructors and subscripts', () => {
+    expect(rewritePlaceholders('SELECT ARRAY[?, ?] WHERE tags[?] = ?', 'postgres', new Set(), mark))
+      .toBe('SELECT ARRAY[P, P] WHERE tags[P] = P');
+  });
+
+  test('skips Postgres dollar-quoted bodies', () => {
+    const sql = 'CREATE FUNCTION f(x int) RETURNS int AS $body$ SELECT ? + :x $body$ LANGUAGE sql; SELECT $$?$$, ?';
+    expect(rewritePlaceholders(sql, 'postgres', null, kind => (kind === 'positional' ? 'P' : 'N')))
+      .toBe('CREATE FUNCTION f(x int) RETURNS int AS $body$ SELECT ? + :x $body$ LANGUAGE sql; SELECT $$?$$, P');
+  });
+});
+
+describe('toOrdinalParams', () => {
+  test('numbers positional placeholders', () => {
+    const { sql, params } = toOrdinalParams('SELECT ?, ?', 'postgres', normalizeParams([1, 'a']), dollar);
+    expect(sql).toBe('SELECT $1, $2');
+    expect(params.map(p => p.value)).toEqual([1, 'a']);
+  });
+
+  test('orders named parameters by use, repeating reused names', () => {
+    const { sql, params } = toOrdinalParams(
+      'SELECT :b, @a, :B',
+      'postgres',
+      normalizeParams({ a: 1, b: 2 }),
+      dollar
+    );
+    expect(sql).toBe('SELECT $1, $2, $3');
+    expect(params.map(p => p.value)).toEqual([2, 1, 2]);
+  });
+
+  test('counts Postgres ARRAY[?] placeholders', () => {
+    const { sql, params } = toOrdinalParams('SELECT ARRAY[?, ?]', 'postgres', normalizeParams([1, 2]), dollar);
+    expect(sql).toBe('SELECT ARRAY[$1, $2]');
+    expect(params.map(p => p.value)).toEqual([1, 2]);
+  });
+
+  test('does not count ? inside Postgres dollar quotes', () => {
+    const { sql } = toOrdinalParams('DO $$ BEGIN PERFORM ?; END $$; SELECT ?', 'postgres', normalizeParams([1]), dollar);
+    expect(sql).toBe('DO $$ BEGIN PERFORM ?; END $$; SELECT $1');
+  });
+
+  test('leaves SQL without ? placeholders to the driver', () => {
+    const { sql, params } = toOrdinalParams('SELECT $1, $2', 'postgres', normalizeParams([1, 2]), dollar);
+    expect(sql).toBe('SELECT $1, $2');
+    expect(params).toEqual([]);
+  });
+
+  test('rejects fewer values than ? placeholders', () => {
+    expect(() => toOrdinalParams('SELECT ?, ?', 'postgres', normalizeParams([1]), dollar))
+      .toThrow('Query has 2 ? placeholders but 1 parameter value was given');
+  });
+
+  test('rejects more values than ? placeholders', () => {
+    expect(() => toOrdinalParams('SELECT ?', 'postgres', normalizeParams([1, 2]), dollar))
+      .toThrow('Query has 1 ? placeholder but 2 parameter values were given');
+  });
+
+  test('rejects a :name without a value', () => {
+    expect(() => toOrdinalParams('SELECT :a, :missing', 'postgres', normalizeParams({ a: 1 }), dollar))
+      .toThrow('No value given for parameter :missing');
+  });
+
+  test('leaves an @name without a value alone (it may be a variable)', () => {
+    const { sql } = toOrdinalParams('DECLARE @x int = @a; SELECT @x', 'sqlserver', normalizeParams({ a: 1 }), () => '?');
+    expect(sql).toBe('DECLARE @x int = ?; SELECT @x');
+  });
+});
+
+describe('toOriginalOffset', () => {
+  const original = 'SELECT :name, x FROM t WHERE y = :other';
+  const { sql, edits } = toOrdinalParams(original, 'postgres', normalizeParams({ name: 1, other: 2 }), dollar);
+
+  test('maps offsets after replacements back', () => {
+    expect(sql).toBe('SELECT $1, x FROM t WHERE y = $2');
+    expect(original[toOriginalOffset(edits, sql.indexOf('x'))]).toBe('x');
+    expect(toOriginalOffset(edits, sql.indexOf('FROM'))).toBe(original.indexOf('FROM'));
+  });
+
+  test('maps offsets inside a replacement to its placeholder', () => {
+    expect(toOriginalOffset(edits, sql.indexOf('$2') + 1)).toBe(original.indexOf(':other'));
+  });
+
+  test('leaves offsets before any replacement alone', () => {
+    expect(toOriginalOffset(edits, 3)).toBe(3);
+    expect(toOriginalOffset([], 12)).toBe(12);
+  });
+});
@@ -0,0 +1,145 @@
+const Cursor = require('pg-cursor');
+const PostgresDriver = require('../drivers/postgres');
+const ResultStream = require('../drivers/stream');
+const { normalizeParams } = require('../drivers/params');
+
+const INT4 = 23;
+
+/**
+ * Client double: cursors read `cursorRows` (or fail with `cursorError`),
+ * simple queries return `results`
+ */
+function fakeClient({ results = [], cursorRows = [], cursorError = null, transactionStatus = 'I' } = {}) {
+  const client = {
+    sent: [],
+    getTransactionStatus: () => transactionStatus,
+    query(query) {
+      if (query instanceof Cursor) {
+        client.sent.push({ cursor: query.text });
+        let done = false;
+        query.read = (count, callback) => {
+          if (cursorError) return callback(cursorError);
+          const rows = done ? [] : cursorRows;
+          done = true;
+          callback(null, rows, { command: 'SELECT', rowCount: rows.length, fields: [{ name: 'x', dataTypeID: INT4, tableID: 0 }] });
+        };
+        query.close = async () => {};
+        return query;
+      }
+      client.sent.push({ text: query.text });
+      return Promise.resolve(results.length === 1 ? results[0] : results);
+    }
+  };
+  return client;
+}
+
+function collectingStream() {
+  const events = [];
+  const stream = new ResultStream(async event => { events.push(event); }, { batchSize: 10 });
+  return { stream, events };
+}
+
+describe('PostgresDriver.executeStreaming', () => {
+  const driver = new PostgresDriver({ type: 'postgres', server: {} });
+
+  test('streams a single statement through a cursor', async () => {
+    const client = fakeClient({ cursorRows: [{ x: 1 }, { x: 2 }] });
+    const { stream, events } = collectingStream();
+
+    const { resultSets } = await driver.executeStreaming(client, 'SELECT x FROM t', stream);
+
+    expect(client.sent).toEqual([{ cursor: 'SELECT x FROM t' }]);
+    expect(resultSets[0].rowCount).toBe(2);
+    expect(events.filter(e => e.type === 'rows').flatMap(e => e.rows)).toEqual([{ x: 1 }, { x: 2 }]);
+  });
+
+  test('sends a script of several statements as a simple query, without a cursor', async () => {
+    const client = fakeClient({
+      results: [
+        { command: 'INSERT', rowCount: 1, fields: [], rows: [] },
+        { command: 'SELECT', rowCount: 1, fields: [{ name: 'x', dataTypeID: INT4, tableID: 0 }], rows: [{ x: 1 }] }
+      ]
+    });
+    const { stream } = collectingStream();
+
+    const { results, resultSets } = await driver.executeStreaming(client, "INSERT INTO t VALUES (1); SELECT ';' AS x", stream);
+
+    expect(client.sent).toEqual([{ text: "INSERT INTO t VALUES (1); SELECT ';' AS x" }]);
+    expect(results).toHaveLength(2);
+    expect(resultSets).toHaveLength(1);
+  });
+
+  test('does not retry a rejected cursor inside a transaction block', async () => {
+    const error = Object.assign(new Error('cannot insert multiple commands into a prepared statement'), { code: '42601' });
+    const client = fakeClient({ cursorError: error, transactionStatus: 'T' });
+    const { stream } = collectingStream();
+
+    await expect(driver.executeStreaming(client, 'SELECT 1', stream)).rejects.toBe(error);
+    expect(client.sent).toEqual([{ cursor: 'SELECT 1' }]);
+  });
+});
+
+describe('PostgresDriver.locatePosition', () => {
+  const driver = new PostgresDriver({ type: 'postgres', server: {} });
+
+  test('maps positions in the rewritten SQL back to the placeholders Lua sent', () => {
+    const query = 'SELECT :first,\n  :second FORM t';
+    const { sql, edits } = driver.bindParams(query, normalizeParams({ first: 1, second: { value: 2, type: 'int' } }));
+    expect(sql).toBe('SELECT $1,\n  $2::int FORM t');
+
+    // The server reports 1-based character positions of the text it received
+    const position = String(sql.indexOf('FORM') + 1);
+    expect(driver.locatePosition(query, position, edits)).toEqual({ lineNumber: 2, column: 11 });
+    expect(driver.locatePosition(query, String(sql.indexOf('::int') + 1), edits)).toEqual({ lineNumber: 2, column: 3 });
+  });
+
+  test('uses the position as is without parameters', () => {
+    expect(driver.locatePosition('SELECT\nFORM', '8')).toEqual({ lineNumber: 2, column: 1 });
+    expect(driver.locatePosition('SELECT 1', 'x')).toBeNull();
+  });
+});
+
+describe('PostgresDriver.execute timeouts', () => {
+  /**
+   * Driver whose pooled client fails its query with 57014 after `failAfterMs`,
+   * worded as a server with lc_messages = 'de_DE' would
+   */
+  function cancellingDriver(failAfterMs) {
+    const driver = new PostgresDriver({ type: 'postgres', server: {} });
+    const client = {
+      processID: 42,
+      getTransactionStatus: () => 'I',
+      on() {},
+      removeListener() {},
+      connection: { on() {}, removeListener() {} },
+      release() {},
+      query(query) {
+        const text = typeof query === 'string' ? query : query.text;
+        if (/^SHOW statement_timeout/.test(text)) {
+          return Promise.resolve([{ rows: [{ statement_timeout: '0' }] }, {}]);
+        }
+        if (/set_config/.test(text)) {
+          return Promise.resolve({ rows: [] });
+        }
+        return new Promise((resolve, reject) => setTimeout(() => reject(Object.assign(
+          new Error('storniere Anfrage wegen Zeitüberschreitung der Anweisung'), { code: '57014' }
+        )), failAfterMs));
+      }
+    };
+    driver.pool = { connect: async () => client, query: async () => ({ rows: [] }) };
+    driver.isConnected = true;
+    return driver;
+  }
+
+  test('reports a timeout whatever language the server words it in', async () => {
+    const result = await cancellingDriver(60).execute('SELECT pg_sleep(10)', { timeoutMs: 30 });
+    expect(result.timedOut).toBe(true);
+    expect(result.error).toMatchObject({ code: 'ETIMEOUT', category: 'timeout' });
+  });
+
+  test('does not report a cancel from elsewhere before the timeout as one', async () => {
+    const result = await cancellingDriver(5).execute('SELECT pg_sleep(10)', { timeoutMs: 10000 });
+    expect(result.timedOut).toBeUndefined();
+    expect(result.error.code).toBe('57014');
+  });
+});
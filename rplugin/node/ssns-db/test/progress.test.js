@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExecutionProgress = require('../progress');
+const { serverMessage } = require('../drivers/statements');
+const { configure } = require('../ssns-log');
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-progress-'));
+  configure({ path: path.join(dir, 'node.log'), level: 'error' });
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('ExecutionProgress', () => {
+  test('collects streamed rows back into the result, counting them', async () => {
+    const events = [];
+    const progress = new ExecutionProgress(async event => { events.push(event); });
+
+    const result = await progress.collect(async stream => {
+      stream.beginResultSet({ n: { index: 0 } });
+      [1, 2, 3].forEach(n => stream.pushRow({ n }));
+      stream.beginResultSet({ m: { index: 0 } });
+      stream.pushRow({ m: 1 });
+      return { resultSets: await stream.finish(), error: null };
+    }, 2);
+
+    expect(result.resultSets).toEqual([
+      { columns: { n: { index: 0 } }, rows: [{ n: 1 }, { n: 2 }, { n: 3 }], rowCount: 3 },
+      { columns: { m: { index: 0 } }, rows: [{ m: 1 }], rowCount: 1 }
+    ]);
+    expect(progress.rowsReceived).toBe(4);
+    expect(progress.resultSetsCompleted).toBe(2);
+    // Counted without sending anything
+    expect(events).toEqual([]);
+  });
+
+  test('sends messages right away, batching those that arrive while one is in flight', async () => {
+    const events = [];
+    let deliver;
+    const progress = new ExecutionProgress(event => {
+      events.push(event);
+      return new Promise(resolve => { deliver = resolve; });
+    });
+
+    progress.message(serverMessage('first', 'info'));
+    await new Promise(resolve => setImmediate(resolve));
+    progress.message(serverMessage('second', 'info'));
+    progress.message(serverMessage('third', 'warning'));
+    expect(events).toHaveLength(1);
+
+    deliver();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events.map(event => event.messages.map(m => m.message))).toEqual([['first'], ['second', 'third']]);
+
+    const stopping = progress.stop();
+    deliver();
+    await stopping;
+    progress.message(serverMessage('late', 'info'));
+    expect(events).toHaveLength(2);
+  });
+
+  test('sends periodic events until stopped', async () => {
+    const events = [];
+    const progress = new ExecutionProgress(async event => { events.push(event); }, { intervalMs: 10 });
+    progress.start();
+    progress.observe({ type: 'rows', rows: [{}, {}] });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await progress.stop();
+    const sent = events.length;
+    expect(sent).toBeGreaterThan(0);
+    expect(events[0]).toMatchObject({ rowsReceived: 2, resultSetsCompleted: 0, messages: [] });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(events).toHaveLength(sent);
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log, configure, registerSecret, redact, withCorrelation } = require('../ssns-log');
+
+let dir;
+let logCounter = 0;
+
+/**
+ * Point the logger at a fresh file
+ */
+function freshLog(settings = {}) {
+  const file = path.join(dir, `node-${++logCounter}.log`);
+  configure(Object.assign({ path: file, level: 'info', format: 'text', maxBytes: 1024 * 1024, maxFiles: 3 }, settings));
+  return file;
+}
+
+function lines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-log-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('redact', () => {
+  test('blanks password-like fields in JSON, objects and connection strings', () => {
+    expect(redact('{"user":"sa","password":"p\\"w"}')).toBe('{"user":"sa","password":"***"}');
+    expect(redact("{ token: 'abc', host: 'db' }")).toBe("{ token: '***', host: 'db' }");
+    expect(redact('Server=db;User Id=sa;Password=hunter2;Pwd={a;b}')).toBe('Server=db;User Id=sa;Password=***;Pwd=***');
+  });
+
+  test('blanks credentials in URLs', () => {
+    expect(redact('connecting to postgres://app:hunter2@db:5432/main'))
+      .toBe('connecting to postgres://app:***@db:5432/main');
+  });
+
+  test('blanks registered secrets wherever they appear', () => {
+    registerSecret('Tr0ub4dor');
+    registerSecret('ab');
+    expect(redact('login failed for Tr0ub4dor (Tr0ub4dor)')).toBe('login failed for *** (***)');
+    // Too short to blank out safely
+    expect(redact('table ab')).toBe('table ab');
+  });
+});
+
+describe('log', () => {
+  test('drops lines below the level and redacts the rest', () => {
+    const file = freshLog({ level: 'warn' });
+    log.info('not written');
+    log.warn('password=hunter2');
+    log.error('failed');
+
+    const written = lines(file);
+    expect(written).toHaveLength(2);
+    expect(written[0]).toMatch(/\[NODE\] WARN  password=\*\*\*$/);
+    expect(written[1]).toMatch(/\[NODE\] ERROR failed$/);
+  });
+
+  test('tags lines with the correlation ID across async work', async () => {
+    const file = freshLog({ format: 'json' });
+    await withCorrelation('req-7', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      log.info('inside', { secret: 'x1y2z3' });
+    });
+    log.info('outside');
+
+    const [inside, outside] = lines(file).map(line => JSON.parse(line));
+    expect(inside).toMatchObject({ level: 'info', cid: 'req-7', msg: 'inside', secret: '***' });
+    expect(outside).toMatchObject({ cid: null, msg: 'outside' });
+  });
+});
+
+describe('rotation', () => {
+  test('rotates by size, keeping maxFiles old files', () => {
+    const file = freshLog({ maxBytes: 200, maxFiles: 2 });
+    for (let index = 1; index <= 20; index++) {
+      log.info(`line ${String(index).padStart(2, '0')}`);
+    }
+
+    expect(fs.existsSync(`${file}.1`)).toBe(true);
+    expect(fs.existsSync(`${file}.2`)).toBe(true);
+    expect(fs.existsSync(`${file}.3`)).toBe(false);
+    for (const name of [file, `${file}.1`, `${file}.2`]) {
+      expect(fs.statSync(name).size).toBeLessThanOrEqual(200);
+    }
+
+    // Newest lines in the current file, older ones shifted along
+    expect(lines(file).pop()).toMatch(/line 20$/);
+    const number = line => Number(/line (\d+)$/.exec(line)[1]);
+    expect(number(lines(`${file}.1`).pop()) + 1).toBe(number(lines(file)[0]));
+    expect(number(lines(`${file}.2`).pop()) + 1).toBe(number(lines(`${file}.1`)[0]));
+  });
+
+  test('truncates in place when no old files are kept', () => {
+    const file = freshLog({ maxBytes: 200, maxFiles: 0 });
+    for (let index = 1; index <= 20; index++) {
+      log.info(`line ${index}`);
+    }
+
+    expect(fs.existsSync(`${file}.1`)).toBe(false);
+    expect(fs.statSync(file).size).toBeLessThanOrEqual(200);
+    expect(lines(file).pop()).toMatch(/line 20$/);
+  });
+
+  test('counts an existing file toward the size limit', () => {
+    const file = path.join(dir, 'existing.log');
+    fs.writeFileSync(file, 'x'.repeat(190) + '\n');
+    configure({ path: file, maxBytes: 200, maxFiles: 1 });
+    log.info('rotates the old content away');
+
+    expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('x'.repeat(190) + '\n');
+    expect(lines(file)).toHaveLength(1);
+  });
+});
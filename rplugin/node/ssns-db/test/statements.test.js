@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLiteDriver = require('../drivers/sqlite');
+const {
+  splitStatements,
+  leadingKeyword,
+  statementRange,
+  locateError,
+  affectedCounts,
+  StatementTracker,
+  serverMessage
+} = require('../drivers/statements');
+const { configure } = require('../ssns-log');
+
+/**
+ * Text of each statement splitStatements() finds
+ */
+function split(sql, dialect) {
+  return splitStatements(sql, dialect).map(part => sql.slice(part.start, part.end));
+}
+
+describe('splitStatements', () => {
+  test('splits on semicolons and drops empty statements', () => {
+    expect(split('SELECT 1; ;\n  SELECT 2;', 'sqlite')).toEqual(['SELECT 1', 'SELECT 2']);
+  });
+
+  test('ignores semicolons in strings, quoted identifiers and comments', () => {
+    const sql = "SELECT ';', \"a;b\" -- x;y\nFROM t; /* ; */ SELECT `c;d`";
+    expect(split(sql, 'mysql')).toEqual(["SELECT ';', \"a;b\" -- x;y\nFROM t", 'SELECT `c;d`']);
+  });
+
+  test('keeps dollar-quoted bodies whole', () => {
+    const sql = 'CREATE FUNCTION f() RETURNS int AS $body$ BEGIN; RETURN 1; END $body$ LANGUAGE plpgsql; SELECT f()';
+    expect(split(sql, 'postgres')).toEqual([
+      'CREATE FUNCTION f() RETURNS int AS $body$ BEGIN; RETURN 1; END $body$ LANGUAGE plpgsql',
+      'SELECT f()'
+    ]);
+  });
+
+  test('keeps BEGIN ... END blocks of CREATE statements whole', () => {
+    const sql = [
+      'CREATE TRIGGER tr AFTER INSERT ON t BEGIN',
+      '  UPDATE u SET n = CASE WHEN n > 0 THEN n ELSE 0 END + 1;',
+      '  DELETE FROM v;',
+      'END;',
+      'INSERT INTO t VALUES (1)'
+    ].join('\n');
+    const parts = splitStatements(sql, 'sqlite');
+    expect(parts.map(part => part.keyword)).toEqual(['create', 'insert']);
+    expect(sql.slice(parts[0].start, parts[0].end)).toMatch(/^CREATE TRIGGER[\s\S]*END$/);
+  });
+
+  test('does not count END IF and END LOOP as closing the routine', () => {
+    const sql = 'CREATE PROCEDURE p() BEGIN IF 1 THEN SELECT 1; END IF; END; SELECT 2';
+    expect(split(sql, 'mysql')).toEqual(['CREATE PROCEDURE p() BEGIN IF 1 THEN SELECT 1; END IF; END', 'SELECT 2']);
+  });
+
+  test('does not start a block for a transaction BEGIN', () => {
+    expect(split('BEGIN; INSERT INTO t VALUES (1); COMMIT', 'sqlite')).toEqual(['BEGIN', 'INSERT INTO t VALUES (1)', 'COMMIT']);
+  });
+});
+
+describe('leadingKeyword', () => {
+  test('skips comments', () => {
+    expect(leadingKeyword('-- note\n/* x */ Insert INTO t')).toBe('insert');
+    expect(leadingKeyword('')).toBe('');
+  });
+});
+
+describe('statementRange', () => {
+  test('counts 1-based lines and byte columns, end inclusive', () => {
+    const sql = 'SELECT 1;\n  SELECT \'é\' AS x;';
+    const second = splitStatements(sql, 'sqlite')[1];
+    expect(statementRange(sql, second.start, second.end)).toEqual({
+      startLine: 2,
+      startColumn: 3,
+      endLine: 2,
+      // é takes two bytes
+      endColumn: 18
+    });
+  });
+});
+
+describe('locateError', () => {
+  const sql = 'SELECT 1;\nSELECT a,\n  b FORM t;\nSELECT 3';
+  const failing = splitStatements(sql, 'mysql')[1];
+
+  test('places the error at the statement start without a hint', () => {
+    expect(locateError(sql, failing)).toEqual({
+      lineNumber: 2,
+      column: 1,
+      range: { startLine: 2, startColumn: 1, endLine: 3, endColumn: 10 }
+    });
+  });
+
+  test('moves to the line within the statement', () => {
+    expect(locateError(sql, failing, { line: 2 })).toMatchObject({ lineNumber: 3, column: 1 });
+  });
+
+  test('moves to the quoted text, matching whole tokens only', () => {
+    expect(locateError(sql, failing, { near: 't\nSELECT 3' })).toMatchObject({ lineNumber: 3, column: 10 });
+    expect(locateError(sql, failing, { line: 2, near: 'FORM t' })).toMatchObject({ lineNumber: 3, column: 5 });
+  });
+
+  test('places an error near the end of the statement at its last character', () => {
+    expect(locateError(sql, failing, { near: '' })).toMatchObject({ lineNumber: 3, column: 10 });
+  });
+
+  test('ignores quoted text found only after the statement', () => {
+    expect(locateError(sql, failing, { near: '3' })).toMatchObject({ lineNumber: 2, column: 1 });
+  });
+});
+
+describe('StatementTracker', () => {
+  test('groups result sets, row counts and messages into statements', () => {
+    const tracker = new StatementTracker();
+    tracker.message(serverMessage('starting', 'info'));
+    tracker.rowCount(3);
+    tracker.resultSet(0);
+    tracker.rowCount(10);
+    // SET NOCOUNT ON: no row count between result sets
+    tracker.resultSet(1);
+    tracker.resultSet(2);
+    tracker.error(serverMessage('boom', 'error', 50000));
+
+    const statements = tracker.finish();
+    expect(statements.map(statement => statement.resultSets)).toEqual([[], [0], [1], [2]]);
+    expect(affectedCounts(statements)).toEqual([3]);
+    expect(statements[0].messages).toEqual([{ message: 'starting', severity: 'info', code: null }]);
+    expect(statements[3].messages).toEqual([{ message: 'boom', severity: 'error', code: 50000 }]);
+  });
+});
+
+describe('SQLite statement outcomes', () => {
+  let dir;
+  let driver;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssns-statements-'));
+    configure({ path: path.join(dir, 'node.log'), level: 'error' });
+    driver = new SQLiteDriver({ type: 'sqlite', server: { database: ':memory:' } });
+    await driver.connect();
+  });
+
+  afterAll(async () => {
+    await driver.disconnect();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports each statement with its range and DML count', async () => {
+    const result = await driver.execute('CREATE TABLE t (n INTEGER);\nINSERT INTO t VALUES (1), (2);\nSELECT n FROM t');
+    expect(result.error).toBeNull();
+    expect(result.metadata.rowsAffected).toEqual([2]);
+    expect(result.metadata.statements.map(statement => statement.range.startLine)).toEqual([1, 2, 3]);
+    expect(result.metadata.statements[2].resultSets).toEqual([0]);
+  });
+
+  test('locates a failing statement and keeps the results before it', async () => {
+    const result = await driver.execute('SELECT 1 AS x;\n\n  SELECT nope FROM t;\nSELECT 3');
+    expect(result.resultSets).toHaveLength(1);
+    expect(result.error).toMatchObject({ lineNumber: 3, statement: 1 });
+    expect(result.error.message).toMatch(/no such column: nope/);
+    expect(result.metadata.statements[1].range).toEqual({ startLine: 3, startColumn: 3, endLine: 3, endColumn: 20 });
+  });
+});
@@ -0,0 +1,49 @@
+const ResultStream = require('../drivers/stream');
+
+describe('ResultStream', () => {
+  test('sends columns, batched rows and result set ends in order', async () => {
+    const events = [];
+    const stream = new ResultStream(async event => { events.push(event); }, { batchSize: 2 });
+
+    stream.beginResultSet({ a: { index: 0 } });
+    [1, 2, 3].forEach(a => stream.pushRow({ a }));
+    stream.beginResultSet({ b: { index: 0 } });
+    const summaries = await stream.finish();
+
+    expect(events).toEqual([
+      { type: 'columns', resultSetIndex: 0, columns: { a: { index: 0 } } },
+      { type: 'rows', resultSetIndex: 0, rows: [{ a: 1 }, { a: 2 }], rowCount: 2 },
+      { type: 'rows', resultSetIndex: 0, rows: [{ a: 3 }], rowCount: 3 },
+      { type: 'resultSetEnd', resultSetIndex: 0, rowCount: 3 },
+      { type: 'columns', resultSetIndex: 1, columns: { b: { index: 0 } } },
+      { type: 'resultSetEnd', resultSetIndex: 1, rowCount: 0 }
+    ]);
+    expect(summaries.map(set => [set.rowCount, set.rows.length, set.streamed])).toEqual([[3, 0, true], [0, 0, true]]);
+  });
+
+  test('pauses the driver while events are in flight', async () => {
+    const calls = [];
+    let deliver;
+    const stream = new ResultStream(() => new Promise(resolve => { deliver = resolve; }), { batchSize: 1 });
+    stream.setFlowControl(() => calls.push('pause'), () => calls.push('resume'));
+
+    stream.beginResultSet({});
+    stream.pushRow({ a: 1 });
+    expect(calls).toEqual(['pause']);
+
+    // Both queued events have to arrive before the driver goes on
+    await new Promise(resolve => setImmediate(resolve));
+    deliver();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(calls).toEqual(['pause']);
+    deliver();
+    await stream.drain();
+    expect(calls).toEqual(['pause', 'resume']);
+  });
+
+  test('keeps going when the sink fails', async () => {
+    const stream = new ResultStream(async () => { throw new Error('lost'); });
+    stream.pushRow({ a: 1 });
+    await expect(stream.finish()).resolves.toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+const { categorizeType, parseDeclaredType, typeDescriptor } = require('../drivers/types');
+
+describe('categorizeType', () => {
+  test.each([
+    ['INT UNSIGNED', 'integer'],
+    ['numeric(10,2)', 'decimal'],
+    ['character varying(20)', 'string'],
+    ['timestamp(3) with time zone', 'temporal'],
+    ['varbinary(max)', 'binary'],
+    ['jsonb', 'json'],
+    ['geography', 'spatial'],
+    ['bit', 'other'],
+    ['integer[]', 'other'],
+    ['mystery', 'other'],
+    [null, 'other']
+  ])('%p is %s', (type, category) => {
+    expect(categorizeType(type)).toBe(category);
+  });
+});
+
+describe('parseDeclaredType', () => {
+  test('reads lengths of string and binary types', () => {
+    expect(parseDeclaredType('VARCHAR(20)')).toEqual({ type: 'varchar', length: 20, precision: null, scale: null });
+    expect(parseDeclaredType('nvarchar(max)')).toEqual({ type: 'nvarchar', length: -1, precision: null, scale: null });
+  });
+
+  test('reads precision and scale of other types', () => {
+    expect(parseDeclaredType('numeric(10, 2)')).toEqual({ type: 'numeric', length: null, precision: 10, scale: 2 });
+    expect(parseDeclaredType('timestamp(3) with time zone'))
+      .toEqual({ type: 'timestamp with time zone', length: null, precision: 3, scale: null });
+  });
+
+  test('keeps types without modifiers', () => {
+    expect(parseDeclaredType('TEXT')).toEqual({ type: 'text', length: null, precision: null, scale: null });
+    expect(parseDeclaredType(null)).toEqual({ type: '', length: null, precision: null, scale: null });
+  });
+});
+
+describe('typeDescriptor', () => {
+  test('fills unknown modifiers and the category', () => {
+    expect(typeDescriptor({ type: 'int', nullable: false })).toEqual({
+      type: 'int', length: null, precision: null, scale: null, nullable: false, category: 'integer'
+    });
+    expect(typeDescriptor({})).toMatchObject({ type: 'unknown', nullable: true, category: 'other' });
+    expect(typeDescriptor({ type: 'tinyint', category: 'other' }).category).toBe('other');
+  });
+});
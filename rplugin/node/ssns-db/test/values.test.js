@@ -0,0 +1,69 @@
+const { encodeValue, encodeRow } = require('../drivers/values');
+const { typeDescriptor } = require('../drivers/types');
+
+describe('encodeValue', () => {
+  test('keeps integers exact', () => {
+    expect(encodeValue(42n, typeDescriptor({ type: 'bigint' }))).toBe(42);
+    expect(encodeValue(9007199254740993n, typeDescriptor({ type: 'bigint' }))).toBe('9007199254740993');
+    expect(encodeValue('12', typeDescriptor({ type: 'int8' }))).toBe(12);
+    expect(encodeValue('-9223372036854775808', typeDescriptor({ type: 'int8' }))).toBe('-9223372036854775808');
+  });
+
+  test('sends exact numerics as strings to their scale', () => {
+    expect(encodeValue(12.5, typeDescriptor({ type: 'decimal', precision: 10, scale: 2 }))).toBe('12.50');
+    expect(encodeValue(3, typeDescriptor({ type: 'money' }))).toBe('3.0000');
+    expect(encodeValue(7n, typeDescriptor({ type: 'numeric', scale: 1 }))).toBe('7.0');
+    expect(encodeValue('1.10', typeDescriptor({ type: 'numeric' }))).toBe('1.10');
+  });
+
+  test('keeps exact numerics beyond double precision as read', () => {
+    const wide = typeDescriptor({ type: 'decimal', precision: 38, scale: 10 });
+    // Server text stays exact; a double read for it may be rounded, so it isn't padded out
+    expect(encodeValue('12345678901234567.1234567890', wide)).toBe('12345678901234567.1234567890');
+    expect(encodeValue(12345678901234567.1234567890, wide)).toBe(12345678901234568);
+    expect(encodeValue(922337203685477.5807, typeDescriptor({ type: 'money' }))).toBe(922337203685477.6);
+    expect(encodeValue(99999999999.9999, typeDescriptor({ type: 'money' }))).toBe('99999999999.9999');
+    expect(encodeValue(12.5, typeDescriptor({ type: 'decimal' }))).toBe(12.5);
+  });
+
+  test('writes binary as upper-case hex', () => {
+    expect(encodeValue(Buffer.from([0x0a, 0xff]))).toBe('0x0AFF');
+    expect(encodeValue(new Uint8Array([1, 2]).subarray(1))).toBe('0x02');
+  });
+
+  test('writes Dates from their UTC fields to the column precision', () => {
+    const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 678));
+    date.nanosecondsDelta = 0.0001234;
+    expect(encodeValue(date, typeDescriptor({ type: 'datetime2', precision: 7 }))).toBe('2024-01-02 03:04:05.6781234');
+    expect(encodeValue(date, typeDescriptor({ type: 'datetime' }))).toBe('2024-01-02 03:04:05.678');
+    expect(encodeValue(date, typeDescriptor({ type: 'smalldatetime' }))).toBe('2024-01-02 03:04:05');
+    expect(encodeValue(date, typeDescriptor({ type: 'date' }))).toBe('2024-01-02');
+    expect(encodeValue(date, typeDescriptor({ type: 'time', precision: 3 }))).toBe('03:04:05.678');
+    expect(encodeValue(new Date(NaN))).toBeNull();
+  });
+
+  test('does not make up the offset of datetimeoffset values', () => {
+    const column = typeDescriptor({ type: 'datetimeoffset', precision: 0 });
+    // Server text keeps its offset; a Date only knows the instant
+    expect(encodeValue('2024-01-02 10:00:00 +05:30', column)).toBe('2024-01-02 10:00:00 +05:30');
+    expect(encodeValue(new Date('2024-01-02T10:00:00+05:30'), column)).toBe('2024-01-02 04:30:00Z');
+  });
+
+  test('encodes array elements with the element type', () => {
+    expect(encodeValue(['1', null, '99999999999999999999'], typeDescriptor({ type: 'int8[]' })))
+      .toEqual([1, null, '99999999999999999999']);
+  });
+
+  test('leaves other values alone', () => {
+    expect(encodeValue(undefined)).toBeNull();
+    expect(encodeValue('{"a":1}', typeDescriptor({ type: 'json' }))).toBe('{"a":1}');
+    expect(encodeValue(1.5, typeDescriptor({ type: 'float8' }))).toBe(1.5);
+  });
+});
+
+describe('encodeRow', () => {
+  test('encodes each value with its column', () => {
+    const columns = { id: typeDescriptor({ type: 'bigint' }), data: typeDescriptor({ type: 'bytea' }) };
+    expect(encodeRow({ id: 5n, data: Buffer.from('A'), extra: 'x' }, columns)).toEqual({ id: 5, data: '0x41', extra: 'x' });
+  });
+});